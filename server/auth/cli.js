@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+/**
+ * Admin CLI for API tokens.
+ *
+ *   npm run tokens -- create --name "Jane Doe" --scopes review,chat
+ *   npm run tokens -- list
+ *   npm run tokens -- revoke <id>
+ */
+import "dotenv/config";
+import { createToken, listTokens, revokeToken, SCOPES } from "./tokens.js";
+
+const USAGE = `Usage:
+  tokens create --name <name> [--scopes ${SCOPES.join(",")}]   (default scopes: review,chat)
+  tokens list
+  tokens revoke <id>`;
+
+function readFlags(args) {
+  const flags = {};
+  for (let i = 0; i < args.length; i++) {
+    const match = /^--([a-z-]+)(?:=(.*))?$/.exec(args[i]);
+    if (!match) continue;
+    flags[match[1]] = match[2] ?? args[++i];
+  }
+  return flags;
+}
+
+function main([command, ...args]) {
+  switch (command) {
+    case "create": {
+      const flags = readFlags(args);
+      const { token, record } = createToken({ name: flags.name, scopes: flags.scopes || "review,chat" });
+      console.log(`Created token ${record.id} for ${record.name} (${record.scopes.join(", ")}).`);
+      console.log("Copy it now; it is not shown again:\n");
+      console.log(`  ${token}\n`);
+      return 0;
+    }
+
+    case "list": {
+      const tokens = listTokens();
+      if (!tokens.length) {
+        console.log("No tokens issued.");
+        return 0;
+      }
+      tokens.forEach((token) => {
+        const status = token.revokedAt ? `revoked ${token.revokedAt}` : "active";
+        console.log(`${token.id}  ${token.name.padEnd(24)}  ${token.scopes.join(",").padEnd(18)}  created ${token.createdAt}  ${status}`);
+      });
+      return 0;
+    }
+
+    case "revoke": {
+      const record = revokeToken(args[0]);
+      if (!record) {
+        console.error(`No token with id "${args[0]}".`);
+        return 1;
+      }
+      console.log(`Revoked token ${record.id} (${record.name}).`);
+      return 0;
+    }
+
+    default:
+      console.log(USAGE);
+      return command ? 1 : 0;
+  }
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
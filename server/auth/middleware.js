@@ -0,0 +1,62 @@
+/**
+ * Bearer token authentication for the API routes.
+ *
+ * Every route names the scopes that may call it; a token with any of them
+ * (or with admin) is let through and described on `req.auth`. Set
+ * AUTH_REQUIRED=false to accept anonymous requests during local development.
+ */
+import { verifyToken } from "./tokens.js";
+import { logger } from "../logging/logger.js";
+
+const log = logger.child({ component: "auth" });
+
+export function authRequired() {
+  return process.env.AUTH_REQUIRED !== "false";
+}
+
+function bearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get("Authorization") || "");
+  return match ? match[1] : null;
+}
+
+/**
+ * Middleware allowing tokens with any of the given scopes.
+ * @param {...string} scopes
+ */
+export function requireScope(...scopes) {
+  return (req, res, next) => {
+    if (!authRequired()) {
+      next();
+      return;
+    }
+
+    const secret = bearerToken(req);
+    if (!secret) {
+      res.setHeader("WWW-Authenticate", 'Bearer realm="goosefarm"');
+      res.status(401).json({ error: "Missing API token. Add one under Settings." });
+      return;
+    }
+
+    let token;
+    try {
+      token = verifyToken(secret);
+    } catch (error) {
+      (req.log || log).error("Could not read tokens", { error: error.message });
+      res.status(500).json({ error: "Token store is unreadable." });
+      return;
+    }
+    if (!token) {
+      res.setHeader("WWW-Authenticate", 'Bearer realm="goosefarm", error="invalid_token"');
+      res.status(401).json({ error: "API token is invalid or has been revoked." });
+      return;
+    }
+
+    if (!token.scopes.includes("admin") && !scopes.some((scope) => token.scopes.includes(scope))) {
+      res.status(403).json({ error: `API token lacks the ${scopes.map((scope) => `"${scope}"`).join(" or ")} scope.` });
+      return;
+    }
+
+    req.auth = { tokenId: token.id, name: token.name, scopes: token.scopes };
+    next();
+  };
+}
@@ -0,0 +1,148 @@
+/**
+ * API tokens.
+ *
+ * Tokens are issued by the admin CLI (server/auth/cli.js) and kept in a JSON
+ * file. Only a SHA-256 hash of each secret is stored; the secret itself is
+ * shown once, when it is created:
+ *   { id, name, scopes, hash, createdAt, revokedAt }
+ * The file is re-read whenever it changes on disk, so a token revoked with the
+ * CLI stops working without restarting the server.
+ */
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_TOKENS_PATH = path.join(__dirname, "..", "..", ".auth", "tokens.json");
+const TOKEN_PREFIX = "gf_";
+
+/**
+ * review: clause review, streaming review and the document checks
+ * chat:   the chat assistant
+ * admin:  playbook, clause library and cache management; implies the others
+ */
+export const SCOPES = ["review", "chat", "admin"];
+
+let cached = { mtimeMs: -1, tokens: [] };
+
+function tokensPath() {
+  return process.env.AUTH_TOKENS_PATH ? path.resolve(process.env.AUTH_TOKENS_PATH) : DEFAULT_TOKENS_PATH;
+}
+
+function hashSecret(secret) {
+  return crypto.createHash("sha256").update(secret).digest("hex");
+}
+
+function readTokens() {
+  const filePath = tokensPath();
+  if (!fs.existsSync(filePath)) {
+    cached = { mtimeMs: -1, tokens: [] };
+    return cached.tokens;
+  }
+
+  const { mtimeMs } = fs.statSync(filePath);
+  if (mtimeMs !== cached.mtimeMs) {
+    const parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    cached = { mtimeMs, tokens: Array.isArray(parsed.tokens) ? parsed.tokens : [] };
+  }
+  return cached.tokens;
+}
+
+function writeTokens(tokens) {
+  const filePath = tokensPath();
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  // Hashes only, but still nobody else's business
+  fs.writeFileSync(filePath, JSON.stringify({ tokens }, null, 2), { mode: 0o600 });
+  cached = { mtimeMs: -1, tokens: [] };
+}
+
+// Public view of a token record, without the hash
+function describe(record) {
+  const { hash, ...rest } = record;
+  return rest;
+}
+
+/**
+ * Check a scope list.
+ * @returns {{ scopes?: string[], error?: string }}
+ */
+export function parseScopes(input) {
+  const scopes = (Array.isArray(input) ? input : String(input || "").split(","))
+    .map((scope) => String(scope).trim().toLowerCase())
+    .filter(Boolean);
+  if (!scopes.length) {
+    return { error: `At least one scope is required: ${SCOPES.join(", ")}.` };
+  }
+  const unknown = scopes.filter((scope) => !SCOPES.includes(scope));
+  if (unknown.length) {
+    return { error: `Unknown scope "${unknown[0]}". Use ${SCOPES.join(", ")}.` };
+  }
+  return { scopes: [...new Set(scopes)] };
+}
+
+/**
+ * Issue a token.
+ * @returns {{ token: string, record: Object }} The secret (shown once) and its public record
+ */
+export function createToken({ name, scopes }) {
+  if (!name || typeof name !== "string" || !name.trim()) {
+    throw new Error("Token name is required.");
+  }
+  const checked = parseScopes(scopes);
+  if (checked.error) {
+    throw new Error(checked.error);
+  }
+
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(24).toString("base64url")}`;
+  const record = {
+    id: crypto.randomBytes(4).toString("hex"),
+    name: name.trim(),
+    scopes: checked.scopes,
+    hash: hashSecret(token),
+    createdAt: new Date().toISOString(),
+    revokedAt: null,
+  };
+
+  writeTokens([...readTokens(), record]);
+  return { token, record: describe(record) };
+}
+
+export function listTokens() {
+  return readTokens().map(describe);
+}
+
+/**
+ * Revoke a token by id. Revoked tokens stay listed for the audit trail.
+ * @returns {Object|null} The revoked record, or null when no such token exists
+ */
+export function revokeToken(id) {
+  const tokens = readTokens();
+  const record = tokens.find((token) => token.id === id);
+  if (!record) {
+    return null;
+  }
+  if (!record.revokedAt) {
+    record.revokedAt = new Date().toISOString();
+    writeTokens(tokens);
+  }
+  return describe(record);
+}
+
+/**
+ * Look up an active token by its secret.
+ * @returns {Object|null} The public record, or null when unknown or revoked
+ */
+export function verifyToken(secret) {
+  if (!secret || !secret.startsWith(TOKEN_PREFIX)) {
+    return null;
+  }
+  // Comparing hashes rather than secrets leaks nothing useful through timing
+  const hash = hashSecret(secret);
+  const record = readTokens().find((token) => !token.revokedAt && token.hash === hash);
+  return record ? describe(record) : null;
+}
+
+export function hasActiveTokens() {
+  return readTokens().some((token) => !token.revokedAt);
+}
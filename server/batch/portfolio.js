@@ -0,0 +1,226 @@
+/**
+ * Portfolio summary of a batch review.
+ *
+ * One row per agreement with its issue counts by severity, the topics its
+ * issues touch and the sections holding high-severity issues, as CSV or as
+ * an .xlsx workbook with a second sheet listing every issue.
+ */
+import { writeZip } from "../utils/zip.js";
+import { escapeXml } from "../docx/xml.js";
+import { toCsv } from "../../src/shared/csv.js";
+
+// The risk areas the review prompt asks about, matched against each issue's
+// explanation and text; playbook rules contribute their own topic
+const TOPICS = [
+  ["Liability", /\bliab(?:le|ility)|consequential|indirect damages|damages cap/i],
+  ["Indemnification", /indemni/i],
+  ["Termination", /terminat/i],
+  ["Auto-renewal", /auto-?renew|automatic(?:ally)? renew|renewal term/i],
+  ["Intellectual property", /intellectual property|\bIP\b|licen[cs]e|ownership of|work product/i],
+  ["Confidentiality", /confidential/i],
+  ["Governing law", /governing law|governed by|jurisdiction|venue|arbitrat/i],
+  ["Audit", /\baudit/i],
+  ["Non-compete", /non-?compet|non-?solicit|exclusiv/i],
+  ["Fees and payment", /\bfees?\b|payment|invoice|price|pricing/i],
+  ["Data protection", /personal data|data protection|privacy|GDPR|data breach|security incident/i],
+  ["Warranties", /warrant/i],
+  ["Assignment", /\bassign/i],
+  ["Survival", /surviv/i],
+];
+
+const SOURCE_TOPICS = {
+  "defined-terms": "Defined terms",
+  "cross-references": "Cross-references",
+};
+
+export const SUMMARY_COLUMNS = [
+  ["document", "Document"],
+  ["status", "Status"],
+  ["clauses", "Clauses"],
+  ["issues", "Issues"],
+  ["high", "High"],
+  ["medium", "Medium"],
+  ["low", "Low"],
+  ["topics", "Flagged topics"],
+  ["highRiskClauses", "High-risk clauses"],
+  ["failedClauses", "Failed clauses"],
+  ["tokens", "Tokens"],
+  ["cost", "Cost"],
+  ["error", "Error"],
+];
+
+export const ISSUE_COLUMNS = [
+  ["document", "Document"],
+  ["section", "Section"],
+  ["severity", "Severity"],
+  ["type", "Type"],
+  ["topics", "Topics"],
+  ["originalText", "Original text"],
+  ["newText", "Suggested text"],
+  ["explanation", "Explanation"],
+];
+
+/**
+ * Topics an issue touches, in TOPICS order.
+ * @returns {string[]}
+ */
+export function topicsFor(issue) {
+  const topics = new Set();
+  if (issue.playbookRule?.topic) {
+    topics.add(issue.playbookRule.topic);
+  }
+  if (SOURCE_TOPICS[issue.source]) {
+    topics.add(SOURCE_TOPICS[issue.source]);
+  }
+  const text = [issue.explanation, issue.originalText, issue.newText].filter(Boolean).join("\n");
+  for (const [topic, pattern] of TOPICS) {
+    if (pattern.test(text)) topics.add(topic);
+  }
+  return [...topics];
+}
+
+function clauseLabel(issue) {
+  return issue.sectionNumber || (Number.isInteger(issue.clauseIndex) ? `clause ${issue.clauseIndex + 1}` : issue.id);
+}
+
+/**
+ * One agreement's line in the portfolio.
+ * @param {Object} result - A document result from reviewDocument
+ */
+export function summaryRow(result) {
+  const issues = result.issues || [];
+  const count = (severity) => issues.filter((issue) => issue.severity === severity).length;
+  const topics = new Set(issues.flatMap(topicsFor));
+  const highRisk = new Set(issues.filter((issue) => issue.severity === "high").map(clauseLabel));
+  const usage = result.summary?.usage;
+
+  return {
+    document: result.document,
+    status: result.status,
+    clauses: result.summary?.totalClauses ?? 0,
+    issues: issues.length,
+    high: count("high"),
+    medium: count("medium"),
+    low: count("low"),
+    topics: [...topics].join("; "),
+    highRiskClauses: [...highRisk].join("; "),
+    failedClauses: result.failedClauses?.length ?? 0,
+    tokens: usage?.totalTokens ?? 0,
+    cost: usage?.cost ?? null,
+    error: result.error || "",
+  };
+}
+
+/**
+ * Every issue of every agreement, one row each.
+ */
+export function issueRows(results) {
+  return results.flatMap((result) => (result.issues || []).map((issue) => ({
+    document: result.document,
+    section: clauseLabel(issue),
+    severity: issue.severity,
+    type: issue.type,
+    topics: topicsFor(issue).join("; "),
+    originalText: issue.originalText,
+    newText: issue.newText || "",
+    explanation: issue.explanation,
+  })));
+}
+
+/**
+ * The portfolio rows as CSV.
+ * @param {Array<Object>} rows - From summaryRow
+ * @returns {string}
+ */
+export function portfolioCsv(rows) {
+  return toCsv(rows, SUMMARY_COLUMNS);
+}
+
+// ----- XLSX -----
+
+export const XLSX_CONTENT_TYPE = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+const SHEET_NAMESPACE = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+const RELATIONSHIP_NAMESPACE = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+const PACKAGE_RELATIONSHIPS = "http://schemas.openxmlformats.org/package/2006/relationships";
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+// Excel refuses cells longer than this
+const MAX_CELL_LENGTH = 32767;
+
+function columnName(index) {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function sheetCell(value, ref, style) {
+  const styleAttr = style ? ` s="${style}"` : "";
+  if (typeof value === "number" && Number.isFinite(value)) {
+    return `<c r="${ref}"${styleAttr}><v>${value}</v></c>`;
+  }
+  if (value === null || value === undefined || value === "") {
+    return "";
+  }
+  // Control characters other than tab and newlines are not allowed in XML
+  const text = String(value).replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "").slice(0, MAX_CELL_LENGTH);
+  return `<c r="${ref}" t="inlineStr"${styleAttr}><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+}
+
+function worksheet(rows, columns) {
+  const lines = [columns.map(([, heading]) => heading), ...rows.map((row) => columns.map(([key]) => row[key]))];
+  const sheetRows = lines.map((cells, rowIndex) => {
+    const ref = (columnIndex) => `${columnName(columnIndex)}${rowIndex + 1}`;
+    // Style 1 is the bold header
+    return `<row r="${rowIndex + 1}">${cells.map((value, columnIndex) => sheetCell(value, ref(columnIndex), rowIndex ? 0 : 1)).join("")}</row>`;
+  });
+  const lastCell = `${columnName(columns.length - 1)}${lines.length}`;
+
+  return `${XML_DECLARATION}<worksheet xmlns="${SHEET_NAMESPACE}">`
+    + `<dimension ref="A1:${lastCell}"/>`
+    + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+    + `<sheetData>${sheetRows.join("")}</sheetData>`
+    + "</worksheet>";
+}
+
+/**
+ * The portfolio as an .xlsx workbook: a "Portfolio" sheet of summary rows and
+ * an "Issues" sheet with every issue.
+ * @param {Array<Object>} rows - From summaryRow
+ * @param {Array<Object>} issues - From issueRows
+ * @returns {Buffer}
+ */
+export function toXlsx(rows, issues) {
+  const sheets = [["Portfolio", worksheet(rows, SUMMARY_COLUMNS)], ["Issues", worksheet(issues, ISSUE_COLUMNS)]];
+
+  const entries = new Map();
+  entries.set("[Content_Types].xml", `${XML_DECLARATION}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+    + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+    + sheets.map((sheet, index) => `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join("")
+    + "</Types>");
+  entries.set("_rels/.rels", `${XML_DECLARATION}<Relationships xmlns="${PACKAGE_RELATIONSHIPS}">`
+    + `<Relationship Id="rId1" Type="${RELATIONSHIP_NAMESPACE}/officeDocument" Target="xl/workbook.xml"/>`
+    + "</Relationships>");
+  entries.set("xl/workbook.xml", `${XML_DECLARATION}<workbook xmlns="${SHEET_NAMESPACE}" xmlns:r="${RELATIONSHIP_NAMESPACE}"><sheets>`
+    + sheets.map(([name], index) => `<sheet name="${name}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join("")
+    + "</sheets></workbook>");
+  entries.set("xl/_rels/workbook.xml.rels", `${XML_DECLARATION}<Relationships xmlns="${PACKAGE_RELATIONSHIPS}">`
+    + sheets.map((sheet, index) => `<Relationship Id="rId${index + 1}" Type="${RELATIONSHIP_NAMESPACE}/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`).join("")
+    + `<Relationship Id="rId${sheets.length + 1}" Type="${RELATIONSHIP_NAMESPACE}/styles" Target="styles.xml"/>`
+    + "</Relationships>");
+  entries.set("xl/styles.xml", `${XML_DECLARATION}<styleSheet xmlns="${SHEET_NAMESPACE}">`
+    + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+    + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+    + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+    + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+    + '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>'
+    + "</styleSheet>");
+  sheets.forEach(([, xml], index) => entries.set(`xl/worksheets/sheet${index + 1}.xml`, xml));
+
+  return writeZip(entries);
+}
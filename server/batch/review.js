@@ -0,0 +1,126 @@
+/**
+ * Batch review: many agreements through the clause review, a few at a time.
+ *
+ * Each .docx comes back redlined as by POST /api/documents/review; a .txt is
+ * reviewed like pasted text and only yields its issues. Used by the
+ * /api/batches routes and `goosefarm batch`.
+ */
+import path from "path";
+import { readDocxForReview, reviewDocx } from "../docx/review.js";
+import { clausesFromText } from "../review/segmentation.js";
+import { findParty } from "../review/parties.js";
+import { mapInOrder } from "../utils/concurrency.js";
+import { logger } from "../logging/logger.js";
+
+export const BATCH_EXTENSIONS = [".docx", ".txt"];
+
+/**
+ * Review one agreement.
+ * @param {{ name: string, buffer: Buffer }} file
+ * @param {Object} options
+ * @param {Object} options.reviewer - From createClauseReviewer
+ * @param {(name: string) => Object} options.meterFor - Usage meter for one document
+ * @param {string} options.author - Author of the tracked changes in .docx files
+ * @param {string} [options.instructions]
+ * @param {string} [options.riskProfile]
+ * @param {string} [options.party] - Role or name, matched against each agreement's parties
+ * @param {Object} [options.playbook]
+ * @param {(context: { text: string, party: Object }) => Object|null} [options.pseudonymizerFor]
+ * @param {AbortSignal} [options.signal]
+ * @param {Object} [options.log]
+ * @returns {Promise<Object>} The review report with `document` set to the file name,
+ *   plus `buffer` (the redlined .docx) for Word files
+ */
+export async function reviewDocument({ name, buffer }, { reviewer, meterFor, author, instructions, riskProfile, party, playbook, pseudonymizerFor, signal, log = logger }) {
+  const extension = path.extname(name).toLowerCase();
+
+  if (extension === ".docx") {
+    const prepared = readDocxForReview(buffer);
+    const documentParty = findParty(prepared.text, party);
+    const result = await reviewDocx(prepared, {
+      reviewer,
+      meter: meterFor(name),
+      author,
+      instructions,
+      riskProfile,
+      party: documentParty,
+      playbook,
+      pseudonymizer: pseudonymizerFor?.({ text: prepared.text, party: documentParty }) || null,
+      signal,
+      log,
+    });
+    return { document: name, ...result };
+  }
+
+  if (extension !== ".txt") {
+    throw new Error(`Only ${BATCH_EXTENSIONS.join(" and ")} files can be reviewed.`);
+  }
+
+  const text = buffer.toString("utf8").replace(/^\uFEFF/, "");
+  const clauses = clausesFromText(text);
+  const documentParty = findParty(text, party);
+  const pseudonymizer = pseudonymizerFor?.({ text, party: documentParty }) || null;
+  // Placeholders are numbered in document order, as for every other review
+  if (pseudonymizer) {
+    clauses.forEach((clause) => pseudonymizer.redact(clause.text));
+  }
+
+  const issues = [];
+  const rejected = [];
+  const failedClauses = [];
+  let error = null;
+  const { status, summary } = await reviewer.reviewClauses(
+    { text, instructions, riskProfile, scope: "document", party: documentParty, playbook, clauses, pseudonymizer },
+    {
+      meter: meterFor(name),
+      signal,
+      log,
+      emit: (event) => {
+        if (event.type === "issue") {
+          issues.push(event.issue);
+        } else if (event.type === "issue-rejected") {
+          rejected.push({ issue: event.issue, reason: event.reason, clauseIndex: event.clauseIndex, sectionNumber: event.sectionNumber });
+        } else if (event.type === "clause-error") {
+          failedClauses.push({ clauseIndex: event.clauseIndex, message: event.message });
+        } else if (event.type === "error") {
+          error = event.message;
+        }
+      },
+    }
+  );
+
+  return { document: name, status, error, summary, issues, rejected, failedClauses, redaction: pseudonymizer?.summary() || null };
+}
+
+/**
+ * Review `files` with up to `workers` documents in flight. Each result is
+ * handed to `onResult` in file order; a document that cannot be read is
+ * reported as failed rather than stopping the batch.
+ * @param {Array<{ name: string, buffer?: Buffer, read?: () => Buffer }>} files - `read` loads the file when its turn comes
+ * @param {Object} options - As for reviewDocument, plus:
+ * @param {number} [options.workers]
+ * @param {(result: Object, index: number) => (void|Promise<void>)} options.onResult
+ * @param {(file: Object, index: number) => void} [options.onStart]
+ */
+export async function runBatch(files, { workers = Number(process.env.BATCH_CONCURRENCY) || 2, onResult, onStart, signal, log = logger, ...options }) {
+  await mapInOrder(
+    files,
+    async (file, index) => {
+      onStart?.(file, index);
+      const documentLog = log.child({ document: file.name });
+      documentLog.info("Batch document started");
+      return reviewDocument({ name: file.name, buffer: file.buffer ?? file.read() }, { ...options, signal, log: documentLog });
+    },
+    {
+      concurrency: workers,
+      signal,
+      onResult: (result, index) => {
+        if (result.ok) {
+          return onResult(result.value, index);
+        }
+        log.warn("Batch document failed", { document: files[index].name, error: result.error.message });
+        return onResult({ document: files[index].name, status: "failed", error: result.error.message, summary: null, issues: [], rejected: [], failedClauses: [] }, index);
+      },
+    }
+  );
+}
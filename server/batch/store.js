@@ -0,0 +1,303 @@
+/**
+ * Batch reviews.
+ *
+ * A batch is a set of uploaded agreements reviewed together. Everything lives
+ * under <BATCHES_DIR>/<id>/: batch.json (options and per-file status), the
+ * uploads in files/ and, per document, results/<name>.json plus
+ * results/<name>.reviewed.docx for Word files. Batches still running when the
+ * server stopped are marked interrupted on the next start; finished batches
+ * expire after BATCH_TTL_HOURS.
+ */
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import { BATCH_EXTENSIONS } from "./review.js";
+import { logger } from "../logging/logger.js";
+
+const log = logger.child({ component: "batches" });
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_BATCHES_DIR = path.join(__dirname, "..", "..", ".data", "batches");
+
+export const FINISHED_STATUSES = new Set(["complete", "failed", "cancelled", "interrupted"]);
+
+const ID_PATTERN = /^[0-9a-f-]{36}$/;
+const MAX_NAME_LENGTH = 150;
+
+const batches = new Map();
+let loadedDir = null;
+
+function settings() {
+  return {
+    dir: process.env.BATCHES_DIR ? path.resolve(process.env.BATCHES_DIR) : DEFAULT_BATCHES_DIR,
+    ttlMs: Number(process.env.BATCH_TTL_HOURS ?? 168) * 60 * 60 * 1000,
+  };
+}
+
+function batchDir(id) {
+  return path.join(settings().dir, id);
+}
+
+/**
+ * A safe file name for an upload, or null when it is not a .docx or .txt.
+ * Directories are dropped and anything outside [A-Za-z0-9_ .()-] becomes "_".
+ */
+export function safeFileName(name) {
+  const base = path.basename(String(name || "").replace(/\\/g, "/")).replace(/[^\w .()-]+/g, "_").replace(/^[.\s]+/, "");
+  const extension = path.extname(base).toLowerCase();
+  if (!BATCH_EXTENSIONS.includes(extension)) {
+    return null;
+  }
+  const stem = base.slice(0, -extension.length).trim().slice(0, MAX_NAME_LENGTH);
+  return `${stem || "document"}${extension}`;
+}
+
+/**
+ * What is stored and returned by the API; the abort controller stays in memory.
+ */
+export function describeBatch(batch) {
+  return {
+    id: batch.id,
+    status: batch.status,
+    user: batch.user,
+    owner: batch.owner,
+    options: batch.options,
+    files: batch.files,
+    createdAt: batch.createdAt,
+    updatedAt: batch.updatedAt,
+    startedAt: batch.startedAt,
+    finishedAt: batch.finishedAt,
+  };
+}
+
+function save(batch) {
+  batch.updatedAt = new Date().toISOString();
+  try {
+    fs.mkdirSync(batchDir(batch.id), { recursive: true });
+    fs.writeFileSync(path.join(batchDir(batch.id), "batch.json"), JSON.stringify(describeBatch(batch)));
+  } catch (error) {
+    log.warn("Could not save batch", { batchId: batch.id, error: error.message });
+  }
+}
+
+function load(dir) {
+  batches.clear();
+  loadedDir = dir;
+  if (!fs.existsSync(dir)) {
+    return;
+  }
+
+  for (const id of fs.readdirSync(dir)) {
+    if (!ID_PATTERN.test(id)) {
+      continue;
+    }
+    try {
+      const batch = JSON.parse(fs.readFileSync(path.join(dir, id, "batch.json"), "utf8"));
+      batches.set(id, batch);
+      if (batch.status === "running") {
+        finishBatch(batch, "interrupted");
+      }
+    } catch (error) {
+      log.warn("Skipping unreadable batch", { batchId: id, error: error.message });
+    }
+  }
+  log.info("Loaded batches", { count: batches.size });
+}
+
+function ensureLoaded() {
+  const { dir } = settings();
+  if (loadedDir !== dir) {
+    load(dir);
+  }
+  pruneBatches();
+}
+
+/**
+ * Remove finished batches older than BATCH_TTL_HOURS (0 keeps them forever).
+ */
+export function pruneBatches() {
+  const { ttlMs } = settings();
+  if (!ttlMs) {
+    return;
+  }
+  const cutoff = Date.now() - ttlMs;
+  for (const batch of batches.values()) {
+    if (FINISHED_STATUSES.has(batch.status) && Date.parse(batch.finishedAt || batch.updatedAt) < cutoff) {
+      batches.delete(batch.id);
+      fs.rmSync(batchDir(batch.id), { recursive: true, force: true });
+    }
+  }
+}
+
+/**
+ * @param {Object} fields
+ * @param {string|null} fields.owner - Token ID allowed to read the batch (null when auth is off)
+ * @param {string} [fields.user] - Token name, for listings
+ */
+export function createBatch({ owner, user }) {
+  ensureLoaded();
+  const now = new Date().toISOString();
+  const batch = {
+    id: crypto.randomUUID(),
+    status: "open",
+    owner: owner ?? null,
+    user: user || "anonymous",
+    options: null,
+    files: [],
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    finishedAt: null,
+  };
+  batches.set(batch.id, batch);
+  save(batch);
+  return batch;
+}
+
+export function getBatch(id) {
+  ensureLoaded();
+  return batches.get(id) || null;
+}
+
+/**
+ * Batches, newest first.
+ * @param {Object} [filter]
+ * @param {string|null} [filter.owner] - Only this token's batches; undefined lists all
+ */
+export function listBatches({ owner } = {}) {
+  ensureLoaded();
+  return [...batches.values()]
+    .filter((batch) => owner === undefined || batch.owner === owner)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Store an upload; a file with the same name is replaced.
+ * @param {string} name - From safeFileName
+ */
+export function addBatchFile(batch, name, buffer) {
+  const dir = path.join(batchDir(batch.id), "files");
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, name), buffer);
+
+  const entry = { name, size: buffer.length, status: "queued" };
+  const index = batch.files.findIndex((file) => file.name === name);
+  if (index >= 0) {
+    batch.files[index] = entry;
+  } else {
+    batch.files.push(entry);
+  }
+  save(batch);
+  return entry;
+}
+
+export function readBatchFile(batch, name) {
+  return fs.readFileSync(path.join(batchDir(batch.id), "files", name));
+}
+
+/**
+ * Update one file's entry, e.g. when its review starts or ends.
+ */
+export function updateBatchFile(batch, name, fields) {
+  const file = batch.files.find((entry) => entry.name === name);
+  if (file) {
+    Object.assign(file, fields);
+    save(batch);
+  }
+}
+
+/**
+ * Write one document's report, and its redlined .docx when there is one.
+ */
+export function saveBatchResult(batch, result) {
+  const dir = path.join(batchDir(batch.id), "results");
+  const { buffer, ...report } = result;
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, `${result.document}.json`), JSON.stringify(report));
+  if (buffer) {
+    fs.writeFileSync(path.join(dir, reviewedName(result.document)), buffer);
+  }
+}
+
+/**
+ * A document's report, or null before it has been reviewed.
+ */
+export function getBatchResult(batch, name) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(batchDir(batch.id), "results", `${name}.json`), "utf8"));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Every document's report, in upload order, skipping those not reviewed yet.
+ */
+export function batchResults(batch) {
+  return batch.files.map((file) => getBatchResult(batch, file.name)).filter(Boolean);
+}
+
+export function reviewedName(name) {
+  return name.replace(/\.docx$/i, ".reviewed.docx");
+}
+
+/**
+ * Path of a document's redlined .docx, or null when there is none.
+ */
+export function reviewedPath(batch, name) {
+  const file = path.join(batchDir(batch.id), "results", reviewedName(name));
+  return name.toLowerCase().endsWith(".docx") && fs.existsSync(file) ? file : null;
+}
+
+/**
+ * @param {Object} options - Review options shared by every document, kept for reference
+ */
+export function startBatch(batch, options) {
+  batch.status = "running";
+  batch.options = options;
+  batch.startedAt = new Date().toISOString();
+  batch.controller = new AbortController();
+  save(batch);
+}
+
+/**
+ * Record the final status; files that never finished are marked with it too.
+ * @param {"complete"|"failed"|"cancelled"|"interrupted"} status
+ */
+export function finishBatch(batch, status) {
+  batch.status = status;
+  batch.finishedAt = new Date().toISOString();
+  for (const file of batch.files) {
+    if (file.status === "queued" || file.status === "running") {
+      file.status = status === "complete" ? "failed" : status;
+    }
+  }
+  delete batch.controller;
+  save(batch);
+}
+
+/**
+ * Ask a running batch to stop; documents not yet reported are marked cancelled.
+ * @returns {boolean} False when the batch is not running
+ */
+export function cancelBatch(batch) {
+  if (batch.status !== "running" || !batch.controller) {
+    return false;
+  }
+  batch.controller.abort();
+  return true;
+}
+
+/**
+ * Delete a batch that is not running, with its files and results.
+ * @returns {boolean} False when the batch is still running
+ */
+export function deleteBatch(batch) {
+  if (batch.status === "running") {
+    return false;
+  }
+  batches.delete(batch.id);
+  fs.rmSync(batchDir(batch.id), { recursive: true, force: true });
+  return true;
+}
@@ -0,0 +1,230 @@
+/**
+ * Review cache.
+ *
+ * Clause review results are stored on disk, one JSON file per entry, so an
+ * unchanged clause is answered without calling the provider again:
+ *   { key, createdAt, model, riskProfile, promptVersion, preview, value }
+ * Entries expire after REVIEW_CACHE_TTL_HOURS and the oldest are evicted once
+ * the cache passes REVIEW_CACHE_MAX_ENTRIES or REVIEW_CACHE_MAX_MB.
+ */
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import { logger } from "../logging/logger.js";
+
+const log = logger.child({ component: "reviewCache" });
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_CACHE_DIR = path.join(__dirname, "..", "..", ".cache", "review");
+const KEY_PATTERN = /^[a-f0-9]{64}$/;
+
+// In-memory index of what is on disk: key -> { size, createdAt, lastUsed }
+let index = null;
+const stats = { hits: 0, misses: 0, writes: 0, evictions: 0 };
+
+function settings() {
+  return {
+    enabled: process.env.REVIEW_CACHE !== "off",
+    dir: process.env.REVIEW_CACHE_DIR ? path.resolve(process.env.REVIEW_CACHE_DIR) : DEFAULT_CACHE_DIR,
+    ttlMs: Number(process.env.REVIEW_CACHE_TTL_HOURS ?? 168) * 60 * 60 * 1000,
+    maxEntries: Number(process.env.REVIEW_CACHE_MAX_ENTRIES) || 5000,
+    maxBytes: (Number(process.env.REVIEW_CACHE_MAX_MB) || 50) * 1024 * 1024,
+  };
+}
+
+function entryPath(key) {
+  return path.join(settings().dir, `${key}.json`);
+}
+
+function load() {
+  if (index) {
+    return index;
+  }
+
+  index = new Map();
+  const { dir } = settings();
+  if (!fs.existsSync(dir)) {
+    return index;
+  }
+
+  for (const file of fs.readdirSync(dir)) {
+    const key = file.replace(/\.json$/, "");
+    if (!KEY_PATTERN.test(key)) continue;
+    const stat = fs.statSync(path.join(dir, file));
+    // mtime is bumped on every hit, so it doubles as last use
+    index.set(key, { size: stat.size, createdAt: stat.birthtimeMs || stat.mtimeMs, lastUsed: stat.mtimeMs });
+  }
+  return index;
+}
+
+function remove(key) {
+  load().delete(key);
+  fs.rmSync(entryPath(key), { force: true });
+}
+
+function isExpired(meta, ttlMs) {
+  return ttlMs > 0 && Date.now() - meta.createdAt > ttlMs;
+}
+
+// Drop expired entries, then least recently used ones until both limits hold
+function enforceLimits() {
+  const { ttlMs, maxEntries, maxBytes } = settings();
+  const entries = load();
+
+  for (const [key, meta] of entries) {
+    if (isExpired(meta, ttlMs)) {
+      remove(key);
+      stats.evictions++;
+    }
+  }
+
+  let totalBytes = [...entries.values()].reduce((sum, meta) => sum + meta.size, 0);
+  if (entries.size <= maxEntries && totalBytes <= maxBytes) {
+    return;
+  }
+
+  const oldestFirst = [...entries].sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+  for (const [key, meta] of oldestFirst) {
+    if (entries.size <= maxEntries && totalBytes <= maxBytes) break;
+    totalBytes -= meta.size;
+    remove(key);
+    stats.evictions++;
+  }
+}
+
+/**
+ * Collapse whitespace so reflowed or re-spaced clauses share an entry.
+ */
+export function normalizeClauseText(text) {
+  return (text || "").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Build the cache key for one clause review.
+ * Every input that changes the prompt or the model's answer belongs in `parts`.
+ */
+export function reviewCacheKey(parts) {
+  return crypto.createHash("sha256").update(JSON.stringify(parts)).digest("hex");
+}
+
+/**
+ * @returns {object|null} The cached value, or null on a miss (or when the cache is off)
+ */
+export function getCachedReview(key) {
+  const { enabled, ttlMs } = settings();
+  if (!enabled) {
+    return null;
+  }
+
+  const meta = load().get(key);
+  if (!meta || isExpired(meta, ttlMs)) {
+    if (meta) remove(key);
+    stats.misses++;
+    return null;
+  }
+
+  try {
+    const entry = JSON.parse(fs.readFileSync(entryPath(key), "utf8"));
+    const now = new Date();
+    fs.utimesSync(entryPath(key), now, now);
+    meta.lastUsed = now.getTime();
+    stats.hits++;
+    return entry.value;
+  } catch (error) {
+    // A missing or corrupt file is just a miss
+    log.warn("Dropping unreadable entry", { key, error: error.message });
+    remove(key);
+    stats.misses++;
+    return null;
+  }
+}
+
+/**
+ * Store a review result. `details` is kept alongside for the admin endpoints.
+ */
+export function setCachedReview(key, value, details = {}) {
+  const { enabled, dir } = settings();
+  if (!enabled) {
+    return;
+  }
+
+  const entry = { key, createdAt: new Date().toISOString(), ...details, value };
+  const body = JSON.stringify(entry);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(entryPath(key), body);
+
+  const now = Date.now();
+  load().set(key, { size: Buffer.byteLength(body), createdAt: now, lastUsed: now });
+  stats.writes++;
+  enforceLimits();
+}
+
+/**
+ * Summary for GET /api/cache, with the most recently used entries.
+ */
+export function describeCache({ limit = 50 } = {}) {
+  const { enabled, dir, ttlMs, maxEntries, maxBytes } = settings();
+  const entries = load();
+
+  const recent = [...entries]
+    .sort((a, b) => b[1].lastUsed - a[1].lastUsed)
+    .slice(0, Math.max(0, limit))
+    .map(([key, meta]) => ({
+      key,
+      size: meta.size,
+      createdAt: new Date(meta.createdAt).toISOString(),
+      lastUsed: new Date(meta.lastUsed).toISOString(),
+    }));
+
+  return {
+    enabled,
+    dir,
+    entries: entries.size,
+    bytes: [...entries.values()].reduce((sum, meta) => sum + meta.size, 0),
+    limits: { ttlHours: ttlMs / 3600000, maxEntries, maxBytes },
+    stats: { ...stats },
+    recent,
+  };
+}
+
+/**
+ * Read one entry in full, or null.
+ */
+export function getCacheEntry(key) {
+  if (!KEY_PATTERN.test(key) || !load().has(key)) {
+    return null;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(entryPath(key), "utf8"));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Delete one entry. Returns false when it did not exist.
+ */
+export function deleteCacheEntry(key) {
+  if (!KEY_PATTERN.test(key) || !load().has(key)) {
+    return false;
+  }
+  remove(key);
+  return true;
+}
+
+/**
+ * Purge entries, all of them or only those created more than `olderThanHours` ago.
+ * @returns {number} Entries removed
+ */
+export function purgeCache({ olderThanHours } = {}) {
+  const cutoff = Number.isFinite(olderThanHours) ? Date.now() - olderThanHours * 3600000 : Infinity;
+  let removed = 0;
+  for (const [key, meta] of load()) {
+    if (meta.createdAt <= cutoff) {
+      remove(key);
+      removed++;
+    }
+  }
+  return removed;
+}
@@ -0,0 +1,91 @@
+/**
+ * Small in-memory BM25 index. The clause library holds at most a few
+ * thousand entries, so rebuilding the index on every change is cheap and
+ * keeps search entirely local (no embedding service).
+ */
+
+const K1 = 1.5;
+const B = 0.75;
+
+// Function words that carry no meaning for matching legal language
+const STOPWORDS = new Set([
+  "a", "an", "and", "any", "are", "as", "at", "be", "by", "for", "from", "has", "have",
+  "in", "is", "it", "its", "of", "on", "or", "such", "that", "the", "this", "to", "was",
+  "which", "will", "with", "shall", "may", "party", "parties", "agreement",
+]);
+
+// Crude suffix stripping so "renew", "renewal" and "renewals" match
+function stem(token) {
+  let stemmed = token;
+  if (stemmed.length > 4 && stemmed.endsWith("s") && !stemmed.endsWith("ss")) {
+    stemmed = stemmed.slice(0, -1);
+  }
+  const suffix = /(?:ing|ed|al|ment)$/.exec(stemmed);
+  if (suffix && stemmed.length - suffix[0].length >= 4) {
+    stemmed = stemmed.slice(0, -suffix[0].length);
+  }
+  return stemmed;
+}
+
+export function tokenize(text) {
+  return (text || "")
+    .toLowerCase()
+    .replace(/[‘’]/g, "'")
+    .split(/[^a-z0-9']+/)
+    .map((token) => token.replace(/^'+|'+$/g, "").replace(/'s$/, ""))
+    .filter((token) => token.length > 1 && !STOPWORDS.has(token))
+    .map(stem);
+}
+
+/**
+ * Build an index over documents of the form { id, text }.
+ * @returns {{ search: (query: string, limit?: number) => Array<{ id: string, score: number }> }}
+ */
+export function createBm25Index(documents) {
+  const docs = documents.map((doc) => {
+    const tokens = tokenize(doc.text);
+    const frequencies = new Map();
+    for (const token of tokens) {
+      frequencies.set(token, (frequencies.get(token) || 0) + 1);
+    }
+    return { id: doc.id, length: tokens.length, frequencies };
+  });
+
+  const documentFrequency = new Map();
+  for (const doc of docs) {
+    for (const token of doc.frequencies.keys()) {
+      documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+    }
+  }
+
+  const averageLength = docs.reduce((sum, doc) => sum + doc.length, 0) / (docs.length || 1);
+
+  function idf(token) {
+    const df = documentFrequency.get(token) || 0;
+    return Math.log(1 + (docs.length - df + 0.5) / (df + 0.5));
+  }
+
+  function search(query, limit = 5) {
+    const terms = [...new Set(tokenize(query))];
+    if (!terms.length || !docs.length) {
+      return [];
+    }
+
+    return docs
+      .map((doc) => {
+        let score = 0;
+        for (const term of terms) {
+          const tf = doc.frequencies.get(term);
+          if (!tf) continue;
+          const norm = tf + K1 * (1 - B + B * (doc.length / (averageLength || 1)));
+          score += idf(term) * ((tf * (K1 + 1)) / norm);
+        }
+        return { id: doc.id, score };
+      })
+      .filter((result) => result.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  return { search };
+}
@@ -0,0 +1,176 @@
+/**
+ * Approved clause library.
+ *
+ * Entries live in a single JSON file. Every text change is kept as a new
+ * version so issues can cite exactly which approved wording they used:
+ *   { id, title, tags, currentVersion, versions: [{ version, text, note, createdAt }], createdAt, updatedAt }
+ */
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import { createBm25Index } from "./bm25.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_LIBRARY_PATH = path.join(__dirname, "..", "..", "clause-library", "clauses.json");
+
+let cache = null;
+
+function libraryPath() {
+  return process.env.CLAUSE_LIBRARY_PATH ? path.resolve(process.env.CLAUSE_LIBRARY_PATH) : DEFAULT_LIBRARY_PATH;
+}
+
+function load() {
+  if (cache) {
+    return cache;
+  }
+
+  const filePath = libraryPath();
+  const entries = fs.existsSync(filePath)
+    ? JSON.parse(fs.readFileSync(filePath, "utf8")).clauses || []
+    : [];
+
+  cache = { entries, index: buildIndex(entries) };
+  return cache;
+}
+
+function buildIndex(entries) {
+  // Title and tags are indexed with the text so topical queries still match
+  return createBm25Index(entries.map((entry) => ({
+    id: entry.id,
+    text: [entry.title, entry.tags.join(" "), currentText(entry)].join("\n"),
+  })));
+}
+
+function persist(entries) {
+  const filePath = libraryPath();
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, `${JSON.stringify({ clauses: entries }, null, 2)}\n`);
+  cache = { entries, index: buildIndex(entries) };
+}
+
+function currentText(entry) {
+  return entry.versions.find((version) => version.version === entry.currentVersion)?.text || "";
+}
+
+function normalizeTags(tags) {
+  if (!Array.isArray(tags)) return [];
+  return [...new Set(tags.filter((tag) => typeof tag === "string" && tag.trim()).map((tag) => tag.trim().toLowerCase()))];
+}
+
+// Flatten an entry to its current version for API responses
+function present(entry) {
+  return {
+    id: entry.id,
+    title: entry.title,
+    tags: entry.tags,
+    version: entry.currentVersion,
+    text: currentText(entry),
+    createdAt: entry.createdAt,
+    updatedAt: entry.updatedAt,
+  };
+}
+
+export function listClauses({ tag } = {}) {
+  const { entries } = load();
+  const wanted = tag ? tag.toLowerCase() : null;
+  return entries
+    .filter((entry) => !wanted || entry.tags.includes(wanted))
+    .map(present);
+}
+
+export function getClause(id) {
+  const entry = load().entries.find((item) => item.id === id);
+  return entry ? { ...present(entry), versions: entry.versions } : null;
+}
+
+/**
+ * Add an approved clause.
+ * @returns {{ clause?: Object, error?: string }}
+ */
+export function addClause({ title, text, tags, note }) {
+  if (!title || typeof title !== "string") {
+    return { error: "Clause title is required." };
+  }
+  if (!text || typeof text !== "string") {
+    return { error: "Clause text is required." };
+  }
+
+  const now = new Date().toISOString();
+  const entry = {
+    id: crypto.randomUUID(),
+    title: title.trim(),
+    tags: normalizeTags(tags),
+    currentVersion: 1,
+    versions: [{ version: 1, text: text.trim(), note: note || "", createdAt: now }],
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  persist([...load().entries, entry]);
+  return { clause: present(entry) };
+}
+
+/**
+ * Update title/tags in place; a changed text is stored as a new version.
+ * @returns {{ clause?: Object, error?: string, notFound?: boolean }}
+ */
+export function updateClause(id, { title, text, tags, note }) {
+  const entries = load().entries.map((entry) => ({ ...entry, versions: [...entry.versions] }));
+  const entry = entries.find((item) => item.id === id);
+  if (!entry) {
+    return { notFound: true };
+  }
+  if (text !== undefined && (typeof text !== "string" || !text.trim())) {
+    return { error: "Clause text cannot be empty." };
+  }
+
+  const now = new Date().toISOString();
+  if (typeof title === "string" && title.trim()) {
+    entry.title = title.trim();
+  }
+  if (tags !== undefined) {
+    entry.tags = normalizeTags(tags);
+  }
+  if (text !== undefined && text.trim() !== currentText(entry)) {
+    entry.currentVersion = Math.max(...entry.versions.map((version) => version.version)) + 1;
+    entry.versions.push({ version: entry.currentVersion, text: text.trim(), note: note || "", createdAt: now });
+  }
+  entry.updatedAt = now;
+
+  persist(entries);
+  return { clause: present(entry) };
+}
+
+export function deleteClause(id) {
+  const { entries } = load();
+  if (!entries.some((entry) => entry.id === id)) {
+    return false;
+  }
+  persist(entries.filter((entry) => entry.id !== id));
+  return true;
+}
+
+/**
+ * Rank approved clauses by BM25 similarity to `text`.
+ * Only results scoring at least `minScore` and within half of the best match are returned.
+ */
+export function searchClauses(text, { limit = 3, tag, minScore = 0 } = {}) {
+  const { entries, index } = load();
+  const byId = new Map(entries.map((entry) => [entry.id, entry]));
+  const wanted = tag ? tag.toLowerCase() : null;
+
+  const results = index.search(text, limit * 4)
+    .map((result) => ({ entry: byId.get(result.id), score: result.score }))
+    .filter((result) => result.entry && (!wanted || result.entry.tags.includes(wanted)));
+
+  const best = results[0]?.score || 0;
+  if (best < minScore) {
+    return [];
+  }
+
+  return results
+    .filter((result) => result.score >= best / 2)
+    .slice(0, limit)
+    .map((result) => ({ ...present(result.entry), score: Number(result.score.toFixed(3)) }));
+}
@@ -0,0 +1,61 @@
+/**
+ * Offering approved library clauses as replacement language.
+ */
+import { searchClauses } from "./store.js";
+import { logger } from "../logging/logger.js";
+
+const log = logger.child({ component: "clauseLibrary" });
+
+const MIN_SCORE = Number(process.env.CLAUSE_LIBRARY_MIN_SCORE) || 2;
+
+/**
+ * Closest approved clauses for a piece of contract text.
+ */
+export function findLibraryMatches(text, { limit = 3 } = {}) {
+  if (!text || !text.trim()) {
+    return [];
+  }
+  try {
+    return searchClauses(text, { limit, minScore: MIN_SCORE });
+  } catch (error) {
+    log.warn("Search failed", { error: error.message });
+    return [];
+  }
+}
+
+/**
+ * Render library matches as a system prompt section.
+ */
+export function formatLibraryForPrompt(matches) {
+  if (!matches.length) {
+    return [];
+  }
+
+  const lines = [
+    "",
+    "**Approved Clause Library - pre-approved replacement language:**",
+  ];
+  for (const match of matches) {
+    lines.push("");
+    lines.push(`[${match.id}] ${match.title} (v${match.version})`);
+    lines.push(`"${match.text}"`);
+  }
+  lines.push("");
+  lines.push("When proposing replacement text, use an approved clause (adapted only as needed to fit defined terms) instead of drafting new language, and set \"libraryClauseId\" to its id.");
+
+  return lines;
+}
+
+/**
+ * Attach the library entry an issue used, dropping ids the model invented.
+ */
+export function attachLibraryClause(issue, matches) {
+  const clauseId = issue.libraryClauseId;
+  delete issue.libraryClauseId;
+
+  const match = clauseId ? matches.find((entry) => entry.id === clauseId) : null;
+  if (match) {
+    issue.libraryClause = { id: match.id, title: match.title, version: match.version };
+  }
+  return issue;
+}
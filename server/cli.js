@@ -0,0 +1,249 @@
+#!/usr/bin/env node
+/**
+ * Goosefarm command line: review agreements outside Word.
+ *
+ *   npm run goosefarm -- review in.docx out.docx --profile cautious
+ *   npm run goosefarm -- batch contracts/ results/ --workers 4
+ *
+ * Uses the provider, cache, playbooks and clause library configured in .env,
+ * exactly like the server.
+ */
+import "dotenv/config";
+import fs from "fs";
+import path from "path";
+import { createProvider } from "./providers/index.js";
+import { createClauseReviewer } from "./review/clauseReview.js";
+import { readDocxForReview, reviewDocx } from "./docx/review.js";
+import { detectParties, findParty } from "./review/parties.js";
+import { createPseudonymizer } from "./review/pseudonymize.js";
+import { getPlaybook } from "./playbooks/store.js";
+import { createUsageMeter } from "./usage/meter.js";
+import { runBatch, BATCH_EXTENSIONS } from "./batch/review.js";
+import { summaryRow, issueRows, portfolioCsv, toXlsx } from "./batch/portfolio.js";
+
+const RISK_PROFILES = ["balanced", "cautious", "aggressive"];
+
+const SUMMARY_FORMATS = ["csv", "xlsx", "both"];
+
+const USAGE = `Usage:
+  goosefarm review <in.docx> <out.docx> [options]
+  goosefarm batch <folder> <out-folder> [options]
+
+Options:
+  --profile <${RISK_PROFILES.join("|")}>   Risk posture (default: balanced)
+  --instructions <text>                      Extra guidance for every clause
+  --playbook <id>                            Negotiation playbook to apply
+  --party <role or name>                     Party we act for, e.g. Customer
+  --author <name>                            Author of the tracked changes (default: DOCX_AUTHOR or Goosefarm)
+  --redact                                   Pseudonymize names, amounts and contact details before provider calls
+  --report <file.json>                       Also write the issues and totals as JSON (review)
+  --workers <n>                              Documents reviewed at once (batch; default: BATCH_CONCURRENCY or 2)
+  --format <${SUMMARY_FORMATS.join("|")}>                   Portfolio summary to write (batch; default: both)
+  --verbose                                  Echo the server log to the console`;
+
+const BOOLEAN_FLAGS = new Set(["redact", "verbose"]);
+
+function readArgs(args) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < args.length; i++) {
+    const match = /^--([a-z-]+)(?:=(.*))?$/.exec(args[i]);
+    if (!match) {
+      positional.push(args[i]);
+    } else if (BOOLEAN_FLAGS.has(match[1])) {
+      flags[match[1]] = match[2] !== "false";
+    } else {
+      flags[match[1]] = match[2] ?? args[++i];
+    }
+  }
+  return { positional, flags };
+}
+
+// Options shared by review and batch; prints the problem and returns null when one is invalid
+function reviewOptions(flags) {
+  const riskProfile = flags.profile || "balanced";
+  if (!RISK_PROFILES.includes(riskProfile)) {
+    console.error(`Unknown profile "${riskProfile}"; use ${RISK_PROFILES.join(", ")}.`);
+    return null;
+  }
+  const playbook = flags.playbook ? getPlaybook(flags.playbook) : null;
+  if (flags.playbook && !playbook) {
+    console.error(`Playbook "${flags.playbook}" not found.`);
+    return null;
+  }
+  return { riskProfile, playbook, author: flags.author || process.env.DOCX_AUTHOR || "Goosefarm", instructions: flags.instructions };
+}
+
+function pseudonymizerFor(flags, { text, party }) {
+  if (!flags.redact && process.env.REDACTION !== "on") {
+    return null;
+  }
+  return createPseudonymizer({
+    parties: [...(party ? [party] : []), ...detectParties(text)],
+    watchlist: (process.env.REDACTION_WATCHLIST || "").split(",").map((term) => term.trim()).filter(Boolean),
+  });
+}
+
+function stopOnInterrupt(message) {
+  const controller = new AbortController();
+  process.once("SIGINT", () => {
+    console.error(`\n${message}`);
+    controller.abort();
+  });
+  return controller.signal;
+}
+
+function usageLine(usage) {
+  return `${usage.totalTokens} tokens${usage.cost === null ? "" : `, ${usage.cost} ${usage.currency}`}`;
+}
+
+async function review([input, output], flags) {
+  if (!input || !output) {
+    console.log(USAGE);
+    return 1;
+  }
+  const options = reviewOptions(flags);
+  if (!options) {
+    return 1;
+  }
+  const { riskProfile, playbook } = options;
+
+  const prepared = readDocxForReview(fs.readFileSync(input));
+  const party = findParty(prepared.text, flags.party);
+  const pseudonymizer = pseudonymizerFor(flags, { text: prepared.text, party });
+  const signal = stopOnInterrupt("Stopping; clauses already reviewed are kept.");
+
+  console.error(`Reviewing ${path.basename(input)}: ${prepared.clauses.length} clauses, ${riskProfile} posture.`);
+  const result = await reviewDocx(prepared, {
+    reviewer: createClauseReviewer(createProvider(process.env)),
+    meter: createUsageMeter({ endpoint: "cli:review", document: path.basename(input) }),
+    author: options.author,
+    instructions: options.instructions,
+    riskProfile,
+    party,
+    playbook,
+    pseudonymizer,
+    signal,
+    onEvent: (event) => {
+      if (event.type === "progress") {
+        process.stderr.write(`\r${event.message.padEnd(40)}`);
+      } else if (event.type === "clause-error") {
+        process.stderr.write(`\nClause ${event.clauseIndex + 1} failed: ${event.message}\n`);
+      }
+    },
+  });
+  process.stderr.write("\n");
+
+  if (result.status === "failed") {
+    console.error(`Review failed: ${result.error}`);
+    return 1;
+  }
+
+  fs.writeFileSync(output, result.buffer);
+  if (flags.report) {
+    const { buffer, ...report } = result;
+    fs.writeFileSync(flags.report, `${JSON.stringify({ document: path.basename(input), ...report }, null, 2)}\n`);
+  }
+
+  const { summary } = result;
+  const skipped = result.issues.filter((issue) => !issue.applied);
+  console.log(`${result.status === "cancelled" ? "Stopped early. " : ""}Wrote ${output}: ${summary.appliedIssues} of ${summary.totalIssues} issues applied as tracked changes and comments.`);
+  skipped.forEach((issue) => console.log(`  Not applied (${issue.sectionNumber ? `section ${issue.sectionNumber}` : issue.id}): ${issue.applyError}`));
+  if (summary.failedClauses) {
+    console.log(`  ${summary.failedClauses} clause(s) could not be reviewed.`);
+  }
+  console.log(`  ${usageLine(summary.usage)}.`);
+  return 0;
+}
+
+async function batch([inputDir, outputDir], flags) {
+  if (!inputDir || !outputDir) {
+    console.log(USAGE);
+    return 1;
+  }
+  const options = reviewOptions(flags);
+  if (!options) {
+    return 1;
+  }
+  const format = flags.format || "both";
+  if (!SUMMARY_FORMATS.includes(format)) {
+    console.error(`Unknown format "${format}"; use ${SUMMARY_FORMATS.join(", ")}.`);
+    return 1;
+  }
+
+  const files = fs.readdirSync(inputDir)
+    .filter((name) => BATCH_EXTENSIONS.includes(path.extname(name).toLowerCase()) && !name.startsWith("~$"))
+    .sort()
+    .map((name) => ({ name, read: () => fs.readFileSync(path.join(inputDir, name)) }));
+  if (!files.length) {
+    console.error(`No ${BATCH_EXTENSIONS.join(" or ")} files in ${inputDir}.`);
+    return 1;
+  }
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  const signal = stopOnInterrupt("Stopping; documents already reviewed are kept.");
+  const results = [];
+  console.error(`Reviewing ${files.length} documents, ${options.riskProfile} posture.`);
+
+  await runBatch(files, {
+    ...options,
+    reviewer: createClauseReviewer(createProvider(process.env)),
+    meterFor: (name) => createUsageMeter({ endpoint: "cli:batch", document: name }),
+    party: flags.party,
+    pseudonymizerFor: (context) => pseudonymizerFor(flags, context),
+    workers: Number(flags.workers) || undefined,
+    signal,
+    onResult: (result) => {
+      const { buffer, ...report } = result;
+      fs.writeFileSync(path.join(outputDir, `${result.document}.json`), `${JSON.stringify(report, null, 2)}\n`);
+      if (buffer) {
+        fs.writeFileSync(path.join(outputDir, result.document.replace(/\.docx$/i, ".reviewed.docx")), buffer);
+      }
+      results.push(report);
+      const row = summaryRow(report);
+      console.error(result.status === "failed"
+        ? `  ${result.document}: failed: ${result.error}`
+        : `  ${result.document}: ${row.issues} issues (${row.high} high, ${row.medium} medium, ${row.low} low)`);
+    },
+  });
+
+  const rows = results.map(summaryRow);
+  if (format !== "xlsx") {
+    fs.writeFileSync(path.join(outputDir, "portfolio.csv"), portfolioCsv(rows));
+  }
+  if (format !== "csv") {
+    fs.writeFileSync(path.join(outputDir, "portfolio.xlsx"), toXlsx(rows, issueRows(results)));
+  }
+
+  const failed = results.filter((result) => result.status === "failed").length;
+  const tokens = rows.reduce((total, row) => total + row.tokens, 0);
+  console.log(`${signal.aborted ? "Stopped early. " : ""}Reviewed ${results.length - failed} of ${files.length} documents into ${outputDir}; ${tokens} tokens.`);
+  return failed === files.length ? 1 : 0;
+}
+
+async function main([command, ...args]) {
+  const { positional, flags } = readArgs(args);
+  // The console is for progress and results; the log still goes to LOG_DIR
+  if (!flags.verbose) {
+    process.env.LOG_CONSOLE = "false";
+  }
+
+  switch (command) {
+    case "review":
+      return review(positional, flags);
+
+    case "batch":
+      return batch(positional, flags);
+
+    default:
+      console.log(USAGE);
+      return command ? 1 : 0;
+  }
+}
+
+try {
+  process.exitCode = await main(process.argv.slice(2));
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,267 @@
+/**
+ * Read a .docx into the paragraph model the clause review uses.
+ *
+ * Each body paragraph yields the same fields the task pane reads through
+ * Office.js ({ text, style, outlineLevel, listString, listLevel, inTable }),
+ * so segmentParagraphs cuts clauses exactly as it does for the pane. List
+ * numbers are computed from numbering.xml because a .docx stores the list
+ * definition, not the rendered "12.3(b)". Every paragraph also keeps its runs
+ * with their character offsets so revisions can be written back in place.
+ */
+import { readZip, writeZip } from "../utils/zip.js";
+import { parseXml, serializeXml, findElements, firstChild, childElements, getAttr, textContent } from "./xml.js";
+
+export const DOCUMENT_PART = "word/document.xml";
+
+// Text a run child contributes to the paragraph, as Office.js reports it
+const RUN_TEXT = {
+  "w:tab": "\t",
+  "w:br": "\n",
+  "w:cr": "\n",
+  "w:noBreakHyphen": "-",
+};
+
+// Paragraph content that is not part of the current text
+const SKIPPED_CONTENT = ["w:pPr", "w:del", "w:moveFrom"];
+
+const MAX_STYLE_DEPTH = 10;
+
+function readPart(entries, name) {
+  const content = entries.get(name);
+  return content ? parseXml(content.toString("utf8")) : null;
+}
+
+function valOf(node) {
+  return node ? getAttr(node, "w:val") : null;
+}
+
+/**
+ * Styles by ID: display name, outline level and list numbering, following basedOn.
+ */
+function readStyles(stylesXml) {
+  const raw = new Map();
+  if (stylesXml) {
+    for (const style of findElements(stylesXml, "w:style")) {
+      const pPr = firstChild(style, "w:pPr");
+      const numPr = pPr && firstChild(pPr, "w:numPr");
+      raw.set(getAttr(style, "w:styleId"), {
+        name: valOf(firstChild(style, "w:name")),
+        basedOn: valOf(firstChild(style, "w:basedOn")),
+        outlineLevel: valOf(pPr && firstChild(pPr, "w:outlineLvl")),
+        numId: valOf(numPr && firstChild(numPr, "w:numId")),
+        ilvl: valOf(numPr && firstChild(numPr, "w:ilvl")),
+      });
+    }
+  }
+
+  return function lookup(styleId) {
+    const resolved = { name: null, outlineLevel: null, numId: null, ilvl: null };
+    let style = raw.get(styleId);
+    for (let depth = 0; style && depth < MAX_STYLE_DEPTH; depth++) {
+      resolved.name ??= style.name;
+      resolved.outlineLevel ??= style.outlineLevel;
+      resolved.numId ??= style.numId;
+      resolved.ilvl ??= style.ilvl;
+      style = raw.get(style.basedOn);
+    }
+    return resolved;
+  };
+}
+
+function formatNumber(value, format) {
+  switch (format) {
+    case "lowerLetter":
+    case "upperLetter": {
+      // Word repeats the letter past z: aa, bb, ...
+      const letter = String.fromCharCode(97 + ((value - 1) % 26)).repeat(Math.floor((value - 1) / 26) + 1);
+      return format === "upperLetter" ? letter.toUpperCase() : letter;
+    }
+    case "lowerRoman":
+    case "upperRoman": {
+      const numerals = [[1000, "m"], [900, "cm"], [500, "d"], [400, "cd"], [100, "c"], [90, "xc"], [50, "l"], [40, "xl"], [10, "x"], [9, "ix"], [5, "v"], [4, "iv"], [1, "i"]];
+      let remaining = value;
+      let roman = "";
+      for (const [amount, numeral] of numerals) {
+        for (; remaining >= amount; remaining -= amount) roman += numeral;
+      }
+      return format === "upperRoman" ? roman.toUpperCase() : roman;
+    }
+    case "decimalZero":
+      return String(value).padStart(2, "0");
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Render list numbers ("12.3", "(b)") paragraph by paragraph, the way Word
+ * counts them. Bullets render as "" so they never read as section numbers.
+ */
+function createListNumbering(numberingXml) {
+  const abstracts = new Map();
+  const nums = new Map();
+
+  if (numberingXml) {
+    for (const abstract of findElements(numberingXml, "w:abstractNum")) {
+      const levels = new Map();
+      for (const lvl of childElements(abstract, "w:lvl")) {
+        levels.set(Number(getAttr(lvl, "w:ilvl")), {
+          start: Number(valOf(firstChild(lvl, "w:start")) ?? 1),
+          format: valOf(firstChild(lvl, "w:numFmt")) || "decimal",
+          text: valOf(firstChild(lvl, "w:lvlText")) ?? "",
+        });
+      }
+      abstracts.set(getAttr(abstract, "w:abstractNumId"), levels);
+    }
+    for (const num of findElements(numberingXml, "w:num")) {
+      const overrides = new Map();
+      for (const override of childElements(num, "w:lvlOverride")) {
+        const start = valOf(firstChild(override, "w:startOverride"));
+        if (start !== null) overrides.set(Number(getAttr(override, "w:ilvl")), Number(start));
+      }
+      nums.set(getAttr(num, "w:numId"), { abstractId: valOf(firstChild(num, "w:abstractNumId")), overrides });
+    }
+  }
+
+  // Lists sharing a definition continue one another unless one restarts the count
+  const counters = new Map();
+
+  return function next(numId, ilvl) {
+    const num = nums.get(numId);
+    const levels = num && abstracts.get(num.abstractId);
+    const level = levels?.get(ilvl);
+    if (!level) {
+      return { listString: "", listLevel: null };
+    }
+
+    const key = num.overrides.size ? `num:${numId}` : `abstract:${num.abstractId}`;
+    if (!counters.has(key)) counters.set(key, []);
+    const counts = counters.get(key);
+
+    const startFor = (depth) => num.overrides.get(depth) ?? levels.get(depth)?.start ?? 1;
+    counts[ilvl] = counts[ilvl] === undefined ? startFor(ilvl) : counts[ilvl] + 1;
+    counts.length = ilvl + 1;
+
+    if (level.format === "bullet" || level.format === "none") {
+      return { listString: "", listLevel: ilvl };
+    }
+    const listString = level.text.replace(/%(\d)/g, (match, n) => {
+      const depth = Number(n) - 1;
+      const value = counts[depth] ?? startFor(depth);
+      return formatNumber(value, levels.get(depth)?.format);
+    });
+    return { listString, listLevel: ilvl };
+  };
+}
+
+/**
+ * Runs of a paragraph with their offsets in its text.
+ * @returns {{ runs: Array<{ node: Object, start: number, end: number }>, text: string }}
+ */
+export function readRuns(paragraph) {
+  const runs = [];
+  let text = "";
+  for (const node of findElements(paragraph, "w:r", { skip: SKIPPED_CONTENT })) {
+    const start = text.length;
+    text += runText(node);
+    runs.push({ node, start, end: text.length });
+  }
+  return { runs, text };
+}
+
+export function runText(run) {
+  return childElements(run)
+    .map((child) => (child.name === "w:t" ? textContent(child) : RUN_TEXT[child.name] || ""))
+    .join("");
+}
+
+// Body paragraphs in document order; paragraphs inside text boxes are not reviewed
+function collectParagraphs(body) {
+  const found = [];
+  (function walk(node, inTable) {
+    for (const child of node.children || []) {
+      if (!child.name) continue;
+      if (child.name === "w:p") {
+        found.push({ node: child, inTable });
+      } else {
+        walk(child, inTable || child.name === "w:tbl");
+      }
+    }
+  })(body, false);
+  return found;
+}
+
+/**
+ * Open a .docx for review.
+ * @param {Buffer} buffer
+ * @returns {{ entries: Map<string, Buffer>, parts: Map<string, Object>, paragraphs: Array }}
+ *   `paragraphs` carry the pane's paragraph model plus their `node` and `runs`
+ */
+export function openDocx(buffer) {
+  const entries = readZip(buffer);
+  const document = readPart(entries, DOCUMENT_PART);
+  const body = document && findElements(document, "w:body")[0];
+  if (!body) {
+    throw new Error("Not a Word document: word/document.xml has no body.");
+  }
+
+  const styleFor = readStyles(readPart(entries, "word/styles.xml"));
+  const nextListNumber = createListNumbering(readPart(entries, "word/numbering.xml"));
+
+  const paragraphs = collectParagraphs(body).map(({ node, inTable }) => {
+    const pPr = firstChild(node, "w:pPr");
+    const styleId = valOf(pPr && firstChild(pPr, "w:pStyle"));
+    const style = styleFor(styleId);
+    const numPr = pPr && firstChild(pPr, "w:numPr");
+    const numId = valOf(numPr && firstChild(numPr, "w:numId")) ?? style.numId;
+    const ilvl = Number(valOf(numPr && firstChild(numPr, "w:ilvl")) ?? style.ilvl ?? 0);
+    const outline = valOf(pPr && firstChild(pPr, "w:outlineLvl")) ?? style.outlineLevel;
+    const { runs, text } = readRuns(node);
+
+    return {
+      text,
+      style: style.name || styleId || "Normal",
+      // Office.js numbers outline levels from 1 and reports body text as 10
+      outlineLevel: outline === null ? 10 : Number(outline) + 1,
+      // numId 0 switches numbering off for the paragraph
+      ...(numId && numId !== "0" ? nextListNumber(numId, ilvl) : { listString: "", listLevel: null }),
+      inTable,
+      node,
+      runs,
+    };
+  });
+
+  return { entries, parts: new Map([[DOCUMENT_PART, document]]), paragraphs };
+}
+
+/**
+ * Parsed XML of a part, loaded on first use and written back by saveDocx.
+ * @returns {Object|null} Null when the package has no such part
+ */
+export function getPart(docx, name) {
+  if (!docx.parts.has(name)) {
+    const part = readPart(docx.entries, name);
+    if (!part) return null;
+    docx.parts.set(name, part);
+  }
+  return docx.parts.get(name);
+}
+
+/**
+ * Add a new part to the package.
+ */
+export function setPart(docx, name, xml) {
+  docx.parts.set(name, xml);
+}
+
+/**
+ * Serialize every part that was loaded and zip the package again.
+ * @returns {Buffer}
+ */
+export function saveDocx(docx) {
+  const entries = new Map(docx.entries);
+  for (const [name, xml] of docx.parts) {
+    entries.set(name, Buffer.from(serializeXml(xml), "utf8"));
+  }
+  return writeZip(entries);
+}
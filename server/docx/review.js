@@ -0,0 +1,157 @@
+/**
+ * Headless .docx review.
+ *
+ * Reads the paragraphs of a Word file, runs the same clause review the task
+ * pane streams, and writes the issues back into the file as tracked changes
+ * and comments, so agreements can be redlined without Word. Used by
+ * POST /api/documents/review and `goosefarm review`.
+ */
+import { openDocx, saveDocx } from "./document.js";
+import { createRevisionWriter } from "./revisions.js";
+import { segmentParagraphs } from "../review/segmentation.js";
+import { logger } from "../logging/logger.js";
+
+export const DOCX_CONTENT_TYPE = "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+
+/**
+ * Open a .docx and cut it into clauses.
+ * @param {Buffer} buffer
+ * @returns {{ docx: Object, text: string, paragraphs: Array, clauses: Array }}
+ */
+export function readDocxForReview(buffer) {
+  const docx = openDocx(buffer);
+  const paragraphs = docx.paragraphs.map(({ text, style, outlineLevel, listString, listLevel, inTable }) => ({ text, style, outlineLevel, listString, listLevel, inTable }));
+  return {
+    docx,
+    text: paragraphs.map((paragraph) => paragraph.text).join("\n"),
+    paragraphs,
+    clauses: segmentParagraphs(paragraphs),
+  };
+}
+
+// segmentParagraphs keeps every non-empty paragraph, in order, as one part of a clause
+function paragraphsByClause(docx, clauses) {
+  const nonEmpty = docx.paragraphs.filter((paragraph) => paragraph.text.trim());
+  let next = 0;
+  return clauses.map((clause) => {
+    const paragraphs = nonEmpty.slice(next, next + clause.parts.length);
+    next += clause.parts.length;
+    return paragraphs;
+  });
+}
+
+/**
+ * Find the paragraph and character range an issue's originalText refers to.
+ * @returns {{ paragraph: Object, start: number, end: number } | { reason: string }}
+ */
+function locateIssue(issue, clauses, byClause, paragraphs) {
+  const text = issue.originalText;
+  const clause = clauses[issue.clauseIndex];
+  const offset = clause ? clause.text.indexOf(text) : -1;
+
+  if (offset >= 0) {
+    const partIndex = clause.parts.findIndex((part) => offset >= part.start && offset < part.end);
+    const part = clause.parts[partIndex];
+    if (offset + text.length > part.end) {
+      return { reason: "The text spans several paragraphs." };
+    }
+    // Clause text is trimmed; runs are not
+    const paragraph = byClause[issue.clauseIndex][partIndex];
+    const start = offset - part.start + paragraph.text.length - paragraph.text.trimStart().length;
+    return { paragraph, start, end: start + text.length };
+  }
+
+  // Whole-document findings: the first occurrence, as the pane's search would find it
+  for (const paragraph of paragraphs) {
+    const start = paragraph.text.indexOf(text);
+    if (start >= 0) {
+      return { paragraph, start, end: start + text.length };
+    }
+  }
+  return { reason: text.includes("\n") ? "The text spans several paragraphs." : "The text was not found in the document." };
+}
+
+/**
+ * Review a document read by readDocxForReview and write the issues into it.
+ * @param {Object} prepared - From readDocxForReview
+ * @param {Object} options
+ * @param {Object} options.reviewer - From createClauseReviewer
+ * @param {Object} options.meter - Usage meter; recorded when the review ends
+ * @param {string} options.author - Author of every revision and comment
+ * @param {string} [options.instructions]
+ * @param {string} [options.riskProfile]
+ * @param {Object} [options.party]
+ * @param {Object} [options.playbook]
+ * @param {Object} [options.pseudonymizer]
+ * @param {AbortSignal} [options.signal]
+ * @param {Object} [options.log]
+ * @param {(event: Object) => void} [options.onEvent] - Every review event, for progress
+ * @returns {Promise<{ status: string, error: string|null, summary: Object, issues: Array, rejected: Array, failedClauses: Array, redaction: Object|null, buffer: Buffer }>}
+ *   Every issue carries `applied`, and `applyError` when it could not be written
+ */
+export async function reviewDocx(prepared, { reviewer, meter, author, instructions, riskProfile, party, playbook, pseudonymizer = null, signal, log = logger, onEvent }) {
+  const { docx, text, paragraphs, clauses } = prepared;
+  const issues = [];
+  const rejected = [];
+  const failedClauses = [];
+  let error = null;
+
+  // Placeholders are numbered in document order, as for the pane's reviews
+  if (pseudonymizer) {
+    clauses.forEach((clause) => pseudonymizer.redact(clause.text));
+  }
+
+  const { status, summary } = await reviewer.reviewClauses(
+    { text, paragraphs, instructions, riskProfile, scope: "document", party, playbook, clauses, pseudonymizer },
+    {
+      meter,
+      signal,
+      log,
+      emit: (event) => {
+        if (event.type === "issue") {
+          issues.push(event.issue);
+        } else if (event.type === "issue-rejected") {
+          rejected.push({ issue: event.issue, reason: event.reason, clauseIndex: event.clauseIndex, sectionNumber: event.sectionNumber });
+        } else if (event.type === "clause-error") {
+          failedClauses.push({ clauseIndex: event.clauseIndex, message: event.message });
+        } else if (event.type === "error") {
+          error = event.message;
+        }
+        onEvent?.(event);
+      },
+    }
+  );
+
+  // Later text first, so offsets of earlier issues in the same paragraph stay valid
+  const writer = createRevisionWriter(docx, { author });
+  const byClause = paragraphsByClause(docx, clauses);
+  const order = new Map(docx.paragraphs.map((paragraph, index) => [paragraph, index]));
+  const located = issues.map((issue) => ({ issue, ...locateIssue(issue, clauses, byClause, docx.paragraphs) }));
+
+  located
+    .filter((entry) => entry.paragraph)
+    .sort((a, b) => order.get(b.paragraph) - order.get(a.paragraph) || b.start - a.start)
+    .forEach((entry) => {
+      entry.reason = writer.applyIssue(entry.paragraph, entry.start, entry.end, entry.issue);
+    });
+
+  located.forEach(({ issue, reason }) => {
+    issue.applied = !reason;
+    if (reason) {
+      issue.applyError = reason;
+      log.warn("Could not write issue into the document", { issueId: issue.id, reason });
+    }
+  });
+  writer.finish();
+
+  return {
+    status,
+    error,
+    summary: { ...summary, appliedIssues: issues.filter((issue) => issue.applied).length },
+    issues,
+    rejected,
+    failedClauses,
+    redaction: pseudonymizer?.summary() || null,
+    buffer: saveDocx(docx),
+  };
+}
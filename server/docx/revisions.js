@@ -0,0 +1,264 @@
+/**
+ * Write review issues into a .docx as native Word revisions.
+ *
+ * Edits become a tracked deletion of the original text followed by a tracked
+ * insertion of the new text, deletions a tracked deletion, and every issue's
+ * explanation a comment in comments.xml, all under one author. Runs are split
+ * at the issue's boundaries so formatting on either side is untouched and the
+ * inserted text takes the formatting of the text it replaces.
+ */
+import { element, textNode, parseXml, firstChild, childElements, getAttr, textContent } from "./xml.js";
+import { DOCUMENT_PART, getPart, setPart } from "./document.js";
+
+const COMMENTS_TYPE = "http://schemas.openxmlformats.org/officeDocument/2006/relationships/comments";
+const COMMENTS_CONTENT_TYPE = "application/vnd.openxmlformats-officedocument.wordprocessingml.comments+xml";
+const WORD_NAMESPACE = "http://schemas.openxmlformats.org/wordprocessingml/2006/main";
+const RELS_PART = "word/_rels/document.xml.rels";
+const CONTENT_TYPES_PART = "[Content_Types].xml";
+const RELS_NAMESPACE = "http://schemas.openxmlformats.org/package/2006/relationships";
+const CONTENT_TYPES_NAMESPACE = "http://schemas.openxmlformats.org/package/2006/content-types";
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+// Run content that takes up one character of the paragraph text
+const SINGLE_CHARACTERS = new Set(["w:tab", "w:br", "w:cr", "w:noBreakHyphen"]);
+
+function clone(node) {
+  return structuredClone(node);
+}
+
+function textElement(name, text) {
+  return element(name, { "xml:space": "preserve" }, [textNode(text)]);
+}
+
+// Run content for plain text: tabs and line breaks become their own elements
+function runContent(text) {
+  return text.split(/(\t|\n)/).filter(Boolean).map((piece) => {
+    if (piece === "\t") return element("w:tab");
+    if (piece === "\n") return element("w:br");
+    return textElement("w:t", piece);
+  });
+}
+
+function initialsOf(author) {
+  return author.split(/\s+/).filter(Boolean).map((word) => word[0].toUpperCase()).join("").slice(0, 4);
+}
+
+function parentOf(root, target) {
+  for (const child of root.children || []) {
+    if (child === target) return root;
+    if (child.name) {
+      const found = parentOf(child, target);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+function highestId(xml) {
+  let highest = 0;
+  for (const match of xml.matchAll(/\sw:id="(\d+)"/g)) {
+    highest = Math.max(highest, Number(match[1]));
+  }
+  return highest;
+}
+
+/**
+ * @param {Object} docx - From openDocx
+ * @param {Object} options
+ * @param {string} options.author - Shown on every revision and comment
+ * @param {Date} [options.date]
+ */
+export function createRevisionWriter(docx, { author, date = new Date() }) {
+  const stamp = date.toISOString().replace(/\.\d{3}Z$/, "Z");
+  const revision = () => ({ "w:id": nextId++, "w:author": author, "w:date": stamp });
+  const comments = [];
+
+  // Revision and comment IDs must not collide with any already in the document
+  let nextId = 1 + Math.max(
+    highestId(docx.entries.get(DOCUMENT_PART)?.toString("utf8") || ""),
+    highestId(docx.entries.get(commentsPartName() || "")?.toString("utf8") || "")
+  );
+
+  function commentsPartName() {
+    const rels = getPart(docx, RELS_PART);
+    const relationship = rels && childElements(firstChild(rels, "Relationships") || rels, "Relationship")
+      .find((rel) => getAttr(rel, "Type") === COMMENTS_TYPE);
+    return relationship ? `word/${getAttr(relationship, "Target").replace(/^\/?word\//, "")}` : null;
+  }
+
+  // Split one run in two at `offset` characters into its text
+  function splitRunNode(node, offset) {
+    const rPr = firstChild(node, "w:rPr");
+    const left = { ...node, children: rPr ? [clone(rPr)] : [] };
+    const right = { ...node, children: rPr ? [clone(rPr)] : [] };
+    let position = 0;
+
+    for (const child of node.children) {
+      if (child === rPr) continue;
+      if (child.name === "w:t") {
+        const text = textContent(child);
+        if (position + text.length <= offset) {
+          left.children.push(child);
+        } else if (position >= offset) {
+          right.children.push(child);
+        } else {
+          left.children.push(textElement("w:t", text.slice(0, offset - position)));
+          right.children.push(textElement("w:t", text.slice(offset - position)));
+        }
+        position += text.length;
+      } else {
+        const length = SINGLE_CHARACTERS.has(child.name) ? 1 : 0;
+        (position + length <= offset && (length || position < offset) ? left : right).children.push(child);
+        position += length;
+      }
+    }
+    return [left, right];
+  }
+
+  // Make `offset` fall on a run boundary
+  function splitAt(paragraph, offset) {
+    const index = paragraph.runs.findIndex((run) => run.start < offset && run.end > offset);
+    if (index < 0) return;
+
+    const run = paragraph.runs[index];
+    const parent = parentOf(paragraph.node, run.node);
+    const [left, right] = splitRunNode(run.node, offset - run.start);
+    parent.children.splice(parent.children.indexOf(run.node), 1, left, right);
+    paragraph.runs.splice(index, 1,
+      { node: left, start: run.start, end: offset },
+      { node: right, start: offset, end: run.end });
+  }
+
+  function runsBetween(paragraph, start, end) {
+    splitAt(paragraph, start);
+    splitAt(paragraph, end);
+    return paragraph.runs.filter((run) => run.start >= start && run.end <= end && run.end > run.start);
+  }
+
+  function wrap(paragraph, node, wrapper) {
+    const parent = parentOf(paragraph.node, node);
+    parent.children.splice(parent.children.indexOf(node), 1, wrapper);
+    wrapper.children.push(node);
+    wrapper.selfClosing = false;
+    return wrapper;
+  }
+
+  function insertAfter(paragraph, anchor, ...nodes) {
+    const parent = parentOf(paragraph.node, anchor);
+    parent.children.splice(parent.children.indexOf(anchor) + 1, 0, ...nodes);
+  }
+
+  function insertBefore(paragraph, anchor, node) {
+    const parent = parentOf(paragraph.node, anchor);
+    parent.children.splice(parent.children.indexOf(anchor), 0, node);
+  }
+
+  // Tracked deletion of each run, which keeps hyperlinks and fields intact
+  function trackDelete(paragraph, runs) {
+    return runs.map((run) => {
+      for (const child of run.node.children) {
+        if (child.name === "w:t") child.name = "w:delText";
+        if (child.name === "w:instrText") child.name = "w:delInstrText";
+      }
+      return wrap(paragraph, run.node, element("w:del", revision()));
+    });
+  }
+
+  function trackInsert(paragraph, after, text, rPr) {
+    const run = element("w:r", {}, [...(rPr ? [clone(rPr)] : []), ...runContent(text)]);
+    const insertion = element("w:ins", revision(), [run]);
+    insertAfter(paragraph, after, insertion);
+    return insertion;
+  }
+
+  function addComment(paragraph, first, last, text) {
+    const id = nextId++;
+    insertBefore(paragraph, first, element("w:commentRangeStart", { "w:id": id }));
+    insertAfter(paragraph, last,
+      element("w:commentRangeEnd", { "w:id": id }),
+      element("w:r", {}, [element("w:commentReference", { "w:id": id })]));
+
+    comments.push(element("w:comment", { "w:id": id, "w:author": author, "w:date": stamp, "w:initials": initialsOf(author) },
+      text.split(/\n+/).map((line) => element("w:p", {}, [element("w:r", {}, runContent(line))]))));
+  }
+
+  /**
+   * Apply one issue to characters [start, end) of a paragraph's text.
+   * @returns {string|null} Why it could not be applied, or null
+   */
+  function applyIssue(paragraph, start, end, issue) {
+    paragraph.changed ||= [];
+    if (paragraph.changed.some((range) => start < range.end && end > range.start)) {
+      return "The text overlaps another change.";
+    }
+
+    const runs = runsBetween(paragraph, start, end);
+    const covered = runs.reduce((total, run) => total + run.end - run.start, 0);
+    if (!runs.length || covered !== end - start) {
+      return "The text could not be located in the document.";
+    }
+    paragraph.changed.push({ start, end });
+
+    if (issue.type === "comment") {
+      addComment(paragraph, runs[0].node, runs[runs.length - 1].node, issue.explanation);
+      return null;
+    }
+
+    const rPr = firstChild(runs[0].node, "w:rPr");
+    const deletions = trackDelete(paragraph, runs);
+    if (issue.type === "edit") {
+      const insertion = trackInsert(paragraph, deletions[deletions.length - 1], issue.newText, rPr);
+      addComment(paragraph, insertion, insertion, issue.explanation);
+    } else {
+      addComment(paragraph, deletions[0], deletions[deletions.length - 1], issue.explanation);
+    }
+    return null;
+  }
+
+  function createPart(name, rootXml) {
+    const part = parseXml(`${XML_DECLARATION}${rootXml}`);
+    setPart(docx, name, part);
+    return part;
+  }
+
+  // Register comments.xml with the package the first time it is needed
+  function commentsPart() {
+    const existing = commentsPartName();
+    if (existing) {
+      return getPart(docx, existing);
+    }
+
+    const part = parseXml(`${XML_DECLARATION}<w:comments xmlns:w="${WORD_NAMESPACE}"></w:comments>`);
+    setPart(docx, "word/comments.xml", part);
+
+    // A package without these parts is still a valid document; start them empty
+    const relationships = firstChild(
+      getPart(docx, RELS_PART) || createPart(RELS_PART, `<Relationships xmlns="${RELS_NAMESPACE}"></Relationships>`),
+      "Relationships"
+    );
+    const ids = childElements(relationships, "Relationship").map((rel) => Number(/^rId(\d+)$/.exec(getAttr(rel, "Id"))?.[1]) || 0);
+    relationships.children.push(element("Relationship", { Id: `rId${Math.max(0, ...ids) + 1}`, Type: COMMENTS_TYPE, Target: "comments.xml" }));
+    relationships.selfClosing = false;
+
+    const types = firstChild(
+      getPart(docx, CONTENT_TYPES_PART) || createPart(CONTENT_TYPES_PART, `<Types xmlns="${CONTENT_TYPES_NAMESPACE}"></Types>`),
+      "Types"
+    );
+    if (!childElements(types, "Override").some((override) => getAttr(override, "PartName") === "/word/comments.xml")) {
+      types.children.push(element("Override", { PartName: "/word/comments.xml", ContentType: COMMENTS_CONTENT_TYPE }));
+    }
+    return part;
+  }
+
+  /**
+   * Add the new comments to the package; call once, before saveDocx.
+   */
+  function finish() {
+    if (!comments.length) return;
+    const root = firstChild(commentsPart(), "w:comments");
+    root.children.push(...comments);
+    root.selfClosing = false;
+  }
+
+  return { applyIssue, finish };
+}
@@ -0,0 +1,135 @@
+/**
+ * Just enough XML for WordprocessingML parts.
+ *
+ * Parts are parsed into a plain tree and written back byte for byte where
+ * nothing changed: attributes and text keep their original (escaped) source,
+ * so namespaces, markup compatibility attributes and anything we do not
+ * understand survive a round trip untouched.
+ *
+ *   element: { name, attrs, children, selfClosing }  attrs is the raw source
+ *   text:    { text }                                 escaped, as in the source
+ *   other:   { raw }                                  prolog, comments, CDATA
+ */
+
+const TOKEN_PATTERN = /<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<!DOCTYPE[^>]*>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|[^<]+/g;
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+export function unescapeXml(text) {
+  return text.replace(/&(?:#x([0-9a-f]+)|#(\d+)|(\w+));/gi, (match, hex, dec, name) => {
+    if (hex) return String.fromCodePoint(parseInt(hex, 16));
+    if (dec) return String.fromCodePoint(Number(dec));
+    return ENTITIES[name] ?? match;
+  });
+}
+
+export function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Parse an XML part.
+ * @param {string} xml
+ * @returns {{ children: Array }} A document node; the root element is among its children
+ */
+export function parseXml(xml) {
+  const document = { children: [] };
+  const stack = [document];
+
+  for (const match of xml.matchAll(TOKEN_PATTERN)) {
+    const [token, closing, name, attrs, selfClosing] = match;
+    const parent = stack[stack.length - 1];
+
+    if (closing) {
+      if (parent.name !== closing) {
+        throw new Error(`Malformed XML: </${closing}> does not close <${parent.name || "document"}>.`);
+      }
+      stack.pop();
+    } else if (name) {
+      const element = { name, attrs: attrs || "", children: [], selfClosing: Boolean(selfClosing) };
+      parent.children.push(element);
+      if (!selfClosing) {
+        stack.push(element);
+      }
+    } else if (token.startsWith("<")) {
+      parent.children.push({ raw: token });
+    } else {
+      parent.children.push({ text: token });
+    }
+  }
+
+  if (stack.length !== 1) {
+    throw new Error(`Malformed XML: <${stack[stack.length - 1].name}> is never closed.`);
+  }
+  return document;
+}
+
+export function serializeXml(node) {
+  if (node.raw !== undefined) return node.raw;
+  if (node.text !== undefined) return node.text;
+  const inner = node.children.map(serializeXml).join("");
+  if (!node.name) return inner;
+  if (node.selfClosing && !node.children.length) return `<${node.name}${node.attrs}/>`;
+  return `<${node.name}${node.attrs}>${inner}</${node.name}>`;
+}
+
+/**
+ * Build an element.
+ * @param {string} name
+ * @param {Object<string, string|number>} [attrs] - Unescaped values
+ * @param {Array} [children]
+ */
+export function element(name, attrs = {}, children = []) {
+  const source = Object.entries(attrs)
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join("");
+  return { name, attrs: source, children, selfClosing: !children.length };
+}
+
+export function textNode(text) {
+  return { text: escapeXml(text) };
+}
+
+export function getAttr(node, name) {
+  const match = new RegExp(`\\s${name.replace(/[.:]/g, "\\$&")}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`).exec(node.attrs || "");
+  return match ? unescapeXml(match[1] ?? match[2]) : null;
+}
+
+export function childElements(node, name) {
+  return (node.children || []).filter((child) => child.name && (!name || child.name === name));
+}
+
+export function firstChild(node, name) {
+  return (node.children || []).find((child) => child.name === name) || null;
+}
+
+/**
+ * Depth-first search for elements named `name`, not descending into matches
+ * or into elements whose name is in `skip`.
+ */
+export function findElements(node, name, { skip = [] } = {}) {
+  const found = [];
+  (function walk(current) {
+    for (const child of current.children || []) {
+      if (!child.name || skip.includes(child.name)) continue;
+      if (child.name === name) {
+        found.push(child);
+      } else {
+        walk(child);
+      }
+    }
+  })(node);
+  return found;
+}
+
+/**
+ * Unescaped text of every node below `node`.
+ */
+export function textContent(node) {
+  if (node.text !== undefined) return unescapeXml(node.text);
+  return (node.children || []).map(textContent).join("");
+}
@@ -4,15 +4,44 @@ import https from "https";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import { createProvider } from "./providers/index.js";
+import { createIssueStreamParser } from "./utils/issueStreamParser.js";
+import { segmentParagraphs, clausesFromText } from "./review/segmentation.js";
+import { detectParties, normalizeParty, perspectiveFor, findParty } from "./review/parties.js";
+import { validateCrossReferences, paragraphsFromText } from "./review/crossReferences.js";
+import { validateIssue, validateIssueList, validateReviewResult, parseModelContent, buildRepairMessages } from "./review/validation.js";
+import { describeCache, getCacheEntry, deleteCacheEntry, purgeCache } from "./cache/reviewCache.js";
+import { listPlaybooks, getPlaybook, savePlaybook, deletePlaybook, validatePlaybook } from "./playbooks/store.js";
+import { listClauses, getClause, addClause, updateClause, deleteClause, searchClauses } from "./clauseLibrary/store.js";
+import { findLibraryMatches, formatLibraryForPrompt, attachLibraryClause } from "./clauseLibrary/suggest.js";
+import { requireScope, authRequired } from "./auth/middleware.js";
+import { hasActiveTokens } from "./auth/tokens.js";
+import { createUsageMeter } from "./usage/meter.js";
+import { logger, createLogger, LEVELS } from "./logging/logger.js";
+import { requestLogging } from "./logging/requests.js";
+import { sendEvent, sendHeartbeat, abortOnDisconnect } from "./utils/sse.js";
+import { queryUsage, parseDateFilter } from "./usage/store.js";
+import { createPseudonymizer } from "./review/pseudonymize.js";
+import { createClauseReviewer } from "./review/clauseReview.js";
+import { createChangeEvaluator, CHANGE_TYPES } from "./review/changeEvaluation.js";
+import { createCommentResponder } from "./review/commentReplies.js";
+import { readDocxForReview, reviewDocx, DOCX_CONTENT_TYPE } from "./docx/review.js";
+import { runBatch } from "./batch/review.js";
+import { summaryRow, issueRows, portfolioCsv, toXlsx, XLSX_CONTENT_TYPE } from "./batch/portfolio.js";
+import { createBatch, getBatch, listBatches, safeFileName, addBatchFile, readBatchFile, updateBatchFile, saveBatchResult, getBatchResult, batchResults, reviewedName, reviewedPath, startBatch, finishBatch, cancelBatch, deleteBatch, describeBatch } from "./batch/store.js";
+import { createJob, getJob, listJobs, appendEvent, eventsAfter, subscribe, finishJob, cancelJob, deleteJob, describeJob, FINISHED_STATUSES } from "./jobs/store.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 const app = express();
-app.use(express.json({ limit: "1mb" }));
+app.use(requestLogging());
+// Paragraph models for long agreements are several times the size of the text
+app.use(express.json({ limit: "5mb" }));
 app.use((req, res, next) => {
   res.setHeader("Access-Control-Allow-Origin", "*");
-  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
-  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization, X-Request-Id, Last-Event-ID");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS");
+  res.setHeader("Access-Control-Expose-Headers", "X-Request-Id, X-Issue-Count, X-Applied-Count");
   if (req.method === "OPTIONS") {
     res.sendStatus(204);
     return;
@@ -20,11 +49,55 @@ app.use((req, res, next) => {
   next();
 });
 
-const PROVIDER = process.env.AI_PROVIDER || "openai";
-const OPENAI_MODEL = process.env.OPENAI_MODEL || "gpt-4o";
-const AZURE_API_VERSION = process.env.AZURE_OPENAI_API_VERSION || "2024-06-01";
+const provider = createProvider(process.env);
+const reviewer = createClauseReviewer(provider);
+const changeEvaluator = createChangeEvaluator(provider);
+const commentResponder = createCommentResponder(provider);
+const MAX_REPAIR_ATTEMPTS = Number(process.env.MAX_REPAIR_ATTEMPTS ?? 1);
+const REDACTION = process.env.REDACTION || "off";
+const REDACTION_WATCHLIST = (process.env.REDACTION_WATCHLIST || "")
+  .split(",")
+  .map((term) => term.trim())
+  .filter(Boolean);
+
+// Document name sent by the pane, for usage reports and job listings
+function documentFor(req) {
+  const document = req.body?.document || req.query.document;
+  return typeof document === "string" ? document.slice(0, 200) : null;
+}
+
+// Usage for this request, attributed to the token's user and the pane's document
+function meterFor(req) {
+  return createUsageMeter({
+    auth: req.auth,
+    endpoint: req.path,
+    document: documentFor(req),
+  });
+}
+
+// REDACTION=on applies pseudonymization to every request; otherwise the pane
+// opts in with `redact: true`
+function redactionRequested(req) {
+  const requested = req.body?.redact ?? req.query.redact;
+  return REDACTION === "on" || requested === true || requested === "true";
+}
+
+// Pseudonymizer for this request, or null when redaction is off
+function pseudonymizerFor(req, { text, party }) {
+  if (!redactionRequested(req)) {
+    return null;
+  }
+
+  const watchlist = Array.isArray(req.body?.watchlist)
+    ? req.body.watchlist.filter((term) => typeof term === "string")
+    : [];
+  return createPseudonymizer({
+    parties: [...(party ? [party] : []), ...detectParties(text || "")],
+    watchlist: [...REDACTION_WATCHLIST, ...watchlist],
+  });
+}
 
-function buildMessages({ text, instructions, riskProfile }) {
+function buildMessages({ text, instructions, riskProfile, party }) {
   const postureMap = {
     balanced: "Balanced counsel: pragmatic, neutral tone.",
     cautious: "Risk-averse counsel: highlight risks and tighten protections.",
@@ -38,6 +111,7 @@ function buildMessages({ text, instructions, riskProfile }) {
       role: "system",
       content: [
         "You are a senior contract review assistant.",
+        `You represent ${perspectiveFor(party)}; revise in their favor.`,
         posture,
         "Return JSON only, no markdown.",
         "JSON schema:",
@@ -59,122 +133,54 @@ function buildMessages({ text, instructions, riskProfile }) {
   ];
 }
 
-function parseModelContent(content) {
-  if (!content) {
-    return null;
-  }
-
-  try {
-    return JSON.parse(content);
-  } catch (error) {
-    const match = content.match(/\{[\s\S]*\}/);
-    if (!match) {
-      return null;
-    }
-    try {
-      return JSON.parse(match[0]);
-    } catch (nestedError) {
-      return null;
-    }
-  }
-}
-
-async function callOpenAI({ messages }) {
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) {
-    throw new Error("OPENAI_API_KEY is not configured.");
-  }
+async function requestReview({ messages, onUsage, log = logger }) {
+  let conversation = messages;
 
-  const response = await fetch("https://api.openai.com/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${apiKey}`,
-    },
-    body: JSON.stringify({
-      model: OPENAI_MODEL,
-      messages,
+  for (let attempt = 0; ; attempt++) {
+    const { content } = await provider.complete({
+      messages: conversation,
+      task: "review",
       temperature: 0.2,
-      max_tokens: 1200,
-      response_format: { type: "json_object" },
-    }),
-  });
-
-  if (!response.ok) {
-    const message = await response.text();
-    throw new Error(message || "OpenAI request failed.");
-  }
-
-  const payload = await response.json();
-  const content = payload?.choices?.[0]?.message?.content;
-  const parsed = parseModelContent(content);
-  if (!parsed) {
-    throw new Error("Unable to parse model response.");
-  }
-  return parsed;
-}
-
-async function callAzureOpenAI({ messages }) {
-  const endpoint = process.env.AZURE_OPENAI_ENDPOINT;
-  const apiKey = process.env.AZURE_OPENAI_KEY;
-  const deployment = process.env.AZURE_OPENAI_DEPLOYMENT;
-
-  if (!endpoint || !apiKey || !deployment) {
-    throw new Error("Azure OpenAI configuration is incomplete.");
-  }
-
-  const url = `${endpoint.replace(/\/$/, "")}/openai/deployments/${deployment}/chat/completions?api-version=${AZURE_API_VERSION}`;
-
-  const response = await fetch(url, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "api-key": apiKey,
-    },
-    body: JSON.stringify({
-      messages,
-      temperature: 0.2,
-      max_tokens: 1200,
-      response_format: { type: "json_object" },
-    }),
-  });
+      maxTokens: 1200,
+      onUsage,
+    });
 
-  if (!response.ok) {
-    const message = await response.text();
-    throw new Error(message || "Azure OpenAI request failed.");
-  }
+    const checked = validateReviewResult(parseModelContent(content));
+    if (checked.result) {
+      return checked.result;
+    }
+    if (attempt >= MAX_REPAIR_ATTEMPTS) {
+      throw new Error(`Unusable model response: ${checked.reason}`);
+    }
 
-  const payload = await response.json();
-  const content = payload?.choices?.[0]?.message?.content;
-  const parsed = parseModelContent(content);
-  if (!parsed) {
-    throw new Error("Unable to parse model response.");
+    log.warn("Asking the model to repair its review", { reason: checked.reason });
+    conversation = buildRepairMessages(messages, content, { error: checked.reason });
   }
-  return parsed;
 }
 
-app.post("/api/review", async (req, res) => {
-  const { text, instructions, riskProfile } = req.body || {};
+app.post("/api/review", requireScope("review"), async (req, res) => {
+  const { text, instructions, riskProfile, party } = req.body || {};
 
   if (!text || typeof text !== "string") {
     res.status(400).json({ error: "Missing contract text." });
     return;
   }
 
-  const messages = buildMessages({ text, instructions, riskProfile });
+  const selectedParty = normalizeParty(party);
+  const pseudonymizer = pseudonymizerFor(req, { text, party: selectedParty });
+  const messages = buildMessages({ text, instructions, riskProfile, party: selectedParty });
+  const meter = meterFor(req);
 
   try {
-    const result = PROVIDER === "azure"
-      ? await callAzureOpenAI({ messages })
-      : await callOpenAI({ messages });
+    const result = pseudonymizer
+      ? pseudonymizer.restore(await requestReview({ messages: pseudonymizer.redactMessages(messages), onUsage: meter.add, log: req.log }))
+      : await requestReview({ messages, onUsage: meter.add, log: req.log });
 
-    res.json({
-      revisedText: result.revisedText || "",
-      comments: Array.isArray(result.comments) ? result.comments : [],
-      summary: result.summary || "",
-    });
+    res.json({ ...result, usage: meter.summary(), redaction: pseudonymizer?.summary() || null });
   } catch (error) {
     res.status(500).json({ error: error.message || "AI request failed." });
+  } finally {
+    meter.record();
   }
 });
 
@@ -182,11 +188,12 @@ app.post("/api/review", async (req, res) => {
 // Chat Endpoint
 // ========================================
 
-function buildChatMessages({ message, documentContext, selectionContext, history }) {
+function buildChatMessages({ message, documentContext, selectionContext, history, party, libraryMatches = [] }) {
   // Build system prompt with document context as background knowledge
   const systemParts = [
     "You are a senior contract review assistant embedded in Microsoft Word.",
     "Your role is to help users understand, analyze, and improve contract language.",
+    `You advise ${perspectiveFor(party)}: judge risk and draft suggestions from their side.`,
     "",
     "Guidelines:",
     "- Be concise and practical in your responses",
@@ -197,7 +204,8 @@ function buildChatMessages({ message, documentContext, selectionContext, history
     "",
     "If you suggest revised text, include it in your response clearly marked.",
     "Return JSON only with this schema:",
-    '{ "response": "your conversational response", "suggestion": "optional revised clause text if you provided one" }',
+    '{ "response": "your conversational response", "suggestion": "optional revised clause text if you provided one", "libraryClauseId": "id of the approved clause your suggestion is based on, if any" }',
+    ...formatLibraryForPrompt(libraryMatches),
   ];
 
   // Include document context in system prompt if available (truncate if very long)
@@ -240,34 +248,15 @@ function buildChatMessages({ message, documentContext, selectionContext, history
   return messages;
 }
 
-async function callOpenAIChat({ messages }) {
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) {
-    throw new Error("OPENAI_API_KEY is not configured.");
-  }
-
-  const response = await fetch("https://api.openai.com/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${apiKey}`,
-    },
-    body: JSON.stringify({
-      model: OPENAI_MODEL,
-      messages,
-      temperature: 0.4,
-      max_tokens: 1500,
-      response_format: { type: "json_object" },
-    }),
+async function requestChat({ messages, onUsage }) {
+  const { content } = await provider.complete({
+    messages,
+    task: "chat",
+    temperature: 0.4,
+    maxTokens: 1500,
+    onUsage,
   });
 
-  if (!response.ok) {
-    const message = await response.text();
-    throw new Error(message || "OpenAI request failed.");
-  }
-
-  const payload = await response.json();
-  const content = payload?.choices?.[0]?.message?.content;
   const parsed = parseModelContent(content);
   
   if (!parsed) {
@@ -278,69 +267,41 @@ async function callOpenAIChat({ messages }) {
   return parsed;
 }
 
-async function callAzureOpenAIChat({ messages }) {
-  const endpoint = process.env.AZURE_OPENAI_ENDPOINT;
-  const apiKey = process.env.AZURE_OPENAI_KEY;
-  const deployment = process.env.AZURE_OPENAI_DEPLOYMENT;
-
-  if (!endpoint || !apiKey || !deployment) {
-    throw new Error("Azure OpenAI configuration is incomplete.");
-  }
-
-  const url = `${endpoint.replace(/\/$/, "")}/openai/deployments/${deployment}/chat/completions?api-version=${AZURE_API_VERSION}`;
-
-  const response = await fetch(url, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      "api-key": apiKey,
-    },
-    body: JSON.stringify({
-      messages,
-      temperature: 0.4,
-      max_tokens: 1500,
-      response_format: { type: "json_object" },
-    }),
-  });
-
-  if (!response.ok) {
-    const message = await response.text();
-    throw new Error(message || "Azure OpenAI request failed.");
-  }
-
-  const payload = await response.json();
-  const content = payload?.choices?.[0]?.message?.content;
-  const parsed = parseModelContent(content);
-  
-  if (!parsed) {
-    return { response: content || "I couldn't process that request." };
-  }
-  
-  return parsed;
-}
-
-app.post("/api/chat", async (req, res) => {
-  const { message, documentContext, selectionContext, history } = req.body || {};
+app.post("/api/chat", requireScope("chat"), async (req, res) => {
+  const { message, documentContext, selectionContext, history, party } = req.body || {};
 
   if (!message || typeof message !== "string") {
     res.status(400).json({ error: "Missing message." });
     return;
   }
 
-  const messages = buildChatMessages({ message, documentContext, selectionContext, history });
+  // Approved language close to what the user is looking at
+  const libraryMatches = findLibraryMatches(selectionContext || message);
+  const selectedParty = normalizeParty(party);
+  const messages = buildChatMessages({ message, documentContext, selectionContext, history, party: selectedParty, libraryMatches });
+  const pseudonymizer = pseudonymizerFor(req, { text: documentContext || selectionContext || message, party: selectedParty });
+
+  const meter = meterFor(req);
 
   try {
-    const result = PROVIDER === "azure"
-      ? await callAzureOpenAIChat({ messages })
-      : await callOpenAIChat({ messages });
+    const result = pseudonymizer
+      ? pseudonymizer.restore(await requestChat({ messages: pseudonymizer.redactMessages(messages), onUsage: meter.add }))
+      : await requestChat({ messages, onUsage: meter.add });
+    const suggestion = result.suggestion || null;
+    const { libraryClause } = suggestion ? attachLibraryClause({ libraryClauseId: result.libraryClauseId }, libraryMatches) : {};
 
     res.json({
       response: result.response || "",
-      suggestion: result.suggestion || null,
+      suggestion,
+      libraryClause: libraryClause || null,
+      usage: meter.summary(),
+      redaction: pseudonymizer?.summary() || null,
     });
   } catch (error) {
-    console.error("[/api/chat] Error:", error.message);
+    req.log.error("Chat failed", { error: error.message });
     res.status(500).json({ error: error.message || "Chat request failed." });
+  } finally {
+    meter.record();
   }
 });
 
@@ -348,7 +309,7 @@ app.post("/api/chat", async (req, res) => {
 // Live Document Markup - SSE Streaming
 // ========================================
 
-function buildStreamingReviewMessages({ text, instructions, riskProfile }) {
+function buildStreamingReviewMessages({ text, instructions, riskProfile, party }) {
   const postureMap = {
     balanced: "Balanced counsel: pragmatic, neutral tone.",
     cautious: "Risk-averse counsel: highlight risks and tighten protections.",
@@ -362,17 +323,18 @@ function buildStreamingReviewMessages({ text, instructions, riskProfile }) {
       role: "system",
       content: [
         "You are a senior contract review assistant that analyzes contracts clause by clause.",
+        `You represent ${perspectiveFor(party)}.`,
         posture,
         "",
-        "CRITICAL: You must respond with a JSON array of issues found in the contract.",
+        "CRITICAL: You must respond with a JSON object whose issues array lists the issues found in the contract.",
         "Each issue should be a separate object in the array.",
         "",
         "Issue types:",
         "- 'edit': A suggested change to the contract text",
         "- 'comment': A note or risk flag without changing text",
         "",
-        "JSON schema (array of issues):",
-        "[",
+        "JSON schema:",
+        '{ "issues": [',
         "  {",
         '    "type": "edit" | "comment",',
         '    "originalText": "exact text from contract to find/change",',
@@ -380,7 +342,7 @@ function buildStreamingReviewMessages({ text, instructions, riskProfile }) {
         '    "explanation": "brief explanation of why this change/comment is needed",',
         '    "severity": "low" | "medium" | "high"',
         "  }",
-        "]",
+        "] }",
         "",
         "Rules:",
         "- originalText must be an EXACT substring from the input contract",
@@ -388,8 +350,9 @@ function buildStreamingReviewMessages({ text, instructions, riskProfile }) {
         "- For comments, omit newText and just provide explanation",
         "- Keep explanations concise (1-2 sentences)",
         "- Order issues by their appearance in the document",
-        "- If no issues found, return empty array []",
-        "- Return ONLY valid JSON array, no other text",
+        "- Write the issues array first so each issue can be streamed as soon as it is complete",
+        "- If no issues found, return { \"issues\": [] }",
+        "- Return ONLY valid JSON, no other text",
       ].join("\n"),
     },
     {
@@ -403,79 +366,46 @@ function buildStreamingReviewMessages({ text, instructions, riskProfile }) {
         "",
         instructions ? `Additional guidance: ${instructions}` : "",
         "",
-        "Return a JSON array of issues found.",
+        "Return the JSON object with the issues found.",
       ].filter(Boolean).join("\n"),
     },
   ];
 }
 
-async function callOpenAIForIssues({ messages }) {
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) {
-    throw new Error("OPENAI_API_KEY is not configured.");
-  }
-
-  const response = await fetch("https://api.openai.com/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${apiKey}`,
-    },
-    body: JSON.stringify({
-      model: OPENAI_MODEL,
-      messages,
-      temperature: 0.2,
-      max_tokens: 4000,
-      response_format: { type: "json_object" },
-    }),
-  });
-
-  if (!response.ok) {
-    const message = await response.text();
-    throw new Error(message || "OpenAI request failed.");
+// Stream issues from the model, yielding each one as soon as its JSON object closes
+async function* streamIssues({ messages, transcript = {}, signal, onRetry, onUsage }) {
+  const parser = createIssueStreamParser();
+  let received = 0;
+  transcript.content = "";
+
+  for await (const chunk of provider.stream({
+    messages,
+    task: "issues",
+    temperature: 0.2,
+    maxTokens: 4000,
+    signal,
+    onRetry,
+    onUsage,
+  })) {
+    if (chunk.delta) {
+      received += chunk.delta.length;
+      transcript.content += chunk.delta;
+      yield* parser.push(chunk.delta);
+    }
   }
 
-  const payload = await response.json();
-  const content = payload?.choices?.[0]?.message?.content;
-  
-  console.log("[callOpenAIForIssues] Raw AI content:", content?.substring(0, 1000));
-  
-  if (!content) {
+  if (!received) {
     throw new Error("No response from AI.");
   }
 
-  // Parse the JSON response
-  try {
-    const parsed = JSON.parse(content);
-    console.log("[callOpenAIForIssues] Parsed type:", typeof parsed, "isArray:", Array.isArray(parsed), "keys:", Object.keys(parsed));
-    
-    // Handle various response formats
-    if (Array.isArray(parsed)) {
-      // Already an array of issues
-      return parsed;
-    } else if (parsed.issues && Array.isArray(parsed.issues)) {
-      // Object with issues property
-      return parsed.issues;
-    } else if (parsed.type && parsed.originalText) {
-      // Single issue object - wrap in array
-      console.log("[callOpenAIForIssues] Single issue object detected, wrapping in array");
-      return [parsed];
-    } else {
-      console.log("[callOpenAIForIssues] Unknown format, returning empty array. Parsed:", JSON.stringify(parsed).substring(0, 500));
-      return [];
-    }
-  } catch (e) {
-    console.log("[callOpenAIForIssues] JSON parse failed:", e.message);
-    // Try to extract array from response
-    const match = content.match(/\[[\s\S]*\]/);
-    if (match) {
-      return JSON.parse(match[0]);
-    }
-    throw new Error("Could not parse AI response as JSON array.");
-  }
+  yield* parser.end();
 }
 
-app.get("/api/review-stream", async (req, res) => {
+// Deprecated: the whole contract travels in the query string and a dropped
+// connection loses the run. Use POST /api/review-jobs.
+app.get("/api/review-stream", requireScope("review"), async (req, res) => {
+  res.setHeader("Deprecation", "true");
+  res.setHeader("Link", '</api/review-jobs>; rel="successor-version"');
   // Set SSE headers
   res.setHeader("Content-Type", "text/event-stream");
   res.setHeader("Cache-Control", "no-cache");
@@ -487,310 +417,1054 @@ app.get("/api/review-stream", async (req, res) => {
   const text = req.query.text;
   const instructions = req.query.instructions || "";
   const riskProfile = req.query.riskProfile || "balanced";
+  const party = normalizeParty({ name: req.query.partyName, role: req.query.partyRole });
 
   if (!text) {
-    res.write(`data: ${JSON.stringify({ type: "error", message: "Missing contract text." })}\n\n`);
+    sendEvent(res, { type: "error", message: "Missing contract text." });
     res.end();
     return;
   }
 
-  // Send start event
-  res.write(`data: ${JSON.stringify({ type: "start", message: "Starting analysis..." })}\n\n`);
+  const disconnected = abortOnDisconnect(res);
+  const meter = meterFor(req);
 
   try {
-    const messages = buildStreamingReviewMessages({ 
-      text: decodeURIComponent(text), 
+    const document = decodeURIComponent(text);
+    const pseudonymizer = pseudonymizerFor(req, { text: document, party });
+    const built = buildStreamingReviewMessages({ 
+      text: document, 
       instructions: decodeURIComponent(instructions), 
-      riskProfile 
+      riskProfile,
+      party,
     });
+    // The model only sees placeholders, so its anchors are checked against the redacted text
+    const messages = pseudonymizer ? pseudonymizer.redactMessages(built) : built;
+    const source = pseudonymizer ? pseudonymizer.redact(document) : document;
+    const restore = (value) => (pseudonymizer ? pseudonymizer.restore(value) : value);
+
+    // Send start event
+    sendEvent(res, { type: "start", message: "Starting analysis...", redaction: pseudonymizer?.summary() || null });
+
+    let issueCount = 0;
+    const emitIssue = (validated) => {
+      const issue = restore(validated);
+      issue.index = issueCount;
+      issueCount++;
+      sendEvent(res, { type: "issue", issue });
+    };
+
+    const onRetry = (retry) => {
+      sendEvent(res, { type: "retrying", ...retry });
+    };
+
+    // Forward each valid issue the moment the model finishes writing it; hold back the rest for repair
+    const transcript = {};
+    const streamed = { issues: [], rejected: [] };
+    for await (const raw of streamIssues({ messages, transcript, signal: disconnected, onRetry, onUsage: meter.add })) {
+      const checked = validateIssue(raw, source);
+      if (checked.issue) {
+        emitIssue(checked.issue);
+      } else {
+        streamed.rejected.push({ issue: raw, reason: checked.reason });
+      }
+    }
 
-    // Get all issues from AI
-    const issues = await callOpenAIForIssues({ messages });
-
-    // Stream each issue as a separate event
-    for (let i = 0; i < issues.length; i++) {
-      const issue = issues[i];
-      issue.index = i;
-      issue.total = issues.length;
-      
-      // Send issue event
-      res.write(`data: ${JSON.stringify({ type: "issue", issue })}\n\n`);
-      
-      // Small delay to allow UI to process and show progress
-      await new Promise(resolve => setTimeout(resolve, 100));
+    // Nothing came through the parser: the whole response may be unusable
+    if (!issueCount && !streamed.rejected.length) {
+      streamed.error = validateIssueList(parseModelContent(transcript.content), source).error;
     }
 
+    const { issues, rejected } = await reviewer.repairIssues({ messages, content: transcript.content, checked: streamed, source, task: "issues", maxTokens: 4000, signal: disconnected, onRetry, onUsage: meter.add, log: req.log });
+    issues.forEach(emitIssue);
+    rejected.forEach((entry) => {
+      sendEvent(res, { type: "issue-rejected", issue: restore(entry.issue), reason: entry.reason });
+    });
+
     // Send completion event
-    res.write(`data: ${JSON.stringify({ type: "complete", totalIssues: issues.length })}\n\n`);
+    sendEvent(res, { type: "complete", totalIssues: issueCount, rejectedIssues: rejected.length, usage: meter.summary() });
     
   } catch (error) {
-    console.error("[/api/review-stream] Error:", error.message);
-    res.write(`data: ${JSON.stringify({ type: "error", message: error.message || "Analysis failed." })}\n\n`);
+    if (disconnected.aborted) {
+      req.log.warn("Review stream cancelled by the client");
+    } else {
+      req.log.error("Review stream failed", { error: error.message });
+      sendEvent(res, { type: "error", message: error.message || "Analysis failed." });
+    }
   }
 
+  meter.record();
   res.end();
 });
 
-// Split contract into clauses/paragraphs for clause-by-clause processing
-function splitIntoClauses(text) {
-  // Normalize line endings (Word may use \r\n, \r, or \n)
-  const normalized = text.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
-  
-  // Split by:
-  // - Double newlines (paragraphs)
-  // - Single newlines followed by numbers (1. 2. etc)
-  // - Single newlines followed by letters in parens ((a) (b) etc)
-  // - Sentences ending with period followed by capital letter (fallback)
-  let rawClauses = normalized.split(/\n\s*\n/);
-  
-  // If we only got 1 clause, try splitting by single newlines
-  if (rawClauses.length <= 1) {
-    rawClauses = normalized.split(/\n(?=\d+\.|\d+\)|\([a-zA-Z0-9]+\)|[A-Z])/);
+// Validate a clause-by-clause review request and split it into clauses.
+// Returns { error } when the request cannot run.
+function prepareClauseReview(req) {
+  const { text, paragraphs, instructions, riskProfile, playbookId, scope } = req.body || {};
+  const party = normalizeParty(req.body?.party);
+
+  req.log.info("Review requested", { textLength: text?.length, paragraphCount: Array.isArray(paragraphs) ? paragraphs.length : 0, scope });
+
+  if (!text || typeof text !== "string") {
+    return { error: "Missing contract text." };
   }
-  
-  // If still only 1 clause, try splitting by sentences (every ~500 chars at sentence boundaries)
-  if (rawClauses.length <= 1 && normalized.length > 500) {
-    rawClauses = [];
-    const sentences = normalized.split(/(?<=[.!?])\s+(?=[A-Z])/);
-    let buffer = "";
-    
-    for (const sentence of sentences) {
-      buffer += (buffer ? " " : "") + sentence;
-      if (buffer.length >= 400) {
-        rawClauses.push(buffer);
-        buffer = "";
-      }
+
+  let playbook = null;
+  if (playbookId) {
+    try {
+      playbook = getPlaybook(playbookId);
+    } catch (error) {
+      return { error: error.message };
     }
-    if (buffer.trim()) {
-      rawClauses.push(buffer);
+    if (!playbook) {
+      return { error: `Playbook "${playbookId}" not found.` };
     }
   }
-  
-  // Filter out empty clauses and combine very short ones
-  const clauses = [];
-  let buffer = "";
-  
-  for (const clause of rawClauses) {
-    const trimmed = clause.trim();
-    if (!trimmed) continue;
-    
-    buffer += (buffer ? "\n\n" : "") + trimmed;
-    
-    // If buffer is substantial enough (at least 150 chars and has a sentence), add as a clause
-    if (buffer.length >= 150 && buffer.includes(".")) {
-      clauses.push(buffer);
-      buffer = "";
-    }
-  }
-  
-  // Don't forget remaining buffer
-  if (buffer.trim()) {
-    if (clauses.length > 0 && buffer.length < 100) {
-      // Append short remainder to last clause
-      clauses[clauses.length - 1] += "\n\n" + buffer;
-    } else {
-      clauses.push(buffer);
-    }
+
+  // Segment by the document's section structure when the pane sent it,
+  // otherwise fall back to guessing from the flattened text
+  const clauses = Array.isArray(paragraphs) && paragraphs.length
+    ? segmentParagraphs(paragraphs)
+    : clausesFromText(text);
+  req.log.info("Split into clauses", { clauseCount: clauses.length });
+
+  // Placeholders are numbered in document order, not in whatever order the
+  // concurrent clause requests happen to run
+  const pseudonymizer = pseudonymizerFor(req, { text, party });
+  if (pseudonymizer) {
+    clauses.forEach((clause) => pseudonymizer.redact(clause.text));
+    req.log.info("Pseudonymizing the review", pseudonymizer.summary());
   }
-  
-  console.log("[splitIntoClauses] Input length:", text.length, "Output clauses:", clauses.length, "Clause lengths:", clauses.map(c => c.length));
-  
-  return clauses;
+
+  return { text, paragraphs, instructions, riskProfile, scope, party, playbook, clauses, pseudonymizer };
 }
 
-// Build prompt for analyzing a single clause
-function buildClauseReviewMessages({ clause, clauseIndex, totalClauses, instructions, riskProfile }) {
-  const postureMap = {
-    balanced: "You represent the recipient/customer. Be pragmatic but protect their interests.",
-    cautious: "You represent the recipient/customer. Be highly protective - flag any risk and suggest stronger protections.",
-    aggressive: "You represent the recipient/customer. Aggressively negotiate - push back on any term favoring the other party.",
-  };
+// Run a prepared review for this request; see reviewClauses
+function runClauseReview(req, review, { emit, signal, log = req.log }) {
+  return reviewer.reviewClauses(review, { meter: meterFor(req), emit, signal, log });
+}
 
-  const posture = postureMap[riskProfile] || postureMap.balanced;
+// POST version - clause-by-clause streaming on this connection. Review jobs
+// (below) run the same review but survive a dropped connection.
+app.post("/api/review-stream", requireScope("review"), async (req, res) => {
+  // Set SSE headers
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.flushHeaders();
 
-  return [
-    {
-      role: "system",
-      content: [
-        "You are a senior contracts attorney with 20+ years of experience reviewing commercial agreements.",
-        posture,
-        "",
-        "REVIEW THIS CLAUSE THOROUGHLY. Look for:",
-        "",
-        "**Risk Areas to Flag:**",
-        "- Unlimited liability or uncapped indemnification",
-        "- Broad indemnification obligations",
-        "- One-sided termination rights",
-        "- Auto-renewal clauses without adequate notice periods",
-        "- Unilateral amendment rights",
-        "- Broad IP assignment or license grants",
-        "- Weak confidentiality protections",
-        "- Problematic limitation of liability clauses",
-        "- Missing limitation on consequential damages",
-        "- Unfavorable governing law or venue",
-        "- Broad audit rights",
-        "- Unreasonable non-compete or non-solicitation",
-        "- Vague or undefined key terms",
-        "- Missing caps on fees or price increases",
-        "- Inadequate data protection or security obligations",
-        "- Survival clauses that are too long",
-        "- Assignment restrictions that are one-sided",
-        "",
-        "**Response Format - Return ONE JSON object:**",
-        "",
-        'For edits: { "type": "edit", "originalText": "exact text", "newText": "improved text", "explanation": "why this protects the client", "severity": "low|medium|high" }',
-        'For deletions: { "type": "delete", "originalText": "exact text to remove", "explanation": "why remove it", "severity": "low|medium|high" }',
-        'For flags: { "type": "comment", "originalText": "concerning text", "explanation": "the risk and recommendation", "severity": "low|medium|high" }',
-        'If acceptable: { "type": "none" }',
-        "",
-        "**Severity Guide:**",
-        "- high: Material risk, could cause significant harm (unlimited liability, broad indemnity, IP issues)",
-        "- medium: Notable concern, should be negotiated (auto-renewal, unilateral changes, weak protections)",  
-        "- low: Minor issue, nice to fix but acceptable (unclear language, minor imbalances)",
-        "",
-        "**Rules:**",
-        "- originalText MUST be an EXACT substring from the clause (copy-paste accuracy)",
-        "- Be specific in explanations - cite the actual risk",
-        "- Suggest concrete improvements, not vague recommendations",
-        "- Focus on substantive legal issues, not grammar",
-        "- Return ONLY valid JSON",
-      ].join("\n"),
-    },
-    {
-      role: "user",
-      content: [
-        `Review clause ${clauseIndex + 1} of ${totalClauses}:`,
-        "",
-        "---CLAUSE START---",
-        clause,
-        "---CLAUSE END---",
-        "",
-        instructions ? `Client's specific concerns: ${instructions}` : "",
-        "",
-        "Identify the most significant issue in this clause, or return { \"type\": \"none\" } if it's acceptable.",
-      ].filter(Boolean).join("\n"),
-    },
-  ];
+  const review = prepareClauseReview(req);
+  if (review.error) {
+    sendEvent(res, { type: "error", message: review.error });
+    res.end();
+    return;
+  }
+
+  // Stop starting clauses, and abort the ones in flight, once the pane goes away
+  await runClauseReview(req, review, {
+    emit: (event) => sendEvent(res, event),
+    signal: abortOnDisconnect(res),
+  });
+  res.end();
+});
+
+// ========================================
+// Review Jobs
+// ========================================
+
+const JOB_HEARTBEAT_MS = Number(process.env.JOB_HEARTBEAT_MS) || 15000;
+
+// Jobs belong to the token that created them; admins can read every job
+function canAccessJob(req, job) {
+  return !job.owner || job.owner === req.auth?.tokenId || Boolean(req.auth?.scopes.includes("admin"));
 }
 
-// Analyze a single clause
-async function analyzeClause({ clause, clauseIndex, totalClauses, instructions, riskProfile }) {
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) {
-    throw new Error("OPENAI_API_KEY is not configured.");
+function jobFor(req, res) {
+  const job = getJob(req.params.id);
+  if (!job || !canAccessJob(req, job)) {
+    res.status(404).json({ error: "Job not found." });
+    return null;
   }
+  return job;
+}
 
-  const messages = buildClauseReviewMessages({ clause, clauseIndex, totalClauses, instructions, riskProfile });
+// A job's results rebuilt from its events, so the pane can reload them later
+function jobResults(job) {
+  const issues = [];
+  const rejected = [];
+  const failedClauses = [];
+  for (const { event } of eventsAfter(job)) {
+    if (event.type === "issue") {
+      issues.push(event.issue);
+    } else if (event.type === "issue-rejected") {
+      rejected.push({ issue: event.issue, reason: event.reason, clauseIndex: event.clauseIndex, sectionNumber: event.sectionNumber });
+    } else if (event.type === "clause-error") {
+      failedClauses.push({ clauseIndex: event.clauseIndex, message: event.message });
+    }
+  }
+  return { issues, rejected, failedClauses };
+}
 
-  const response = await fetch("https://api.openai.com/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${apiKey}`,
-    },
-    body: JSON.stringify({
-      model: OPENAI_MODEL,
-      messages,
-      temperature: 0.2,
-      max_tokens: 800,
-      response_format: { type: "json_object" },
-    }),
+// Start a review job; same body as POST /api/review-stream
+app.post("/api/review-jobs", requireScope("review"), (req, res) => {
+  const review = prepareClauseReview(req);
+  if (review.error) {
+    res.status(400).json({ error: review.error });
+    return;
+  }
+
+  const job = createJob({
+    owner: req.auth?.tokenId,
+    user: req.auth?.name,
+    document: documentFor(req),
+    totalClauses: review.clauses.length,
+    requestId: req.id,
   });
+  const log = req.log.child({ jobId: job.id });
+  log.info("Review job started", { clauseCount: review.clauses.length });
+
+  runClauseReview(req, review, { emit: (event) => appendEvent(job, event), signal: job.controller.signal, log })
+    .then(({ status, summary }) => finishJob(job, status, summary))
+    .catch((error) => {
+      log.error("Review job failed", { error: error.message });
+      finishJob(job, "failed");
+    });
 
-  if (!response.ok) {
-    const message = await response.text();
-    throw new Error(message || "OpenAI request failed.");
-  }
+  res.status(202).json({ job: describeJob(job), eventsUrl: `/api/review-jobs/${job.id}/events` });
+});
 
-  const payload = await response.json();
-  const content = payload?.choices?.[0]?.message?.content;
-  
-  if (!content) return null;
+app.get("/api/review-jobs", requireScope("review"), (req, res) => {
+  const isAdmin = Boolean(req.auth?.scopes.includes("admin"));
+  const limit = Math.min(Number(req.query.limit) || 50, 500);
+  const jobs = listJobs({ owner: req.auth && !isAdmin ? req.auth.tokenId : undefined })
+    .filter((job) => !req.query.status || job.status === req.query.status)
+    .slice(0, limit);
+  res.json({ jobs: jobs.map(describeJob) });
+});
 
-  try {
-    const parsed = JSON.parse(content);
-    if (parsed.type === "none" || !parsed.type) return null;
-    return parsed;
-  } catch (e) {
-    return null;
+app.get("/api/review-jobs/:id", requireScope("review"), (req, res) => {
+  const job = jobFor(req, res);
+  if (job) {
+    res.json({ job: describeJob(job), ...jobResults(job) });
+  }
+});
+
+// Events of a job as SSE. A reconnecting client sends Last-Event-ID (or
+// ?lastEventId= where headers cannot be set) and gets only what it missed;
+// the stream closes once the job has finished.
+app.get("/api/review-jobs/:id/events", requireScope("review"), (req, res) => {
+  const job = jobFor(req, res);
+  if (!job) {
+    return;
   }
-}
 
-// POST version - clause-by-clause streaming
-app.post("/api/review-stream", async (req, res) => {
-  // Set SSE headers
   res.setHeader("Content-Type", "text/event-stream");
   res.setHeader("Cache-Control", "no-cache");
   res.setHeader("Connection", "keep-alive");
   res.setHeader("Access-Control-Allow-Origin", "*");
   res.flushHeaders();
 
-  const { text, instructions, riskProfile } = req.body || {};
-
-  console.log("[/api/review-stream] Received request, text length:", text?.length);
+  const lastEventId = Number(req.get("Last-Event-ID") ?? req.query.lastEventId) || 0;
+  req.log.info("Streaming job events", { jobId: job.id, lastEventId, status: job.status });
 
-  if (!text || typeof text !== "string") {
-    res.write(`data: ${JSON.stringify({ type: "error", message: "Missing contract text." })}\n\n`);
+  for (const entry of eventsAfter(job, lastEventId)) {
+    sendEvent(res, entry.event, { id: entry.id });
+  }
+  if (FINISHED_STATUSES.has(job.status)) {
     res.end();
     return;
   }
 
-  // Split contract into clauses
-  const clauses = splitIntoClauses(text);
-  console.log("[/api/review-stream] Split into", clauses.length, "clauses");
+  const unsubscribe = subscribe(job, (entry) => {
+    if (entry) {
+      sendEvent(res, entry.event, { id: entry.id });
+    } else {
+      res.end();
+    }
+  });
+  // Keeps proxies from closing an idle connection while a slow clause runs
+  const heartbeat = setInterval(() => sendHeartbeat(res), JOB_HEARTBEAT_MS);
+  res.once("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+app.post("/api/review-jobs/:id/cancel", requireScope("review"), (req, res) => {
+  const job = jobFor(req, res);
+  if (!job) {
+    return;
+  }
+  if (!cancelJob(job)) {
+    res.status(409).json({ error: `Job already ${job.status}.` });
+    return;
+  }
+  req.log.info("Review job cancel requested", { jobId: job.id });
+  res.status(202).json({ job: describeJob(job) });
+});
+
+app.delete("/api/review-jobs/:id", requireScope("review"), (req, res) => {
+  const job = jobFor(req, res);
+  if (!job) {
+    return;
+  }
+  if (!deleteJob(job)) {
+    res.status(409).json({ error: "Cancel the job before deleting it." });
+    return;
+  }
+  res.sendStatus(204);
+});
+
+// ========================================
+// Documents (.docx)
+// ========================================
+
+const DOCX_MAX_MB = Number(process.env.DOCX_MAX_MB) || 20;
+const DOCX_AUTHOR = process.env.DOCX_AUTHOR || "Goosefarm";
+
+// Review an uploaded .docx (the request body) and return it with the issues as
+// tracked changes and comments. Options come from the query string: riskProfile,
+// instructions, playbookId, party (role or name), author, redact, document.
+// ?format=json returns the issues and totals with the file base64-encoded.
+app.post(
+  "/api/documents/review",
+  requireScope("review"),
+  express.raw({ type: [DOCX_CONTENT_TYPE, "application/octet-stream"], limit: `${DOCX_MAX_MB}mb` }),
+  async (req, res) => {
+    const { riskProfile, instructions, playbookId, author, format } = req.query;
+
+    if (!Buffer.isBuffer(req.body) || !req.body.length) {
+      res.status(400).json({ error: `Send the .docx as the request body with Content-Type ${DOCX_CONTENT_TYPE}.` });
+      return;
+    }
+
+    let prepared;
+    try {
+      prepared = readDocxForReview(req.body);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
 
-  // Send start event
-  res.write(`data: ${JSON.stringify({ type: "start", message: "Starting analysis...", totalClauses: clauses.length })}\n\n`);
+    let playbook = null;
+    if (playbookId) {
+      try {
+        playbook = getPlaybook(playbookId);
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+        return;
+      }
+      if (!playbook) {
+        res.status(400).json({ error: `Playbook "${playbookId}" not found.` });
+        return;
+      }
+    }
 
-  const allIssues = [];
-  let issueIndex = 0;
+    const party = findParty(prepared.text, req.query.party);
+    req.log.info("Document review requested", { clauseCount: prepared.clauses.length, paragraphCount: prepared.paragraphs.length });
 
-  try {
-    // Process each clause
-    for (let i = 0; i < clauses.length; i++) {
-      const clause = clauses[i];
-      
-      // Send progress event
-      res.write(`data: ${JSON.stringify({ type: "progress", clauseIndex: i, totalClauses: clauses.length, message: `Analyzing clause ${i + 1} of ${clauses.length}...` })}\n\n`);
-      
-      console.log(`[/api/review-stream] Analyzing clause ${i + 1}/${clauses.length} (${clause.length} chars)`);
-      
-      // Analyze this clause
-      const issue = await analyzeClause({
-        clause,
-        clauseIndex: i,
-        totalClauses: clauses.length,
+    let result;
+    try {
+      result = await reviewDocx(prepared, {
+        reviewer,
+        meter: meterFor(req),
+        author: typeof author === "string" && author.trim() ? author.trim().slice(0, 80) : DOCX_AUTHOR,
         instructions,
         riskProfile,
+        party,
+        playbook,
+        pseudonymizer: pseudonymizerFor(req, { text: prepared.text, party }),
+        // Nobody is left to receive the file once the client goes away
+        signal: abortOnDisconnect(res),
+        log: req.log,
       });
-
-      if (issue && issue.type !== "none") {
-        issue.index = issueIndex;
-        issue.clauseIndex = i;
-        issueIndex++;
-        allIssues.push(issue);
-        
-        console.log(`[/api/review-stream] Found issue in clause ${i + 1}:`, issue.type);
-        
-        // Stream the issue immediately
-        res.write(`data: ${JSON.stringify({ type: "issue", issue, clauseIndex: i, totalClauses: clauses.length })}\n\n`);
+    } catch (error) {
+      // Writing the revisions or repacking the file failed
+      req.log.error("Document review failed", { error: error.message });
+      if (!res.headersSent) {
+        res.status(500).json({ error: error.message || "Document review failed." });
       }
+      return;
     }
 
-    // Send completion event
-    res.write(`data: ${JSON.stringify({ type: "complete", totalIssues: allIssues.length, totalClauses: clauses.length })}\n\n`);
-    console.log("[/api/review-stream] Complete. Found", allIssues.length, "issues in", clauses.length, "clauses");
-    
+    if (result.status === "cancelled") {
+      res.end();
+      return;
+    }
+    if (result.status === "failed") {
+      res.status(500).json({ error: result.error || "Document review failed." });
+      return;
+    }
+
+    const { buffer, ...report } = result;
+    if (format === "json") {
+      res.json({ ...report, document: buffer.toString("base64") });
+      return;
+    }
+
+    const name = (documentFor(req) || "document").replace(/\.docx$/i, "").replace(/[^\w .-]+/g, "_");
+    res.setHeader("Content-Type", DOCX_CONTENT_TYPE);
+    res.setHeader("Content-Disposition", `attachment; filename="${name}-reviewed.docx"`);
+    res.setHeader("X-Issue-Count", String(report.summary.totalIssues));
+    res.setHeader("X-Applied-Count", String(report.summary.appliedIssues));
+    res.send(buffer);
+  }
+);
+
+// ========================================
+// Counterparty Changes
+// ========================================
+
+const MAX_CHANGES = Number(process.env.MAX_CHANGES ?? 200);
+
+// The other side's tracked changes, read by the pane, each classified as
+// accept, reject or counter under our risk posture. Body: changes
+// [{ id, type, author, date, text, paragraph, sectionNumber }], instructions, riskProfile,
+// playbookId, party, redact, document.
+app.post("/api/evaluate-changes", requireScope("review"), async (req, res) => {
+  const { changes, instructions, riskProfile, playbookId } = req.body || {};
+
+  if (!Array.isArray(changes) || !changes.length) {
+    res.status(400).json({ error: "No tracked changes to evaluate." });
+    return;
+  }
+  if (changes.length > MAX_CHANGES) {
+    res.status(400).json({ error: `At most ${MAX_CHANGES} changes can be evaluated at once.` });
+    return;
+  }
+  const invalid = changes.findIndex((change) => !change || typeof change.id !== "string" || !change.id || typeof change.text !== "string" || !CHANGE_TYPES.has(change.type));
+  if (invalid >= 0) {
+    res.status(400).json({ error: `Change ${invalid} needs an id, text and a type of ${[...CHANGE_TYPES].join(", ")}.` });
+    return;
+  }
+  if (new Set(changes.map((change) => change.id)).size !== changes.length) {
+    res.status(400).json({ error: "Change IDs must be unique." });
+    return;
+  }
+
+  let playbook = null;
+  if (playbookId) {
+    try {
+      playbook = getPlaybook(playbookId);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+    if (!playbook) {
+      res.status(400).json({ error: `Playbook "${playbookId}" not found.` });
+      return;
+    }
+  }
+
+  const party = normalizeParty(req.body.party);
+  const text = changes.map((change) => `${change.paragraph || ""}\n${change.text}`).join("\n");
+  const pseudonymizer = pseudonymizerFor(req, { text, party });
+  // Number placeholders in document order before the groups run concurrently
+  pseudonymizer?.redact(text);
+  const meter = meterFor(req);
+  req.log.info("Change evaluation requested", { changeCount: changes.length });
+
+  try {
+    const result = await changeEvaluator.evaluateChanges(
+      { changes, instructions, riskProfile, party, playbook, pseudonymizer },
+      { onUsage: meter.add, signal: abortOnDisconnect(res), log: req.log }
+    );
+    res.json({ ...result, usage: meter.summary(), redaction: pseudonymizer?.summary() || null });
   } catch (error) {
-    console.error("[/api/review-stream] Error:", error.message);
-    res.write(`data: ${JSON.stringify({ type: "error", message: error.message || "Analysis failed." })}\n\n`);
+    if (!res.headersSent && !res.destroyed) {
+      res.status(500).json({ error: error.message || "AI request failed." });
+    }
+  } finally {
+    meter.record();
   }
+});
 
-  res.end();
+// ========================================
+// Comment Replies
+// ========================================
+
+// A drafted reply to one comment in the document, for the user to edit and
+// post. Body: comment { author, text, anchorText, paragraph, replies
+// [{ author, text }] }, instructions, riskProfile, playbookId, party, redact, document.
+app.post("/api/draft-reply", requireScope("review"), async (req, res) => {
+  const { comment, instructions, riskProfile, playbookId } = req.body || {};
+
+  if (!comment || typeof comment.text !== "string" || !comment.text.trim()) {
+    res.status(400).json({ error: "Missing comment text." });
+    return;
+  }
+  if (comment.replies != null && !(Array.isArray(comment.replies) && comment.replies.every((reply) => typeof reply?.text === "string"))) {
+    res.status(400).json({ error: "comment.replies must be a list of { author, text }." });
+    return;
+  }
+
+  let playbook = null;
+  if (playbookId) {
+    try {
+      playbook = getPlaybook(playbookId);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+    if (!playbook) {
+      res.status(400).json({ error: `Playbook "${playbookId}" not found.` });
+      return;
+    }
+  }
+
+  const party = normalizeParty(req.body.party);
+  const text = [comment.paragraph, comment.anchorText, comment.text, ...(comment.replies || []).map((reply) => reply.text)].filter(Boolean).join("\n");
+  const pseudonymizer = pseudonymizerFor(req, { text, party });
+  const meter = meterFor(req);
+
+  try {
+    const result = await commentResponder.draftReply(
+      { comment, instructions, riskProfile, party, playbook, pseudonymizer },
+      { onUsage: meter.add, signal: abortOnDisconnect(res), log: req.log }
+    );
+    res.json({ ...result, usage: meter.summary(), redaction: pseudonymizer?.summary() || null });
+  } catch (error) {
+    if (!res.headersSent && !res.destroyed) {
+      res.status(500).json({ error: error.message || "AI request failed." });
+    }
+  } finally {
+    meter.record();
+  }
+});
+
+// ========================================
+// Batches
+// ========================================
+
+const BATCH_MAX_FILES = Number(process.env.BATCH_MAX_FILES) || 500;
+const SUMMARY_FORMATS = ["json", "csv", "xlsx"];
+
+// Batches follow the same ownership rule as review jobs
+function batchFor(req, res) {
+  const batch = getBatch(req.params.id);
+  if (!batch || !canAccessJob(req, batch)) {
+    res.status(404).json({ error: "Batch not found." });
+    return null;
+  }
+  return batch;
+}
+
+function batchFileFor(req, res, batch) {
+  const file = batch.files.find((entry) => entry.name === req.params.name);
+  if (!file) {
+    res.status(404).json({ error: "File not found in this batch." });
+    return null;
+  }
+  return file;
+}
+
+// Create an empty batch, then upload its files and start it
+app.post("/api/batches", requireScope("review"), (req, res) => {
+  const batch = createBatch({ owner: req.auth?.tokenId, user: req.auth?.name });
+  req.log.info("Batch created", { batchId: batch.id });
+  res.status(201).json({ batch: describeBatch(batch) });
+});
+
+app.get("/api/batches", requireScope("review"), (req, res) => {
+  const isAdmin = Boolean(req.auth?.scopes.includes("admin"));
+  const limit = Math.min(Number(req.query.limit) || 50, 500);
+  const batches = listBatches({ owner: req.auth && !isAdmin ? req.auth.tokenId : undefined }).slice(0, limit);
+  res.json({ batches: batches.map(describeBatch) });
+});
+
+// Upload one agreement (.docx or .txt) as the raw request body
+app.put(
+  "/api/batches/:id/files/:name",
+  requireScope("review"),
+  express.raw({ type: () => true, limit: `${DOCX_MAX_MB}mb` }),
+  (req, res) => {
+    const batch = batchFor(req, res);
+    if (!batch) {
+      return;
+    }
+    if (batch.status !== "open") {
+      res.status(409).json({ error: `Batch already ${batch.status}.` });
+      return;
+    }
+
+    const name = safeFileName(req.params.name);
+    if (!name) {
+      res.status(400).json({ error: "Only .docx and .txt files can be reviewed." });
+      return;
+    }
+    if (!Buffer.isBuffer(req.body) || !req.body.length) {
+      res.status(400).json({ error: "Send the file as the request body." });
+      return;
+    }
+    if (batch.files.length >= BATCH_MAX_FILES && !batch.files.some((file) => file.name === name)) {
+      res.status(400).json({ error: `A batch holds at most ${BATCH_MAX_FILES} files.` });
+      return;
+    }
+
+    res.status(201).json({ file: addBatchFile(batch, name, req.body) });
+  }
+);
+
+// Review every uploaded file. Body: riskProfile, instructions, playbookId,
+// party (role or name, matched in each agreement), author, redact, watchlist.
+// The batch runs on after this returns; poll GET /api/batches/:id.
+app.post("/api/batches/:id/start", requireScope("review"), (req, res) => {
+  const batch = batchFor(req, res);
+  if (!batch) {
+    return;
+  }
+  if (batch.status !== "open") {
+    res.status(409).json({ error: `Batch already ${batch.status}.` });
+    return;
+  }
+  if (!batch.files.length) {
+    res.status(400).json({ error: "Upload at least one file before starting the batch." });
+    return;
+  }
+
+  const { riskProfile, instructions, playbookId, party, author } = req.body || {};
+  let playbook = null;
+  if (playbookId) {
+    try {
+      playbook = getPlaybook(playbookId);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+    if (!playbook) {
+      res.status(400).json({ error: `Playbook "${playbookId}" not found.` });
+      return;
+    }
+  }
+
+  const options = {
+    riskProfile: riskProfile || "balanced",
+    instructions: typeof instructions === "string" ? instructions : "",
+    playbookId: playbook?.id || null,
+    party: typeof party === "string" ? party : null,
+    author: typeof author === "string" && author.trim() ? author.trim().slice(0, 80) : DOCX_AUTHOR,
+    redact: redactionRequested(req),
+  };
+  startBatch(batch, options);
+  const log = req.log.child({ batchId: batch.id });
+  log.info("Batch started", { fileCount: batch.files.length });
+
+  let failed = 0;
+  runBatch(batch.files.map((file) => ({ name: file.name, read: () => readBatchFile(batch, file.name) })), {
+    reviewer,
+    meterFor: (name) => createUsageMeter({ auth: req.auth, endpoint: "/api/batches", document: name }),
+    author: options.author,
+    instructions: options.instructions,
+    riskProfile: options.riskProfile,
+    party: options.party,
+    playbook,
+    pseudonymizerFor: (context) => pseudonymizerFor(req, context),
+    signal: batch.controller.signal,
+    log,
+    onStart: (file) => updateBatchFile(batch, file.name, { status: "running" }),
+    onResult: (result) => {
+      saveBatchResult(batch, result);
+      const row = summaryRow(result);
+      failed += result.status === "failed" ? 1 : 0;
+      updateBatchFile(batch, result.document, { status: result.status, issues: row.issues, high: row.high, medium: row.medium, low: row.low, error: row.error || undefined });
+    },
+  })
+    .then(() => {
+      const status = batch.controller.signal.aborted ? "cancelled" : failed === batch.files.length ? "failed" : "complete";
+      finishBatch(batch, status);
+      log.info("Batch finished", { status, failed });
+    })
+    .catch((error) => {
+      log.error("Batch failed", { error: error.message });
+      finishBatch(batch, "failed");
+    });
+
+  res.status(202).json({ batch: describeBatch(batch) });
+});
+
+app.get("/api/batches/:id", requireScope("review"), (req, res) => {
+  const batch = batchFor(req, res);
+  if (batch) {
+    res.json({ batch: describeBatch(batch) });
+  }
+});
+
+// Portfolio summary of the documents reviewed so far: ?format=json (default), csv or xlsx
+app.get("/api/batches/:id/summary", requireScope("review"), (req, res) => {
+  const batch = batchFor(req, res);
+  if (!batch) {
+    return;
+  }
+  const format = req.query.format || "json";
+  if (!SUMMARY_FORMATS.includes(format)) {
+    res.status(400).json({ error: `Unknown format "${format}"; use ${SUMMARY_FORMATS.join(", ")}.` });
+    return;
+  }
+
+  const results = batchResults(batch);
+  const rows = results.map(summaryRow);
+  if (format === "json") {
+    res.json({ batch: describeBatch(batch), rows });
+    return;
+  }
+
+  const filename = `portfolio-${batch.id.slice(0, 8)}.${format}`;
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  if (format === "csv") {
+    res.type("text/csv").send(portfolioCsv(rows));
+  } else {
+    res.type(XLSX_CONTENT_TYPE).send(toXlsx(rows, issueRows(results)));
+  }
+});
+
+app.get("/api/batches/:id/files/:name/result", requireScope("review"), (req, res) => {
+  const batch = batchFor(req, res);
+  const file = batch && batchFileFor(req, res, batch);
+  if (!file) {
+    return;
+  }
+  const result = getBatchResult(batch, file.name);
+  if (!result) {
+    res.status(409).json({ error: `File is ${file.status}; it has no result yet.` });
+    return;
+  }
+  res.json(result);
+});
+
+// The redlined .docx for a Word file in the batch
+app.get("/api/batches/:id/files/:name/reviewed", requireScope("review"), (req, res) => {
+  const batch = batchFor(req, res);
+  const file = batch && batchFileFor(req, res, batch);
+  if (!file) {
+    return;
+  }
+  const reviewed = reviewedPath(batch, file.name);
+  if (!reviewed) {
+    res.status(404).json({ error: "No reviewed document for this file." });
+    return;
+  }
+  res.setHeader("Content-Type", DOCX_CONTENT_TYPE);
+  res.setHeader("Content-Disposition", `attachment; filename="${reviewedName(file.name)}"`);
+  res.sendFile(reviewed);
+});
+
+app.post("/api/batches/:id/cancel", requireScope("review"), (req, res) => {
+  const batch = batchFor(req, res);
+  if (!batch) {
+    return;
+  }
+  if (!cancelBatch(batch)) {
+    res.status(409).json({ error: `Batch is ${batch.status}.` });
+    return;
+  }
+  req.log.info("Batch cancel requested", { batchId: batch.id });
+  res.status(202).json({ batch: describeBatch(batch) });
+});
+
+app.delete("/api/batches/:id", requireScope("review"), (req, res) => {
+  const batch = batchFor(req, res);
+  if (!batch) {
+    return;
+  }
+  if (!deleteBatch(batch)) {
+    res.status(409).json({ error: "Cancel the batch before deleting it." });
+    return;
+  }
+  res.sendStatus(204);
+});
+
+// ========================================
+// Cross-references
+// ========================================
+
+// Validate section and exhibit references across a whole document without running a review
+app.post("/api/validate-references", requireScope("review"), (req, res) => {
+  const { text, paragraphs } = req.body || {};
+
+  if (!(Array.isArray(paragraphs) && paragraphs.length) && (!text || typeof text !== "string")) {
+    res.status(400).json({ error: "Missing contract text." });
+    return;
+  }
+
+  const issues = validateCrossReferences(Array.isArray(paragraphs) && paragraphs.length ? paragraphs : paragraphsFromText(text));
+  res.json({ issues });
+});
+
+// ========================================
+// Parties
+// ========================================
+
+// Parties and roles named in the preamble, for choosing who we represent
+app.post("/api/parties", requireScope("review", "chat"), (req, res) => {
+  const { text } = req.body || {};
+
+  if (!text || typeof text !== "string") {
+    res.status(400).json({ error: "Missing contract text." });
+    return;
+  }
+
+  res.json({ parties: detectParties(text) });
+});
+
+// ========================================
+// Negotiation Playbooks
+// ========================================
+
+app.get("/api/playbooks", requireScope("review", "chat"), (req, res) => {
+  try {
+    res.json({ playbooks: listPlaybooks() });
+  } catch (error) {
+    res.status(500).json({ error: error.message || "Could not list playbooks." });
+  }
+});
+
+app.get("/api/playbooks/:id", requireScope("review", "chat"), (req, res) => {
+  try {
+    const playbook = getPlaybook(req.params.id);
+    if (!playbook) {
+      res.status(404).json({ error: "Playbook not found." });
+      return;
+    }
+    res.json(playbook);
+  } catch (error) {
+    res.status(500).json({ error: error.message || "Could not read playbook." });
+  }
+});
+
+app.post("/api/playbooks", requireScope("admin"), (req, res) => {
+  const { playbook, error } = validatePlaybook(req.body);
+  if (error) {
+    res.status(400).json({ error });
+    return;
+  }
+  if (getPlaybook(playbook.id)) {
+    res.status(409).json({ error: `Playbook "${playbook.id}" already exists.` });
+    return;
+  }
+
+  try {
+    res.status(201).json(savePlaybook(playbook, { format: req.query.format }));
+  } catch (saveError) {
+    res.status(500).json({ error: saveError.message || "Could not save playbook." });
+  }
+});
+
+app.put("/api/playbooks/:id", requireScope("admin"), (req, res) => {
+  const { playbook, error } = validatePlaybook({ ...req.body, id: req.params.id });
+  if (error) {
+    res.status(400).json({ error });
+    return;
+  }
+
+  try {
+    res.json(savePlaybook(playbook, { format: req.query.format }));
+  } catch (saveError) {
+    res.status(500).json({ error: saveError.message || "Could not save playbook." });
+  }
+});
+
+app.delete("/api/playbooks/:id", requireScope("admin"), (req, res) => {
+  try {
+    if (!deletePlaybook(req.params.id)) {
+      res.status(404).json({ error: "Playbook not found." });
+      return;
+    }
+    res.sendStatus(204);
+  } catch (error) {
+    res.status(500).json({ error: error.message || "Could not delete playbook." });
+  }
+});
+
+// ========================================
+// Approved Clause Library
+// ========================================
+
+app.get("/api/clause-library", requireScope("review", "chat"), (req, res) => {
+  try {
+    res.json({ clauses: listClauses({ tag: req.query.tag }) });
+  } catch (error) {
+    res.status(500).json({ error: error.message || "Could not list clauses." });
+  }
+});
+
+app.post("/api/clause-library/search", requireScope("review", "chat"), (req, res) => {
+  const { text, tag, limit } = req.body || {};
+  if (!text || typeof text !== "string") {
+    res.status(400).json({ error: "Missing search text." });
+    return;
+  }
+
+  try {
+    res.json({ results: searchClauses(text, { tag, limit: Number(limit) || 5 }) });
+  } catch (error) {
+    res.status(500).json({ error: error.message || "Search failed." });
+  }
+});
+
+app.get("/api/clause-library/:id", requireScope("review", "chat"), (req, res) => {
+  const clause = getClause(req.params.id);
+  if (!clause) {
+    res.status(404).json({ error: "Clause not found." });
+    return;
+  }
+  res.json(clause);
+});
+
+app.post("/api/clause-library", requireScope("admin"), (req, res) => {
+  try {
+    const { clause, error } = addClause(req.body || {});
+    if (error) {
+      res.status(400).json({ error });
+      return;
+    }
+    res.status(201).json(clause);
+  } catch (error) {
+    res.status(500).json({ error: error.message || "Could not add clause." });
+  }
+});
+
+app.put("/api/clause-library/:id", requireScope("admin"), (req, res) => {
+  try {
+    const { clause, error, notFound } = updateClause(req.params.id, req.body || {});
+    if (notFound) {
+      res.status(404).json({ error: "Clause not found." });
+      return;
+    }
+    if (error) {
+      res.status(400).json({ error });
+      return;
+    }
+    res.json(clause);
+  } catch (error) {
+    res.status(500).json({ error: error.message || "Could not update clause." });
+  }
+});
+
+app.delete("/api/clause-library/:id", requireScope("admin"), (req, res) => {
+  try {
+    if (!deleteClause(req.params.id)) {
+      res.status(404).json({ error: "Clause not found." });
+      return;
+    }
+    res.sendStatus(204);
+  } catch (error) {
+    res.status(500).json({ error: error.message || "Could not delete clause." });
+  }
+});
+
+// ========================================
+// Client Logs
+// ========================================
+
+const MAX_CLIENT_LOG_ENTRIES = 100;
+const clientLog = createLogger({ file: "taskpane.log" });
+
+// Batches from the task pane's logger; redacted again here rather than trusting the client
+app.post("/api/client-logs", requireScope("review", "chat"), (req, res) => {
+  const entries = req.body?.entries;
+  if (!Array.isArray(entries)) {
+    res.status(400).json({ error: "entries must be an array." });
+    return;
+  }
+
+  entries.slice(0, MAX_CLIENT_LOG_ENTRIES).forEach((entry) => {
+    if (!entry || typeof entry !== "object") return;
+    const { ts, level, msg, ...fields } = entry;
+    const write = LEVELS[level] ? clientLog[level] : clientLog.info;
+    // An entry about a review or chat call keeps that call's request ID; the rest get this upload's
+    write(String(msg ?? "").slice(0, 500), { ...fields, clientTs: ts, user: req.auth?.name, requestId: fields.requestId || req.id });
+  });
+  res.sendStatus(204);
+});
+
+// ========================================
+// Review Cache (admin)
+// ========================================
+
+app.get("/api/cache", requireScope("admin"), (req, res) => {
+  try {
+    res.json(describeCache({ limit: Number(req.query.limit ?? 50) }));
+  } catch (error) {
+    res.status(500).json({ error: error.message || "Could not read cache." });
+  }
+});
+
+app.get("/api/cache/:key", requireScope("admin"), (req, res) => {
+  const entry = getCacheEntry(req.params.key);
+  if (!entry) {
+    res.status(404).json({ error: "Cache entry not found." });
+    return;
+  }
+  res.json(entry);
+});
+
+// Purge everything, or only entries older than ?olderThanHours=N
+app.delete("/api/cache", requireScope("admin"), (req, res) => {
+  const olderThanHours = req.query.olderThanHours != null ? Number(req.query.olderThanHours) : undefined;
+  if (olderThanHours !== undefined && !Number.isFinite(olderThanHours)) {
+    res.status(400).json({ error: "olderThanHours must be a number." });
+    return;
+  }
+  try {
+    res.json({ removed: purgeCache({ olderThanHours }) });
+  } catch (error) {
+    res.status(500).json({ error: error.message || "Could not purge cache." });
+  }
+});
+
+app.delete("/api/cache/:key", requireScope("admin"), (req, res) => {
+  try {
+    if (!deleteCacheEntry(req.params.key)) {
+      res.status(404).json({ error: "Cache entry not found." });
+      return;
+    }
+    res.sendStatus(204);
+  } catch (error) {
+    res.status(500).json({ error: error.message || "Could not delete cache entry." });
+  }
+});
+
+// ========================================
+// Usage (admin)
+// ========================================
+
+// Token and cost totals, filtered by ?user, ?endpoint, ?document, ?from and ?to
+// (ISO timestamps, or YYYY-MM-DD for whole days)
+app.get("/api/usage", requireScope("admin"), (req, res) => {
+  const from = parseDateFilter(req.query.from);
+  const to = parseDateFilter(req.query.to, { endOfDay: true });
+  if (from === null || to === null) {
+    res.status(400).json({ error: "from and to must be dates (YYYY-MM-DD) or ISO timestamps." });
+    return;
+  }
+
+  // Accept "review-stream" as well as "/api/review-stream"
+  const endpoint = req.query.endpoint && !req.query.endpoint.startsWith("/")
+    ? `/api/${req.query.endpoint}`
+    : req.query.endpoint;
+
+  try {
+    res.json(queryUsage({
+      user: req.query.user,
+      endpoint,
+      document: req.query.document,
+      from,
+      to,
+      limit: Number(req.query.limit ?? 100),
+    }));
+  } catch (error) {
+    res.status(500).json({ error: error.message || "Could not read usage." });
+  }
 });
 
 const port = process.env.PORT || 8787;
 
+if (!authRequired()) {
+  logger.warn("AUTH_REQUIRED=false: accepting anonymous requests. Do not expose this server.");
+} else if (!hasActiveTokens()) {
+  logger.warn("No API tokens issued yet; create one with: npm run tokens -- create --name <name>");
+}
+
 // Try HTTPS first, fall back to HTTP
 const certPath = path.join(__dirname, "..", "certs", "dev.crt");
 const keyPath = path.join(__dirname, "..", "certs", "dev.key");
@@ -801,10 +1475,10 @@ if (fs.existsSync(certPath) && fs.existsSync(keyPath)) {
     cert: fs.readFileSync(certPath),
   };
   https.createServer(httpsOptions, app).listen(port, () => {
-    console.log(`Goosefarm server running on https://localhost:${port}`);
+    logger.info(`Goosefarm server running on https://localhost:${port}`);
   });
 } else {
   app.listen(port, () => {
-    console.log(`Goosefarm server running on http://localhost:${port} (no certs found)`);
+    logger.info(`Goosefarm server running on http://localhost:${port} (no certs found)`);
   });
 }
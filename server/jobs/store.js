@@ -0,0 +1,304 @@
+/**
+ * Review jobs.
+ *
+ * A job owns one review run and the numbered events it produced. Events are
+ * appended to <JOBS_DIR>/<id>.events.jsonl as they happen and pushed to every
+ * connected subscriber, so a client that loses its connection can come back
+ * with Last-Event-ID and receive only what it missed. Job metadata lives in
+ * <id>.json. Jobs that were still running when the server stopped are marked
+ * interrupted on the next start; finished jobs expire after JOB_TTL_HOURS.
+ *
+ * A running job nobody is listening to is cancelled after
+ * JOB_ORPHAN_TIMEOUT_MS, so a closed pane does not keep spending tokens.
+ */
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import { logger } from "../logging/logger.js";
+
+const log = logger.child({ component: "jobs" });
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_JOBS_DIR = path.join(__dirname, "..", "..", ".data", "jobs");
+
+export const FINISHED_STATUSES = new Set(["complete", "failed", "cancelled", "interrupted"]);
+
+const ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+const jobs = new Map();
+let loadedDir = null;
+
+function settings() {
+  return {
+    dir: process.env.JOBS_DIR ? path.resolve(process.env.JOBS_DIR) : DEFAULT_JOBS_DIR,
+    ttlMs: Number(process.env.JOB_TTL_HOURS ?? 24) * 60 * 60 * 1000,
+    orphanMs: Number(process.env.JOB_ORPHAN_TIMEOUT_MS ?? 120000),
+  };
+}
+
+function metaPath(dir, id) {
+  return path.join(dir, `${id}.json`);
+}
+
+function eventsPath(dir, id) {
+  return path.join(dir, `${id}.events.jsonl`);
+}
+
+/**
+ * What is stored and returned by the API; runtime fields (events, subscribers,
+ * abort controller) stay in memory.
+ */
+export function describeJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    user: job.user,
+    document: job.document,
+    totalClauses: job.totalClauses,
+    lastEventId: job.lastEventId,
+    summary: job.summary,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    finishedAt: job.finishedAt,
+    owner: job.owner,
+    requestId: job.requestId,
+  };
+}
+
+function writeMeta(job) {
+  const { dir } = settings();
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(metaPath(dir, job.id), JSON.stringify(describeJob(job)));
+  } catch (error) {
+    log.warn("Could not save job", { jobId: job.id, error: error.message });
+  }
+}
+
+function removeFiles(dir, id) {
+  fs.rmSync(metaPath(dir, id), { force: true });
+  fs.rmSync(eventsPath(dir, id), { force: true });
+}
+
+// Jobs from a previous run of the server; the ones cut off mid-review get a closing error event
+function load(dir) {
+  jobs.clear();
+  loadedDir = dir;
+  if (!fs.existsSync(dir)) {
+    return;
+  }
+
+  for (const file of fs.readdirSync(dir)) {
+    const id = file.replace(/\.json$/, "");
+    if (file === id || !ID_PATTERN.test(id)) {
+      continue;
+    }
+    try {
+      const job = { ...JSON.parse(fs.readFileSync(path.join(dir, file), "utf8")), events: null, subscribers: new Set() };
+      jobs.set(id, job);
+      if (!FINISHED_STATUSES.has(job.status)) {
+        // Metadata is only rewritten when a job finishes; the event log is current
+        job.lastEventId = eventsAfter(job).at(-1)?.id || 0;
+        appendEvent(job, { type: "error", message: "The server restarted before this review finished. Run it again; unchanged clauses come from the cache." });
+        finishJob(job, "interrupted");
+      }
+    } catch (error) {
+      log.warn("Skipping unreadable job", { file, error: error.message });
+    }
+  }
+  log.info("Loaded review jobs", { count: jobs.size });
+}
+
+function ensureLoaded() {
+  const { dir } = settings();
+  if (loadedDir !== dir) {
+    load(dir);
+  }
+  pruneJobs();
+}
+
+/**
+ * Remove finished jobs older than JOB_TTL_HOURS (0 keeps them forever).
+ */
+export function pruneJobs() {
+  const { dir, ttlMs } = settings();
+  if (!ttlMs) {
+    return;
+  }
+  const cutoff = Date.now() - ttlMs;
+  for (const job of jobs.values()) {
+    if (FINISHED_STATUSES.has(job.status) && Date.parse(job.finishedAt || job.updatedAt) < cutoff) {
+      jobs.delete(job.id);
+      removeFiles(dir, job.id);
+    }
+  }
+}
+
+function armOrphanTimer(job) {
+  const { orphanMs } = settings();
+  clearTimeout(job.orphanTimer);
+  if (!orphanMs || FINISHED_STATUSES.has(job.status)) {
+    return;
+  }
+  job.orphanTimer = setTimeout(() => {
+    if (!job.subscribers.size && !FINISHED_STATUSES.has(job.status)) {
+      log.warn("Cancelling review job nobody is listening to", { jobId: job.id, orphanMs });
+      job.controller?.abort();
+    }
+  }, orphanMs);
+  job.orphanTimer.unref?.();
+}
+
+/**
+ * @param {Object} fields
+ * @param {string|null} fields.owner - Token ID allowed to read the job (null when auth is off)
+ * @param {string} [fields.user] - Token name, for listings
+ * @param {string|null} [fields.document] - Document name sent by the pane
+ * @param {number} [fields.totalClauses]
+ * @param {string} [fields.requestId] - ID of the request that started the job, stamped on its events
+ */
+export function createJob({ owner, user, document, totalClauses, requestId }) {
+  ensureLoaded();
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    status: "running",
+    owner: owner ?? null,
+    user: user || "anonymous",
+    document: document || null,
+    totalClauses: totalClauses || 0,
+    requestId: requestId || null,
+    lastEventId: 0,
+    summary: null,
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null,
+    events: [],
+    subscribers: new Set(),
+    controller: new AbortController(),
+    orphanTimer: null,
+  };
+
+  jobs.set(job.id, job);
+  writeMeta(job);
+  // The creator is expected to subscribe straight away
+  armOrphanTimer(job);
+  return job;
+}
+
+export function getJob(id) {
+  ensureLoaded();
+  return jobs.get(id) || null;
+}
+
+/**
+ * Jobs, newest first.
+ * @param {Object} [filter]
+ * @param {string|null} [filter.owner] - Only this token's jobs; undefined lists all
+ */
+export function listJobs({ owner } = {}) {
+  ensureLoaded();
+  return [...jobs.values()]
+    .filter((job) => owner === undefined || job.owner === owner)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Number the event, store it and push it to subscribers. Events carry the ID
+ * of the request that started the job, matching its server log lines.
+ * @returns {{ id: number, event: Object }}
+ */
+export function appendEvent(job, event) {
+  const entry = { id: job.lastEventId + 1, event: { ...event, jobId: job.id, ...(job.requestId && { requestId: job.requestId }) } };
+  job.lastEventId = entry.id;
+  job.updatedAt = new Date().toISOString();
+  job.events?.push(entry);
+
+  try {
+    const { dir } = settings();
+    fs.mkdirSync(dir, { recursive: true });
+    fs.appendFileSync(eventsPath(dir, job.id), `${JSON.stringify(entry)}\n`);
+  } catch (error) {
+    log.warn("Could not save job event", { jobId: job.id, error: error.message });
+  }
+
+  for (const listener of job.subscribers) {
+    listener(entry);
+  }
+  return entry;
+}
+
+/**
+ * Events after `lastEventId`, oldest first.
+ */
+export function eventsAfter(job, lastEventId = 0) {
+  let events = job.events;
+  if (!events) {
+    try {
+      const raw = fs.readFileSync(eventsPath(settings().dir, job.id), "utf8");
+      events = raw.split("\n").filter(Boolean).map((line) => JSON.parse(line));
+    } catch (error) {
+      events = [];
+    }
+  }
+  return events.filter((entry) => entry.id > lastEventId);
+}
+
+/**
+ * Receive each new event, then `null` once the job has finished.
+ * @returns {() => void} Unsubscribe
+ */
+export function subscribe(job, listener) {
+  job.subscribers.add(listener);
+  clearTimeout(job.orphanTimer);
+  return () => {
+    job.subscribers.delete(listener);
+    if (!job.subscribers.size) {
+      armOrphanTimer(job);
+    }
+  };
+}
+
+/**
+ * Record the final status and close every subscriber's stream.
+ * @param {Object} job
+ * @param {"complete"|"failed"|"cancelled"|"interrupted"} status
+ * @param {Object} [summary] - Totals reported by the run
+ */
+export function finishJob(job, status, summary = null) {
+  clearTimeout(job.orphanTimer);
+  job.status = status;
+  job.summary = summary;
+  job.finishedAt = new Date().toISOString();
+  job.updatedAt = job.finishedAt;
+  writeMeta(job);
+  for (const listener of job.subscribers) {
+    listener(null);
+  }
+}
+
+/**
+ * Ask a running job to stop; the run reports `cancelled` when it has wound down.
+ * @returns {boolean} False when the job had already finished
+ */
+export function cancelJob(job) {
+  if (FINISHED_STATUSES.has(job.status) || !job.controller) {
+    return false;
+  }
+  job.controller.abort();
+  return true;
+}
+
+/**
+ * Delete a finished job and its events.
+ * @returns {boolean} False when the job is still running
+ */
+export function deleteJob(job) {
+  if (!FINISHED_STATUSES.has(job.status)) {
+    return false;
+  }
+  jobs.delete(job.id);
+  removeFiles(settings().dir, job.id);
+  return true;
+}
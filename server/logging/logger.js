@@ -0,0 +1,114 @@
+/**
+ * Structured logger.
+ *
+ * Every entry is one JSON line, { ts, level, msg, ...fields }, appended to a
+ * file in LOG_DIR (default logs/) and echoed to the console. Files rotate once
+ * they pass LOG_MAX_MB: server.log -> server.log.1 -> ... -> server.log.N.
+ * Contract text, anchors and chat content are redacted unless LOG_REDACT=false;
+ * credentials are always redacted.
+ */
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { redact } from "../../src/shared/redact.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_LOG_DIR = path.join(__dirname, "..", "..", "logs");
+
+export const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+function settings() {
+  return {
+    dir: process.env.LOG_DIR ? path.resolve(process.env.LOG_DIR) : DEFAULT_LOG_DIR,
+    level: LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info,
+    redactContent: process.env.LOG_REDACT !== "false",
+    console: process.env.LOG_CONSOLE !== "false",
+    maxBytes: (Number(process.env.LOG_MAX_MB) || 10) * 1024 * 1024,
+    maxFiles: Number(process.env.LOG_MAX_FILES ?? 5),
+  };
+}
+
+// One sink per file name, shared by every logger writing to it
+const sinks = new Map();
+
+function sinkFor(fileName) {
+  if (!sinks.has(fileName)) {
+    sinks.set(fileName, { size: null });
+  }
+  return sinks.get(fileName);
+}
+
+function rotate(filePath, maxFiles) {
+  for (let n = maxFiles - 1; n >= 1; n--) {
+    if (fs.existsSync(`${filePath}.${n}`)) {
+      fs.renameSync(`${filePath}.${n}`, `${filePath}.${n + 1}`);
+    }
+  }
+  if (maxFiles > 0) {
+    fs.renameSync(filePath, `${filePath}.1`);
+  } else {
+    fs.rmSync(filePath, { force: true });
+  }
+}
+
+function writeLine(fileName, line) {
+  const { dir, maxBytes, maxFiles } = settings();
+  const sink = sinkFor(fileName);
+  const filePath = path.join(dir, fileName);
+
+  try {
+    if (sink.size === null) {
+      fs.mkdirSync(dir, { recursive: true });
+      sink.size = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+    }
+    if (sink.size > 0 && sink.size + line.length > maxBytes) {
+      rotate(filePath, maxFiles);
+      sink.size = 0;
+    }
+    fs.appendFileSync(filePath, line);
+    sink.size += Buffer.byteLength(line);
+  } catch (error) {
+    // Logging must never take a request down; keep the console copy
+    sink.size = null;
+    process.stderr.write(`[logger] Could not write ${filePath}: ${error.message}\n`);
+  }
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.file="server.log"] - File name inside LOG_DIR
+ * @param {Object} [options.fields] - Added to every entry, e.g. { component } or { requestId }
+ * @returns {{ debug: Function, info: Function, warn: Function, error: Function, child: Function }}
+ */
+export function createLogger({ file = "server.log", fields = {} } = {}) {
+  function write(level, msg, extra) {
+    const config = settings();
+    if (LEVELS[level] < config.level) {
+      return;
+    }
+
+    const entry = {
+      ts: new Date().toISOString(),
+      level,
+      msg,
+      ...redact({ ...fields, ...extra }, { content: config.redactContent }),
+    };
+    const line = `${JSON.stringify(entry)}\n`;
+    writeLine(file, line);
+
+    if (config.console) {
+      (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line);
+    }
+  }
+
+  return {
+    debug: (msg, extra) => write("debug", msg, extra),
+    info: (msg, extra) => write("info", msg, extra),
+    warn: (msg, extra) => write("warn", msg, extra),
+    error: (msg, extra) => write("error", msg, extra),
+    /** Logger that adds `more` to every entry */
+    child: (more) => createLogger({ file, fields: { ...fields, ...more } }),
+  };
+}
+
+export const logger = createLogger();
@@ -0,0 +1,37 @@
+/**
+ * Request IDs and access logging.
+ *
+ * Each request gets an ID (the caller's X-Request-Id when it is sane, otherwise
+ * a new UUID), echoed in the X-Request-Id response header and in every SSE
+ * event, and a `req.log` logger that stamps it on every entry.
+ */
+import crypto from "crypto";
+import { logger } from "./logger.js";
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,64}$/;
+
+export function requestLogging() {
+  return (req, res, next) => {
+    const incoming = req.get("X-Request-Id");
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    req.log = logger.child({ requestId: req.id });
+    res.setHeader("X-Request-Id", req.id);
+
+    const started = Date.now();
+    res.once("close", () => {
+      const entry = {
+        method: req.method,
+        path: req.path,
+        status: res.statusCode,
+        durationMs: Date.now() - started,
+        user: req.auth?.name,
+      };
+      if (!res.writableFinished) {
+        req.log.warn("Client disconnected before the response finished", entry);
+      } else {
+        req.log[res.statusCode >= 500 ? "error" : "info"]("Request completed", entry);
+      }
+    });
+    next();
+  };
+}
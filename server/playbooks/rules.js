@@ -0,0 +1,74 @@
+/**
+ * Turning playbook rules into clause review instructions.
+ */
+
+// Keep prompts focused: only the rules most relevant to a clause are sent
+const MAX_RULES_PER_CLAUSE = 6;
+
+function ruleScore(rule, clauseLower) {
+  const terms = rule.keywords.length ? rule.keywords : rule.topic.split(/\s+/).filter((word) => word.length > 3);
+  return terms.reduce((score, term) => score + (clauseLower.includes(term.toLowerCase()) ? 1 : 0), 0);
+}
+
+/**
+ * Pick the playbook rules whose keywords (or topic words) appear in the clause.
+ */
+export function selectRulesForClause(playbook, clause) {
+  if (!playbook?.rules?.length) {
+    return [];
+  }
+  const clauseLower = clause.toLowerCase();
+  return playbook.rules
+    .map((rule, order) => ({ rule, order, score: ruleScore(rule, clauseLower) }))
+    .filter((entry) => entry.score > 0)
+    .sort((a, b) => b.score - a.score || a.order - b.order)
+    .slice(0, MAX_RULES_PER_CLAUSE)
+    .map((entry) => entry.rule);
+}
+
+/**
+ * Render rules as a system prompt section.
+ */
+export function formatRulesForPrompt(playbook, rules) {
+  if (!rules.length) {
+    return [];
+  }
+
+  const lines = [
+    "",
+    `**Organization Playbook (${playbook.name}) - these positions override general practice:**`,
+  ];
+
+  for (const rule of rules) {
+    lines.push("");
+    lines.push(`[${rule.id}] ${rule.topic} (default severity: ${rule.severity})`);
+    if (rule.preferredPosition) lines.push(`- Preferred position: ${rule.preferredPosition}`);
+    if (rule.fallbacks.length) lines.push(`- Acceptable fallbacks: ${rule.fallbacks.join("; ")}`);
+    if (rule.walkAway) lines.push(`- Walk-away point: ${rule.walkAway}`);
+    if (rule.approvedLanguage) lines.push(`- Approved replacement language: "${rule.approvedLanguage}"`);
+  }
+
+  lines.push("");
+  lines.push('When an issue is triggered by a playbook rule, set "playbookRuleId" to that rule\'s id in brackets (e.g. "liability-cap").');
+  lines.push("Prefer the approved replacement language for newText when it fits the clause.");
+
+  return lines;
+}
+
+/**
+ * Attach the triggering rule to an issue, dropping ids the model invented.
+ */
+export function attachPlaybookRule(issue, playbook) {
+  const ruleId = issue.playbookRuleId;
+  delete issue.playbookRuleId;
+
+  if (!ruleId || !playbook) {
+    return issue;
+  }
+
+  const rule = playbook.rules.find((entry) => entry.id === ruleId);
+  if (rule) {
+    issue.playbookRule = { playbookId: playbook.id, id: rule.id, topic: rule.topic };
+  }
+  return issue;
+}
@@ -0,0 +1,177 @@
+/**
+ * Negotiation playbooks stored as JSON or YAML files on disk.
+ *
+ * A playbook is a named list of rules, each capturing the organization's
+ * position on one topic:
+ *   { id, topic, keywords, preferredPosition, fallbacks, walkAway, approvedLanguage, severity }
+ */
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import YAML from "yaml";
+import { logger } from "../logging/logger.js";
+
+const log = logger.child({ component: "playbooks" });
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_PLAYBOOKS_DIR = path.join(__dirname, "..", "..", "playbooks");
+
+const EXTENSIONS = [".json", ".yaml", ".yml"];
+const ID_PATTERN = /^[a-z0-9][a-z0-9-_]{0,63}$/i;
+const SEVERITIES = ["low", "medium", "high"];
+
+function playbooksDir() {
+  return process.env.PLAYBOOKS_DIR ? path.resolve(process.env.PLAYBOOKS_DIR) : DEFAULT_PLAYBOOKS_DIR;
+}
+
+function parseFile(filePath) {
+  const raw = fs.readFileSync(filePath, "utf8");
+  return filePath.endsWith(".json") ? JSON.parse(raw) : YAML.parse(raw);
+}
+
+function findFile(id) {
+  if (!ID_PATTERN.test(id)) {
+    return null;
+  }
+  for (const extension of EXTENSIONS) {
+    const filePath = path.join(playbooksDir(), `${id}${extension}`);
+    if (fs.existsSync(filePath)) {
+      return filePath;
+    }
+  }
+  return null;
+}
+
+function toStringList(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : [value])
+    .filter((item) => typeof item === "string" && item.trim())
+    .map((item) => item.trim());
+}
+
+/**
+ * Check a playbook and return it in canonical form.
+ * @returns {{ playbook?: Object, error?: string }}
+ */
+export function validatePlaybook(input) {
+  if (!input || typeof input !== "object") {
+    return { error: "Playbook must be an object." };
+  }
+  if (!input.id || !ID_PATTERN.test(input.id)) {
+    return { error: "Playbook id must be 1-64 letters, digits, dashes or underscores." };
+  }
+  if (!input.name || typeof input.name !== "string") {
+    return { error: "Playbook name is required." };
+  }
+  if (!Array.isArray(input.rules)) {
+    return { error: "Playbook rules must be an array." };
+  }
+
+  const seen = new Set();
+  const rules = [];
+  for (const [index, rule] of input.rules.entries()) {
+    if (!rule || !rule.id || !rule.topic) {
+      return { error: `Rule ${index + 1} needs an id and a topic.` };
+    }
+    if (seen.has(rule.id)) {
+      return { error: `Duplicate rule id "${rule.id}".` };
+    }
+    seen.add(rule.id);
+
+    rules.push({
+      id: String(rule.id),
+      topic: String(rule.topic),
+      keywords: toStringList(rule.keywords),
+      preferredPosition: rule.preferredPosition || "",
+      fallbacks: toStringList(rule.fallbacks),
+      walkAway: rule.walkAway || "",
+      approvedLanguage: rule.approvedLanguage || "",
+      severity: SEVERITIES.includes(rule.severity) ? rule.severity : "medium",
+    });
+  }
+
+  return {
+    playbook: {
+      id: input.id,
+      name: input.name,
+      description: input.description || "",
+      rules,
+    },
+  };
+}
+
+/**
+ * Playbooks on disk. A file is looked up by its name, so one whose id differs
+ * from its name (or that another extension of the same name shadows) could not
+ * be fetched, used or updated; it is skipped with a warning instead.
+ */
+export function listPlaybooks() {
+  const dir = playbooksDir();
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  const playbooks = [];
+  for (const file of fs.readdirSync(dir).sort()) {
+    const extension = path.extname(file);
+    if (!EXTENSIONS.includes(extension)) continue;
+    try {
+      const filePath = path.join(dir, file);
+      const { playbook } = validatePlaybook(parseFile(filePath));
+      if (playbook && playbook.id !== path.basename(file, extension)) {
+        log.warn("Skipping playbook whose id does not match its file name", { file, id: playbook.id });
+      } else if (playbook && findFile(playbook.id) !== filePath) {
+        log.warn("Skipping playbook shadowed by another file with the same name", { file, used: path.basename(findFile(playbook.id)) });
+      } else if (playbook) {
+        playbooks.push({
+          id: playbook.id,
+          name: playbook.name,
+          description: playbook.description,
+          ruleCount: playbook.rules.length,
+        });
+      }
+    } catch (error) {
+      log.warn("Skipping unreadable playbook", { file, error: error.message });
+    }
+  }
+  return playbooks;
+}
+
+export function getPlaybook(id) {
+  const filePath = id ? findFile(id) : null;
+  if (!filePath) {
+    return null;
+  }
+  const { playbook, error } = validatePlaybook(parseFile(filePath));
+  if (error) {
+    throw new Error(`Playbook "${id}" is invalid: ${error}`);
+  }
+  return playbook;
+}
+
+/**
+ * Write a playbook, keeping the existing file's format on update.
+ * New playbooks are written as `format` ("json" or "yaml").
+ */
+export function savePlaybook(playbook, { format = "json" } = {}) {
+  const dir = playbooksDir();
+  fs.mkdirSync(dir, { recursive: true });
+
+  const existing = findFile(playbook.id);
+  const filePath = existing || path.join(dir, `${playbook.id}.${format === "yaml" ? "yaml" : "json"}`);
+  const raw = filePath.endsWith(".json")
+    ? `${JSON.stringify(playbook, null, 2)}\n`
+    : YAML.stringify(playbook);
+
+  fs.writeFileSync(filePath, raw);
+  return playbook;
+}
+
+export function deletePlaybook(id) {
+  const filePath = findFile(id);
+  if (!filePath) {
+    return false;
+  }
+  fs.unlinkSync(filePath);
+  return true;
+}
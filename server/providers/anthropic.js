@@ -0,0 +1,147 @@
+/**
+ * Anthropic Messages API.
+ * The system prompt is a top-level field rather than a message, there is no
+ * JSON response mode (the prompts already ask for JSON only), and usage is
+ * reported as input/output tokens, mapped here to the prompt/completion shape
+ * the other providers return.
+ */
+import { parseRetryAfter } from "./retry.js";
+
+const DEFAULT_ANTHROPIC_BASE_URL = "https://api.anthropic.com/v1";
+const ANTHROPIC_VERSION = "2023-06-01";
+
+function toUsage({ input_tokens = 0, output_tokens = 0 } = {}) {
+  return {
+    prompt_tokens: input_tokens,
+    completion_tokens: output_tokens,
+    total_tokens: input_tokens + output_tokens,
+  };
+}
+
+export function createAnthropicProvider(env) {
+  const apiKey = env.ANTHROPIC_API_KEY;
+  if (!apiKey) {
+    throw new Error("ANTHROPIC_API_KEY is not configured.");
+  }
+
+  const url = `${(env.ANTHROPIC_BASE_URL || DEFAULT_ANTHROPIC_BASE_URL).replace(/\/$/, "")}/messages`;
+  const model = env.ANTHROPIC_MODEL || "claude-sonnet-4-5";
+
+  function buildBody({ messages, temperature = 0.2, maxTokens = 1200 }) {
+    const system = messages
+      .filter((msg) => msg.role === "system")
+      .map((msg) => msg.content)
+      .join("\n\n");
+
+    // The API expects user and assistant turns to alternate
+    const turns = [];
+    for (const { role, content } of messages.filter((msg) => msg.role !== "system")) {
+      const previous = turns[turns.length - 1];
+      if (previous?.role === role) {
+        previous.content += `\n\n${content}`;
+      } else {
+        turns.push({ role, content });
+      }
+    }
+
+    const body = {
+      model,
+      messages: turns,
+      temperature,
+      max_tokens: maxTokens,
+    };
+    if (system) {
+      body.system = system;
+    }
+    return body;
+  }
+
+  async function post(body, signal) {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "x-api-key": apiKey,
+        "anthropic-version": ANTHROPIC_VERSION,
+      },
+      body: JSON.stringify(body),
+      signal,
+    });
+
+    if (!response.ok) {
+      const message = await response.text();
+      // status and retryAfterMs let the retry policy decide whether to try again
+      const error = new Error(message || "anthropic request failed.");
+      error.status = response.status;
+      error.retryAfterMs = parseRetryAfter(response.headers);
+      throw error;
+    }
+    return response;
+  }
+
+  async function complete(request) {
+    const response = await post(buildBody(request), request.signal);
+
+    const payload = await response.json();
+    return {
+      content: (payload?.content || [])
+        .filter((block) => block.type === "text")
+        .map((block) => block.text)
+        .join(""),
+      usage: payload?.usage ? toUsage(payload.usage) : null,
+      model: payload?.model || model,
+    };
+  }
+
+  /**
+   * Stream a completion token by token.
+   * Yields { delta } for each text fragment and a final { usage } once the
+   * message has finished.
+   */
+  async function* stream(request) {
+    const response = await post({ ...buildBody(request), stream: true }, request.signal);
+    const decoder = new TextDecoder();
+    let buffer = "";
+    // Input tokens come with message_start, output tokens with message_delta
+    let usage = null;
+
+    for await (const value of response.body) {
+      buffer += decoder.decode(value, { stream: true });
+
+      const lines = buffer.split("\n");
+      buffer = lines.pop() || "";
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith("data:")) continue;
+
+        let event;
+        try {
+          event = JSON.parse(trimmed.slice(5).trim());
+        } catch (error) {
+          continue;
+        }
+
+        if (event.type === "message_start") {
+          usage = { ...event.message?.usage };
+        } else if (event.type === "content_block_delta" && event.delta?.type === "text_delta" && event.delta.text) {
+          yield { delta: event.delta.text };
+        } else if (event.type === "message_delta" && event.usage) {
+          usage = { ...usage, ...event.usage };
+        } else if (event.type === "message_stop") {
+          if (usage) {
+            yield { usage: toUsage(usage) };
+          }
+          return;
+        } else if (event.type === "error") {
+          // Overloaded and similar errors can arrive mid-stream
+          const error = new Error(event.error?.message || "anthropic stream failed.");
+          error.status = event.error?.type === "overloaded_error" ? 529 : undefined;
+          throw error;
+        }
+      }
+    }
+  }
+
+  return { name: "anthropic", model, complete, stream };
+}
@@ -0,0 +1,21 @@
+import { createChatCompletionsProvider } from "./chatCompletions.js";
+
+export function createAzureProvider(env) {
+  const endpoint = env.AZURE_OPENAI_ENDPOINT;
+  const apiKey = env.AZURE_OPENAI_KEY;
+  const deployment = env.AZURE_OPENAI_DEPLOYMENT;
+  const apiVersion = env.AZURE_OPENAI_API_VERSION || "2024-06-01";
+
+  if (!endpoint || !apiKey || !deployment) {
+    throw new Error("Azure OpenAI configuration is incomplete.");
+  }
+
+  const provider = createChatCompletionsProvider({
+    name: "azure",
+    url: `${endpoint.replace(/\/$/, "")}/openai/deployments/${deployment}/chat/completions?api-version=${apiVersion}`,
+    headers: { "api-key": apiKey },
+  });
+
+  // Azure routes by deployment, so report that as the model name
+  return { ...provider, model: deployment };
+}
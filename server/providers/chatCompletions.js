@@ -0,0 +1,116 @@
+/**
+ * Shared client for OpenAI-style /chat/completions endpoints.
+ * OpenAI, Azure OpenAI and local servers (Ollama, vLLM, LM Studio) all speak
+ * the same wire format and only differ in URL, auth header and model field.
+ */
+import { parseRetryAfter } from "./retry.js";
+
+/**
+ * Build a provider that talks to an OpenAI-compatible chat completions API.
+ * @param {Object} options
+ * @param {string} options.name - Provider name used in errors and logs
+ * @param {string} options.url - Full chat completions URL
+ * @param {Object} options.headers - Auth headers for every request
+ * @param {string} [options.model] - Model name sent in the body (omitted for Azure deployments)
+ * @param {boolean} [options.jsonMode=true] - Whether the server supports response_format json_object
+ * @param {boolean} [options.streamUsage=false] - Whether to request a final usage chunk when streaming
+ * @returns {{ name: string, model: string, complete: Function, stream: Function }}
+ */
+export function createChatCompletionsProvider({ name, url, headers, model, jsonMode = true, streamUsage = false }) {
+  function buildBody({ messages, temperature = 0.2, maxTokens = 1200, json = true }) {
+    const body = {
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+    };
+    if (model) {
+      body.model = model;
+    }
+    if (json && jsonMode) {
+      body.response_format = { type: "json_object" };
+    }
+    return body;
+  }
+
+  async function post(body, signal) {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...headers,
+      },
+      body: JSON.stringify(body),
+      signal,
+    });
+
+    if (!response.ok) {
+      const message = await response.text();
+      // status and retryAfterMs let the retry policy decide whether to try again
+      const error = new Error(message || `${name} request failed.`);
+      error.status = response.status;
+      error.retryAfterMs = parseRetryAfter(response.headers);
+      throw error;
+    }
+    return response;
+  }
+
+  async function complete(request) {
+    const response = await post(buildBody(request), request.signal);
+
+    const payload = await response.json();
+    return {
+      content: payload?.choices?.[0]?.message?.content || "",
+      usage: payload?.usage || null,
+      model: payload?.model || model || name,
+    };
+  }
+
+  /**
+   * Stream a completion token by token.
+   * Yields { delta } for each content fragment and a final { usage } when the
+   * server reports it.
+   */
+  async function* stream(request) {
+    const body = { ...buildBody(request), stream: true };
+    if (streamUsage) {
+      body.stream_options = { include_usage: true };
+    }
+
+    const response = await post(body, request.signal);
+    const decoder = new TextDecoder();
+    let buffer = "";
+
+    for await (const value of response.body) {
+      buffer += decoder.decode(value, { stream: true });
+
+      // Server-sent events: one JSON chunk per "data:" line
+      const lines = buffer.split("\n");
+      buffer = lines.pop() || "";
+
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith("data:")) continue;
+
+        const data = trimmed.slice(5).trim();
+        if (data === "[DONE]") return;
+
+        let chunk;
+        try {
+          chunk = JSON.parse(data);
+        } catch (error) {
+          continue;
+        }
+
+        const delta = chunk?.choices?.[0]?.delta?.content;
+        if (delta) {
+          yield { delta };
+        }
+        if (chunk?.usage) {
+          yield { usage: chunk.usage };
+        }
+      }
+    }
+  }
+
+  return { name, model: model || name, complete, stream };
+}
@@ -0,0 +1,101 @@
+import { createOpenAIProvider } from "./openai.js";
+import { createAzureProvider } from "./azure.js";
+import { createAnthropicProvider } from "./anthropic.js";
+import { createLocalProvider } from "./local.js";
+import { createMockProvider } from "./mock.js";
+import { createRetryPolicy } from "./retry.js";
+import { estimateTokens } from "./tokens.js";
+
+function estimateUsage(messages, output) {
+  return {
+    prompt_tokens: estimateTokens(messages.map((msg) => msg.content).join("\n")),
+    completion_tokens: estimateTokens(output),
+    estimated: true,
+  };
+}
+
+const factories = {
+  openai: createOpenAIProvider,
+  azure: createAzureProvider,
+  anthropic: createAnthropicProvider,
+  local: createLocalProvider,
+  mock: createMockProvider,
+};
+
+/**
+ * Create the AI provider named by AI_PROVIDER.
+ *
+ * Every provider exposes the same interface:
+ *   complete({ messages, task, temperature, maxTokens, json, signal })
+ *     -> Promise<{ content: string, usage: Object|null, model: string }>
+ *   stream({ ...same request })
+ *     -> AsyncIterable<{ delta?: string, usage?: Object }>
+ *
+ * `task` ("review" | "chat" | "clause" | "issues") is ignored by real models
+ * and used by the mock provider to pick a fixture.
+ *
+ * Calls go through a shared retry policy (see retry.js). Pass
+ * `onRetry({ attempt, maxRetries, delayMs, reason })` in the request to hear
+ * about backoffs, e.g. to tell the task pane why a clause is slow, and
+ * `onUsage(usage, model)` to meter tokens. Usage the server does not report
+ * is estimated and flagged `estimated: true`.
+ *
+ * Configuration errors (missing keys) are deferred to the first call so the
+ * server still boots and can report them per request.
+ */
+export function createProvider(env = process.env) {
+  const name = env.AI_PROVIDER || "openai";
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown AI_PROVIDER "${name}". Use one of: ${Object.keys(factories).join(", ")}.`);
+  }
+
+  let instance = null;
+  const policy = createRetryPolicy(env);
+
+  function resolve() {
+    if (!instance) {
+      instance = factory(env);
+    }
+    return instance;
+  }
+
+  return {
+    name,
+    get model() {
+      try {
+        return resolve().model;
+      } catch (error) {
+        return name;
+      }
+    },
+    async complete(request) {
+      const result = await policy.run(() => resolve().complete(request), request);
+      request.onUsage?.(result.usage || estimateUsage(request.messages, result.content), result.model);
+      return result;
+    },
+    async *stream(request) {
+      let output = "";
+      let reported = false;
+      try {
+        for await (const chunk of policy.stream(() => resolve().stream(request), request)) {
+          if (chunk.usage) {
+            reported = true;
+            request.onUsage?.(chunk.usage, resolve().model);
+          }
+          output += chunk.delta || "";
+          yield chunk;
+        }
+      } finally {
+        // Also covers a stream the caller stopped reading part way through
+        if (!reported && output) {
+          request.onUsage?.(estimateUsage(request.messages, output), resolve().model);
+        }
+      }
+    },
+    /** Breaker and budget state, for diagnostics */
+    get retryState() {
+      return policy.state();
+    },
+  };
+}
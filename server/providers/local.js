@@ -0,0 +1,22 @@
+import { createChatCompletionsProvider } from "./chatCompletions.js";
+
+// Ollama's OpenAI-compatible endpoint; vLLM and LM Studio use the same path
+const DEFAULT_LOCAL_BASE_URL = "http://localhost:11434/v1";
+
+export function createLocalProvider(env) {
+  const model = env.LOCAL_AI_MODEL;
+  if (!model) {
+    throw new Error("LOCAL_AI_MODEL is not configured.");
+  }
+
+  const baseUrl = (env.LOCAL_AI_BASE_URL || DEFAULT_LOCAL_BASE_URL).replace(/\/$/, "");
+
+  return createChatCompletionsProvider({
+    name: "local",
+    url: `${baseUrl}/chat/completions`,
+    headers: env.LOCAL_AI_API_KEY ? { Authorization: `Bearer ${env.LOCAL_AI_API_KEY}` } : {},
+    model,
+    // Older local servers reject response_format; allow turning it off
+    jsonMode: env.LOCAL_AI_JSON_MODE !== "false",
+  });
+}
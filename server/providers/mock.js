@@ -0,0 +1,67 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { estimateTokens } from "./tokens.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FIXTURES_PATH = path.join(__dirname, "fixtures", "mock.json");
+
+function loadFixtures(fixturesPath) {
+  const raw = fs.readFileSync(fixturesPath, "utf8");
+  const fixtures = JSON.parse(raw);
+  return {
+    rules: Array.isArray(fixtures.rules) ? fixtures.rules : [],
+    defaults: fixtures.defaults || {},
+  };
+}
+
+const STREAM_CHUNK_SIZE = 24;
+
+/**
+ * Deterministic provider that answers from a fixture file instead of a model.
+ * Each rule is { task, match, response }: the first rule whose task matches and
+ * whose `match` regex hits the last user message wins, otherwise the task's
+ * default is returned. Lets the add-in and tests run fully offline.
+ */
+export function createMockProvider(env) {
+  const fixturesPath = env.MOCK_FIXTURES_PATH
+    ? path.resolve(env.MOCK_FIXTURES_PATH)
+    : DEFAULT_FIXTURES_PATH;
+  const fixtures = loadFixtures(fixturesPath);
+
+  async function complete({ messages, task }) {
+    const lastUser = [...messages].reverse().find((msg) => msg.role === "user");
+    const input = lastUser?.content || "";
+
+    const rule = fixtures.rules.find((entry) => {
+      if (entry.task && entry.task !== task) return false;
+      if (!entry.match) return true;
+      return new RegExp(entry.match, "i").test(input);
+    });
+
+    const response = rule ? rule.response : fixtures.defaults[task];
+    const content = typeof response === "string" ? response : JSON.stringify(response ?? {});
+    const promptText = messages.map((msg) => msg.content).join("\n");
+
+    return {
+      content,
+      usage: {
+        prompt_tokens: estimateTokens(promptText),
+        completion_tokens: estimateTokens(content),
+        total_tokens: estimateTokens(promptText) + estimateTokens(content),
+      },
+      model: "mock",
+    };
+  }
+
+  // Replays the fixture response in fixed-size pieces, like a model stream
+  async function* stream(request) {
+    const { content, usage } = await complete(request);
+    for (let i = 0; i < content.length; i += STREAM_CHUNK_SIZE) {
+      yield { delta: content.slice(i, i + STREAM_CHUNK_SIZE) };
+    }
+    yield { usage };
+  }
+
+  return { name: "mock", model: "mock", complete, stream };
+}
@@ -0,0 +1,16 @@
+import { createChatCompletionsProvider } from "./chatCompletions.js";
+
+export function createOpenAIProvider(env) {
+  const apiKey = env.OPENAI_API_KEY;
+  if (!apiKey) {
+    throw new Error("OPENAI_API_KEY is not configured.");
+  }
+
+  return createChatCompletionsProvider({
+    name: "openai",
+    url: `${(env.OPENAI_BASE_URL || "https://api.openai.com/v1").replace(/\/$/, "")}/chat/completions`,
+    headers: { Authorization: `Bearer ${apiKey}` },
+    model: env.OPENAI_MODEL || "gpt-4o",
+    streamUsage: true,
+  });
+}
@@ -0,0 +1,286 @@
+/**
+ * Shared retry policy for provider calls.
+ *
+ * - Retries 429, 408 and transient 5xx responses and network failures with
+ *   exponential backoff and full jitter, honouring Retry-After when sent.
+ * - A circuit breaker fails fast after repeated failures so a provider outage
+ *   does not queue up every clause of every review.
+ * - A global budget caps requests in flight (and optionally per minute) across
+ *   all users of the server so concurrent reviews don't stampede one API key.
+ */
+import { logger } from "../logging/logger.js";
+
+const log = logger.child({ component: "provider" });
+
+// 529 is Anthropic's "overloaded"
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504, 529]);
+const NETWORK_CODES = new Set(["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EAI_AGAIN", "EPIPE", "UND_ERR_SOCKET", "UND_ERR_CONNECT_TIMEOUT"]);
+
+/**
+ * Parse Retry-After (seconds or an HTTP date) or OpenAI's retry-after-ms.
+ * @returns {number|null} Milliseconds to wait
+ */
+export function parseRetryAfter(headers) {
+  if (!headers) {
+    return null;
+  }
+  const ms = Number(headers.get("retry-after-ms"));
+  if (Number.isFinite(ms) && ms >= 0 && headers.get("retry-after-ms") !== null) {
+    return ms;
+  }
+  const value = headers.get("retry-after");
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+}
+
+function isRetryable(error) {
+  if (error?.name === "AbortError" || error?.code === "ECIRCUITOPEN") {
+    return false;
+  }
+  if (error?.status) {
+    return RETRYABLE_STATUS.has(error.status);
+  }
+  // fetch reports network failures as TypeError with the socket error as cause
+  const code = error?.cause?.code || error?.code;
+  return error instanceof TypeError || NETWORK_CODES.has(code);
+}
+
+function describeFailure(error) {
+  if (error?.status === 429) return "Rate limited by the AI provider";
+  if (error?.status) return `AI provider returned ${error.status}`;
+  return "Could not reach the AI provider";
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason || new DOMException("Aborted", "AbortError"));
+      return;
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    function onAbort() {
+      clearTimeout(timer);
+      reject(signal.reason || new DOMException("Aborted", "AbortError"));
+    }
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Limit concurrent requests and, when maxPerMinute is set, their rate.
+ */
+function createBudget({ maxConcurrent, maxPerMinute }) {
+  let active = 0;
+  const waiting = [];
+  const startedAt = [];
+
+  function rateDelay() {
+    if (!maxPerMinute) return 0;
+    const windowStart = Date.now() - 60000;
+    while (startedAt.length && startedAt[0] < windowStart) startedAt.shift();
+    return startedAt.length < maxPerMinute ? 0 : startedAt[0] - windowStart;
+  }
+
+  async function acquire(signal) {
+    while (active >= maxConcurrent) {
+      await new Promise((resolve, reject) => {
+        const entry = { resolve, reject };
+        waiting.push(entry);
+        signal?.addEventListener("abort", () => {
+          const index = waiting.indexOf(entry);
+          if (index >= 0) waiting.splice(index, 1);
+          reject(signal.reason || new DOMException("Aborted", "AbortError"));
+        }, { once: true });
+      });
+    }
+    active++;
+
+    try {
+      let delay = rateDelay();
+      while (delay > 0) {
+        await sleep(delay, signal);
+        delay = rateDelay();
+      }
+    } catch (error) {
+      release();
+      throw error;
+    }
+    startedAt.push(Date.now());
+  }
+
+  function release() {
+    active--;
+    waiting.shift()?.resolve();
+  }
+
+  return { acquire, release, state: () => ({ active, queued: waiting.length }) };
+}
+
+/**
+ * Build the retry policy from environment settings.
+ * @returns {{ run: Function, stream: Function, state: Function }}
+ */
+export function createRetryPolicy(env = process.env) {
+  const maxRetries = Number(env.PROVIDER_MAX_RETRIES ?? 3);
+  const baseDelayMs = Number(env.PROVIDER_RETRY_BASE_MS) || 500;
+  const maxDelayMs = Number(env.PROVIDER_RETRY_MAX_DELAY_MS) || 30000;
+  const breakerThreshold = Number(env.PROVIDER_BREAKER_THRESHOLD) || 5;
+  const breakerCooldownMs = Number(env.PROVIDER_BREAKER_COOLDOWN_MS) || 30000;
+  const budget = createBudget({
+    maxConcurrent: Number(env.PROVIDER_MAX_CONCURRENT) || 8,
+    maxPerMinute: Number(env.PROVIDER_MAX_RPM) || 0,
+  });
+
+  // Circuit breaker: closed -> open after `breakerThreshold` consecutive failures,
+  // half-open after the cooldown (one trial call), closed again on success
+  const breaker = { failures: 0, openedAt: 0, trialInFlight: false };
+
+  // True when this call is the half-open trial
+  function checkBreaker() {
+    if (breaker.failures < breakerThreshold) {
+      return false;
+    }
+    const remaining = breaker.openedAt + breakerCooldownMs - Date.now();
+    if (remaining > 0 || breaker.trialInFlight) {
+      const error = new Error(`AI provider is unavailable after repeated failures; retry in ${Math.ceil(Math.max(remaining, 1000) / 1000)}s.`);
+      error.code = "ECIRCUITOPEN";
+      throw error;
+    }
+    breaker.trialInFlight = true;
+    return true;
+  }
+
+  // Pass the breaker, then wait for a budget slot. A trial call that never
+  // gets a slot (aborted while queued) gives the trial up for the next caller.
+  async function admit(signal) {
+    const trial = checkBreaker();
+    try {
+      await budget.acquire(signal);
+    } catch (error) {
+      if (trial) {
+        breaker.trialInFlight = false;
+      }
+      throw error;
+    }
+  }
+
+  function recordSuccess() {
+    breaker.failures = 0;
+    breaker.trialInFlight = false;
+  }
+
+  function recordFailure(error) {
+    if (!isRetryable(error)) {
+      breaker.trialInFlight = false;
+      return;
+    }
+    breaker.failures++;
+    breaker.trialInFlight = false;
+    if (breaker.failures >= breakerThreshold) {
+      breaker.openedAt = Date.now();
+      log.warn("Circuit breaker open", { cooldownMs: breakerCooldownMs, failures: breaker.failures });
+    }
+  }
+
+  function backoff(attempt, error) {
+    const exponential = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+    const jittered = Math.round(Math.random() * exponential);
+    // Never retry sooner than the provider asked for
+    return error?.retryAfterMs != null ? Math.max(error.retryAfterMs, jittered) : jittered;
+  }
+
+  // Throws when the error should not be retried, otherwise waits out the backoff
+  async function waitBeforeRetry(error, attempt, signal, onRetry) {
+    if (!isRetryable(error) || attempt >= maxRetries || signal?.aborted) {
+      throw error;
+    }
+    // Asked to wait longer than a review can reasonably stall: give up now
+    if (error.retryAfterMs > maxDelayMs) {
+      throw error;
+    }
+
+    const delayMs = backoff(attempt, error);
+    const reason = describeFailure(error);
+    log.warn("Retrying provider call", { reason, status: error.status, attempt: attempt + 1, maxRetries, delayMs });
+    onRetry?.({ attempt: attempt + 1, maxRetries, delayMs, reason, status: error.status });
+    await sleep(delayMs, signal);
+  }
+
+  /**
+   * Run one provider call under the policy.
+   * @param {(signal?: AbortSignal) => Promise<any>} fn
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @param {(info: { attempt: number, maxRetries: number, delayMs: number, reason: string, status?: number }) => void} [options.onRetry]
+   */
+  async function run(fn, { signal, onRetry } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      await admit(signal);
+
+      let failure;
+      try {
+        const result = await fn(signal);
+        recordSuccess();
+        return result;
+      } catch (error) {
+        failure = error;
+        recordFailure(error);
+      } finally {
+        budget.release();
+      }
+
+      await waitBeforeRetry(failure, attempt, signal, onRetry);
+    }
+  }
+
+  /**
+   * Stream under the policy. Only opening the stream is retried: once the
+   * first chunk has been yielded a failure is passed on, since replaying it
+   * would duplicate output. The budget slot is held until the stream ends.
+   * @param {(signal?: AbortSignal) => AsyncIterable<any>} open
+   */
+  async function* stream(open, { signal, onRetry } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      await admit(signal);
+
+      let iterator;
+      let first;
+      let failure;
+      try {
+        iterator = open(signal)[Symbol.asyncIterator]();
+        first = await iterator.next();
+        recordSuccess();
+      } catch (error) {
+        failure = error;
+        recordFailure(error);
+        budget.release();
+      }
+
+      if (!failure) {
+        try {
+          if (!first.done) {
+            yield first.value;
+            yield* { [Symbol.asyncIterator]: () => iterator };
+          }
+        } finally {
+          budget.release();
+        }
+        return;
+      }
+
+      await waitBeforeRetry(failure, attempt, signal, onRetry);
+    }
+  }
+
+  return { run, stream, state: () => ({ breaker: { ...breaker }, budget: budget.state() }) };
+}
@@ -0,0 +1,5 @@
+// Rough token estimate, four characters a token, for servers that do not
+// report usage and for the mock provider's stable numbers
+export function estimateTokens(text) {
+  return Math.ceil((text || "").length / 4);
+}
@@ -0,0 +1,186 @@
+/**
+ * Counterparty change evaluation.
+ *
+ * The reverse of the clause review: a contract comes back with the other
+ * side's tracked changes, and each change gets a recommendation under our
+ * risk posture: accept it, reject it, or counter-propose our own wording.
+ * Changes are sent to the provider in small groups, each with the paragraph
+ * around it, so the model sees enough context without one huge prompt.
+ */
+import { mapInOrder, withTimeout } from "../utils/concurrency.js";
+import { perspectiveFor } from "./parties.js";
+import { validateChangeRecommendations, parseModelContent, buildRepairMessages } from "./validation.js";
+import { selectRulesForClause, formatRulesForPrompt } from "../playbooks/rules.js";
+import { logger } from "../logging/logger.js";
+
+export const CHANGE_TYPES = new Set(["insertion", "deletion", "formatting"]);
+
+// Long paragraphs are cut around the change; the model only needs the neighbourhood
+const MAX_CONTEXT_CHARS = 1500;
+const MAX_CHANGE_CHARS = 4000;
+
+function clip(text, max) {
+  return text.length > max ? `${text.slice(0, max)}…` : text;
+}
+
+function describeChange(change) {
+  return [
+    `[${change.id}] ${change.type} by ${change.author || "unknown author"}${change.sectionNumber ? ` in section ${change.sectionNumber}` : ""}`,
+    `${change.type === "deletion" ? "Deleted" : change.type === "formatting" ? "Reformatted" : "Inserted"} text: "${clip(change.text, MAX_CHANGE_CHARS)}"`,
+    change.paragraph ? `In the paragraph: "${clip(change.paragraph, MAX_CONTEXT_CHARS)}"` : "",
+  ].filter(Boolean).join("\n");
+}
+
+function buildChangeEvaluationMessages({ changes, instructions, riskProfile, party, playbook }) {
+  const postureMap = {
+    balanced: "Accept reasonable market-standard changes; push back on anything that shifts material risk to our client.",
+    cautious: "Be highly protective: reject or counter any change that weakens our client's protections, however small.",
+    aggressive: "Negotiate hard: accept only changes that are neutral or favor our client, and counter everything else.",
+  };
+  const context = changes.map((change) => `${change.paragraph || ""}\n${change.text}`).join("\n");
+
+  return [
+    {
+      role: "system",
+      content: [
+        "You are a senior contracts attorney reviewing the other side's tracked changes to a commercial agreement.",
+        `You represent ${perspectiveFor(party)}.`,
+        postureMap[riskProfile] || postureMap.balanced,
+        ...formatRulesForPrompt(playbook, selectRulesForClause(playbook, context)),
+        "",
+        "For EVERY change listed, recommend one of:",
+        '- "accept": the change is acceptable for our client',
+        '- "reject": the change should be undone and the original wording kept',
+        '- "counter": neither; propose compromise wording in counterText',
+        "",
+        "**Response Format - Return ONE JSON object:**",
+        '{ "recommendations": [ { "changeId": "the [id] of the change", "recommendation": "accept|reject|counter", "counterText": "replacement for the changed text (counter only)", "explanation": "why, citing the risk", "severity": "low|medium|high" } ] }',
+        "",
+        "**Rules:**",
+        "- Exactly one recommendation per change, using its changeId",
+        "- counterText replaces the inserted text (or restores and rewrites the deleted text); write it so it reads correctly in the paragraph",
+        "- severity is how much the change matters to our client if accepted as is",
+        "- Formatting-only changes are normally accepted",
+        "- Return ONLY valid JSON",
+      ].join("\n"),
+    },
+    {
+      role: "user",
+      content: [
+        "Evaluate these tracked changes made by the other side:",
+        "",
+        changes.map(describeChange).join("\n\n"),
+        "",
+        instructions ? `Client's specific concerns: ${instructions}` : "",
+      ].filter(Boolean).join("\n"),
+    },
+  ];
+}
+
+/**
+ * Bind change evaluation to a provider.
+ * @param {Object} provider - From createProvider
+ * @param {Object} [options]
+ * @param {number} [options.batchSize] - Changes per provider call
+ * @param {number} [options.concurrency] - Provider calls at once
+ * @param {number} [options.timeoutMs] - Per-call limit, 0 for none
+ * @param {number} [options.maxRepairAttempts] - Re-prompts for a response that failed validation
+ */
+export function createChangeEvaluator(provider, {
+  batchSize = Number(process.env.CHANGE_BATCH_SIZE) || 8,
+  concurrency = Number(process.env.REVIEW_CONCURRENCY) || 4,
+  timeoutMs = Number(process.env.CLAUSE_TIMEOUT_MS ?? 60000),
+  maxRepairAttempts = Number(process.env.MAX_REPAIR_ATTEMPTS ?? 1),
+} = {}) {
+  // One group of changes: every valid recommendation, re-prompting for the ones
+  // missing or malformed. With a pseudonymizer the model sees placeholders.
+  async function evaluateGroup(changes, { instructions, riskProfile, party, playbook, pseudonymizer, signal, onUsage, log }) {
+    const messages = buildChangeEvaluationMessages({ changes, instructions, riskProfile, party, playbook });
+    const changeIds = new Set(changes.map((change) => change.id));
+    const recommendations = new Map();
+    let conversation = pseudonymizer ? pseudonymizer.redactMessages(messages) : messages;
+    let problems = [];
+
+    for (let attempt = 0; attempt <= maxRepairAttempts; attempt++) {
+      if (attempt > 0) {
+        log.warn("Asking the model to repair its change recommendations", { attempt, problems: problems.length });
+      }
+      const { content } = await withTimeout(
+        (callSignal) => provider.complete({ messages: conversation, task: "changes", temperature: 0.2, maxTokens: 400 + 300 * changes.length, signal: callSignal, onUsage }),
+        timeoutMs,
+        `No response for these changes within ${Math.round(timeoutMs / 1000)}s.`,
+        signal
+      );
+
+      const checked = validateChangeRecommendations(parseModelContent(content), changeIds);
+      checked.recommendations
+        .filter((entry) => !recommendations.has(entry.changeId))
+        .forEach((entry) => recommendations.set(entry.changeId, entry));
+
+      const missing = changes.filter((change) => !recommendations.has(change.id)).map((change) => change.id);
+      problems = [
+        ...(checked.error ? [checked.error] : []),
+        ...checked.rejected.map((entry) => entry.reason),
+        ...(missing.length ? [`No usable recommendation for ${missing.join(", ")}.`] : []),
+      ];
+      if (!missing.length) break;
+      conversation = buildRepairMessages(conversation, content, { error: problems.join(" ") });
+    }
+
+    const found = [...recommendations.values()];
+    return {
+      recommendations: pseudonymizer ? pseudonymizer.restore(found) : found,
+      unanswered: changes.filter((change) => !recommendations.has(change.id)).map((change) => ({ changeId: change.id, reason: problems.join(" ") || "No recommendation returned." })),
+    };
+  }
+
+  /**
+   * Recommend accept, reject or counter for each change.
+   * @param {Object} request
+   * @param {Array<{ id: string, type: string, author?: string, text: string, paragraph?: string, sectionNumber?: string }>} request.changes
+   * @param {string} [request.instructions]
+   * @param {string} [request.riskProfile]
+   * @param {Object} [request.party]
+   * @param {Object} [request.playbook]
+   * @param {Object} [request.pseudonymizer]
+   * @param {Object} context
+   * @param {Function} [context.onUsage] - meter.add
+   * @param {AbortSignal} [context.signal]
+   * @param {Object} [context.log]
+   * @returns {Promise<{ recommendations: Array, failed: Array<{ changeId: string, reason: string }> }>}
+   *   Recommendations in the order of `changes`
+   */
+  async function evaluateChanges({ changes, instructions, riskProfile, party, playbook, pseudonymizer = null }, { onUsage, signal, log = logger }) {
+    const groups = [];
+    for (let i = 0; i < changes.length; i += batchSize) {
+      groups.push(changes.slice(i, i + batchSize));
+    }
+
+    const recommendations = [];
+    const failed = [];
+    await mapInOrder(
+      groups,
+      (group) => evaluateGroup(group, { instructions, riskProfile, party, playbook, pseudonymizer, signal, onUsage, log }),
+      {
+        concurrency,
+        signal,
+        onResult: (result, index) => {
+          if (result.ok) {
+            recommendations.push(...result.value.recommendations);
+            failed.push(...result.value.unanswered);
+          } else {
+            log.warn("Change group failed", { group: index, error: result.error.message });
+            failed.push(...groups[index].map((change) => ({ changeId: change.id, reason: result.error.message })));
+          }
+        },
+      }
+    );
+
+    // Model order within a group is not guaranteed
+    const order = new Map(changes.map((change, index) => [change.id, index]));
+    recommendations.sort((a, b) => order.get(a.changeId) - order.get(b.changeId));
+    return { recommendations, failed };
+  }
+
+  return { evaluateChanges };
+}
@@ -0,0 +1,416 @@
+/**
+ * Clause-by-clause review.
+ *
+ * The pipeline behind the review stream, review jobs and the .docx pipeline:
+ * whole-document checks first, then every clause sent to the provider
+ * (several at once, results in document order), validated, repaired when the
+ * model got an anchor wrong, cached, and reported as events.
+ */
+import { mapInOrder, withTimeout } from "../utils/concurrency.js";
+import { perspectiveFor } from "./parties.js";
+import { sectionNumberFor } from "./segmentation.js";
+import { validateCrossReferences, paragraphsFromText } from "./crossReferences.js";
+import { validateIssue, validateIssueList, parseModelContent, buildRepairMessages, mergeRepairedIssues } from "./validation.js";
+import { reviewCacheKey, normalizeClauseText, getCachedReview, setCachedReview } from "../cache/reviewCache.js";
+import { analyzeDefinedTerms } from "../../src/shared/definedTerms.js";
+import { selectRulesForClause, formatRulesForPrompt, attachPlaybookRule } from "../playbooks/rules.js";
+import { findLibraryMatches, formatLibraryForPrompt, attachLibraryClause } from "../clauseLibrary/suggest.js";
+import { logger } from "../logging/logger.js";
+
+// Part of every review cache key; bump it when the clause prompt or issue shape
+// changes so results produced by the old prompt are not served again
+const CLAUSE_PROMPT_VERSION = "clause-4";
+
+// Build prompt for analyzing a single clause
+function buildClauseReviewMessages({ clause, clauseIndex, totalClauses, sectionNumber, instructions, riskProfile, party, playbook, libraryMatches = [], maxIssues }) {
+  const representing = `You represent ${perspectiveFor(party)}.`;
+  const postureMap = {
+    balanced: `${representing} Be pragmatic but protect their interests.`,
+    cautious: `${representing} Be highly protective - flag any risk and suggest stronger protections.`,
+    aggressive: `${representing} Aggressively negotiate - push back on any term favoring the other party.`,
+  };
+
+  const posture = postureMap[riskProfile] || postureMap.balanced;
+  const playbookRules = selectRulesForClause(playbook, clause);
+
+  return [
+    {
+      role: "system",
+      content: [
+        "You are a senior contracts attorney with 20+ years of experience reviewing commercial agreements.",
+        posture,
+        "",
+        "REVIEW THIS CLAUSE THOROUGHLY. Look for:",
+        "",
+        "**Risk Areas to Flag:**",
+        "- Unlimited liability or uncapped indemnification",
+        "- Broad indemnification obligations",
+        "- One-sided termination rights",
+        "- Auto-renewal clauses without adequate notice periods",
+        "- Unilateral amendment rights",
+        "- Broad IP assignment or license grants",
+        "- Weak confidentiality protections",
+        "- Problematic limitation of liability clauses",
+        "- Missing limitation on consequential damages",
+        "- Unfavorable governing law or venue",
+        "- Broad audit rights",
+        "- Unreasonable non-compete or non-solicitation",
+        "- Vague or undefined key terms",
+        "- Missing caps on fees or price increases",
+        "- Inadequate data protection or security obligations",
+        "- Survival clauses that are too long",
+        "- Assignment restrictions that are one-sided",
+        ...formatRulesForPrompt(playbook, playbookRules),
+        ...formatLibraryForPrompt(libraryMatches),
+        "",
+        "**Response Format - Return ONE JSON object with an issues array:**",
+        "",
+        '{ "issues": [ ...issue objects... ] }',
+        "",
+        "Each issue is one of:",
+        'For edits: { "type": "edit", "originalText": "exact text", "newText": "improved text", "explanation": "why this protects the client", "severity": "low|medium|high" }',
+        'For deletions: { "type": "delete", "originalText": "exact text to remove", "explanation": "why remove it", "severity": "low|medium|high" }',
+        'For flags: { "type": "comment", "originalText": "concerning text", "explanation": "the risk and recommendation", "severity": "low|medium|high" }',
+        'If acceptable: { "issues": [] }',
+        "",
+        "**Severity Guide:**",
+        "- high: Material risk, could cause significant harm (unlimited liability, broad indemnity, IP issues)",
+        "- medium: Notable concern, should be negotiated (auto-renewal, unilateral changes, weak protections)",  
+        "- low: Minor issue, nice to fix but acceptable (unclear language, minor imbalances)",
+        "",
+        "**Rules:**",
+        "- originalText MUST be an EXACT substring from the clause (copy-paste accuracy)",
+        `- Report every distinct issue, up to ${maxIssues} per clause, most significant first`,
+        "- Issues must not overlap: each originalText must cover different text in the clause",
+        "- Be specific in explanations - cite the actual risk",
+        "- Suggest concrete improvements, not vague recommendations",
+        "- Focus on substantive legal issues, not grammar",
+        "- Return ONLY valid JSON",
+      ].join("\n"),
+    },
+    {
+      role: "user",
+      content: [
+        `Review clause ${clauseIndex + 1} of ${totalClauses}${sectionNumber ? ` (Section ${sectionNumber})` : ""}:`,
+        "",
+        "---CLAUSE START---",
+        clause,
+        "---CLAUSE END---",
+        "",
+        instructions ? `Client's specific concerns: ${instructions}` : "",
+        "",
+        `Identify every issue in this clause (at most ${maxIssues}), or return { "issues": [] } if it's acceptable.`,
+      ].filter(Boolean).join("\n"),
+    },
+  ];
+}
+
+// Order issues by where they occur in the clause, drop overlapping anchors
+// (applying one would make the other unfindable in Word) and apply the cap.
+function selectClauseIssues(issues, clause, maxIssues) {
+  const kept = [];
+  const spans = [];
+
+  for (const issue of issues) {
+    const start = clause.indexOf(issue.originalText);
+    const end = start + issue.originalText.length;
+
+    if (start >= 0 && spans.some((span) => start < span.end && end > span.start)) {
+      continue;
+    }
+    if (start >= 0) {
+      spans.push({ start, end });
+    }
+    kept.push({ issue, start });
+    if (kept.length >= maxIssues) break;
+  }
+
+  // Issues whose anchor wasn't found keep their relative order at the end
+  return kept
+    .map((entry, order) => ({ ...entry, order }))
+    .sort((a, b) => {
+      const aPos = a.start < 0 ? Infinity : a.start;
+      const bPos = b.start < 0 ? Infinity : b.start;
+      return aPos - bPos || a.order - b.order;
+    })
+    .map((entry) => entry.issue);
+}
+
+/**
+ * Bind the clause review to a provider.
+ * @param {Object} provider - From createProvider
+ * @param {Object} [options]
+ * @param {number} [options.concurrency] - Clauses reviewed at once
+ * @param {number} [options.clauseTimeoutMs] - Per-clause limit, 0 for none
+ * @param {number} [options.maxIssuesPerClause] - Issues kept per clause
+ * @param {number} [options.maxRepairAttempts] - Re-prompts for a response that failed validation
+ */
+export function createClauseReviewer(provider, {
+  concurrency = Number(process.env.REVIEW_CONCURRENCY) || 4,
+  clauseTimeoutMs = Number(process.env.CLAUSE_TIMEOUT_MS ?? 60000),
+  maxIssuesPerClause = Number(process.env.MAX_ISSUES_PER_CLAUSE) || 5,
+  maxRepairAttempts = Number(process.env.MAX_REPAIR_ATTEMPTS ?? 1),
+} = {}) {
+  // Request issues and validate them against the text under review
+  async function completeIssues({ messages, source, task, maxTokens, signal, onRetry, onUsage }) {
+    const { content } = await provider.complete({
+      messages,
+      task,
+      temperature: 0.2,
+      maxTokens,
+      signal,
+      onRetry,
+      onUsage,
+    });
+
+    const checked = content
+      ? validateIssueList(parseModelContent(content), source)
+      : { issues: [], rejected: [], error: "The response was empty." };
+    return { content, ...checked };
+  }
+
+  // Re-prompt (at most maxRepairAttempts times) for a response that failed validation.
+  // An unusable response is asked for again in full; otherwise only the rejected issues are.
+  async function repairIssues({ messages, content, checked, source, task, maxTokens, signal, onRetry, onUsage, log = logger }) {
+    let { issues, rejected, error } = checked;
+    let lastContent = content;
+
+    for (let attempt = 0; attempt < maxRepairAttempts && (error || rejected.length); attempt++) {
+      log.warn("Asking the model to repair its issues", { attempt: attempt + 1, task, error, rejected: rejected.length });
+      const repaired = await completeIssues({
+        messages: buildRepairMessages(messages, lastContent, { error, rejected }),
+        source,
+        task,
+        maxTokens,
+        signal,
+        onRetry,
+        onUsage,
+      });
+
+      if (error) {
+        ({ issues, rejected, error } = repaired);
+      } else if (!repaired.error) {
+        const merged = mergeRepairedIssues(rejected, repaired);
+        issues = [...issues, ...merged.issues];
+        rejected = merged.rejected;
+      }
+      lastContent = repaired.content;
+    }
+
+    if (error) {
+      throw new Error(`Unusable model response: ${error}`);
+    }
+    return { issues, rejected };
+  }
+
+  // Analyze a single clause: every valid issue found (possibly none), plus the
+  // issues that still failed validation after repair, each with its reason.
+  // onRetry is called whenever a provider call backs off (rate limit, outage),
+  // onUsage with the tokens of every provider call. With a pseudonymizer the
+  // model sees placeholders and the issues returned carry the real values again.
+  async function analyzeClause({ clause, clauseIndex, totalClauses, sectionNumber, instructions, riskProfile, party, playbook, maxIssues = maxIssuesPerClause, pseudonymizer = null, signal, onRetry, onUsage, log = logger }) {
+    const libraryMatches = findLibraryMatches(clause);
+
+    // Position in the document (clause N of M, section number) is left out of the key
+    // so inserting a clause upstream does not invalidate everything after it
+    const cacheKey = reviewCacheKey({
+      promptVersion: CLAUSE_PROMPT_VERSION,
+      model: provider.model,
+      clause: normalizeClauseText(clause),
+      riskProfile: riskProfile || "balanced",
+      instructions: instructions || "",
+      party: party || null,
+      maxIssues,
+      playbook: playbook ? { id: playbook.id, rules: selectRulesForClause(playbook, clause) } : null,
+      library: libraryMatches.map((match) => [match.id, match.version]),
+      redacted: Boolean(pseudonymizer),
+    });
+
+    const cached = getCachedReview(cacheKey);
+    if (cached) {
+      // Whitespace may differ from the cached clause; re-anchor against this text
+      const revalidated = cached.issues.map((issue) => validateIssue(issue, clause));
+      if (revalidated.every((result) => result.issue)) {
+        return { issues: revalidated.map((result) => ({ ...result.issue, cached: true })), rejected: [], cached: true };
+      }
+    }
+
+    const messages = buildClauseReviewMessages({ clause, clauseIndex, totalClauses, sectionNumber, instructions, riskProfile, party, playbook, libraryMatches, maxIssues });
+    const request = {
+      messages: pseudonymizer ? pseudonymizer.redactMessages(messages) : messages,
+      // Anchors the model copies from a redacted prompt are checked against the redacted clause
+      source: pseudonymizer ? pseudonymizer.redact(clause) : clause,
+      task: "clause",
+      maxTokens: 1600,
+      signal,
+      onRetry,
+      onUsage,
+      log,
+    };
+
+    const checked = await completeIssues(request);
+    const repaired = await repairIssues({ ...request, content: checked.content, checked });
+    const { issues, rejected } = pseudonymizer ? pseudonymizer.restore(repaired) : repaired;
+
+    const selected = selectClauseIssues(issues, clause, maxIssues)
+      .map((issue) => attachLibraryClause(attachPlaybookRule(issue, playbook), libraryMatches));
+
+    // Results with rejected issues are not cached so the next run gets another try
+    if (!rejected.length) {
+      try {
+        setCachedReview(cacheKey, { issues: selected }, {
+          model: provider.model,
+          riskProfile: riskProfile || "balanced",
+          promptVersion: CLAUSE_PROMPT_VERSION,
+          preview: normalizeClauseText(clause).slice(0, 120),
+        });
+      } catch (error) {
+        log.warn("Could not store review in the cache", { error: error.message });
+      }
+    }
+
+    return { issues: selected, rejected, cached: false };
+  }
+
+  // Run a prepared review, reporting every event through `emit`. Shared by the
+  // direct stream, review jobs and the .docx pipeline. Once `signal` fires no
+  // further clauses are started and the ones in flight are aborted. Resolves
+  // (never rejects) with the final status and the run's totals; the meter is
+  // recorded either way.
+  async function reviewClauses({ text, paragraphs, instructions, riskProfile, scope, party, playbook, clauses, pseudonymizer }, { meter, emit, signal, log = logger }) {
+
+    // Send start event
+    emit({ type: "start", message: "Starting analysis...", totalClauses: clauses.length, playbook: playbook ? { id: playbook.id, name: playbook.name } : null, party, redaction: pseudonymizer?.summary() || null });
+
+    const allIssues = [];
+    let issueIndex = 0;
+    let reportedClauses = 0;
+    let failedClauses = 0;
+    let rejectedIssues = 0;
+    let cachedClauses = 0;
+    const totals = () => ({ totalIssues: allIssues.length, totalClauses: clauses.length, reportedClauses, failedClauses, rejectedIssues, cachedClauses, usage: meter.summary() });
+
+    try {
+      // Whole-document checks run without the model and are sent before clause results
+      const emitDocumentFinding = (issue, id) => {
+        const clauseIndex = clauses.findIndex((clause) => clause.text.includes(issue.originalText));
+        issue.index = issueIndex;
+        issue.id = id;
+        if (clauseIndex >= 0) {
+          issue.clauseIndex = clauseIndex;
+          issue.sectionNumber = sectionNumberFor(clauses[clauseIndex], issue.originalText);
+        }
+        issueIndex++;
+        allIssues.push(issue);
+
+        emit({ type: "issue", issue, clauseIndex: Math.max(clauseIndex, 0), sectionNumber: issue.sectionNumber, totalClauses: clauses.length });
+      };
+
+      // Both need the whole agreement; for a partial scope the pane runs the
+      // defined-terms check itself against the full document
+      if (!scope || scope === "document") {
+        analyzeDefinedTerms(text).forEach((issue, n) => emitDocumentFinding(issue, `dt-${n}`));
+        validateCrossReferences(Array.isArray(paragraphs) && paragraphs.length ? paragraphs : paragraphsFromText(text))
+          .forEach((issue, n) => emitDocumentFinding(issue, `xr-${n}`));
+      }
+
+      // Analyze several clauses at once; results are emitted in document order
+      await mapInOrder(
+        clauses,
+        (clause, i) => {
+          log.debug("Analyzing clause", { clauseIndex: i, clauseLength: clause.text.length });
+          return withTimeout(
+            (clauseSignal) => analyzeClause({
+              clause: clause.text,
+              clauseIndex: i,
+              totalClauses: clauses.length,
+              sectionNumber: clause.sectionNumber,
+              instructions,
+              riskProfile,
+              party,
+              playbook,
+              pseudonymizer,
+              signal: clauseSignal,
+              log: log.child({ clauseIndex: i }),
+              // Sent as it happens, ahead of the clause's ordered results, so the
+              // progress bar can say why this clause is slow
+              onRetry: (retry) => {
+                emit({ type: "retrying", clauseIndex: i, sectionNumber: clause.sectionNumber, totalClauses: clauses.length, ...retry });
+              },
+              onUsage: meter.add,
+            }),
+            clauseTimeoutMs,
+            `Clause ${i + 1} timed out after ${Math.round(clauseTimeoutMs / 1000)}s.`,
+            signal
+          );
+        },
+        {
+          concurrency,
+          signal,
+          onResult: (result, i) => {
+            reportedClauses++;
+
+            // Send progress event
+            const cached = Boolean(result.ok && result.value.cached);
+            if (cached) cachedClauses++;
+            emit({ type: "progress", clauseIndex: i, sectionNumber: clauses[i].sectionNumber, totalClauses: clauses.length, cached, message: `Analyzing clause ${i + 1} of ${clauses.length}...` });
+
+            // A failed clause is reported on its own and the run continues
+            if (!result.ok) {
+              failedClauses++;
+              log.error("Clause failed", { clauseIndex: i, error: result.error.message });
+              emit({ type: "clause-error", clauseIndex: i, totalClauses: clauses.length, message: result.error.message || "Clause analysis failed." });
+              return;
+            }
+
+            const { issues: clauseIssues, rejected } = result.value;
+
+            // Issues that could not be validated or anchored are reported, not dropped
+            rejected.forEach((entry) => {
+              rejectedIssues++;
+              log.warn("Rejected issue", { clauseIndex: i, reason: entry.reason });
+              emit({ type: "issue-rejected", issue: entry.issue, reason: entry.reason, clauseIndex: i, sectionNumber: clauses[i].sectionNumber, totalClauses: clauses.length });
+            });
+
+            clauseIssues.forEach((issue, n) => {
+              // Stable identifiers: global order, position within the clause, and an id built from both
+              issue.index = issueIndex;
+              issue.clauseIndex = i;
+              issue.clauseIssueIndex = n;
+              issue.clauseIssueCount = clauseIssues.length;
+              issue.id = `c${i}-${n}`;
+              issue.sectionNumber = sectionNumberFor(clauses[i], issue.originalText);
+              issueIndex++;
+              allIssues.push(issue);
+
+              log.debug("Found issue", { clauseIndex: i, clauseIssueIndex: n, type: issue.type, severity: issue.severity });
+
+              emit({ type: "issue", issue, clauseIndex: i, sectionNumber: issue.sectionNumber, totalClauses: clauses.length, cached });
+            });
+          },
+        }
+      );
+
+      const summary = totals();
+      if (signal?.aborted) {
+        // Tokens already spent are still recorded below
+        emit({ type: "cancelled", ...summary });
+        log.warn("Review cancelled", { reportedClauses, clauseCount: clauses.length, issueCount: allIssues.length, totalTokens: summary.usage.totalTokens });
+        return { status: "cancelled", summary };
+      }
+
+      // Send completion event
+      emit({ type: "complete", ...summary, redaction: pseudonymizer?.summary() || null });
+      log.info("Review complete", { issueCount: allIssues.length, clauseCount: clauses.length, failedClauses, rejectedIssues, cachedClauses, totalTokens: summary.usage.totalTokens, cost: summary.usage.cost });
+      return { status: "complete", summary };
+    } catch (error) {
+      log.error("Review failed", { error: error.message });
+      emit({ type: "error", message: error.message || "Analysis failed." });
+      return { status: "failed", summary: totals() };
+    } finally {
+      meter.record();
+    }
+  }
+
+  return { completeIssues, repairIssues, analyzeClause, reviewClauses };
+}
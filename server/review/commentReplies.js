@@ -0,0 +1,117 @@
+/**
+ * Replies to counterparty comments.
+ *
+ * Drafts come back with the other side's questions and objections as Word
+ * comments. Each comment, with the text it is anchored to, the paragraph
+ * around it and the thread so far, gets a drafted reply in our posture for
+ * the user to edit before posting.
+ */
+import { withTimeout } from "../utils/concurrency.js";
+import { perspectiveFor } from "./parties.js";
+import { validateCommentReply, parseModelContent, buildRepairMessages } from "./validation.js";
+import { selectRulesForClause, formatRulesForPrompt } from "../playbooks/rules.js";
+import { logger } from "../logging/logger.js";
+
+const MAX_CONTEXT_CHARS = 2000;
+const MAX_THREAD_REPLIES = 10;
+
+function clip(text, max) {
+  return text.length > max ? `${text.slice(0, max)}…` : text;
+}
+
+function buildReplyMessages({ comment, instructions, riskProfile, party, playbook }) {
+  const postureMap = {
+    balanced: "Be cooperative and pragmatic: explain our position and agree where the request is reasonable.",
+    cautious: "Be protective: explain why the current wording protects our client and concede nothing material.",
+    aggressive: "Be firm: hold our position and explain it briefly without offering concessions.",
+  };
+  const context = [comment.anchorText, comment.paragraph, comment.text].filter(Boolean).join("\n");
+  const thread = (comment.replies || [])
+    .slice(-MAX_THREAD_REPLIES)
+    .map((reply) => `${reply.author || "Unknown"}: ${reply.text}`);
+
+  return [
+    {
+      role: "system",
+      content: [
+        "You are a senior contracts attorney answering the other side's comments on a draft agreement.",
+        `You represent ${perspectiveFor(party)}.`,
+        postureMap[riskProfile] || postureMap.balanced,
+        ...formatRulesForPrompt(playbook, selectRulesForClause(playbook, context)),
+        "",
+        "Draft the reply to post in the comment thread:",
+        "- Answer the question or objection directly, in two to four sentences",
+        "- Refer to the clause wording where it helps; do not invent facts or prior agreements",
+        "- Professional, courteous tone addressed to the other side's counsel",
+        "- Set resolve to true only when the reply fully closes the point",
+        "",
+        '**Response Format - Return ONE JSON object:** { "reply": "the reply text", "resolve": false }',
+        "Return ONLY valid JSON.",
+      ].join("\n"),
+    },
+    {
+      role: "user",
+      content: [
+        comment.anchorText ? `The comment is attached to: "${clip(comment.anchorText, MAX_CONTEXT_CHARS)}"` : "",
+        comment.paragraph ? `In the paragraph: "${clip(comment.paragraph, MAX_CONTEXT_CHARS)}"` : "",
+        `Comment from ${comment.author || "the other side"}: ${comment.text}`,
+        thread.length ? `Thread so far:\n${thread.join("\n")}` : "",
+        instructions ? `Client's specific concerns: ${instructions}` : "",
+      ].filter(Boolean).join("\n\n"),
+    },
+  ];
+}
+
+/**
+ * Bind comment replies to a provider.
+ * @param {Object} provider - From createProvider
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - Per-call limit, 0 for none
+ * @param {number} [options.maxRepairAttempts] - Re-prompts for a response that failed validation
+ */
+export function createCommentResponder(provider, {
+  timeoutMs = Number(process.env.CLAUSE_TIMEOUT_MS ?? 60000),
+  maxRepairAttempts = Number(process.env.MAX_REPAIR_ATTEMPTS ?? 1),
+} = {}) {
+  /**
+   * Draft a reply to one comment.
+   * @param {Object} request
+   * @param {{ author?: string, text: string, anchorText?: string, paragraph?: string, replies?: Array<{ author?: string, text: string }> }} request.comment
+   * @param {string} [request.instructions]
+   * @param {string} [request.riskProfile]
+   * @param {Object} [request.party]
+   * @param {Object} [request.playbook]
+   * @param {Object} [request.pseudonymizer]
+   * @param {Object} context
+   * @param {Function} [context.onUsage] - meter.add
+   * @param {AbortSignal} [context.signal]
+   * @param {Object} [context.log]
+   * @returns {Promise<{ reply: string, resolve: boolean }>}
+   */
+  async function draftReply({ comment, instructions, riskProfile, party, playbook, pseudonymizer = null }, { onUsage, signal, log = logger }) {
+    const messages = buildReplyMessages({ comment, instructions, riskProfile, party, playbook });
+    let conversation = pseudonymizer ? pseudonymizer.redactMessages(messages) : messages;
+
+    for (let attempt = 0; ; attempt++) {
+      const { content } = await withTimeout(
+        (callSignal) => provider.complete({ messages: conversation, task: "reply", temperature: 0.3, maxTokens: 600, signal: callSignal, onUsage }),
+        timeoutMs,
+        `No reply drafted within ${Math.round(timeoutMs / 1000)}s.`,
+        signal
+      );
+
+      const checked = validateCommentReply(parseModelContent(content));
+      if (checked.result) {
+        return pseudonymizer ? pseudonymizer.restore(checked.result) : checked.result;
+      }
+      if (attempt >= maxRepairAttempts) {
+        throw new Error(`Unusable model response: ${checked.reason}`);
+      }
+
+      log.warn("Asking the model to repair its reply", { reason: checked.reason });
+      conversation = buildRepairMessages(conversation, content, { error: checked.reason });
+    }
+  }
+
+  return { draftReply };
+}
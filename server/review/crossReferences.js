@@ -0,0 +1,367 @@
+/**
+ * Cross-reference and numbering validation.
+ *
+ * Clause review sees one clause at a time, so it cannot tell that "Section 9.2"
+ * no longer exists after a renumbering. Here we build the whole document's
+ * section and exhibit outline and check every reference against it, along with
+ * gaps and duplicates in the numbering itself. Findings use the regular issue
+ * shape so the pane anchors them as Word comments.
+ */
+
+import { numberParagraphs } from "./segmentation.js";
+import { logger } from "../logging/logger.js";
+
+const log = logger.child({ component: "crossReferences" });
+
+// "Section 9.2", "Sections 4.1 and 4.3", "Article IV", "§ 12.3(b)", "Sections 2.1 through 2.4"
+const SECTION_NUMBER = String.raw`\d+(?:\.\d+)*(?:\([a-z0-9]+\))*`;
+const SECTION_REF_PATTERN = new RegExp(
+  String.raw`\b(Sections?|Articles?|Clauses?|§§?)\s*(${SECTION_NUMBER}|[IVXLC]+\b)((?:\s*(?:,|and|or|through|to|-|–)\s*(?:${SECTION_NUMBER}))*)`,
+  "g"
+);
+const SECTION_NUMBER_PATTERN = new RegExp(SECTION_NUMBER, "g");
+
+// "Exhibit C", "Schedule 2", "Annex B"
+const EXHIBIT_KINDS = {
+  exhibit: "Exhibit",
+  exhibits: "Exhibit",
+  schedule: "Schedule",
+  schedules: "Schedule",
+  annex: "Annex",
+  appendix: "Appendix",
+  attachment: "Attachment",
+};
+const EXHIBIT_REF_PATTERN = /\b(Exhibits?|Schedules?|Annex|Appendix|Attachment)\s+([A-Z]{1,2}|\d+)\b/g;
+// An exhibit heading is the label alone or followed by a title: "EXHIBIT C", "Schedule 2 – Pricing"
+const EXHIBIT_HEADING_PATTERN = /^(exhibits?|schedules?|annex|appendix|attachment)\s+([A-Z]{1,2}|\d+)\s*(?:$|[-–—:.]\s*\S)/i;
+
+// "Section 365 of the Bankruptcy Code" points at another instrument
+const EXTERNAL_REF_PATTERN = /^\s*of\s+(?:the\s+)?(?!this\b|these\b|Agreement\b)[A-Z]/;
+
+const ROMAN_VALUES = { i: 1, v: 5, x: 10, l: 50, c: 100, d: 500, m: 1000 };
+
+function romanToInt(value) {
+  const chars = value.toLowerCase().split("");
+  return chars.reduce((total, char, index) => {
+    const current = ROMAN_VALUES[char];
+    const next = ROMAN_VALUES[chars[index + 1]] || 0;
+    return total + (current < next ? -current : current);
+  }, 0);
+}
+
+function intToRoman(value) {
+  const table = [[1000, "M"], [900, "CM"], [500, "D"], [400, "CD"], [100, "C"], [90, "XC"], [50, "L"], [40, "XL"], [10, "X"], [9, "IX"], [5, "V"], [4, "IV"], [1, "I"]];
+  let remaining = value;
+  let result = "";
+  for (const [amount, numeral] of table) {
+    while (remaining >= amount) {
+      result += numeral;
+      remaining -= amount;
+    }
+  }
+  return result;
+}
+
+function countOccurrences(haystack, needle) {
+  let count = 0;
+  let index = haystack.indexOf(needle);
+  while (index >= 0) {
+    count++;
+    index = haystack.indexOf(needle, index + 1);
+  }
+  return count;
+}
+
+// Word comments land on the first search hit, so widen the anchor until it is unique
+function uniqueAnchor(text, start, end) {
+  const lower = text.toLowerCase();
+  const lineEnd = (() => {
+    const index = text.indexOf("\n", end);
+    return index < 0 ? text.length : index;
+  })();
+  const lineStart = text.lastIndexOf("\n", start - 1) + 1;
+
+  let from = start;
+  let to = end;
+  while (countOccurrences(lower, lower.slice(from, to)) > 1 && to - from < 200) {
+    if (to < lineEnd) {
+      const next = text.slice(to).search(/\s\S/);
+      to = next < 0 || to + next + 1 > lineEnd ? lineEnd : to + next + 1;
+      // Include the whole next word
+      const wordEnd = text.slice(to).search(/\s|$/);
+      to = Math.min(lineEnd, to + Math.max(wordEnd, 0));
+    } else if (from > lineStart) {
+      const previous = text.slice(lineStart, from).search(/\S+\s*$/);
+      from = previous < 0 ? lineStart : lineStart + previous;
+    } else {
+      break;
+    }
+  }
+  return text.slice(from, to).trim();
+}
+
+// Anchor on the start of a heading or numbered paragraph, cut at a word boundary
+function paragraphAnchor(text, entry) {
+  const cut = entry.text.length <= 60 ? entry.text.length : entry.text.lastIndexOf(" ", 60);
+  return uniqueAnchor(text, entry.start, entry.start + (cut > 0 ? cut : 60));
+}
+
+function splitNumber(number) {
+  const paren = /^(.*)\(([^()]+)\)$/.exec(number);
+  if (paren) {
+    return { parent: paren[1], last: paren[2] };
+  }
+  const dot = number.lastIndexOf(".");
+  return dot >= 0
+    ? { parent: number.slice(0, dot), last: number.slice(dot + 1) }
+    : { parent: "", last: number };
+}
+
+// Ordinals for one sibling group, or null when the labels are not a single sequence
+function ordinalsFor(labels) {
+  if (labels.every((label) => /^\d+$/.test(label))) {
+    return labels.map(Number);
+  }
+  const roman = labels.every((label) => /^[ivxlc]+$/i.test(label))
+    && (labels.some((label) => label.length > 1) || /^i$/i.test(labels[0]));
+  if (roman) {
+    return labels.map(romanToInt);
+  }
+  if (labels.every((label) => /^[a-z]$/i.test(label))) {
+    return labels.map((label) => label.toLowerCase().charCodeAt(0) - 96);
+  }
+  return null;
+}
+
+function labelForOrdinal(sample, ordinal) {
+  if (/^\d+$/.test(sample)) return String(ordinal);
+  if (/^[ivxlc]{2,}$/i.test(sample) || /^i$/i.test(sample)) {
+    const roman = intToRoman(ordinal);
+    return sample === sample.toLowerCase() ? roman.toLowerCase() : roman;
+  }
+  const letter = String.fromCharCode(96 + ordinal);
+  return sample === sample.toUpperCase() ? letter.toUpperCase() : letter;
+}
+
+function composeNumber(parent, sample, label) {
+  if (!parent) return label;
+  return /^\d+$/.test(sample) && !/\)$/.test(parent) ? `${parent}.${label}` : `${parent}(${label})`;
+}
+
+/**
+ * Build the document outline: numbered sections and exhibit headings with their
+ * positions in the joined text.
+ * @param {Array<object>} paragraphs - Paragraph model from the pane ({ text, style, ... })
+ */
+export function buildOutline(paragraphs) {
+  const sections = [];
+  const exhibits = [];
+  let offset = 0;
+  const lines = [];
+
+  numberParagraphs(paragraphs).forEach((paragraph) => {
+    const start = offset;
+    lines.push(paragraph.text);
+    offset += paragraph.text.length + 1;
+
+    const exhibit = EXHIBIT_HEADING_PATTERN.exec(paragraph.text);
+    if (exhibit) {
+      exhibits.push({ kind: EXHIBIT_KINDS[exhibit[1].toLowerCase()], id: exhibit[2].toUpperCase(), start, text: paragraph.text });
+      return;
+    }
+    if (paragraph.number) {
+      sections.push({ number: paragraph.number, start, text: paragraph.text });
+    }
+  });
+
+  return { text: lines.join("\n"), sections, exhibits };
+}
+
+function sectionExists(number, sectionNumbers, articles) {
+  if (sectionNumbers.has(number)) return true;
+
+  // Article IV and Article 4 are the same heading
+  if (articles) {
+    const converted = /^\d+$/.test(number) ? intToRoman(Number(number)) : String(romanToInt(number));
+    if (sectionNumbers.has(converted) || sectionNumbers.has(converted.toLowerCase())) return true;
+  }
+
+  // Sub-items can only be checked when the document numbers that section's sub-items
+  const base = number.replace(/(\([^()]+\))+$/, "");
+  if (base !== number && sectionNumbers.has(base)) {
+    return ![...sectionNumbers].some((candidate) => candidate.startsWith(`${base}(`));
+  }
+  return false;
+}
+
+function finding(check, severity, originalText, explanation) {
+  return {
+    type: "comment",
+    severity,
+    originalText,
+    explanation,
+    source: "cross-references",
+    check,
+  };
+}
+
+function checkNumbering(outline, issues) {
+  const seen = new Set();
+  const groups = new Map();
+
+  outline.sections.forEach((section) => {
+    if (seen.has(section.number)) {
+      issues.push(finding(
+        "duplicate",
+        "medium",
+        paragraphAnchor(outline.text, section),
+        `Section ${section.number} is numbered twice. References to it are ambiguous; renumber one of them.`
+      ));
+    }
+    seen.add(section.number);
+
+    const { parent, last } = splitNumber(section.number);
+    const group = groups.get(parent) || [];
+    group.push({ ...section, last });
+    groups.set(parent, group);
+  });
+
+  groups.forEach((group, parent) => {
+    const ordinals = ordinalsFor(group.map((entry) => entry.last));
+    if (!ordinals) return;
+
+    for (let k = 1; k < group.length; k++) {
+      if (ordinals[k] <= ordinals[k - 1] + 1) continue;
+      const missing = [];
+      for (let ordinal = ordinals[k - 1] + 1; ordinal < ordinals[k] && missing.length < 5; ordinal++) {
+        missing.push(composeNumber(parent, group[k].last, labelForOrdinal(group[k].last, ordinal)));
+      }
+      const entry = group[k];
+      issues.push(finding(
+        "gap",
+        "low",
+        paragraphAnchor(outline.text, entry),
+        `Numbering skips from ${group[k - 1].number} to ${entry.number}; ${missing.length === 1 ? `Section ${missing[0]} is` : `Sections ${missing.join(", ")} are`} missing. Check whether a section was deleted without renumbering.`
+      ));
+    }
+  });
+
+  // Exhibits of each kind should run A, B, C... without repeats
+  const byKind = new Map();
+  outline.exhibits.forEach((exhibit) => {
+    const list = byKind.get(exhibit.kind) || [];
+    if (list.some((entry) => entry.id === exhibit.id)) {
+      issues.push(finding(
+        "duplicate",
+        "medium",
+        paragraphAnchor(outline.text, exhibit),
+        `${exhibit.kind} ${exhibit.id} appears twice in this document.`
+      ));
+      return;
+    }
+    list.push(exhibit);
+    byKind.set(exhibit.kind, list);
+  });
+  byKind.forEach((list, kind) => {
+    const ordinals = ordinalsFor(list.map((entry) => entry.id));
+    if (!ordinals) return;
+    for (let k = 1; k < list.length; k++) {
+      if (ordinals[k] <= ordinals[k - 1] + 1) continue;
+      const missing = labelForOrdinal(list[k].id, ordinals[k - 1] + 1);
+      issues.push(finding(
+        "gap",
+        "low",
+        paragraphAnchor(outline.text, list[k]),
+        `${kind} ${list[k - 1].id} is followed by ${kind} ${list[k].id}; ${kind} ${missing} is missing.`
+      ));
+    }
+  });
+}
+
+function checkReferences(outline, issues) {
+  const { text } = outline;
+  const sectionNumbers = new Set(outline.sections.map((section) => section.number));
+  const exhibitIds = new Set(outline.exhibits.map((exhibit) => `${exhibit.kind} ${exhibit.id}`));
+  const exhibitKinds = new Set(outline.exhibits.map((exhibit) => exhibit.kind));
+  const reported = new Set();
+
+  const isHeading = (index) => /(^|\n)\s*$/.test(text.slice(Math.max(0, index - 4), index));
+
+  // Too little numbering to judge references against
+  if (sectionNumbers.size >= 2) {
+    let match;
+    SECTION_REF_PATTERN.lastIndex = 0;
+    while ((match = SECTION_REF_PATTERN.exec(text))) {
+      if (isHeading(match.index)) continue;
+      const after = text.slice(match.index + match[0].length, match.index + match[0].length + 60);
+      if (EXTERNAL_REF_PATTERN.test(after)) continue;
+
+      const articles = /^art/i.test(match[1]);
+      const numbers = [match[2], ...(match[3].match(SECTION_NUMBER_PATTERN) || [])];
+      numbers.forEach((number) => {
+        const clean = number.replace(/\.$/, "");
+        if (sectionExists(clean, sectionNumbers, articles)) return;
+
+        const position = match.index + match[0].indexOf(number, match[1].length);
+        const key = `${clean}@${position}`;
+        if (reported.has(key)) return;
+        reported.add(key);
+
+        const start = number === match[2] ? match.index : position;
+        const label = articles ? "Article" : "Section";
+        issues.push(finding(
+          "dangling",
+          "medium",
+          uniqueAnchor(text, start, position + number.length),
+          `This refers to ${label} ${clean}, but there is no ${label} ${clean} in this document. Check whether the sections were renumbered.`
+        ));
+      });
+    }
+  }
+
+  let match;
+  EXHIBIT_REF_PATTERN.lastIndex = 0;
+  while ((match = EXHIBIT_REF_PATTERN.exec(text))) {
+    if (isHeading(match.index)) continue;
+    const kind = EXHIBIT_KINDS[match[1].toLowerCase()];
+    // Exhibits may be separate documents; only check kinds that are attached here
+    if (!exhibitKinds.has(kind)) continue;
+    const id = match[2].toUpperCase();
+    if (exhibitIds.has(`${kind} ${id}`)) continue;
+
+    issues.push(finding(
+      "dangling",
+      "medium",
+      uniqueAnchor(text, match.index, match.index + match[0].length),
+      `This refers to ${kind} ${id}, but no ${kind} ${id} is attached to this document.`
+    ));
+  }
+}
+
+/**
+ * Validate cross-references and section numbering across a whole document.
+ * @param {Array<object>} paragraphs - Paragraph model, or plain-text lines as { text }
+ * @returns {Array<{ type: "comment", severity: string, originalText: string, explanation: string, source: "cross-references", check: "dangling"|"gap"|"duplicate" }>}
+ */
+export function validateCrossReferences(paragraphs) {
+  const outline = buildOutline(paragraphs);
+  const issues = [];
+
+  checkReferences(outline, issues);
+  checkNumbering(outline, issues);
+
+  // Report in reading order
+  const lower = outline.text.toLowerCase();
+  issues.sort((a, b) => lower.indexOf(a.originalText.toLowerCase()) - lower.indexOf(b.originalText.toLowerCase()));
+
+  log.debug("Validated cross-references", { sectionCount: outline.sections.length, exhibitCount: outline.exhibits.length, findingCount: issues.length });
+
+  return issues;
+}
+
+/**
+ * Plain-text fallback: treat each line as a paragraph.
+ */
+export function paragraphsFromText(text) {
+  return text.split(/\r\n|\r|\n/).map((line) => ({ text: line }));
+}
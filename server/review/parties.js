@@ -0,0 +1,133 @@
+/**
+ * Party detection and perspective.
+ *
+ * Contracts name their parties in the preamble, e.g.
+ *   This Agreement is entered into by and between Acme Corp., a Delaware
+ *   corporation ("Customer"), and Widget LLC ("Vendor").
+ * We read those definitions so the reviewer can choose which side we act for.
+ */
+
+const PREAMBLE_CHARS = 3000;
+
+// Roles we accept even outside a "between ... and ..." sentence
+const KNOWN_ROLES = [
+  "customer", "client", "vendor", "supplier", "provider", "service provider", "licensor", "licensee",
+  "disclosing party", "receiving party", "discloser", "recipient", "buyer", "seller", "purchaser",
+  "contractor", "consultant", "subcontractor", "employer", "employee", "landlord", "tenant", "lessor",
+  "lessee", "borrower", "lender", "distributor", "reseller", "company", "processor", "controller",
+];
+
+// Defined terms that commonly appear in a preamble but are not parties
+const NON_PARTY_TERMS = new Set([
+  "agreement", "effective date", "party", "parties", "msa", "nda", "sow", "terms", "services",
+  "master agreement", "master services agreement", "order form",
+]);
+
+const DEFINITION_PATTERN = /\((?:the\s+|hereinafter\s+(?:the\s+)?|each\s+a\s+)?["“]([^"”]{2,40})["”]\)/gi;
+
+function cleanName(segment) {
+  // Drop any leading connective and the descriptive tail ("a Delaware corporation ...")
+  let name = segment
+    .replace(/^[\s\S]*\b(?:between|among|and|by)\s+/i, "")
+    .split(/,\s*(?:an?|the)\s+/i)[0]
+    .split(/\s+(?:with\s+(?:its|offices)|having|located|whose)\b/i)[0]
+    .replace(/[\s,;:]+$/, "")
+    .trim();
+
+  // Long segments without a connective are prose, not a name
+  if (name.split(/\s+/).length > 8) {
+    return "";
+  }
+  return name;
+}
+
+/**
+ * Find parties and their roles in the opening of a contract.
+ * @param {string} text - Full contract text (only the preamble is read)
+ * @returns {Array<{ name: string, role: string }>}
+ */
+export function detectParties(text) {
+  const preamble = (text || "").slice(0, PREAMBLE_CHARS);
+  const parties = [];
+  let lastEnd = 0;
+  let match;
+
+  DEFINITION_PATTERN.lastIndex = 0;
+  while ((match = DEFINITION_PATTERN.exec(preamble))) {
+    const role = match[1].trim();
+    const segment = preamble.slice(lastEnd, match.index);
+    lastEnd = match.index + match[0].length;
+
+    const roleLower = role.toLowerCase();
+    if (NON_PARTY_TERMS.has(roleLower)) continue;
+
+    // Unknown roles only count when they follow a "between"/"among"
+    const context = preamble.slice(Math.max(0, match.index - 600), match.index);
+    const introducesParty = KNOWN_ROLES.includes(roleLower) || /\b(?:between|among)\b/i.test(context);
+    if (!introducesParty) continue;
+
+    const name = cleanName(segment) || role;
+    if (!/[A-Z]/.test(name)) continue;
+    if (parties.some((party) => party.role.toLowerCase() === roleLower)) continue;
+
+    parties.push({ name, role });
+  }
+
+  return parties;
+}
+
+/**
+ * Describe the party we act for, for use in prompts.
+ * Accepts { name, role } or a plain role string.
+ */
+export function describeParty(party) {
+  if (!party) {
+    return "";
+  }
+  if (typeof party === "string") {
+    return `the ${party.trim()}`;
+  }
+  const name = typeof party.name === "string" ? party.name.trim() : "";
+  const role = typeof party.role === "string" ? party.role.trim() : "";
+  if (name && role && name !== role) {
+    return `${name} (the "${role}")`;
+  }
+  return name || (role ? `the ${role}` : "");
+}
+
+/**
+ * The party named by a role or name, e.g. "Customer" from a command-line
+ * flag: the detected party when one matches, otherwise the value as a role.
+ * @returns {{ name: string, role: string } | null}
+ */
+export function findParty(text, value) {
+  const wanted = typeof value === "string" ? value.trim() : "";
+  if (!wanted) {
+    return null;
+  }
+  const lower = wanted.toLowerCase();
+  return detectParties(text).find((party) => party.role.toLowerCase() === lower || party.name.toLowerCase() === lower)
+    || normalizeParty(wanted);
+}
+
+/**
+ * Who we act for in prompts; without a selection we keep the historical
+ * customer-side default.
+ */
+export function perspectiveFor(party) {
+  return describeParty(party) || "the recipient/customer";
+}
+
+/**
+ * Sanitize a party selection from a request body.
+ * @returns {{ name: string, role: string } | null}
+ */
+export function normalizeParty(input) {
+  if (!input) {
+    return null;
+  }
+  const party = typeof input === "string" ? { role: input } : input;
+  const name = typeof party.name === "string" ? party.name.trim().slice(0, 120) : "";
+  const role = typeof party.role === "string" ? party.role.trim().slice(0, 60) : "";
+  return name || role ? { name, role } : null;
+}
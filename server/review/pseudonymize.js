@@ -0,0 +1,174 @@
+/**
+ * Reversible pseudonymization.
+ *
+ * Before a prompt goes to the provider, party names, email addresses, phone
+ * numbers, street addresses, signatory names, monetary amounts and watchlist
+ * terms are replaced with placeholders such as [PARTY_A] or [AMOUNT_2]. Each
+ * distinct value keeps its placeholder for the whole request, so the model can
+ * still tell values apart, and every placeholder in the model's answer is
+ * swapped back for the exact original text before it reaches Word.
+ */
+
+const CORPORATE_SUFFIX = /,?\s+(?:Inc|Incorporated|Corp|Corporation|Co|Company|LLC|L\.L\.C|LLP|LP|Ltd|Limited|PLC|GmbH|AG|S\.?A|B\.?V|N\.?V|Pty)\.?$/i;
+
+// Applied in order after party names and watchlist terms; earlier kinds claim text first
+const PATTERNS = [
+  { kind: "EMAIL", pattern: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g },
+  { kind: "PHONE", pattern: /(?<![\w.])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)\s?|\d{2,4}[\s.-])\d{3,4}[\s.-]\d{3,4}(?!\w|\.\d)/g },
+  {
+    kind: "AMOUNT",
+    pattern: /(?:\b(?:USD|EUR|GBP|CAD|AUD|CHF|JPY)\s?|[$€£¥])\d{1,3}(?:[,.\s]\d{3})*(?:[.,]\d{1,2})?(?:\s?(?:million|billion|thousand)\b)?/gi,
+  },
+  { kind: "AMOUNT", pattern: /\b\d{1,3}(?:,\d{3})*(?:\.\d{1,2})?\s?(?:dollars|euros|pounds|USD|EUR|GBP)\b/gi },
+  {
+    kind: "ADDRESS",
+    pattern: /\b\d{1,6}\s+(?:[A-Z][A-Za-z'-]*\.?\s+){1,4}(?:Street|Avenue|Road|Boulevard|Lane|Drive|Way|Court|Place|Parkway|Square|St|Ave|Rd|Blvd|Ln|Dr|Ct|Pl|Pkwy|Sq)\b\.?(?:,?\s+(?:Suite|Ste\.?|Floor|Unit|#)\s*\w+)?(?:,\s*[A-Z][A-Za-z]+(?:\s[A-Z][A-Za-z]+)*)?(?:,\s*[A-Z]{2})?(?:\s+\d{5}(?:-\d{4})?)?/g,
+  },
+  // Signature blocks and notice details: "By: Jane Doe", "Attention: John Q. Smith"
+  {
+    kind: "PERSON",
+    pattern: /\b(?:By|Name|Attn|Attention|Signed)\s*:\s*([A-Z][a-z]+(?:\s+[A-Z]\.)?(?:\s+[A-Z][a-z'-]+){1,2})/g,
+    group: 1,
+  },
+];
+
+const PLACEHOLDER_PATTERN = /\[(?:PARTY_[A-Z]+(?:_SHORT)?|(?:EMAIL|PHONE|AMOUNT|ADDRESS|PERSON|TERM)_\d+)\]/g;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function partyLetter(index) {
+  let letter = "";
+  for (let n = index; n >= 0; n = Math.floor(n / 26) - 1) {
+    letter = String.fromCharCode(65 + (n % 26)) + letter;
+  }
+  return letter;
+}
+
+// Alternation of literal terms, longest first so "Acme Corp." wins over "Acme"
+function literalPattern(terms, flags) {
+  const sorted = [...new Set(terms)].sort((a, b) => b.length - a.length);
+  return sorted.length
+    ? new RegExp(`(?<![\\w])(?:${sorted.map(escapeRegExp).join("|")})(?![\\w])`, flags)
+    : null;
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Array<{ name: string }>} [options.parties] - Detected or selected parties
+ * @param {string[]} [options.watchlist] - Extra confidential terms, matched case-insensitively
+ */
+export function createPseudonymizer({ parties = [], watchlist = [] } = {}) {
+  const forward = new Map();
+  const reverse = new Map();
+  const counters = {};
+
+  function assign(original, placeholder) {
+    forward.set(original, placeholder);
+    reverse.set(placeholder, original);
+    return placeholder;
+  }
+
+  function placeholderFor(kind, original) {
+    if (forward.has(original)) {
+      return forward.get(original);
+    }
+    counters[kind] = (counters[kind] || 0) + 1;
+    return assign(original, `[${kind}_${counters[kind]}]`);
+  }
+
+  // Party names get fixed placeholders up front: [PARTY_A], and [PARTY_A_SHORT] for "Acme" in "Acme Corp."
+  const partyNames = [];
+  const seenNames = new Set();
+  parties
+    .map((party) => party?.name?.trim())
+    .filter((name) => name && name.length > 2 && !seenNames.has(name) && seenNames.add(name))
+    .forEach((name, index) => {
+      const letter = partyLetter(index);
+      assign(name, `[PARTY_${letter}]`);
+      partyNames.push(name);
+
+      const short = name.replace(CORPORATE_SUFFIX, "").trim();
+      if (short !== name && short.length > 2 && !forward.has(short)) {
+        assign(short, `[PARTY_${letter}_SHORT]`);
+        partyNames.push(short);
+      }
+    });
+
+  const partyPattern = literalPattern(partyNames, "g");
+  const watchlistPattern = literalPattern(
+    watchlist.map((term) => String(term).trim()).filter((term) => term.length > 1),
+    "gi"
+  );
+
+  /**
+   * Replace confidential values in a string.
+   */
+  function redact(text) {
+    if (typeof text !== "string" || !text) {
+      return text;
+    }
+
+    let result = text;
+    if (partyPattern) {
+      result = result.replace(partyPattern, (match) => forward.get(match) || match);
+    }
+    if (watchlistPattern) {
+      result = result.replace(watchlistPattern, (match) => placeholderFor("TERM", match));
+    }
+    for (const { kind, pattern, group } of PATTERNS) {
+      result = result.replace(pattern, (match, ...groups) => {
+        if (!group) {
+          return placeholderFor(kind, match);
+        }
+        const value = groups[group - 1];
+        return match.slice(0, match.length - value.length) + placeholderFor(kind, value);
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Redact every message of a prompt: the contract, the context and our own
+   * instructions (which name the party we represent).
+   */
+  function redactMessages(messages) {
+    return messages.map((message) => ({ ...message, content: redact(message.content) }));
+  }
+
+  /**
+   * Put the original values back into a model response: strings, arrays and
+   * objects such as issues or review results.
+   */
+  function restore(value) {
+    if (typeof value === "string") {
+      return value.replace(PLACEHOLDER_PATTERN, (placeholder) => reverse.get(placeholder) ?? placeholder);
+    }
+    if (Array.isArray(value)) {
+      return value.map(restore);
+    }
+    if (value && typeof value === "object") {
+      return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, restore(field)]));
+    }
+    return value;
+  }
+
+  /**
+   * What was replaced, by kind, without the values themselves.
+   * @returns {{ applied: boolean, counts: Object<string, number> }}
+   */
+  function summary() {
+    const counts = {};
+    for (const placeholder of reverse.keys()) {
+      if (placeholder.endsWith("_SHORT]")) {
+        continue;
+      }
+      const kind = placeholder.slice(1).split("_")[0].toLowerCase();
+      counts[kind] = (counts[kind] || 0) + 1;
+    }
+    return { applied: reverse.size > 0, counts };
+  }
+
+  return { redact, redactMessages, restore, summary };
+}
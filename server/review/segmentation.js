@@ -0,0 +1,320 @@
+/**
+ * Clause segmentation.
+ *
+ * The task pane sends a structured paragraph model taken from Word:
+ *   { text, style, outlineLevel, listString, listLevel, inTable }
+ * and we cut clauses along the document's real section hierarchy (headings and
+ * list numbering) instead of guessing from blank lines. splitIntoClauses is
+ * kept for callers that only have flattened text.
+ */
+import { logger } from "../logging/logger.js";
+
+const log = logger.child({ component: "segmentation" });
+
+// Section numbers of this shape start a new clause ("12", "12.3", "IV");
+// deeper items such as "12.3.1" or "(b)" stay with their parent so definition
+// lists and sub-clauses are never split mid-item.
+const CLAUSE_NUMBER_PATTERN = /^(?:\d+(?:\.\d+)?|[IVXLCDM]+)$/i;
+
+// Clauses shorter than this (e.g. a bare "ARTICLE 7 - INDEMNITY" heading)
+// absorb the following paragraph instead of standing alone.
+const MIN_CLAUSE_CHARS = 80;
+
+// Very long sections are cut at the next paragraph boundary once they pass this size
+const MAX_CLAUSE_CHARS = 4000;
+
+const ROMAN_PATTERN = /^[ivxlcdm]+$/i;
+
+// "Section 12.3", "Article IV", "12.3.", "12)", "(b)", "b)", "iv."
+const TYPED_NUMBER_PATTERN = /^(?:(?:section|article|clause)\s+([IVXLCDM]+|\d+(?:\.\d+)*)\.?|(\d+(?:\.\d+)*\.?|[IVXLCDM]+\.|\([a-z0-9]+\)|[a-z0-9]\)))(?=\s|$)/i;
+
+function headingLevel(paragraph) {
+  const styleMatch = /^heading\s*(\d)/i.exec(paragraph.style || "");
+  if (styleMatch) {
+    return Number(styleMatch[1]);
+  }
+  // Word reports body text as outline level 10
+  const level = Number(paragraph.outlineLevel);
+  return level >= 1 && level <= 9 ? level : 0;
+}
+
+function numberLabel(paragraph) {
+  const listString = (paragraph.listString || "").trim();
+  if (listString) {
+    return listString;
+  }
+  const match = TYPED_NUMBER_PATTERN.exec((paragraph.text || "").trim());
+  return match ? match[1] || match[2] : "";
+}
+
+function labelKind(label, sibling) {
+  const bare = label.replace(/[().]/g, "");
+  if (/^\d+$/.test(bare)) return "digit";
+  // Single letters other than i, v and x are always list letters in practice
+  if (ROMAN_PATTERN.test(bare) && (bare.length > 1 || /^[ivx]$/i.test(bare))) {
+    // "(i)" right after "(h)" is a letter, not roman numeral one
+    const continuesAlpha = sibling?.kind === "alpha"
+      && bare.length === 1
+      && bare.toLowerCase().charCodeAt(0) === sibling.bare.toLowerCase().charCodeAt(0) + 1;
+    return continuesAlpha ? "alpha" : "roman";
+  }
+  return "alpha";
+}
+
+/**
+ * Tracks the current position in the numbering hierarchy and composes
+ * full section numbers like "12.3(b)" from per-paragraph labels.
+ */
+function createNumberingTracker() {
+  const stack = [];
+
+  function depthFor(label, paragraph) {
+    if (paragraph.listString && Number.isFinite(Number(paragraph.listLevel))) {
+      return Number(paragraph.listLevel);
+    }
+
+    const bare = label.replace(/[().]+$/, "").replace(/^\(/, "");
+    if (/^\d+(\.\d+)*$/.test(bare)) {
+      return bare.split(".").length - 1;
+    }
+    if (!/[()]/.test(label)) {
+      // Roman article numbers ("IV.") are top-level
+      return 0;
+    }
+
+    // Parenthetical labels rejoin the nearest open level of the same kind,
+    // otherwise they nest one level below the current item
+    for (let depth = stack.length - 1; depth >= 0; depth -= 1) {
+      const entry = stack[depth];
+      if (!entry.paren) {
+        break;
+      }
+      if (labelKind(label, entry) === entry.kind) {
+        return depth;
+      }
+    }
+    return stack.length;
+  }
+
+  function compose(parent, label) {
+    const paren = /^\(.*\)$/.test(label) || /^[a-z0-9]\)$/i.test(label);
+    if (paren) {
+      const inner = label.replace(/^\(/, "").replace(/\)$/, "");
+      return `${parent || ""}(${inner})`;
+    }
+    const clean = label.replace(/\.$/, "");
+    if (!parent || clean.includes(".") || clean.startsWith(`${parent}.`)) {
+      return clean;
+    }
+    return `${parent}.${clean}`;
+  }
+
+  return {
+    push(label, paragraph) {
+      const depth = Math.min(depthFor(label, paragraph), stack.length);
+      const sibling = stack[depth];
+      stack.length = depth;
+      const parent = depth > 0 ? stack[depth - 1].number : "";
+      const paren = /^\(/.test(label) || /\)$/.test(label);
+      const bare = label.replace(/[().]/g, "");
+      const entry = {
+        number: compose(parent, label),
+        paren,
+        bare,
+        kind: labelKind(label, sibling),
+      };
+      stack[depth] = entry;
+      return { number: entry.number };
+    },
+    current() {
+      return stack.length ? stack[stack.length - 1].number : null;
+    },
+  };
+}
+
+/**
+ * Segment a structured paragraph list into clauses.
+ * @param {Array<{text: string, style?: string, outlineLevel?: number, listString?: string, listLevel?: number, inTable?: boolean}>} paragraphs
+ * @returns {Array<{text: string, sectionNumber: string|null, heading: string|null, parts: Array<{start: number, end: number, sectionNumber: string|null}>}>}
+ */
+export function segmentParagraphs(paragraphs) {
+  const numbering = createNumberingTracker();
+  const clauses = [];
+  let current = null;
+  let previousInTable = false;
+
+  function startClause() {
+    current = { text: "", sectionNumber: null, heading: null, parts: [] };
+    clauses.push(current);
+  }
+
+  for (const paragraph of paragraphs) {
+    const text = (paragraph?.text || "").trim();
+    if (!text) {
+      continue;
+    }
+
+    const level = headingLevel(paragraph);
+    const label = numberLabel(paragraph);
+    const numbered = label ? numbering.push(label, paragraph) : null;
+    const sectionNumber = numbered ? numbered.number : numbering.current();
+    const inTable = Boolean(paragraph.inTable);
+
+    const startsSection = level > 0 || (numbered && CLAUSE_NUMBER_PATTERN.test(numbered.number));
+    const continuesTable = inTable && previousInTable;
+    const tooLong = current && current.text.length + text.length > MAX_CLAUSE_CHARS;
+
+    if (!current) {
+      startClause();
+    } else if (!continuesTable && (tooLong || (startsSection && current.text.length >= MIN_CLAUSE_CHARS))) {
+      startClause();
+    }
+
+    if (!current.sectionNumber && numbered) {
+      current.sectionNumber = numbered.number;
+    }
+    if (!current.heading && level > 0) {
+      current.heading = text;
+    }
+
+    const start = current.text ? current.text.length + 1 : 0;
+    current.text += (current.text ? "\n" : "") + text;
+    current.parts.push({ start, end: current.text.length, sectionNumber });
+
+    previousInTable = inTable;
+  }
+
+  // Continuation clauses of an oversized section inherit its number
+  let lastNumber = null;
+  for (const clause of clauses) {
+    if (!clause.sectionNumber) {
+      clause.sectionNumber = clause.parts.find((part) => part.sectionNumber)?.sectionNumber || lastNumber;
+    }
+    lastNumber = clause.parts[clause.parts.length - 1]?.sectionNumber || clause.sectionNumber;
+  }
+
+  log.debug("Segmented paragraphs", { paragraphCount: paragraphs.length, clauseCount: clauses.length, sections: clauses.map((c) => c.sectionNumber) });
+
+  return clauses;
+}
+
+/**
+ * Number every paragraph the way segmentParagraphs does, without cutting clauses.
+ * @returns {Array<{text: string, number: string|null, label: string, headingLevel: number}>}
+ *   `number` is set only on paragraphs that carry their own label
+ */
+export function numberParagraphs(paragraphs) {
+  const numbering = createNumberingTracker();
+  const numbered = [];
+
+  for (const paragraph of paragraphs) {
+    const text = (paragraph?.text || "").trim();
+    if (!text) {
+      continue;
+    }
+    const label = numberLabel(paragraph);
+    numbered.push({
+      text,
+      number: label ? numbering.push(label, paragraph).number : null,
+      label,
+      headingLevel: headingLevel(paragraph),
+    });
+  }
+
+  return numbered;
+}
+
+/**
+ * Find the section number of the paragraph containing `snippet`, e.g. "12.3(b)"
+ * for an issue anchored in sub-item (b) of clause 12.3.
+ */
+export function sectionNumberFor(clause, snippet) {
+  if (!clause.parts?.length) {
+    return clause.sectionNumber || null;
+  }
+  const offset = snippet ? clause.text.indexOf(snippet) : -1;
+  if (offset < 0) {
+    return clause.sectionNumber || null;
+  }
+  const part = clause.parts.find((entry) => offset >= entry.start && offset < entry.end);
+  return part?.sectionNumber || clause.sectionNumber || null;
+}
+
+/**
+ * Wrap plain-text clauses in the same shape segmentParagraphs returns,
+ * reading a typed section number ("7.", "Section 8") from each clause's first line.
+ */
+export function clausesFromText(text) {
+  return splitIntoClauses(text).map((clauseText) => {
+    const match = TYPED_NUMBER_PATTERN.exec(clauseText.trim());
+    const sectionNumber = match ? (match[1] || match[2]).replace(/\.$/, "") : null;
+    return { text: clauseText, sectionNumber, heading: null, parts: [] };
+  });
+}
+
+// Split flattened contract text into clauses (fallback when no paragraph model is sent)
+export function splitIntoClauses(text) {
+  // Normalize line endings (Word may use \r\n, \r, or \n)
+  const normalized = text.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
+  
+  // Split by:
+  // - Double newlines (paragraphs)
+  // - Single newlines followed by numbers (1. 2. etc)
+  // - Single newlines followed by letters in parens ((a) (b) etc)
+  // - Sentences ending with period followed by capital letter (fallback)
+  let rawClauses = normalized.split(/\n\s*\n/);
+  
+  // If we only got 1 clause, try splitting by single newlines
+  if (rawClauses.length <= 1) {
+    rawClauses = normalized.split(/\n(?=\d+\.|\d+\)|\([a-zA-Z0-9]+\)|[A-Z])/);
+  }
+  
+  // If still only 1 clause, try splitting by sentences (every ~500 chars at sentence boundaries)
+  if (rawClauses.length <= 1 && normalized.length > 500) {
+    rawClauses = [];
+    const sentences = normalized.split(/(?<=[.!?])\s+(?=[A-Z])/);
+    let buffer = "";
+    
+    for (const sentence of sentences) {
+      buffer += (buffer ? " " : "") + sentence;
+      if (buffer.length >= 400) {
+        rawClauses.push(buffer);
+        buffer = "";
+      }
+    }
+    if (buffer.trim()) {
+      rawClauses.push(buffer);
+    }
+  }
+  
+  // Filter out empty clauses and combine very short ones
+  const clauses = [];
+  let buffer = "";
+  
+  for (const clause of rawClauses) {
+    const trimmed = clause.trim();
+    if (!trimmed) continue;
+    
+    buffer += (buffer ? "\n\n" : "") + trimmed;
+    
+    // If buffer is substantial enough (at least 150 chars and has a sentence), add as a clause
+    if (buffer.length >= 150 && buffer.includes(".")) {
+      clauses.push(buffer);
+      buffer = "";
+    }
+  }
+  
+  // Don't forget remaining buffer
+  if (buffer.trim()) {
+    if (clauses.length > 0 && buffer.length < 100) {
+      // Append short remainder to last clause
+      clauses[clauses.length - 1] += "\n\n" + buffer;
+    } else {
+      clauses.push(buffer);
+    }
+  }
+  
+  log.debug("Split text into clauses", { textLength: text.length, clauseCount: clauses.length, clauseLengths: clauses.map(c => c.length) });
+  
+  return clauses;
+}
@@ -0,0 +1,342 @@
+/**
+ * Model output validation.
+ *
+ * Every issue the model returns is checked against the issue schema and its
+ * originalText is located in the source clause. Word's body.search needs the
+ * exact document text, so an anchor that only matches after normalizing
+ * whitespace, quotes and dashes is replaced with the exact source text.
+ * Anything that still fails is returned with a reason so the caller can ask
+ * the model to repair it, or report it.
+ */
+
+const ISSUE_TYPES = new Set(["edit", "delete", "comment"]);
+const SEVERITIES = new Set(["low", "medium", "high"]);
+
+// Characters the model (or Word) routinely swaps for look-alikes
+const CHAR_EQUIVALENTS = {
+  "‘": "'", "’": "'", "‚": "'", "‛": "'", "′": "'",
+  "“": '"', "”": '"', "„": '"', "‟": '"', "″": '"',
+  "‐": "-", "‑": "-", "‒": "-", "–": "-", "—": "-", "―": "-",
+  "…": "...",
+};
+
+/**
+ * Normalize text for anchor matching, keeping a map from each normalized
+ * character back to its index in the original.
+ */
+function normalizeForMatch(text) {
+  let normalized = "";
+  const map = [];
+  let pendingSpace = -1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (/\s/.test(char)) {
+      if (pendingSpace < 0) pendingSpace = i;
+      continue;
+    }
+    if (pendingSpace >= 0) {
+      if (normalized) {
+        normalized += " ";
+        map.push(pendingSpace);
+      }
+      pendingSpace = -1;
+    }
+    const replacement = (CHAR_EQUIVALENTS[char] || char).toLowerCase();
+    for (const piece of replacement) {
+      normalized += piece;
+      map.push(i);
+    }
+  }
+
+  return { normalized, map };
+}
+
+/**
+ * Find an anchor in the source text.
+ * @returns {{ text: string, start: number, exact: boolean } | null} The exact source substring
+ */
+export function locateAnchor(source, anchor) {
+  if (!anchor) {
+    return null;
+  }
+
+  const exactStart = source.indexOf(anchor);
+  if (exactStart >= 0) {
+    return { text: anchor, start: exactStart, exact: true };
+  }
+
+  const haystack = normalizeForMatch(source);
+  const needle = normalizeForMatch(anchor).normalized;
+  if (!needle) {
+    return null;
+  }
+  const index = haystack.normalized.indexOf(needle);
+  if (index < 0) {
+    return null;
+  }
+
+  const start = haystack.map[index];
+  const end = haystack.map[index + needle.length - 1] + 1;
+  return { text: source.slice(start, end), start, exact: false };
+}
+
+/**
+ * Check one issue against the schema and the source clause.
+ * @returns {{ issue: object } | { reason: string }} A normalized copy, or why it was rejected
+ */
+export function validateIssue(issue, source) {
+  if (!issue || typeof issue !== "object" || Array.isArray(issue)) {
+    return { reason: "Issue is not a JSON object." };
+  }
+  if (!ISSUE_TYPES.has(issue.type)) {
+    return { reason: `Unknown issue type "${issue.type}"; expected edit, delete or comment.` };
+  }
+  if (typeof issue.originalText !== "string" || !issue.originalText.trim()) {
+    return { reason: "originalText is missing." };
+  }
+  if (typeof issue.explanation !== "string" || !issue.explanation.trim()) {
+    return { reason: "explanation is missing." };
+  }
+  if (issue.type === "edit" && (typeof issue.newText !== "string" || !issue.newText.trim())) {
+    return { reason: "Edit has no newText." };
+  }
+
+  const anchor = locateAnchor(source, issue.originalText);
+  if (!anchor) {
+    return { reason: "originalText is not an exact substring of the clause." };
+  }
+  if (issue.type === "edit" && issue.newText === anchor.text) {
+    return { reason: "Edit does not change the text." };
+  }
+
+  // Severity is advisory; fall back rather than reject
+  const severity = String(issue.severity || "").toLowerCase();
+
+  return {
+    issue: {
+      ...issue,
+      originalText: anchor.text,
+      severity: SEVERITIES.has(severity) ? severity : "medium",
+    },
+  };
+}
+
+/**
+ * Parse a model response as JSON, falling back to the outermost {...} when the
+ * model wrapped it in prose or a code fence.
+ * @returns {*} The parsed value, or null
+ */
+export function parseModelContent(content) {
+  if (!content) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    const match = content.match(/\{[\s\S]*\}/);
+    if (!match) {
+      return null;
+    }
+    try {
+      return JSON.parse(match[0]);
+    } catch (nestedError) {
+      return null;
+    }
+  }
+}
+
+/**
+ * Validate a parsed clause response: { issues: [...] }, a bare array, or a single legacy issue.
+ * @returns {{ issues: object[], rejected: Array<{ issue: *, reason: string }>, error?: string }}
+ */
+export function validateIssueList(parsed, source) {
+  if (parsed == null) {
+    return { issues: [], rejected: [], error: "Response was not valid JSON." };
+  }
+
+  let list;
+  if (Array.isArray(parsed)) {
+    list = parsed;
+  } else if (Array.isArray(parsed.issues)) {
+    list = parsed.issues;
+  } else if (parsed && typeof parsed === "object" && parsed.type) {
+    list = [parsed];
+  } else {
+    return { issues: [], rejected: [], error: 'Expected a JSON object with an "issues" array.' };
+  }
+
+  const issues = [];
+  const rejected = [];
+  list
+    .filter((issue) => !(issue && issue.type === "none"))
+    .forEach((issue) => {
+      const result = validateIssue(issue, source);
+      if (result.issue) {
+        issues.push(result.issue);
+      } else {
+        rejected.push({ issue, reason: result.reason });
+      }
+    });
+
+  return { issues, rejected };
+}
+
+/**
+ * Validate the single-clause review response used by /api/review.
+ * Comment anchors should come from the revised text, so they are normalized against it.
+ * @returns {{ result: { revisedText: string, comments: object[], summary: string } } | { reason: string }}
+ */
+export function validateReviewResult(parsed) {
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    return { reason: "Response was not a JSON object." };
+  }
+  if (typeof parsed.revisedText !== "string") {
+    return { reason: "revisedText is missing." };
+  }
+  if (parsed.comments != null && !Array.isArray(parsed.comments)) {
+    return { reason: "comments must be an array." };
+  }
+
+  const comments = (parsed.comments || [])
+    .filter((item) => item && typeof item.comment === "string" && item.comment.trim())
+    .map((item) => {
+      const anchor = typeof item.anchorText === "string" ? locateAnchor(parsed.revisedText, item.anchorText) : null;
+      return { anchorText: anchor ? anchor.text : item.anchorText || "", comment: item.comment };
+    });
+
+  return {
+    result: {
+      revisedText: parsed.revisedText,
+      comments,
+      summary: typeof parsed.summary === "string" ? parsed.summary : "",
+    },
+  };
+}
+
+const RECOMMENDATIONS = new Set(["accept", "reject", "counter"]);
+
+/**
+ * Validate a response to /api/evaluate-changes: { recommendations: [...] } with
+ * one entry per change ID sent. A counter-proposal must carry its wording.
+ * @param {*} parsed
+ * @param {Set<string>} changeIds - IDs of the changes in the request
+ * @returns {{ recommendations: object[], rejected: Array<{ issue: *, reason: string }>, error?: string }}
+ */
+export function validateChangeRecommendations(parsed, changeIds) {
+  const list = Array.isArray(parsed) ? parsed : parsed?.recommendations;
+  if (!Array.isArray(list)) {
+    return { recommendations: [], rejected: [], error: parsed == null ? "Response was not valid JSON." : 'Expected a JSON object with a "recommendations" array.' };
+  }
+
+  const recommendations = [];
+  const rejected = [];
+  const seen = new Set();
+  for (const entry of list) {
+    const recommendation = String(entry?.recommendation || "").toLowerCase().replace(/^counter-?propos(e|al)$/, "counter");
+    let reason = null;
+    if (!entry || typeof entry !== "object") {
+      reason = "Recommendation is not a JSON object.";
+    } else if (!changeIds.has(String(entry.changeId)) || seen.has(String(entry.changeId))) {
+      reason = `changeId "${entry.changeId}" is not one of the changes sent, or is repeated.`;
+    } else if (!RECOMMENDATIONS.has(recommendation)) {
+      reason = `Unknown recommendation "${entry.recommendation}"; expected accept, reject or counter.`;
+    } else if (typeof entry.explanation !== "string" || !entry.explanation.trim()) {
+      reason = "explanation is missing.";
+    } else if (recommendation === "counter" && (typeof entry.counterText !== "string" || !entry.counterText.trim())) {
+      reason = "A counter-proposal needs counterText.";
+    }
+
+    if (reason) {
+      rejected.push({ issue: entry, reason });
+      continue;
+    }
+    seen.add(String(entry.changeId));
+    const severity = String(entry.severity || "").toLowerCase();
+    recommendations.push({
+      changeId: String(entry.changeId),
+      recommendation,
+      explanation: entry.explanation.trim(),
+      severity: SEVERITIES.has(severity) ? severity : "medium",
+      ...(recommendation === "counter" ? { counterText: entry.counterText } : {}),
+    });
+  }
+  return { recommendations, rejected };
+}
+
+/**
+ * Validate a drafted reply to a document comment, used by /api/draft-reply.
+ * @returns {{ result: { reply: string, resolve: boolean } } | { reason: string }}
+ */
+export function validateCommentReply(parsed) {
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    return { reason: "Response was not a JSON object." };
+  }
+  if (typeof parsed.reply !== "string" || !parsed.reply.trim()) {
+    return { reason: "reply is missing." };
+  }
+  return { result: { reply: parsed.reply.trim(), resolve: parsed.resolve === true } };
+}
+
+/**
+ * Follow-up messages asking the model to fix a response.
+ * @param {Array} messages - The original conversation
+ * @param {string} content - The response that failed
+ * @param {Object} problem
+ * @param {string} [problem.error] - The whole response was unusable
+ * @param {Array<{ issue: *, reason: string }>} [problem.rejected] - Individual issues that failed
+ */
+export function buildRepairMessages(messages, content, { error, rejected = [] }) {
+  const request = error
+    ? [
+        `Your previous response could not be used: ${error}`,
+        "Send the complete response again as ONE valid JSON object and nothing else.",
+      ]
+    : [
+        "These issues from your previous response could not be used:",
+        ...rejected.map((entry, index) => `${index}. ${JSON.stringify(entry.issue).slice(0, 400)}\n   Problem: ${entry.reason}`),
+        "",
+        'Return ONLY corrected versions of these issues as { "issues": [...] }, adding "repairOf": <number above> to each.',
+        "Copy originalText character for character from the text under review. Leave out any issue you cannot fix.",
+      ];
+
+  return [
+    ...messages,
+    { role: "assistant", content: content || "" },
+    { role: "user", content: request.join("\n") },
+  ];
+}
+
+/**
+ * Merge a repair response into the rejected list it answers.
+ * @returns {{ issues: object[], rejected: Array<{ issue: *, reason: string }> }}
+ */
+export function mergeRepairedIssues(rejected, repaired) {
+  const fixed = new Set();
+  const issues = [];
+  const reasons = new Map();
+
+  repaired.issues.forEach((issue) => {
+    const index = Number(issue.repairOf);
+    if (Number.isInteger(index) && index >= 0 && index < rejected.length && !fixed.has(index)) {
+      fixed.add(index);
+      const { repairOf, ...clean } = issue;
+      issues.push(clean);
+    }
+  });
+  repaired.rejected.forEach((entry) => {
+    const index = Number(entry.issue?.repairOf);
+    if (Number.isInteger(index)) {
+      reasons.set(index, entry.reason);
+    }
+  });
+
+  return {
+    issues,
+    rejected: rejected
+      .map((entry, index) => ({ ...entry, reason: reasons.get(index) || entry.reason, index }))
+      .filter((entry) => !fixed.has(entry.index))
+      .map(({ index, ...entry }) => entry),
+  };
+}
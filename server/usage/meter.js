@@ -0,0 +1,88 @@
+/**
+ * Per-request usage meter.
+ *
+ * A route creates one meter, passes `meter.add` to every provider call as
+ * `onUsage`, reports `meter.summary()` to the client and calls `meter.record()`
+ * once the request is done, whether it succeeded or not: tokens spent on a
+ * failed review still cost money.
+ */
+import { loadRates, priceUsage } from "./pricing.js";
+import { recordUsage } from "./store.js";
+import { logger } from "../logging/logger.js";
+
+const log = logger.child({ component: "usage" });
+
+/**
+ * @param {Object} context
+ * @param {Object} [context.auth] - req.auth from the auth middleware
+ * @param {string} context.endpoint - Route path, e.g. "/api/review-stream"
+ * @param {string} [context.document] - Document name sent by the pane
+ */
+export function createUsageMeter({ auth, endpoint, document }) {
+  const totals = { calls: 0, promptTokens: 0, completionTokens: 0, cost: 0, priced: true, estimated: false };
+  let model = null;
+  let recorded = false;
+
+  /**
+   * Add one provider call.
+   * @param {{ prompt_tokens?: number, completion_tokens?: number, estimated?: boolean }} usage - As reported by the provider
+   * @param {string} callModel
+   */
+  function add(usage, callModel) {
+    const promptTokens = Number(usage?.prompt_tokens) || 0;
+    const completionTokens = Number(usage?.completion_tokens) || 0;
+    const cost = priceUsage(callModel, { promptTokens, completionTokens });
+
+    totals.calls++;
+    totals.promptTokens += promptTokens;
+    totals.completionTokens += completionTokens;
+    if (cost === null) {
+      totals.priced = false;
+    } else {
+      totals.cost += cost;
+    }
+    totals.estimated = totals.estimated || Boolean(usage?.estimated);
+    model = model || callModel;
+  }
+
+  /**
+   * Totals for the `complete` event; cost is null when any call's model has no rate.
+   */
+  function summary() {
+    return {
+      calls: totals.calls,
+      promptTokens: totals.promptTokens,
+      completionTokens: totals.completionTokens,
+      totalTokens: totals.promptTokens + totals.completionTokens,
+      cost: totals.priced ? Math.round(totals.cost * 1e6) / 1e6 : null,
+      currency: loadRates().currency,
+      estimated: totals.estimated,
+    };
+  }
+
+  /**
+   * Store the request's totals. Requests that never reached the provider
+   * (validation errors, cache hits) are not recorded.
+   */
+  function record() {
+    if (recorded || !totals.calls) {
+      return;
+    }
+    recorded = true;
+    try {
+      recordUsage({
+        at: new Date().toISOString(),
+        user: auth?.name || "anonymous",
+        tokenId: auth?.tokenId || null,
+        endpoint,
+        document: document || null,
+        model,
+        ...summary(),
+      });
+    } catch (error) {
+      log.warn("Could not record usage", { error: error.message });
+    }
+  }
+
+  return { add, summary, record };
+}
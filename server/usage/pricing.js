@@ -0,0 +1,76 @@
+/**
+ * Per-model token prices.
+ *
+ * Rates live in a JSON file (USAGE_RATES_PATH, default server/usage/rates.json),
+ * in currency units per million tokens:
+ *   { currency, models: { "gpt-4o": { input, output } } }
+ * A dated model name such as "gpt-4o-2024-08-06" is priced by its longest
+ * matching entry. Azure reports the deployment name, so add an entry for it.
+ */
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { logger } from "../logging/logger.js";
+
+const log = logger.child({ component: "usage" });
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_RATES_PATH = path.join(__dirname, "rates.json");
+
+let cached = { filePath: null, mtimeMs: -1, table: null };
+const unpriced = new Set();
+
+function ratesPath() {
+  return process.env.USAGE_RATES_PATH ? path.resolve(process.env.USAGE_RATES_PATH) : DEFAULT_RATES_PATH;
+}
+
+/**
+ * The rate table, re-read when the file changes so prices can be updated live.
+ * @returns {{ currency: string, models: Object<string, { input: number, output: number }> }}
+ */
+export function loadRates() {
+  const filePath = ratesPath();
+  try {
+    const { mtimeMs } = fs.statSync(filePath);
+    if (cached.filePath !== filePath || cached.mtimeMs !== mtimeMs) {
+      const parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      cached = {
+        filePath,
+        mtimeMs,
+        table: { currency: parsed.currency || "USD", models: parsed.models || {} },
+      };
+    }
+  } catch (error) {
+    if (cached.filePath !== filePath) {
+      log.warn("Could not read rates", { filePath, error: error.message });
+      cached = { filePath, mtimeMs: -1, table: { currency: "USD", models: {} } };
+    }
+  }
+  return cached.table;
+}
+
+function findRate(models, model) {
+  if (models[model]) {
+    return models[model];
+  }
+  const prefix = Object.keys(models)
+    .filter((name) => model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix ? models[prefix] : null;
+}
+
+/**
+ * Estimated cost of one call.
+ * @returns {number|null} Cost in the table's currency, or null when the model has no rate
+ */
+export function priceUsage(model, { promptTokens = 0, completionTokens = 0 }) {
+  const rate = findRate(loadRates().models, model || "");
+  if (!rate) {
+    if (!unpriced.has(model)) {
+      unpriced.add(model);
+      log.warn("No rate for model; its cost is reported as unknown", { model });
+    }
+    return null;
+  }
+  return (promptTokens * (rate.input || 0) + completionTokens * (rate.output || 0)) / 1e6;
+}
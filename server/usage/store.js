@@ -0,0 +1,118 @@
+/**
+ * Usage database.
+ *
+ * One JSON line per API request that called the provider, appended to
+ * USAGE_DB_PATH (default .data/usage.jsonl):
+ *   { at, user, tokenId, endpoint, document, model, calls, promptTokens,
+ *     completionTokens, totalTokens, cost, currency, estimated }
+ * Append-only so a crash never loses earlier rows; queries scan the file.
+ */
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_DB_PATH = path.join(__dirname, "..", "..", ".data", "usage.jsonl");
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+function dbPath() {
+  return process.env.USAGE_DB_PATH ? path.resolve(process.env.USAGE_DB_PATH) : DEFAULT_DB_PATH;
+}
+
+export function recordUsage(row) {
+  const filePath = dbPath();
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.appendFileSync(filePath, `${JSON.stringify(row)}\n`);
+}
+
+function readRows() {
+  const filePath = dbPath();
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+  const rows = [];
+  for (const line of fs.readFileSync(filePath, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      rows.push(JSON.parse(line));
+    } catch (error) {
+      // A line cut short by a crash; skip it
+    }
+  }
+  return rows;
+}
+
+/**
+ * Parse a from/to filter. A bare date covers that whole day (UTC).
+ * @returns {number|null|undefined} Epoch ms, undefined when absent, null when invalid
+ */
+export function parseDateFilter(value, { endOfDay = false } = {}) {
+  if (value == null || value === "") {
+    return undefined;
+  }
+  const time = Date.parse(DATE_ONLY.test(value) ? `${value}T00:00:00Z` : value);
+  if (!Number.isFinite(time)) {
+    return null;
+  }
+  return endOfDay && DATE_ONLY.test(value) ? time + 86400000 - 1 : time;
+}
+
+function emptyTotals() {
+  return { requests: 0, calls: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0, unpricedRequests: 0 };
+}
+
+function addRow(totals, row) {
+  totals.requests++;
+  totals.calls += row.calls || 0;
+  totals.promptTokens += row.promptTokens || 0;
+  totals.completionTokens += row.completionTokens || 0;
+  totals.totalTokens += row.totalTokens || 0;
+  if (typeof row.cost === "number") {
+    totals.cost += row.cost;
+  } else {
+    totals.unpricedRequests++;
+  }
+}
+
+function groupBy(rows, keyOf) {
+  const groups = {};
+  rows.forEach((row) => {
+    const key = keyOf(row) || "(none)";
+    groups[key] = groups[key] || emptyTotals();
+    addRow(groups[key], row);
+  });
+  return groups;
+}
+
+/**
+ * Totals and breakdowns for the rows matching the filters.
+ * @param {Object} filters
+ * @param {string} [filters.user] - Token name
+ * @param {string} [filters.endpoint] - e.g. "/api/review-stream"
+ * @param {string} [filters.document]
+ * @param {number} [filters.from] - Epoch ms, inclusive
+ * @param {number} [filters.to] - Epoch ms, inclusive
+ * @param {number} [filters.limit=100] - Most recent rows to return
+ */
+export function queryUsage({ user, endpoint, document, from, to, limit = 100 } = {}) {
+  const rows = readRows().filter((row) => {
+    const at = Date.parse(row.at);
+    return (!user || row.user === user)
+      && (!endpoint || row.endpoint === endpoint)
+      && (!document || row.document === document)
+      && (from === undefined || at >= from)
+      && (to === undefined || at <= to);
+  });
+
+  const totals = emptyTotals();
+  rows.forEach((row) => addRow(totals, row));
+
+  return {
+    totals,
+    byUser: groupBy(rows, (row) => row.user),
+    byEndpoint: groupBy(rows, (row) => row.endpoint),
+    byDocument: groupBy(rows, (row) => row.document),
+    byDay: groupBy(rows, (row) => String(row.at).slice(0, 10)),
+    rows: rows.slice(-Math.max(0, limit)).reverse(),
+  };
+}
@@ -0,0 +1,85 @@
+/**
+ * Concurrency helpers for running many provider calls at once
+ * while keeping their results in a predictable order.
+ */
+
+/**
+ * Run `fn` with an AbortSignal and reject if it takes longer than `ms`.
+ * The signal is aborted on timeout so in-flight fetches are cancelled too.
+ * @param {(signal: AbortSignal) => Promise<any>} fn
+ * @param {number} ms - Timeout in milliseconds (0 disables the timeout)
+ * @param {string} message - Error message used when the timeout fires
+ * @param {AbortSignal} [parentSignal] - Also aborts `fn`, e.g. when the client disconnects
+ */
+export async function withTimeout(fn, ms, message, parentSignal) {
+  if (!ms) {
+    return fn(parentSignal);
+  }
+
+  const controller = new AbortController();
+  const signal = parentSignal ? AbortSignal.any([controller.signal, parentSignal]) : controller.signal;
+  let timeoutId;
+
+  const timeout = new Promise((_, reject) => {
+    timeoutId = setTimeout(() => {
+      controller.abort();
+      const error = new Error(message);
+      error.code = "ETIMEDOUT";
+      reject(error);
+    }, ms);
+  });
+
+  try {
+    return await Promise.race([fn(signal), timeout]);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+/**
+ * Process `items` with up to `concurrency` workers in flight, but hand results
+ * to `onResult` strictly in input order. A worker failure is captured as
+ * { ok: false, error } for that item instead of rejecting the whole run.
+ * Once `signal` is aborted no further items are started or reported.
+ *
+ * @param {Array} items
+ * @param {(item: any, index: number) => Promise<any>} worker
+ * @param {Object} options
+ * @param {number} options.concurrency
+ * @param {(result: {ok: boolean, value?: any, error?: Error}, index: number) => (void|Promise<void>)} options.onResult
+ * @param {AbortSignal} [options.signal]
+ */
+export async function mapInOrder(items, worker, { concurrency, onResult, signal }) {
+  const results = new Array(items.length);
+  let nextToStart = 0;
+  let nextToEmit = 0;
+  let emitChain = Promise.resolve();
+
+  async function flush() {
+    while (nextToEmit < items.length && results[nextToEmit] && !signal?.aborted) {
+      const index = nextToEmit;
+      nextToEmit += 1;
+      await onResult(results[index], index);
+    }
+  }
+
+  async function runWorker() {
+    while (nextToStart < items.length && !signal?.aborted) {
+      const index = nextToStart;
+      nextToStart += 1;
+
+      try {
+        results[index] = { ok: true, value: await worker(items[index], index) };
+      } catch (error) {
+        results[index] = { ok: false, error };
+      }
+
+      // Chain flushes so onResult never runs concurrently with itself
+      emitChain = emitChain.then(flush);
+    }
+  }
+
+  const workerCount = Math.max(1, Math.min(concurrency || 1, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+  await emitChain;
+}
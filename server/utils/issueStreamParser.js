@@ -0,0 +1,119 @@
+/**
+ * Incremental parser for a streamed JSON issue list.
+ *
+ * The model is asked for either a bare array `[{...}, {...}]` or an object
+ * wrapping one (`{ "issues": [{...}] }`). Rather than waiting for the whole
+ * response, we scan characters as they arrive and hand back each issue object
+ * as soon as its closing brace is seen.
+ */
+
+function normalizeParsed(parsed) {
+  if (Array.isArray(parsed)) {
+    return parsed;
+  }
+  if (parsed && Array.isArray(parsed.issues)) {
+    return parsed.issues;
+  }
+  if (parsed && parsed.type && parsed.originalText) {
+    // Single issue object
+    return [parsed];
+  }
+  return [];
+}
+
+export function createIssueStreamParser() {
+  let text = "";
+  let position = 0;
+  let inString = false;
+  let escaped = false;
+  let depth = 0;
+  // Depth at which the issues array was opened, -1 until we find it
+  let arrayDepth = -1;
+  let objectStart = -1;
+  let emitted = 0;
+
+  function scan() {
+    const issues = [];
+
+    for (; position < text.length; position += 1) {
+      const char = text[position];
+
+      if (inString) {
+        if (escaped) {
+          escaped = false;
+        } else if (char === "\\") {
+          escaped = true;
+        } else if (char === "\"") {
+          inString = false;
+        }
+        continue;
+      }
+
+      if (char === "\"") {
+        inString = true;
+      } else if (char === "[" || char === "{") {
+        // Only a top-level array or one directly inside the wrapper object counts
+        if (char === "[" && arrayDepth === -1 && depth <= 1) {
+          arrayDepth = depth + 1;
+        } else if (char === "{" && arrayDepth !== -1 && depth === arrayDepth) {
+          objectStart = position;
+        }
+        depth += 1;
+      } else if (char === "]" || char === "}") {
+        depth -= 1;
+        if (char === "}" && objectStart !== -1 && depth === arrayDepth) {
+          try {
+            issues.push(JSON.parse(text.slice(objectStart, position + 1)));
+          } catch (error) {
+            // Malformed object; skip it and keep streaming the rest
+          }
+          objectStart = -1;
+        } else if (char === "]" && depth === arrayDepth - 1) {
+          // Issues array closed; anything after it is ignored
+          arrayDepth = -2;
+        }
+      }
+    }
+
+    emitted += issues.length;
+    return issues;
+  }
+
+  return {
+    /**
+     * Feed the next chunk of model output.
+     * @param {string} chunk
+     * @returns {Array<Object>} Issues completed by this chunk
+     */
+    push(chunk) {
+      text += chunk;
+      return scan();
+    },
+
+    /**
+     * Finish the stream. If nothing could be streamed (e.g. the model
+     * returned a single issue object instead of a list), fall back to
+     * parsing the whole response.
+     * @returns {Array<Object>} Any issues not already returned by push()
+     */
+    end() {
+      if (emitted > 0 || !text.trim()) {
+        return [];
+      }
+
+      try {
+        return normalizeParsed(JSON.parse(text));
+      } catch (error) {
+        const match = text.match(/\[[\s\S]*\]/);
+        if (match) {
+          try {
+            return normalizeParsed(JSON.parse(match[0]));
+          } catch (nestedError) {
+            // Fall through to the error below
+          }
+        }
+        throw new Error("Could not parse AI response as JSON array.");
+      }
+    },
+  };
+}
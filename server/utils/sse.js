@@ -0,0 +1,39 @@
+/**
+ * Write one server-sent event, tagged with the request ID so client logs and
+ * server logs for the same run can be matched up; an event that already has
+ * one (a stored job event) keeps it. Events for a client that has already
+ * gone away are dropped.
+ * @param {Object} [options]
+ * @param {number} [options.id] - SSE event ID, echoed back as Last-Event-ID on reconnect
+ */
+export function sendEvent(res, event, { id } = {}) {
+  if (res.writableEnded || res.destroyed) {
+    return;
+  }
+  const idLine = id != null ? `id: ${id}\n` : "";
+  res.write(`${idLine}data: ${JSON.stringify({ requestId: res.req.id, ...event })}\n\n`);
+}
+
+/**
+ * SSE comment line; clients ignore it, proxies see traffic.
+ */
+export function sendHeartbeat(res) {
+  if (!res.writableEnded && !res.destroyed) {
+    res.write(": heartbeat\n\n");
+  }
+}
+
+/**
+ * AbortSignal that fires when the client disconnects (Stop button, pane
+ * closed) before the stream has ended, so outstanding provider calls are
+ * cancelled instead of spending tokens on results nobody will read.
+ */
+export function abortOnDisconnect(res) {
+  const controller = new AbortController();
+  res.once("close", () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+  return controller.signal;
+}
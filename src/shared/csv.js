@@ -0,0 +1,27 @@
+/**
+ * CSV Writer
+ * RFC 4180 CSV for spreadsheets, shared by the server's portfolio summary and the task pane's report export.
+ * Text cells that a spreadsheet would run as a formula are prefixed with an apostrophe.
+ */
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  if (typeof value === "string" && FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {Array<Object>} rows
+ * @param {Array<[string, string]>} columns - [key, heading] pairs, in column order
+ * @returns {string}
+ */
+export function toCsv(rows, columns) {
+  const lines = [columns.map(([, heading]) => heading), ...rows.map((row) => columns.map(([key]) => row[key]))];
+  return `${lines.map((cells) => cells.map(csvCell).join(",")).join("\r\n")}\r\n`;
+}
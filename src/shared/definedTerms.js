@@ -0,0 +1,214 @@
+/**
+ * Defined Terms Analyzer
+ * Deterministic checks on a contract's defined terms, shared by the server and the task pane.
+ * Findings use the same shape as AI review issues so they flow through the same stream and UI.
+ */
+
+const QUOTE_OPEN = `"“`;
+const QUOTE_CLOSE = `"”`;
+
+// ("Services"), (the "Services"), (each a "Party" and together the "Parties")
+const PARENTHETICAL_PATTERN = /\(([^()]{0,160})\)/g;
+const QUOTED_TERM_PATTERN = new RegExp(`[${QUOTE_OPEN}]([A-Z][^${QUOTE_CLOSE}\\n]{0,60})[${QUOTE_CLOSE}]`, "g");
+
+// "Services" means ..., "Services" shall mean ..., "Services" has the meaning ...
+const MEANS_PATTERN = new RegExp(
+  `[${QUOTE_OPEN}]([A-Z][^${QUOTE_CLOSE}\\n]{0,60})[${QUOTE_CLOSE}]\\s*(?:,\\s*)?(?:means|shall mean|will mean|has the meaning|shall have the meaning|refers to|includes)\\b`,
+  "g"
+);
+
+// each a "Party", together the "Parties"
+const LABEL_PATTERN = new RegExp(
+  `\\b(?:each|individually|collectively|together)(?:,)?\\s+(?:an?|the)?\\s*[${QUOTE_OPEN}]([A-Z][^${QUOTE_CLOSE}\\n]{0,60})[${QUOTE_CLOSE}]`,
+  "g"
+);
+
+// Capitalized words that are not defined terms when used mid-sentence
+const COMMON_CAPITALIZED = new Set([
+  "Section", "Sections", "Article", "Articles", "Clause", "Clauses", "Exhibit", "Exhibits", "Schedule",
+  "Schedules", "Appendix", "Annex", "Attachment", "Paragraph", "January", "February", "March", "April",
+  "May", "June", "July", "August", "September", "October", "November", "December", "Monday", "Tuesday",
+  "Wednesday", "Thursday", "Friday", "Saturday", "Sunday", "United", "States", "State", "Delaware",
+  "New", "York", "California", "England", "Wales", "Inc", "LLC", "Ltd", "Corp", "Corporation", "Company",
+  "GmbH", "Limited", "I", "II", "III", "IV", "V", "The",
+]);
+
+// "the Service Levels", "any Statement of Work": capitalized phrases used like defined terms
+const DETERMINER_PATTERN = /\b(?:the|such|any|each|all|this|that|its|their)\s+((?:[A-Z][a-z]+(?:[-'][A-Za-z]+)?)(?:\s+(?:of\s+)?(?:[A-Z][a-z]+(?:[-'][A-Za-z]+)?)){0,3})\b/g;
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function termPattern(term, flags = "g") {
+  // Allow plurals and possessives of the defined form
+  return new RegExp(`(?<![A-Za-z])${escapeRegExp(term)}(?:s|es|'s|’s)?(?![A-Za-z])`, flags);
+}
+
+/**
+ * Find defined terms and where they are defined.
+ * @param {string} text
+ * @returns {Array<{ term: string, index: number, anchor: string }>} Definitions in document order
+ */
+export function extractDefinitions(text) {
+  const definitions = [];
+  const seen = new Set();
+
+  const add = (term, index, anchor) => {
+    const key = `${term}@${index}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    definitions.push({ term: term.trim(), index, anchor });
+  };
+
+  let match;
+  PARENTHETICAL_PATTERN.lastIndex = 0;
+  while ((match = PARENTHETICAL_PATTERN.exec(text))) {
+    const inner = match[1];
+    let quoted;
+    QUOTED_TERM_PATTERN.lastIndex = 0;
+    while ((quoted = QUOTED_TERM_PATTERN.exec(inner))) {
+      add(quoted[1], match.index + 1 + quoted.index, quoted[0]);
+    }
+  }
+
+  LABEL_PATTERN.lastIndex = 0;
+  while ((match = LABEL_PATTERN.exec(text))) {
+    const quoteIndex = match[0].length - match[1].length - 2;
+    add(match[1], match.index + quoteIndex, match[0].slice(quoteIndex));
+  }
+
+  MEANS_PATTERN.lastIndex = 0;
+  while ((match = MEANS_PATTERN.exec(text))) {
+    add(match[1], match.index, match[0].slice(0, match[1].length + 2));
+  }
+
+  return definitions.sort((a, b) => a.index - b.index);
+}
+
+function countUses(text, term, definitionSpans) {
+  const pattern = termPattern(term);
+  let count = 0;
+  let match;
+  while ((match = pattern.exec(text))) {
+    const inDefinition = definitionSpans.some(([start, end]) => match.index >= start && match.index < end);
+    if (!inDefinition) count++;
+  }
+  return count;
+}
+
+function findMiscapitalized(text, term) {
+  // Same words in a different case; all-caps headings are left alone
+  const pattern = termPattern(term, "gi");
+  const hits = [];
+  let match;
+  while ((match = pattern.exec(text))) {
+    const found = match[0];
+    if (found.startsWith(term) || found === found.toUpperCase()) continue;
+    // Sentence-initial capitalization of a lowercase term is not a lowercase use
+    const before = text.slice(Math.max(0, match.index - 3), match.index);
+    if (/(^|[.!?:]\s*|\n\s*)$/.test(before) && found[0] === found[0].toUpperCase()) continue;
+    hits.push(found);
+  }
+  return hits;
+}
+
+function findUndefinedTerms(text, definedTerms) {
+  const candidates = new Map();
+  let match;
+  DETERMINER_PATTERN.lastIndex = 0;
+  while ((match = DETERMINER_PATTERN.exec(text))) {
+    const words = match[1].split(/\s+/);
+    // Drop trailing place names, months and the like; "the Section 3" is a cross-reference
+    while (words.length && COMMON_CAPITALIZED.has(words[words.length - 1])) words.pop();
+    if (!words.length || words.every((word) => COMMON_CAPITALIZED.has(word))) continue;
+    if (/^\s*\d/.test(text.slice(match.index + match[0].length, match.index + match[0].length + 3))) continue;
+
+    const phrase = words.join(" ");
+    const singular = phrase.replace(/(?:'s|’s|s)$/, "");
+    if (definedTerms.some((term) => term === phrase || term === singular || term.startsWith(`${phrase} `) || phrase.startsWith(`${term} `))) continue;
+
+    const entry = candidates.get(phrase) || { phrase, count: 0 };
+    entry.count++;
+    candidates.set(phrase, entry);
+  }
+
+  // A capitalized phrase used once is often just a name; repeated use suggests a defined term
+  return [...candidates.values()].filter((entry) => entry.count >= 2);
+}
+
+/**
+ * Check defined terms in a contract.
+ * @param {string} text - Text to report on
+ * @param {Object} [options]
+ * @param {string} [options.context] - Full document, when `text` is only part of it. Definitions and
+ *   uses are read from the context; only findings anchored inside `text` are returned.
+ * @returns {Array<{ type: "comment", severity: string, originalText: string, explanation: string, source: "defined-terms", check: string }>}
+ */
+export function analyzeDefinedTerms(text, { context } = {}) {
+  if (!text || !text.trim()) {
+    return [];
+  }
+
+  const source = context && context.includes(text) ? context : text;
+  const definitions = extractDefinitions(source);
+  const issues = [];
+  const byTerm = new Map();
+  definitions.forEach((definition) => {
+    const list = byTerm.get(definition.term) || [];
+    list.push(definition);
+    byTerm.set(definition.term, list);
+  });
+  const definitionSpans = definitions.map((definition) => [definition.index, definition.index + definition.anchor.length]);
+
+  const finding = (check, severity, originalText, explanation) => ({
+    type: "comment",
+    severity,
+    originalText,
+    explanation,
+    source: "defined-terms",
+    check,
+  });
+
+  byTerm.forEach((list, term) => {
+    if (list.length > 1) {
+      issues.push(finding(
+        "duplicate",
+        "medium",
+        list[1].anchor,
+        `"${term}" is defined ${list.length} times. Keep one definition and refer to it elsewhere.`
+      ));
+    }
+
+    if (countUses(source, term, definitionSpans) === 0) {
+      issues.push(finding(
+        "unused",
+        "low",
+        list[0].anchor,
+        `"${term}" is defined but never used. Remove the definition or use the term.`
+      ));
+    }
+
+    const miscapitalized = findMiscapitalized(source, term);
+    if (miscapitalized.length) {
+      const count = miscapitalized.length;
+      issues.push(finding(
+        "lowercase",
+        "low",
+        miscapitalized[0],
+        `"${miscapitalized[0]}" appears ${count} time${count !== 1 ? "s" : ""} where the defined term "${term}" may be intended. Capitalize it, or confirm the ordinary meaning is meant.`
+      ));
+    }
+  });
+
+  findUndefinedTerms(source, [...byTerm.keys()]).forEach(({ phrase, count }) => {
+    issues.push(finding(
+      "undefined",
+      "medium",
+      phrase,
+      `"${phrase}" is capitalized like a defined term (${count} uses) but is never defined. Add a definition or use lowercase.`
+    ));
+  });
+
+  return source === text ? issues : issues.filter((issue) => text.includes(issue.originalText));
+}
@@ -0,0 +1,59 @@
+/**
+ * Log Redaction
+ * Strips contract text, anchors and chat content from log fields, shared by the server and the task pane.
+ * Values are replaced with their length so logs still show how much was sent.
+ */
+
+// Fields that carry document or conversation content
+const CONTENT_KEYS = new Set([
+  "text", "paragraphs", "clause", "source", "context", "documentContext", "selectionContext",
+  "originalText", "newText", "anchorText", "revisedText", "explanation", "comment", "comments",
+  "message", "messages", "content", "history", "prompt", "response", "suggestion", "instructions",
+  "body", "issue", "issues", "transcript",
+]);
+
+// Credentials are never logged, even with redaction turned off
+const SECRET_KEYS = new Set(["authorization", "token", "apikey", "api_key", "password", "secret"]);
+
+const MAX_DEPTH = 6;
+
+function describe(value) {
+  if (typeof value === "string") return `[redacted ${value.length} chars]`;
+  if (Array.isArray(value)) return `[redacted ${value.length} items]`;
+  return "[redacted]";
+}
+
+/**
+ * Copy of `value` with content and secret fields replaced.
+ * @param {*} value
+ * @param {Object} [options]
+ * @param {boolean} [options.content=true] - Redact content fields; secrets are always redacted
+ * @returns {*}
+ */
+export function redact(value, { content = true } = {}, depth = 0) {
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return "[truncated]";
+  }
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, code: value.code, status: value.status };
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, { content }, depth + 1));
+  }
+
+  const copy = {};
+  for (const [key, field] of Object.entries(value)) {
+    const lower = key.toLowerCase();
+    if (SECRET_KEYS.has(lower)) {
+      copy[key] = "[secret]";
+    } else if (content && CONTENT_KEYS.has(key) && field != null) {
+      copy[key] = describe(field);
+    } else {
+      copy[key] = redact(field, { content }, depth + 1);
+    }
+  }
+  return copy;
+}
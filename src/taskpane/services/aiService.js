@@ -1,3 +1,5 @@
+import { authHeaders } from "../utils/auth.js";
+
 function normalizeResponse(data) {
   const revisedText = typeof data?.revisedText === "string" ? data.revisedText.trim() : "";
   const comments = Array.isArray(data?.comments) ? data.comments : [];
@@ -12,10 +14,11 @@ function normalizeResponse(data) {
         comment: item.comment,
       })),
     summary,
+    redaction: data?.redaction || null,
   };
 }
 
-export async function reviewClause({ endpoint, text, instructions, riskProfile, scope }) {
+export async function reviewClause({ endpoint, token, text, instructions, riskProfile, party, scope, redact }) {
   if (!endpoint) {
     throw new Error("Set a review API endpoint first.");
   }
@@ -28,12 +31,15 @@ export async function reviewClause({ endpoint, text, instructions, riskProfile,
       method: "POST",
       headers: {
         "Content-Type": "application/json",
+        ...authHeaders(token),
       },
       body: JSON.stringify({
         text,
         instructions,
         riskProfile,
+        party,
         scope,
+        redact,
       }),
       signal: controller.signal,
     });
@@ -0,0 +1,55 @@
+/**
+ * Change Service
+ * Asks the backend whether to accept, reject or counter the other side's tracked changes
+ */
+import { authHeaders } from "../utils/auth.js";
+
+/**
+ * Evaluate tracked changes read by getTrackedChanges
+ * @param {Object} params
+ * @param {string} params.endpoint - The evaluate-changes API endpoint
+ * @param {string} [params.token] - API token for the backend
+ * @param {Array} params.changes - { id, type, author, date, text, paragraph, sectionNumber }
+ * @param {string} [params.instructions]
+ * @param {string} [params.riskProfile]
+ * @param {string} [params.playbookId]
+ * @param {{name: string, role: string}} [params.party]
+ * @param {boolean} [params.redact]
+ * @param {string} [params.document] - Document name, for usage reports
+ * @returns {Promise<{recommendations: Array, failed: Array, usage: Object, redaction: Object|null}>}
+ */
+export async function evaluateChanges({ endpoint, token, changes, instructions, riskProfile, playbookId, party, redact, document }) {
+  if (!endpoint) {
+    throw new Error("Set a review API endpoint first.");
+  }
+
+  const response = await fetch(endpoint, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      ...authHeaders(token),
+    },
+    body: JSON.stringify({
+      changes: changes.map(({ id, type, author, date, text, paragraph, sectionNumber }) => ({ id, type, author, date, text, paragraph, sectionNumber })),
+      instructions,
+      riskProfile,
+      playbookId: playbookId || undefined,
+      party,
+      redact,
+      document,
+    }),
+  });
+
+  if (!response.ok) {
+    const message = await response.text();
+    throw new Error(message || `Request failed with ${response.status}.`);
+  }
+
+  const data = await response.json();
+  return {
+    recommendations: Array.isArray(data.recommendations) ? data.recommendations : [],
+    failed: Array.isArray(data.failed) ? data.failed : [],
+    usage: data.usage || null,
+    redaction: data.redaction || null,
+  };
+}
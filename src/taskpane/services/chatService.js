@@ -2,6 +2,8 @@
  * Chat Service
  * Handles conversational AI interactions for contract review
  */
+import { authHeaders } from "../utils/auth.js";
+import { log } from "../utils/logger.js";
 
 /**
  * Send a chat message to the AI backend
@@ -11,9 +13,13 @@
  * @param {string} params.documentContext - Full document as background knowledge
  * @param {string} params.selectionContext - Currently selected text to focus on
  * @param {Array} params.history - Previous messages in the conversation
- * @returns {Promise<{response: string, suggestion?: string}>}
+ * @param {{name: string, role: string}} [params.party] - The party we advise
+ * @param {string} [params.token] - API token for the backend
+ * @param {string} [params.document] - Document name, for usage reporting
+ * @param {boolean} [params.redact] - Pseudonymize confidential data before it reaches the model
+ * @returns {Promise<{response: string, suggestion?: string, libraryClause?: {id: string, title: string, version: number}, redaction: {applied: boolean, counts: Object}|null}>}
  */
-export async function sendChatMessage({ endpoint, message, documentContext, selectionContext, history }) {
+export async function sendChatMessage({ endpoint, message, documentContext, selectionContext, history, party, token, document, redact }) {
   if (!endpoint) {
     throw new Error("Set a chat API endpoint first.");
   }
@@ -26,33 +32,36 @@ export async function sendChatMessage({ endpoint, message, documentContext, sele
       role: msg.role,
       content: msg.content,
     })),
+    party: party || undefined,
+    document,
+    redact,
   };
 
-  console.log("[chatService] Sending to:", endpoint);
-  console.log("[chatService] Request body:", JSON.stringify(body, null, 2));
+  log.debug("Sending chat message", { endpoint, historyLength: body.history.length });
 
   const response = await fetch(endpoint, {
     method: "POST",
     headers: {
       "Content-Type": "application/json",
+      ...authHeaders(token),
     },
     body: JSON.stringify(body),
   });
 
-  console.log("[chatService] Response status:", response.status);
-
   if (!response.ok) {
     const errorText = await response.text();
-    console.error("[chatService] Error response:", errorText);
+    log.error("Chat request failed", { status: response.status, requestId: response.headers.get("X-Request-Id") });
     throw new Error(errorText || "Chat request failed.");
   }
 
   const data = await response.json();
-  console.log("[chatService] Response data:", data);
+  log.debug("Chat response received", { hasSuggestion: Boolean(data.suggestion), usage: data.usage });
 
   return {
     response: data.response || "I couldn't generate a response.",
     suggestion: data.suggestion || null,
+    libraryClause: data.libraryClause || null,
+    redaction: data.redaction || null,
   };
 }
 
@@ -0,0 +1,56 @@
+/**
+ * Comment Service
+ * Drafts replies to the other side's comments in the document
+ */
+import { authHeaders } from "../utils/auth.js";
+
+/**
+ * Ask the backend to draft a reply to one comment
+ * @param {Object} params
+ * @param {string} params.endpoint - The draft-reply API endpoint
+ * @param {string} [params.token] - API token for the backend
+ * @param {Object} params.comment - From getComments
+ * @param {string} [params.instructions]
+ * @param {string} [params.riskProfile]
+ * @param {string} [params.playbookId]
+ * @param {{name: string, role: string}} [params.party]
+ * @param {boolean} [params.redact]
+ * @param {string} [params.document] - Document name, for usage reports
+ * @returns {Promise<{reply: string, resolve: boolean, usage: Object, redaction: Object|null}>}
+ */
+export async function draftReply({ endpoint, token, comment, instructions, riskProfile, playbookId, party, redact, document }) {
+  if (!endpoint) {
+    throw new Error("Set a review API endpoint first.");
+  }
+
+  const { author, text, anchorText, paragraph, replies } = comment;
+  const response = await fetch(endpoint, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      ...authHeaders(token),
+    },
+    body: JSON.stringify({
+      comment: { author, text, anchorText, paragraph, replies },
+      instructions,
+      riskProfile,
+      playbookId: playbookId || undefined,
+      party,
+      redact,
+      document,
+    }),
+  });
+
+  if (!response.ok) {
+    const message = await response.text();
+    throw new Error(message || `Request failed with ${response.status}.`);
+  }
+
+  const data = await response.json();
+  return {
+    reply: typeof data.reply === "string" ? data.reply : "",
+    resolve: data.resolve === true,
+    usage: data.usage || null,
+    redaction: data.redaction || null,
+  };
+}
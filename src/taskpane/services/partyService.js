@@ -0,0 +1,36 @@
+/**
+ * Party Service
+ * Detects the contracting parties so the reviewer can choose who we represent
+ */
+import { authHeaders } from "../utils/auth.js";
+
+/**
+ * Ask the backend which parties the preamble names
+ * @param {Object} params
+ * @param {string} params.endpoint - The parties API endpoint
+ * @param {string} params.text - Document text (the server reads only the preamble)
+ * @param {string} [params.token] - API token for the backend
+ * @returns {Promise<Array<{name: string, role: string}>>}
+ */
+export async function detectParties({ endpoint, text, token }) {
+  if (!endpoint) {
+    throw new Error("Set a parties API endpoint first.");
+  }
+
+  const response = await fetch(endpoint, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      ...authHeaders(token),
+    },
+    body: JSON.stringify({ text }),
+  });
+
+  if (!response.ok) {
+    const message = await response.text();
+    throw new Error(message || `Request failed with ${response.status}.`);
+  }
+
+  const data = await response.json();
+  return Array.isArray(data.parties) ? data.parties : [];
+}
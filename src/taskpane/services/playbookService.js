@@ -0,0 +1,28 @@
+/**
+ * Playbook Service
+ * Fetches the organization's negotiation playbooks from the backend
+ */
+import { authHeaders } from "../utils/auth.js";
+
+/**
+ * List the playbooks available on the server
+ * @param {Object} params
+ * @param {string} params.endpoint - The playbooks API endpoint
+ * @param {string} [params.token] - API token for the backend
+ * @returns {Promise<Array<{id: string, name: string, description: string, ruleCount: number}>>}
+ */
+export async function fetchPlaybooks({ endpoint, token }) {
+  if (!endpoint) {
+    throw new Error("Set a playbooks API endpoint first.");
+  }
+
+  const response = await fetch(endpoint, { headers: authHeaders(token) });
+
+  if (!response.ok) {
+    const message = await response.text();
+    throw new Error(message || `Request failed with ${response.status}.`);
+  }
+
+  const data = await response.json();
+  return Array.isArray(data.playbooks) ? data.playbooks : [];
+}
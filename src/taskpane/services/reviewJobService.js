@@ -0,0 +1,129 @@
+/**
+ * Review Job Service
+ * Starts server-side review jobs and follows their events. Every event has an
+ * ID, so after a dropped connection the stream is reopened with Last-Event-ID
+ * and picks up where it stopped instead of restarting the review.
+ */
+import { authHeaders } from "../utils/auth.js";
+import { log } from "../utils/logger.js";
+
+async function requestError(response) {
+  const body = await response.json().catch(() => null);
+  const error = new Error(body?.error || `Request failed with ${response.status}.`);
+  error.status = response.status;
+  return error;
+}
+
+/**
+ * Start a review job
+ * @param {Object} params
+ * @param {string} params.endpoint - The review jobs API endpoint
+ * @param {string} [params.token] - API token for the backend
+ * @param {Object} params.body - Same body as POST /api/review-stream
+ * @param {AbortSignal} [params.signal]
+ * @returns {Promise<{id: string, status: string, lastEventId: number}>}
+ */
+export async function createReviewJob({ endpoint, token, body, signal }) {
+  const response = await fetch(endpoint, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...authHeaders(token) },
+    body: JSON.stringify(body),
+    signal,
+  });
+
+  if (!response.ok) {
+    throw await requestError(response);
+  }
+  const data = await response.json();
+  return data.job;
+}
+
+/**
+ * Follow a job's events until the server closes the stream
+ * @param {Object} params
+ * @param {string} params.endpoint - The review jobs API endpoint
+ * @param {string} [params.token] - API token for the backend
+ * @param {string} params.jobId
+ * @param {number} [params.lastEventId] - Only events after this one are sent
+ * @param {AbortSignal} [params.signal]
+ * @param {(event: Object, id: number) => Promise<void>} params.onEvent - Awaited before the next event is read
+ */
+export async function streamJobEvents({ endpoint, token, jobId, lastEventId = 0, signal, onEvent }) {
+  const response = await fetch(`${endpoint}/${encodeURIComponent(jobId)}/events`, {
+    headers: { ...authHeaders(token), ...(lastEventId ? { "Last-Event-ID": String(lastEventId) } : {}) },
+    signal,
+  });
+
+  if (!response.ok) {
+    throw await requestError(response);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let eventId = lastEventId;
+
+  try {
+    while (!signal?.aborted) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split("\n");
+      buffer = lines.pop() || ""; // Keep incomplete line in buffer
+
+      for (const line of lines) {
+        // Stop handling events as soon as the caller aborts; the one in progress finishes first
+        if (signal?.aborted) break;
+        if (line.startsWith("id: ")) {
+          eventId = Number(line.slice(4));
+        } else if (line.startsWith("data: ")) {
+          let event;
+          try {
+            event = JSON.parse(line.slice(6));
+          } catch (error) {
+            log.warn("Could not parse job event", { jobId, eventId, error });
+            continue;
+          }
+          await onEvent(event, eventId);
+        }
+      }
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+}
+
+/**
+ * Fetch a job with the issues it has produced so far
+ * @param {Object} params
+ * @param {string} params.endpoint - The review jobs API endpoint
+ * @param {string} [params.token] - API token for the backend
+ * @param {string} params.jobId
+ * @returns {Promise<{job: Object, issues: Array, rejected: Array, failedClauses: Array}>}
+ */
+export async function fetchReviewJob({ endpoint, token, jobId }) {
+  const response = await fetch(`${endpoint}/${encodeURIComponent(jobId)}`, { headers: authHeaders(token) });
+  if (!response.ok) {
+    throw await requestError(response);
+  }
+  return response.json();
+}
+
+/**
+ * Ask the server to stop a running job
+ * @param {Object} params
+ * @param {string} params.endpoint - The review jobs API endpoint
+ * @param {string} [params.token] - API token for the backend
+ * @param {string} params.jobId
+ */
+export async function cancelReviewJob({ endpoint, token, jobId }) {
+  const response = await fetch(`${endpoint}/${encodeURIComponent(jobId)}/cancel`, {
+    method: "POST",
+    headers: authHeaders(token),
+  });
+  // 409: the job finished before the request arrived
+  if (!response.ok && response.status !== 409) {
+    throw await requestError(response);
+  }
+}
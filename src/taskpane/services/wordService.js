@@ -31,6 +31,40 @@ export async function getScopeText(scope) {
   });
 }
 
+/**
+ * Read the paragraphs in scope with the structure the server needs to cut
+ * clauses along real section boundaries.
+ * @returns {Promise<Array<{text: string, style: string, outlineLevel: number, listString: string, listLevel: number|null, inTable: boolean}>>}
+ */
+export async function getScopeParagraphs(scope) {
+  return Word.run(async (context) => {
+    const range = getRangeByScope(context, scope);
+    const paragraphs = range.paragraphs;
+    paragraphs.load("items/text,items/style,items/outlineLevel,items/tableNestingLevel");
+    await context.sync();
+
+    // List numbering ("12.3", "(b)") is not part of paragraph.text
+    const listItems = paragraphs.items.map((paragraph) => {
+      const listItem = paragraph.listItemOrNullObject;
+      listItem.load("listString,level");
+      return listItem;
+    });
+    await context.sync();
+
+    return paragraphs.items.map((paragraph, index) => {
+      const listItem = listItems[index];
+      return {
+        text: paragraph.text,
+        style: paragraph.style,
+        outlineLevel: paragraph.outlineLevel,
+        listString: listItem.isNullObject ? "" : listItem.listString,
+        listLevel: listItem.isNullObject ? null : listItem.level,
+        inTable: paragraph.tableNestingLevel > 0,
+      };
+    });
+  });
+}
+
 function formatCommentText(text) {
   const trimmed = text.trim();
   if (!trimmed) {
@@ -93,3 +127,305 @@ export async function applyRedlines({ scope, revisedText, comments, trackChanges
     }
   });
 }
+
+const CHANGE_TYPES = { Added: "insertion", Deleted: "deletion", Formatted: "formatting" };
+
+/**
+ * True when Word can read and resolve tracked changes (WordApi 1.6)
+ */
+export function trackedChangesSupported() {
+  return Office.context.requirements.isSetSupported("WordApi", "1.6");
+}
+
+// Identical changes are told apart by the paragraph they sit in and then by
+// their position among the matches, in document order
+function trackedChangeKey({ type, author, text, paragraph }) {
+  return [type, author, text, paragraph].join("\u0000");
+}
+
+/**
+ * Read every tracked change in the document with the paragraph around it and
+ * that paragraph's list number ("12.3"), if it has one.
+ * `occurrence` counts earlier changes with the same type, author, text and
+ * paragraph; after resolving one, update the rest with adjustAfterResolve.
+ * @returns {Promise<Array<{id: string, type: string, author: string, date: string, text: string, paragraph: string, sectionNumber: string, occurrence: number}>>}
+ */
+export async function getTrackedChanges() {
+  return Word.run(async (context) => {
+    const trackedChanges = context.document.body.getTrackedChanges();
+    trackedChanges.load("items/author,items/date,items/text,items/type");
+    await context.sync();
+
+    const items = trackedChanges.items.filter((change) => CHANGE_TYPES[change.type]);
+    const paragraphs = items.map((change) => {
+      const paragraph = change.getRange().paragraphs.getFirst();
+      paragraph.load("text");
+      return paragraph;
+    });
+    const listItems = paragraphs.map((paragraph) => {
+      const listItem = paragraph.listItemOrNullObject;
+      listItem.load("listString");
+      return listItem;
+    });
+    await context.sync();
+
+    const seen = new Map();
+    return items.map((change, index) => {
+      const entry = {
+        id: `tc-${index}`,
+        type: CHANGE_TYPES[change.type],
+        author: change.author,
+        date: change.date ? new Date(change.date).toISOString() : "",
+        text: change.text,
+        paragraph: paragraphs[index].text,
+        sectionNumber: listItems[index].isNullObject ? "" : listItems[index].listString.trim().replace(/\.$/, ""),
+      };
+      const key = trackedChangeKey(entry);
+      entry.occurrence = seen.get(key) || 0;
+      seen.set(key, entry.occurrence + 1);
+      return entry;
+    });
+  });
+}
+
+/**
+ * Keep the remaining changes findable after one was resolved: later identical
+ * changes move up one occurrence, and changes in the same paragraph take its
+ * new text.
+ * @param {Array} changes - Unresolved changes from getTrackedChanges; updated in place
+ * @param {Object} resolved - The change just resolved
+ * @param {string} paragraph - Its paragraph's text afterwards, from the resolve call
+ */
+export function adjustAfterResolve(changes, resolved, paragraph) {
+  const resolvedKey = trackedChangeKey(resolved);
+  const moved = changes.filter((change) => change !== resolved && change.paragraph === resolved.paragraph);
+  changes
+    .filter((change) => change !== resolved && trackedChangeKey(change) === resolvedKey && change.occurrence > resolved.occurrence)
+    .forEach((change) => { change.occurrence -= 1; });
+  if (paragraph === resolved.paragraph) {
+    return;
+  }
+
+  // Renumber the changes that moved among any already in a paragraph with the new text
+  const seen = new Map();
+  changes
+    .filter((change) => change !== resolved && change.paragraph === paragraph)
+    .forEach((change) => {
+      const key = trackedChangeKey(change);
+      seen.set(key, Math.max(seen.get(key) || 0, change.occurrence + 1));
+    });
+  moved.forEach((change) => {
+    change.paragraph = paragraph;
+    const key = trackedChangeKey(change);
+    change.occurrence = seen.get(key) || 0;
+    seen.set(key, change.occurrence + 1);
+  });
+}
+
+// The live TrackedChange for one read by getTrackedChanges, or null when it
+// has been accepted or rejected since
+async function findTrackedChange(context, change) {
+  const trackedChanges = context.document.body.getTrackedChanges();
+  trackedChanges.load("items/author,items/text,items/type");
+  await context.sync();
+
+  const candidates = trackedChanges.items.filter((item) => CHANGE_TYPES[item.type] === change.type
+    && item.author === change.author
+    && item.text === change.text);
+  const paragraphs = candidates.map((item) => {
+    const paragraph = item.getRange().paragraphs.getFirst();
+    paragraph.load("text");
+    return paragraph;
+  });
+  await context.sync();
+
+  const matches = candidates.filter((item, index) => paragraphs[index].text === change.paragraph);
+  return matches[change.occurrence || 0] || null;
+}
+
+// Run `resolve` on the live change and read back its paragraph's text, or
+// return null when the change is gone
+async function resolveTrackedChange(change, resolve) {
+  return Word.run(async (context) => {
+    const trackedChange = await findTrackedChange(context, change);
+    if (!trackedChange) {
+      return null;
+    }
+    const paragraph = trackedChange.getRange().paragraphs.getFirst();
+    await resolve(context, trackedChange);
+    paragraph.load("text");
+    await context.sync();
+    return paragraph.text;
+  });
+}
+
+/**
+ * Select a tracked change in the document
+ * @returns {Promise<boolean>} False when the change is gone
+ */
+export async function selectTrackedChange(change) {
+  return Word.run(async (context) => {
+    const trackedChange = await findTrackedChange(context, change);
+    if (!trackedChange) {
+      return false;
+    }
+    trackedChange.getRange().select();
+    await context.sync();
+    return true;
+  });
+}
+
+/**
+ * Accept a tracked change
+ * @returns {Promise<string|null>} The paragraph's text afterwards, null when the change is gone
+ */
+export async function acceptTrackedChange(change) {
+  return resolveTrackedChange(change, async (context, trackedChange) => {
+    trackedChange.accept();
+    await context.sync();
+  });
+}
+
+/**
+ * Reject a tracked change, restoring the wording it replaced
+ * @returns {Promise<string|null>} The paragraph's text afterwards, null when the change is gone
+ */
+export async function rejectTrackedChange(change) {
+  return resolveTrackedChange(change, async (context, trackedChange) => {
+    trackedChange.reject();
+    await context.sync();
+  });
+}
+
+/**
+ * Counter-propose: replace the changed text with our wording as a tracked
+ * change of our own, with the reasoning as a comment. A deletion is rejected
+ * first so our wording replaces the text that was struck.
+ * @param {Object} change - From getTrackedChanges
+ * @param {Object} counter
+ * @param {string} counter.counterText
+ * @param {string} [counter.explanation]
+ * @returns {Promise<string|null>} The paragraph's text afterwards, null when the change is gone
+ */
+export async function counterTrackedChange(change, { counterText, explanation }) {
+  return resolveTrackedChange(change, async (context, trackedChange) => {
+    const range = trackedChange.getRange();
+    context.document.load("changeTrackingMode");
+    if (change.type === "deletion") {
+      trackedChange.reject();
+    }
+    await context.sync();
+
+    const previousMode = context.document.changeTrackingMode;
+    context.document.changeTrackingMode = Word.ChangeTrackingMode.trackAll;
+    const replaced = range.insertText(counterText, Word.InsertLocation.replace);
+    const comment = formatCommentText(explanation || "");
+    if (comment) {
+      replaced.insertComment(comment);
+    }
+    await context.sync();
+
+    context.document.changeTrackingMode = previousMode;
+    await context.sync();
+  });
+}
+
+/**
+ * True when Word can read and reply to comments (WordApi 1.4)
+ */
+export function commentsSupported() {
+  return Office.context.requirements.isSetSupported("WordApi", "1.4");
+}
+
+/**
+ * Read every comment in the document with its replies, the text it is
+ * anchored to and the paragraph around it
+ * @returns {Promise<Array<{id: string, author: string, date: string, text: string, resolved: boolean, anchorText: string, paragraph: string, replies: Array<{author: string, date: string, text: string}>}>>}
+ */
+export async function getComments() {
+  return Word.run(async (context) => {
+    const comments = context.document.body.getComments();
+    comments.load("items/id,items/authorName,items/content,items/creationDate,items/resolved");
+    await context.sync();
+
+    const details = comments.items.map((comment) => {
+      const range = comment.getRange();
+      const paragraph = range.paragraphs.getFirst();
+      range.load("text");
+      paragraph.load("text");
+      comment.replies.load("items/authorName,items/content,items/creationDate");
+      return { range, paragraph };
+    });
+    await context.sync();
+
+    return comments.items.map((comment, index) => ({
+      id: comment.id,
+      author: comment.authorName,
+      date: comment.creationDate ? new Date(comment.creationDate).toISOString() : "",
+      text: comment.content,
+      resolved: comment.resolved,
+      anchorText: details[index].range.text,
+      paragraph: details[index].paragraph.text,
+      replies: comment.replies.items.map((reply) => ({
+        author: reply.authorName,
+        date: reply.creationDate ? new Date(reply.creationDate).toISOString() : "",
+        text: reply.content,
+      })),
+    }));
+  });
+}
+
+async function findComment(context, id) {
+  const comments = context.document.body.getComments();
+  comments.load("items/id");
+  await context.sync();
+  return comments.items.find((comment) => comment.id === id) || null;
+}
+
+/**
+ * Select the text a comment is anchored to
+ * @returns {Promise<boolean>} False when the comment is gone
+ */
+export async function selectComment(id) {
+  return Word.run(async (context) => {
+    const comment = await findComment(context, id);
+    if (!comment) {
+      return false;
+    }
+    comment.getRange().select();
+    await context.sync();
+    return true;
+  });
+}
+
+/**
+ * Post a threaded reply on a comment
+ * @returns {Promise<boolean>} False when the comment is gone
+ */
+export async function replyToComment(id, text) {
+  return Word.run(async (context) => {
+    const comment = await findComment(context, id);
+    if (!comment) {
+      return false;
+    }
+    comment.reply(text);
+    await context.sync();
+    return true;
+  });
+}
+
+/**
+ * Mark a comment resolved
+ * @returns {Promise<boolean>} False when the comment is gone
+ */
+export async function resolveComment(id) {
+  return Word.run(async (context) => {
+    const comment = await findComment(context, id);
+    if (!comment) {
+      return false;
+    }
+    comment.resolved = true;
+    await context.sync();
+    return true;
+  });
+}
@@ -1,8 +1,16 @@
-import { getScopeText, applyRedlines } from "./services/wordService.js";
+import { getScopeText, getScopeParagraphs, applyRedlines, trackedChangesSupported, getTrackedChanges, selectTrackedChange, acceptTrackedChange, rejectTrackedChange, counterTrackedChange, adjustAfterResolve, commentsSupported, getComments, selectComment, replyToComment, resolveComment } from "./services/wordService.js";
 import { reviewClause } from "./services/aiService.js";
 import { sendChatMessage } from "./services/chatService.js";
-import { diffTokens, formatDiff } from "./utils/diff.js";
+import { fetchPlaybooks } from "./services/playbookService.js";
+import { detectParties } from "./services/partyService.js";
+import { evaluateChanges } from "./services/changeService.js";
+import { draftReply } from "./services/commentService.js";
+import { createReviewJob, streamJobEvents, fetchReviewJob, cancelReviewJob } from "./services/reviewJobService.js";
+import { analyzeDefinedTerms } from "../shared/definedTerms.js";
+import { diffTokens, formatDiffHtml, GRANULARITIES } from "./utils/diff.js";
+import { buildReport, renderReport, reportFileName, REPORT_FORMATS } from "./utils/report.js";
 import { loadSettings, saveSettings } from "./utils/storage.js";
+import { log, configureLogger } from "./utils/logger.js";
 
 const state = {
   // Mode
@@ -11,17 +19,35 @@ const state = {
   // Redlining state
   scope: "selection",
   riskProfile: "balanced",
+  playbookId: "",
+  playbooks: [],
+  party: null,      // { name, role } we represent; null keeps the server default
+  parties: [],
   trackChanges: true,
   instructions: "",
   endpoint: "",
+  token: "",        // API token sent as a bearer token on every request
   rememberEndpoint: true,
+  redact: false,    // Pseudonymize confidential data before it reaches the model
   originalText: "",
   result: null,
   
   // Live markup state
   isAnalyzing: false,
+  abortController: null, // Aborts the running review stream (Stop button)
+  requestId: null,  // Server request ID of the current review stream
+  clausesDone: 0,   // Clauses reported by the stream so far
+  job: null,        // { id, lastEventId, document } of the last review job, kept to resume after a reload
   issues: [],
   currentIssueIndex: -1,
+  lastRun: null,    // Settings and start time of the review behind `issues`, for the exported report
+  reportFormat: "html",
+  diffGranularity: "word", // Unit the previews, chat suggestions and reports diff by
+
+  // Counterparty changes
+  changes: [],      // Tracked changes read from Word, each with its recommendation and resolution
+  isEvaluating: false,
+  comments: [],     // Open comments from Word, each with its draft reply
   
   // Chat state
   chatMessages: [],
@@ -36,10 +62,14 @@ const dom = {
   scopeHint: document.getElementById("scopeHint"),
   refreshSelection: document.getElementById("refreshSelection"),
   riskProfile: document.getElementById("riskProfile"),
+  playbookSelect: document.getElementById("playbookSelect"),
+  partySelect: document.getElementById("partySelect"),
   trackChanges: document.getElementById("trackChanges"),
   instructions: document.getElementById("instructions"),
   runReview: document.getElementById("runReview"),
+  stopReview: document.getElementById("stopReview"),
   runMeta: document.getElementById("runMeta"),
+  redactionNote: document.getElementById("redactionNote"),
   status: document.getElementById("status"),
   suggestedClause: document.getElementById("suggestedClause"),
   commentList: document.getElementById("commentList"),
@@ -47,8 +77,20 @@ const dom = {
   applyRedlines: document.getElementById("applyRedlines"),
   discardResult: document.getElementById("discardResult"),
   copySuggestion: document.getElementById("copySuggestion"),
+  reportFormat: document.getElementById("reportFormat"),
+  downloadReport: document.getElementById("downloadReport"),
+  copyReport: document.getElementById("copyReport"),
+  evaluateChanges: document.getElementById("evaluateChanges"),
+  changesStatus: document.getElementById("changesStatus"),
+  changesList: document.getElementById("changesList"),
+  loadComments: document.getElementById("loadComments"),
+  commentsStatus: document.getElementById("commentsStatus"),
+  commentsList: document.getElementById("commentsList"),
   apiEndpoint: document.getElementById("apiEndpoint"),
+  apiToken: document.getElementById("apiToken"),
   rememberEndpoint: document.getElementById("rememberEndpoint"),
+  pseudonymize: document.getElementById("pseudonymize"),
+  diffGranularity: document.getElementById("diffGranularity"),
   settingsToggle: document.getElementById("settingsToggle"),
   settingsPanel: document.getElementById("settingsPanel"),
   
@@ -68,12 +110,12 @@ const dom = {
   sendChat: document.getElementById("sendChat"),
 };
 
-function setStatus(message, tone = "neutral") {
-  dom.status.textContent = message;
+function setStatus(message, tone = "neutral", element = dom.status) {
+  element.textContent = message;
   if (tone === "neutral") {
-    delete dom.status.dataset.tone;
+    delete element.dataset.tone;
   } else {
-    dom.status.dataset.tone = tone;
+    element.dataset.tone = tone;
   }
 }
 
@@ -83,8 +125,58 @@ function setRunMeta(message) {
   }
 }
 
+// What the server replaced with placeholders, e.g. "2 parties, 3 amounts"
+function formatRedaction(redaction) {
+  const labels = {
+    party: ["party", "parties"],
+    email: ["email", "emails"],
+    phone: ["phone number", "phone numbers"],
+    address: ["address", "addresses"],
+    person: ["name", "names"],
+    amount: ["amount", "amounts"],
+    term: ["watchlist term", "watchlist terms"],
+  };
+  return Object.entries(redaction.counts || {})
+    .map(([kind, count]) => {
+      const [one, many] = labels[kind] || [kind, kind];
+      return `${count} ${count === 1 ? one : many}`;
+    })
+    .join(", ");
+}
+
+function setRedactionNote(redaction) {
+  if (!dom.redactionNote) {
+    return;
+  }
+  dom.redactionNote.textContent = redaction?.applied
+    ? `Pseudonymized before sending: ${formatRedaction(redaction)}. Real values restored in the results.`
+    : "";
+}
+
 // Metrics display removed - now showing issues-focused results instead
 
+// Tokens and estimated cost reported in the stream's complete event
+function formatUsage(usage) {
+  if (!usage || !usage.calls) {
+    return "No AI calls (all clauses from cache)";
+  }
+  const tokens = `${usage.estimated ? "~" : ""}${usage.totalTokens.toLocaleString()} tokens`;
+  const cost = typeof usage.cost === "number"
+    ? new Intl.NumberFormat(undefined, { style: "currency", currency: usage.currency || "USD", maximumFractionDigits: usage.cost < 1 ? 4 : 2 }).format(usage.cost)
+    : "cost unknown";
+  return `${tokens} · ${cost}`;
+}
+
+// File name of the open document, so the server can attribute usage to it
+function documentName() {
+  const url = Office.context.document.url || "";
+  try {
+    return decodeURIComponent(url.split(/[\\/]/).pop() || "") || undefined;
+  } catch (error) {
+    return undefined;
+  }
+}
+
 function setScope(scope) {
   state.scope = scope;
   dom.scopeButtons.forEach((button) => {
@@ -113,6 +205,9 @@ function renderComments(comments) {
   });
 }
 
+// Unchanged stretches shorter than this are shown inside the change around them
+const DIFF_MIN_EQUAL_LENGTH = 10;
+
 function renderPreview() {
   if (!state.result) {
     dom.suggestedClause.textContent = "No suggestions yet.";
@@ -125,9 +220,8 @@ function renderPreview() {
 
   // Always show diff with red/green highlighting
   if (state.originalText && revisedText) {
-    const diff = diffTokens(state.originalText, revisedText);
-    const diffHtml = formatDiffHtml(diff);
-    dom.suggestedClause.innerHTML = diffHtml;
+    const diff = diffTokens(state.originalText, revisedText, { granularity: state.diffGranularity });
+    dom.suggestedClause.innerHTML = formatDiffHtml(diff, { minEqualLength: DIFF_MIN_EQUAL_LENGTH });
   } else {
     dom.suggestedClause.textContent = revisedText || "No revisions suggested.";
   }
@@ -167,11 +261,15 @@ async function handleReview() {
 
     const result = await reviewClause({
       endpoint: state.endpoint,
+      token: state.token,
       text,
       instructions: state.instructions,
       riskProfile: state.riskProfile,
+      party: state.party || undefined,
       scope: state.scope,
+      redact: state.redact,
     });
+    setRedactionNote(result.redaction);
 
     if (!result.revisedText) {
       setStatus("AI returned no suggested edits.", "warning");
@@ -301,6 +399,9 @@ function renderIssuesList() {
   const container = document.getElementById("issuesList");
   if (!container) return;
 
+  dom.downloadReport.disabled = !state.issues.length;
+  dom.copyReport.disabled = !state.issues.length;
+
   if (state.issues.length === 0) {
     container.innerHTML = `
       <div class="issues-empty">
@@ -316,7 +417,7 @@ function renderIssuesList() {
   container.innerHTML = state.issues.map((issue, index) => {
     const typeClass = issue.type || "comment";
     const severityClass = issue.severity || "medium";
-    const statusClass = issue.applied ? "applied" : "";
+    const statusClass = issue.applied ? "applied" : issue.rejectedReason ? "rejected" : "";
     
     const typeIcons = {
       edit: `<svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor">
@@ -331,20 +432,41 @@ function renderIssuesList() {
     };
 
     const typeLabels = { edit: "Edit", delete: "Delete", comment: "Comment" };
+    const checkLabels = { "defined-terms": "Defined terms check", "cross-references": "Cross-reference check" };
+
+    // A clause can produce several issues; label them so siblings are easy to spot
+    let clauseLabel = "";
+    if (issue.sectionNumber) {
+      clauseLabel = `§ ${escapeHtml(issue.sectionNumber)}`;
+    } else if (typeof issue.clauseIndex === "number") {
+      clauseLabel = `Clause ${issue.clauseIndex + 1}`;
+    }
+    if (clauseLabel && issue.clauseIssueCount > 1) {
+      clauseLabel += ` · ${issue.clauseIssueIndex + 1}/${issue.clauseIssueCount}`;
+    }
     
     return `
-      <div class="issue-card ${statusClass}" data-index="${index}">
+      <div class="issue-card ${statusClass}" data-index="${index}"${issue.id ? ` data-issue-id="${escapeHtml(issue.id)}"` : ""}>
         <div class="issue-header">
           <span class="issue-type ${typeClass}">
             ${typeIcons[typeClass] || typeIcons.comment}
             ${typeLabels[typeClass] || "Comment"}
           </span>
-          <span class="issue-severity ${severityClass}">${severityClass}</span>
+          <span class="issue-header-meta">
+            ${clauseLabel ? `<span class="issue-clause">${clauseLabel}</span>` : ""}
+            ${issue.cached ? '<span class="issue-cached" title="Reused from an earlier review of this unchanged clause">Cached</span>' : ""}
+            <span class="issue-severity ${severityClass}">${severityClass}</span>
+          </span>
         </div>
         <div class="issue-text">${escapeHtml(truncateText(issue.originalText, 80))}</div>
         ${issue.type === "edit" && issue.newText ? `<div class="issue-new-text">→ ${escapeHtml(truncateText(issue.newText, 80))}</div>` : ''}
         <div class="issue-explanation">${escapeHtml(issue.explanation)}</div>
+        ${checkLabels[issue.source] ? `<div class="issue-check">${checkLabels[issue.source]}</div>` : ''}
+        ${issue.playbookRule ? `<div class="issue-playbook">Playbook: ${escapeHtml(issue.playbookRule.topic)}</div>` : ''}
+        ${issue.libraryClause ? `<div class="issue-library">Approved clause: ${escapeHtml(issue.libraryClause.title)} (v${issue.libraryClause.version})</div>` : ''}
         ${issue.applied ? '<div class="issue-status">✓ Applied</div>' : ''}
+        ${issue.restored ? '<div class="issue-status">Handled in an earlier session</div>' : ''}
+        ${issue.rejectedReason ? `<div class="issue-status issue-status-rejected">Not applied: ${escapeHtml(issue.rejectedReason)}</div>` : ''}
       </div>
     `;
   }).join("");
@@ -358,6 +480,402 @@ function renderIssuesList() {
   });
 }
 
+// ========================================
+// Review Report
+// ========================================
+
+// The memo for the issues on screen, with the settings of the run that found them
+function currentReport() {
+  const run = state.lastRun || { riskProfile: state.riskProfile, instructions: state.instructions, scope: state.scope, playbookId: state.playbookId, party: state.party };
+  return buildReport({
+    issues: state.issues,
+    documentTitle: documentName(),
+    riskProfile: run.riskProfile,
+    instructions: run.instructions,
+    scope: run.scope,
+    playbook: state.playbooks.find((playbook) => playbook.id === run.playbookId)?.name || run.playbookId,
+    party: run.party,
+    reviewedAt: run.startedAt,
+    granularity: state.diffGranularity,
+  });
+}
+
+function handleDownloadReport() {
+  if (!state.issues.length) {
+    setStatus("Nothing to export yet.", "warning");
+    return;
+  }
+
+  const report = currentReport();
+  const format = REPORT_FORMATS[state.reportFormat];
+  const url = URL.createObjectURL(new Blob([renderReport(report, state.reportFormat)], { type: `${format.mimeType};charset=utf-8` }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = reportFileName(report, state.reportFormat);
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Some Word hosts read the blob after click() returns
+  setTimeout(() => URL.revokeObjectURL(url), 60000);
+  setStatus(`Exported ${format.label} report (${link.download}). If nothing was saved, use Copy instead.`);
+}
+
+async function handleCopyReport() {
+  if (!state.issues.length) {
+    setStatus("Nothing to copy yet.", "warning");
+    return;
+  }
+
+  const format = REPORT_FORMATS[state.reportFormat];
+  const report = currentReport();
+  const content = renderReport(report, state.reportFormat);
+  try {
+    // HTML memos paste formatted into Outlook or Word where the clipboard allows it
+    if (state.reportFormat === "html" && typeof ClipboardItem !== "undefined") {
+      await navigator.clipboard.write([new ClipboardItem({
+        "text/html": new Blob([content], { type: "text/html" }),
+        "text/plain": new Blob([renderReport(report, "markdown")], { type: "text/plain" }),
+      })]);
+    } else {
+      await navigator.clipboard.writeText(content);
+    }
+    setStatus(`Copied ${format.label} report to clipboard.`);
+  } catch (error) {
+    log.warn("Could not copy report", { format: state.reportFormat, error });
+    setStatus("Clipboard unavailable.", "warning");
+  }
+}
+
+// ========================================
+// Counterparty Changes
+// ========================================
+
+const RECOMMENDATION_LABELS = { accept: "Accept", reject: "Reject", counter: "Counter" };
+const RESOLUTION_LABELS = { accept: "Accepted", reject: "Rejected", counter: "Counter-proposed" };
+const CHANGE_TYPE_LABELS = { insertion: "Inserted", deletion: "Deleted", formatting: "Formatting" };
+
+function setChangesStatus(message, tone = "neutral") {
+  setStatus(message, tone, dom.changesStatus);
+}
+
+function renderChangesList() {
+  dom.changesList.innerHTML = state.changes.map((change, index) => {
+    const recommendation = change.recommendation;
+    const severityClass = recommendation?.severity || "medium";
+    const button = (action) => `<button class="btn btn-ghost btn-sm${recommendation?.recommendation === action ? " is-recommended" : ""}" type="button" data-action="${action}"${action === "counter" && !recommendation?.counterText ? " disabled" : ""}>${RECOMMENDATION_LABELS[action]}</button>`;
+
+    return `
+      <div class="issue-card${change.resolution ? " applied" : ""}" data-index="${index}">
+        <div class="issue-header">
+          <span class="issue-type ${change.type === "deletion" ? "delete" : "edit"}">${CHANGE_TYPE_LABELS[change.type]} by ${escapeHtml(change.author || "unknown")}</span>
+          <span class="issue-header-meta">
+            ${recommendation ? `<span class="change-recommendation ${recommendation.recommendation}">${RECOMMENDATION_LABELS[recommendation.recommendation]}</span>
+            <span class="issue-severity ${severityClass}">${severityClass}</span>` : ""}
+          </span>
+        </div>
+        <div class="issue-text">${escapeHtml(truncateText(change.text, 120))}</div>
+        ${recommendation?.counterText ? `<div class="issue-new-text">→ ${escapeHtml(truncateText(recommendation.counterText, 120))}</div>` : ""}
+        ${recommendation ? `<div class="issue-explanation">${escapeHtml(recommendation.explanation)}</div>` : ""}
+        ${change.failedReason ? `<div class="issue-status issue-status-rejected">No recommendation: ${escapeHtml(change.failedReason)}</div>` : ""}
+        ${change.resolution
+          ? `<div class="issue-status">✓ ${RESOLUTION_LABELS[change.resolution]}</div>`
+          : `<div class="change-actions">${["accept", "reject", "counter"].map(button).join("")}</div>`}
+      </div>
+    `;
+  }).join("");
+
+  dom.changesList.querySelectorAll(".issue-card").forEach((card) => {
+    const index = parseInt(card.dataset.index, 10);
+    card.addEventListener("click", () => handleChangeClick(index));
+    card.querySelectorAll("[data-action]").forEach((button) => {
+      button.addEventListener("click", (event) => {
+        event.stopPropagation();
+        handleResolveChange(index, button.dataset.action);
+      });
+    });
+  });
+}
+
+async function handleEvaluateChanges() {
+  if (state.isEvaluating) return;
+  if (!trackedChangesSupported()) {
+    setChangesStatus("This version of Word cannot read tracked changes (needs WordApi 1.6).", "error");
+    return;
+  }
+
+  state.isEvaluating = true;
+  dom.evaluateChanges.disabled = true;
+  setChangesStatus("Reading tracked changes...", "info");
+
+  try {
+    const changes = await getTrackedChanges();
+    state.changes = changes;
+    renderChangesList();
+    if (!changes.length) {
+      setChangesStatus("No tracked changes in this document.", "warning");
+      return;
+    }
+
+    setChangesStatus(`Evaluating ${changes.length} change${changes.length !== 1 ? "s" : ""}...`, "info");
+    const result = await evaluateChanges({
+      endpoint: state.endpoint.replace("/api/review", "/api/evaluate-changes"),
+      token: state.token,
+      changes,
+      instructions: state.instructions,
+      riskProfile: state.riskProfile,
+      playbookId: state.playbookId,
+      party: state.party || undefined,
+      redact: state.redact,
+      document: documentName(),
+    });
+
+    const recommendations = new Map(result.recommendations.map((entry) => [entry.changeId, entry]));
+    const failed = new Map(result.failed.map((entry) => [entry.changeId, entry.reason]));
+    state.changes = changes.map((change) => ({
+      ...change,
+      recommendation: recommendations.get(change.id) || null,
+      failedReason: failed.get(change.id) || null,
+    }));
+    renderChangesList();
+    setRedactionNote(result.redaction);
+
+    const summary = `${recommendations.size} of ${changes.length} changes evaluated · ${formatUsage(result.usage)}`;
+    setChangesStatus(summary, failed.size ? "warning" : "success");
+  } catch (error) {
+    log.error("Change evaluation failed", { error });
+    setChangesStatus(error.message || "Could not evaluate the changes.", "error");
+  } finally {
+    state.isEvaluating = false;
+    dom.evaluateChanges.disabled = false;
+  }
+}
+
+async function handleChangeClick(index) {
+  const change = state.changes[index];
+  if (!change || change.resolution) return;
+
+  dom.changesList.querySelectorAll(".issue-card").forEach((card, i) => {
+    card.classList.toggle("is-selected", i === index);
+  });
+
+  try {
+    if (!(await selectTrackedChange(change))) {
+      setChangesStatus("That change is no longer in the document.", "warning");
+    }
+  } catch (error) {
+    log.warn("Could not select tracked change", { error });
+  }
+}
+
+async function handleResolveChange(index, action) {
+  const change = state.changes[index];
+  if (!change || change.resolution) return;
+
+  try {
+    let paragraph = null;
+    if (action === "accept") {
+      paragraph = await acceptTrackedChange(change);
+    } else if (action === "reject") {
+      paragraph = await rejectTrackedChange(change);
+    } else if (action === "counter" && change.recommendation?.counterText) {
+      paragraph = await counterTrackedChange(change, change.recommendation);
+    }
+
+    if (paragraph === null) {
+      setChangesStatus("That change is no longer in the document. Evaluate again to refresh the list.", "warning");
+      return;
+    }
+    change.resolution = action;
+    adjustAfterResolve(state.changes.filter((entry) => !entry.resolution), change, paragraph);
+    renderChangesList();
+    setChangesStatus(`${RESOLUTION_LABELS[action]} ${change.type} by ${change.author || "unknown author"}.`, "success");
+  } catch (error) {
+    log.error("Could not resolve tracked change", { action, error });
+    setChangesStatus(error.message || "Could not update the document.", "error");
+  }
+}
+
+// ========================================
+// Comment Replies
+// ========================================
+
+function setCommentsStatus(message, tone = "neutral") {
+  setStatus(message, tone, dom.commentsStatus);
+}
+
+function renderCommentsList() {
+  dom.commentsList.innerHTML = state.comments.map((comment, index) => {
+    const replies = comment.replies.map((reply) => `<div class="comment-reply"><strong>${escapeHtml(reply.author || "Unknown")}:</strong> ${escapeHtml(truncateText(reply.text, 160))}</div>`).join("");
+    const hasDraft = typeof comment.draft === "string";
+    let footer = "";
+    if (comment.resolved) {
+      footer = '<div class="issue-status">✓ Resolved</div>';
+    } else {
+      footer = `
+        ${hasDraft ? `<div class="field comment-draft"><textarea rows="4" data-index="${index}" aria-label="Reply">${escapeHtml(comment.draft)}</textarea></div>` : ""}
+        <div class="change-actions">
+          ${hasDraft
+            ? '<button class="btn btn-ghost btn-sm" type="button" data-action="post">Post reply</button>'
+            : `<button class="btn btn-ghost btn-sm" type="button" data-action="draft"${comment.isDrafting ? " disabled" : ""}>${comment.isDrafting ? "Drafting..." : "Draft reply"}</button>`}
+          <button class="btn btn-ghost btn-sm${comment.suggestResolve ? " is-recommended" : ""}" type="button" data-action="resolve">Resolve</button>
+        </div>
+      `;
+    }
+
+    return `
+      <div class="issue-card${comment.resolved ? " applied" : ""}" data-index="${index}">
+        <div class="issue-header">
+          <span class="issue-type comment">${escapeHtml(comment.author || "Unknown")}</span>
+          <span class="issue-header-meta">
+            ${comment.posted ? `<span class="issue-clause">${comment.posted} repl${comment.posted === 1 ? "y" : "ies"} posted</span>` : ""}
+          </span>
+        </div>
+        ${comment.anchorText ? `<div class="issue-text">${escapeHtml(truncateText(comment.anchorText, 80))}</div>` : ""}
+        <div class="issue-explanation">${escapeHtml(comment.text)}</div>
+        ${replies ? `<div class="comment-replies">${replies}</div>` : ""}
+        ${footer}
+      </div>
+    `;
+  }).join("");
+
+  dom.commentsList.querySelectorAll(".issue-card").forEach((card) => {
+    const index = parseInt(card.dataset.index, 10);
+    card.addEventListener("click", () => handleCommentClick(index));
+    card.querySelectorAll("[data-action]").forEach((button) => {
+      button.addEventListener("click", (event) => {
+        event.stopPropagation();
+        const handlers = { draft: handleDraftReply, post: handlePostReply, resolve: handleResolveComment };
+        handlers[button.dataset.action](index);
+      });
+    });
+    const draft = card.querySelector("textarea");
+    if (draft) {
+      draft.addEventListener("click", (event) => event.stopPropagation());
+      draft.addEventListener("input", () => {
+        state.comments[index].draft = draft.value;
+      });
+    }
+  });
+}
+
+async function handleLoadComments() {
+  if (!commentsSupported()) {
+    setCommentsStatus("This version of Word cannot read comments (needs WordApi 1.4).", "error");
+    return;
+  }
+
+  try {
+    const comments = await getComments();
+    // The pane's own review comments and finished threads need no answer
+    const open = comments.filter((comment) => !comment.resolved && !comment.text.trim().startsWith("AI:"));
+    state.comments = open;
+    renderCommentsList();
+
+    const skipped = comments.length - open.length;
+    if (!open.length) {
+      setCommentsStatus(comments.length ? "No open comments from the other side." : "No comments in this document.", "warning");
+    } else {
+      setCommentsStatus(`${open.length} open comment${open.length !== 1 ? "s" : ""}${skipped ? ` (${skipped} resolved or added by Goosefarm not shown)` : ""}.`);
+    }
+  } catch (error) {
+    log.error("Could not read comments", { error });
+    setCommentsStatus(error.message || "Could not read the comments.", "error");
+  }
+}
+
+async function handleCommentClick(index) {
+  const comment = state.comments[index];
+  if (!comment) return;
+
+  dom.commentsList.querySelectorAll(".issue-card").forEach((card, i) => {
+    card.classList.toggle("is-selected", i === index);
+  });
+
+  try {
+    if (!(await selectComment(comment.id))) {
+      setCommentsStatus("That comment is no longer in the document.", "warning");
+    }
+  } catch (error) {
+    log.warn("Could not select comment", { error });
+  }
+}
+
+async function handleDraftReply(index) {
+  const comment = state.comments[index];
+  if (!comment || comment.isDrafting) return;
+
+  comment.isDrafting = true;
+  renderCommentsList();
+  setCommentsStatus(`Drafting a reply to ${comment.author || "the comment"}...`, "info");
+
+  try {
+    const result = await draftReply({
+      endpoint: state.endpoint.replace("/api/review", "/api/draft-reply"),
+      token: state.token,
+      comment,
+      instructions: state.instructions,
+      riskProfile: state.riskProfile,
+      playbookId: state.playbookId,
+      party: state.party || undefined,
+      redact: state.redact,
+      document: documentName(),
+    });
+    comment.draft = result.reply;
+    comment.suggestResolve = result.resolve;
+    setRedactionNote(result.redaction);
+    setCommentsStatus(`Draft ready; edit it before posting · ${formatUsage(result.usage)}`, "success");
+  } catch (error) {
+    log.error("Reply drafting failed", { error });
+    setCommentsStatus(error.message || "Could not draft a reply.", "error");
+  } finally {
+    comment.isDrafting = false;
+    renderCommentsList();
+  }
+}
+
+async function handlePostReply(index) {
+  const comment = state.comments[index];
+  const text = comment?.draft?.trim();
+  if (!text) {
+    setCommentsStatus("Write a reply before posting.", "warning");
+    return;
+  }
+
+  try {
+    if (!(await replyToComment(comment.id, text))) {
+      setCommentsStatus("That comment is no longer in the document.", "warning");
+      return;
+    }
+    comment.replies.push({ author: "You", text });
+    comment.posted = (comment.posted || 0) + 1;
+    delete comment.draft;
+    comment.suggestResolve = false;
+    renderCommentsList();
+    setCommentsStatus("Reply posted.", "success");
+  } catch (error) {
+    log.error("Could not post reply", { error });
+    setCommentsStatus(error.message || "Could not post the reply.", "error");
+  }
+}
+
+async function handleResolveComment(index) {
+  const comment = state.comments[index];
+  if (!comment) return;
+
+  try {
+    if (!(await resolveComment(comment.id))) {
+      setCommentsStatus("That comment is no longer in the document.", "warning");
+      return;
+    }
+    comment.resolved = true;
+    renderCommentsList();
+    setCommentsStatus("Comment resolved.", "success");
+  } catch (error) {
+    log.error("Could not resolve comment", { error });
+    setCommentsStatus(error.message || "Could not resolve the comment.", "error");
+  }
+}
+
 function truncateText(text, maxLength) {
   if (!text) return "";
   if (text.length <= maxLength) return text;
@@ -379,7 +897,7 @@ async function handleIssueClick(index) {
   try {
     await selectTextInDocument(issue.originalText);
   } catch (error) {
-    console.warn("Could not select text:", error);
+    log.warn("Could not select text", { error });
   }
 }
 
@@ -421,7 +939,7 @@ async function applyIssueToDocument(issue) {
     }
     return false;
   } catch (error) {
-    console.error("Error applying issue:", error);
+    log.error("Could not apply issue", { issueId: issue.id, type: issue.type, error });
     return false;
   }
 }
@@ -475,116 +993,277 @@ function showAnalysisComplete(totalIssues) {
   }
 }
 
-async function handleLiveAnalysis() {
-  if (state.isAnalyzing) return;
+// Stopped by the user: keep what was already applied and say how far the run got
+function showAnalysisCancelled() {
+  const appliedCount = state.issues.filter((issue) => issue.applied).length;
+  const foundCount = state.issues.filter((issue) => !issue.rejectedReason).length;
+  const progressEl = document.getElementById("analysisProgress");
+  if (progressEl) {
+    progressEl.innerHTML = `
+      <div class="progress-summary">
+        <span>Cancelled: ${appliedCount} issue${appliedCount !== 1 ? 's' : ''} applied</span>
+      </div>
+    `;
+  }
 
-  // Get document text based on scope
-  const { text } = await getScopeText(state.scope);
-  
-  if (!text || !text.trim()) {
-    setStatus("No text to analyze. Select text or choose a different scope.", "warning");
-    return;
+  const progress = state.totalClauses ? ` after ${state.clausesDone} of ${state.totalClauses} clauses` : "";
+  setStatus(`Analysis cancelled${progress}. Found ${foundCount} issue${foundCount !== 1 ? 's' : ''}; the ${appliedCount} already applied ${appliedCount !== 1 ? 'were' : 'was'} kept.`, "warning");
+  renderIssuesList();
+}
+
+function jobsEndpoint() {
+  return state.endpoint.replace("/api/review", "/api/review-jobs");
+}
+
+function handleStopAnalysis() {
+  if (!state.abortController) return;
+  dom.stopReview.disabled = true;
+  setStatus("Stopping analysis...", "info");
+  state.abortController.abort();
+
+  // The job would otherwise keep running on the server until it noticed nobody is listening
+  if (state.job) {
+    cancelReviewJob({ endpoint: jobsEndpoint(), token: state.token, jobId: state.job.id })
+      .catch((error) => log.warn("Could not cancel review job", { jobId: state.job?.id, error }));
   }
+}
 
+// Busy state for a run: spinner on the button, Stop shown, progress reset
+function beginAnalysisRun() {
   state.isAnalyzing = true;
   state.issues = [];
   state.currentIssueIndex = -1;
-  
-  // Update button state
-  const analyzeBtn = document.getElementById("runReview");
-  if (analyzeBtn) {
-    analyzeBtn.disabled = true;
-    analyzeBtn.innerHTML = `
-      <div class="spinner"></div>
-      <span>Analyzing...</span>
-    `;
-  }
+  state.totalClauses = 0;
+  state.clausesDone = 0;
+
+  // Aborting closes the event stream; Stop also cancels the job on the server
+  const controller = new AbortController();
+  state.abortController = controller;
+  dom.stopReview.disabled = false;
+  dom.stopReview.classList.remove("is-hidden");
+
+  dom.runReview.disabled = true;
+  dom.runReview.innerHTML = `
+    <div class="spinner"></div>
+    <span>Analyzing...</span>
+  `;
 
   showAnalysisStart();
+  setRunMeta("");
+  setRedactionNote(null);
+  return controller;
+}
+
+function endAnalysisRun() {
+  state.isAnalyzing = false;
+  state.abortController = null;
+  dom.stopReview.classList.add("is-hidden");
+
+  // Reset button
+  dom.runReview.disabled = false;
+  dom.runReview.innerHTML = `
+    <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor" class="btn-icon-left">
+      <path stroke-linecap="round" stroke-linejoin="round" d="M9.813 15.904 9 18.75l-.813-2.846a4.5 4.5 0 0 0-3.09-3.09L2.25 12l2.846-.813a4.5 4.5 0 0 0 3.09-3.09L9 5.25l.813 2.846a4.5 4.5 0 0 0 3.09 3.09L15.75 12l-2.846.813a4.5 4.5 0 0 0-3.09 3.09ZM18.259 8.715 18 9.75l-.259-1.035a3.375 3.375 0 0 0-2.455-2.456L14.25 6l1.036-.259a3.375 3.375 0 0 0 2.455-2.456L18 2.25l.259 1.035a3.375 3.375 0 0 0 2.456 2.456L21.75 6l-1.035.259a3.375 3.375 0 0 0-2.456 2.456ZM16.894 20.567 16.5 21.75l-.394-1.183a2.25 2.25 0 0 0-1.423-1.423L13.5 18.75l1.183-.394a2.25 2.25 0 0 0 1.423-1.423l.394-1.183.394 1.183a2.25 2.25 0 0 0 1.423 1.423l1.183.394-1.183.394a2.25 2.25 0 0 0-1.423 1.423Z" />
+    </svg>
+    <span>Analyze Contract</span>
+  `;
+}
+
+const FINAL_JOB_EVENTS = new Set(["complete", "cancelled", "error"]);
+const MAX_RECONNECTS = 5;
+
+function delay(ms, signal) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    signal.addEventListener("abort", () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+}
 
-  // Enable track changes if setting is on
-  if (state.trackChanges) {
+// Follow the current job's events until a final one arrives. A dropped
+// connection is reopened with Last-Event-ID, so nothing is lost or applied twice.
+// Events up to `replayThrough` were already applied to the document by an
+// earlier session; they are listed again but not re-applied.
+async function followReviewJob(signal, { replayThrough = 0 } = {}) {
+  let finished = false;
+  let reconnects = 0;
+
+  while (!finished && !signal.aborted) {
     try {
-      await enableTrackChanges();
+      await streamJobEvents({
+        endpoint: jobsEndpoint(),
+        token: state.token,
+        jobId: state.job.id,
+        lastEventId: state.job.lastEventId,
+        signal,
+        onEvent: async (event, id) => {
+          reconnects = 0;
+          try {
+            await handleStreamEvent(event, { replay: id <= replayThrough });
+          } catch (error) {
+            log.warn("Could not handle stream event", { jobId: state.job.id, eventId: id, error });
+          }
+          state.job.lastEventId = id;
+          storeSettings();
+          finished = finished || FINAL_JOB_EVENTS.has(event.type);
+        },
+      });
     } catch (error) {
-      console.warn("Could not enable track changes:", error);
+      // Aborted by Stop, or an HTTP error (job gone, token revoked) that a retry will not fix
+      if (signal.aborted || error.status) {
+        throw error;
+      }
+      log.warn("Review job stream dropped", { jobId: state.job.id, lastEventId: state.job.lastEventId, error });
+    }
+
+    if (finished || signal.aborted) {
+      break;
+    }
+    reconnects++;
+    if (reconnects > MAX_RECONNECTS) {
+      throw new Error("Lost the connection to the server. The review is still running; reopen the pane to pick it up.");
     }
+    const wait = Math.min(1000 * 2 ** (reconnects - 1), 15000);
+    setStatus(`Connection lost. Reconnecting in ${Math.round(wait / 1000)}s (attempt ${reconnects} of ${MAX_RECONNECTS})...`, "warning");
+    await delay(wait, signal);
   }
+}
 
-  // Create streaming request
-  const streamEndpoint = state.endpoint.replace("/api/review", "/api/review-stream");
-  
+// Run (or resume) a job with the busy UI, reporting cancellation and failures
+async function runReviewJob(start, options) {
+  const controller = beginAnalysisRun();
   try {
-    // Use fetch with ReadableStream for POST request
-    const response = await fetch(streamEndpoint, {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        text,
-        instructions: state.instructions,
-        riskProfile: state.riskProfile,
-      }),
-    });
-
-    if (!response.ok) {
-      throw new Error(`Request failed: ${response.status}`);
+    await start(controller.signal);
+    await followReviewJob(controller.signal, options);
+    if (controller.signal.aborted) {
+      log.info("Review cancelled", { jobId: state.job?.id, clausesDone: state.clausesDone, totalClauses: state.totalClauses });
+      showAnalysisCancelled();
     }
+  } catch (error) {
+    if (controller.signal.aborted) {
+      log.info("Review cancelled", { jobId: state.job?.id, clausesDone: state.clausesDone, totalClauses: state.totalClauses });
+      showAnalysisCancelled();
+    } else {
+      log.error("Review failed", { jobId: state.job?.id, requestId: state.requestId, error });
+      setStatus(`Analysis failed: ${error.message}`, "error");
+    }
+  } finally {
+    endAnalysisRun();
+  }
+}
 
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-    let buffer = "";
+async function handleLiveAnalysis() {
+  if (state.isAnalyzing) return;
 
-    while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
+  // Get document text based on scope
+  const { text } = await getScopeText(state.scope);
+  
+  if (!text || !text.trim()) {
+    setStatus("No text to analyze. Select text or choose a different scope.", "warning");
+    return;
+  }
 
-      buffer += decoder.decode(value, { stream: true });
-      
-      // Process complete SSE events
-      const lines = buffer.split("\n");
-      buffer = lines.pop() || ""; // Keep incomplete line in buffer
+  // Structured paragraphs let the server segment by section numbering;
+  // older Word builds without the list APIs fall back to plain text
+  let paragraphs;
+  try {
+    paragraphs = await getScopeParagraphs(state.scope);
+  } catch (error) {
+    log.warn("Could not read paragraph structure", { error });
+  }
 
-      for (const line of lines) {
-        if (line.startsWith("data: ")) {
-          const data = line.slice(6);
-          try {
-            const event = JSON.parse(data);
-            await handleStreamEvent(event);
-          } catch (e) {
-            console.warn("Could not parse SSE event:", data);
-          }
-        }
+  state.lastRun = {
+    riskProfile: state.riskProfile,
+    instructions: state.instructions,
+    scope: state.scope,
+    playbookId: state.playbookId,
+    party: state.party,
+    startedAt: new Date().toISOString(),
+  };
+
+  await runReviewJob(async (signal) => {
+    // Enable track changes if setting is on
+    if (state.trackChanges) {
+      try {
+        await enableTrackChanges();
+      } catch (error) {
+        log.warn("Could not enable track changes", { error });
       }
     }
 
-  } catch (error) {
-    console.error("Streaming error:", error);
-    setStatus(`Analysis failed: ${error.message}`, "error");
-  } finally {
-    state.isAnalyzing = false;
-    
-    // Reset button
-    if (analyzeBtn) {
-      analyzeBtn.disabled = false;
-      analyzeBtn.innerHTML = `
-        <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke-width="1.5" stroke="currentColor" class="btn-icon-left">
-          <path stroke-linecap="round" stroke-linejoin="round" d="M9.813 15.904 9 18.75l-.813-2.846a4.5 4.5 0 0 0-3.09-3.09L2.25 12l2.846-.813a4.5 4.5 0 0 0 3.09-3.09L9 5.25l.813 2.846a4.5 4.5 0 0 0 3.09 3.09L15.75 12l-2.846.813a4.5 4.5 0 0 0-3.09 3.09ZM18.259 8.715 18 9.75l-.259-1.035a3.375 3.375 0 0 0-2.455-2.456L14.25 6l1.036-.259a3.375 3.375 0 0 0 2.455-2.456L18 2.25l.259 1.035a3.375 3.375 0 0 0 2.456 2.456L21.75 6l-1.035.259a3.375 3.375 0 0 0-2.456 2.456ZM16.894 20.567 16.5 21.75l-.394-1.183a2.25 2.25 0 0 0-1.423-1.423L13.5 18.75l1.183-.394a2.25 2.25 0 0 0 1.423-1.423l.394-1.183.394 1.183a2.25 2.25 0 0 0 1.423 1.423l1.183.394-1.183.394a2.25 2.25 0 0 0-1.423 1.423Z" />
-        </svg>
-        <span>Analyze Contract</span>
-      `;
+    // The server checks defined terms only for a whole-document review; for a partial
+    // scope run the same checks here so definitions elsewhere in the document count
+    if (state.scope !== "document") {
+      const findings = analyzeDefinedTerms(text, { context: state.documentContext });
+      for (const [n, issue] of findings.entries()) {
+        issue.index = state.issues.length;
+        issue.id = `dt-${n}`;
+        await handleStreamEvent({ type: "issue", issue });
+      }
     }
+
+    const job = await createReviewJob({
+      endpoint: jobsEndpoint(),
+      token: state.token,
+      body: {
+        text,
+        paragraphs,
+        instructions: state.instructions,
+        riskProfile: state.riskProfile,
+        playbookId: state.playbookId || undefined,
+        party: state.party || undefined,
+        scope: state.scope,
+        document: documentName(),
+        redact: state.redact,
+      },
+      signal,
+    });
+    state.job = { id: job.id, lastEventId: 0, document: documentName() || null };
+    storeSettings();
+  });
+}
+
+// After the pane is closed or reloaded: list the last review's results again
+// and apply whatever it produced while the pane was away
+async function resumeLastJob() {
+  // A job's edits belong to the document it was started from
+  if (!state.job?.id || state.isAnalyzing || state.job.document !== (documentName() || null)) return;
+
+  const replayThrough = state.job.lastEventId;
+  try {
+    const { job } = await fetchReviewJob({ endpoint: jobsEndpoint(), token: state.token, jobId: state.job.id });
+    log.info("Resuming review job", { jobId: job.id, status: job.status, replayThrough, lastEventId: job.lastEventId });
+    setMode("redlining");
+  } catch (error) {
+    // Expired, deleted, or created with another token
+    log.warn("Could not resume review job", { jobId: state.job.id, error });
+    state.job = null;
+    storeSettings();
+    return;
   }
+
+  await runReviewJob(async () => {
+    state.job.lastEventId = 0;
+  }, { replayThrough });
 }
 
-async function handleStreamEvent(event) {
+// `replay` marks events an earlier session of the pane already handled:
+// their issues are listed again but not applied a second time
+async function handleStreamEvent(event, { replay = false } = {}) {
   switch (event.type) {
     case "start":
       setStatus(`Analyzing ${event.totalClauses || 'document'} clauses...`, "info");
       state.totalClauses = event.totalClauses || 0;
+      // Quoted in client logs so they can be matched to the server's
+      state.requestId = event.requestId || null;
+      setRedactionNote(event.redaction);
       break;
 
     case "progress":
       // Update progress bar as we move through clauses
+      state.clausesDone = event.clauseIndex + 1;
       updateAnalysisProgress(event.clauseIndex, event.totalClauses, state.issues.length);
       break;
 
@@ -596,16 +1275,75 @@ async function handleStreamEvent(event) {
       updateAnalysisProgress(event.clauseIndex || 0, event.totalClauses || state.totalClauses, state.issues.length);
       
       // Apply the issue to the document immediately
-      const applied = await applyIssueToDocument(issue);
-      issue.applied = applied;
+      if (replay) {
+        issue.restored = true;
+      } else {
+        issue.applied = await applyIssueToDocument(issue);
+      }
       
       // Re-render the issues list
       renderIssuesList();
       break;
 
-    case "complete":
-      showAnalysisComplete(event.totalIssues);
-      setStatus(`Analysis complete. Reviewed ${event.totalClauses} clauses, found ${event.totalIssues} issue${event.totalIssues !== 1 ? 's' : ''}.`, "success");
+    case "issue-rejected": {
+      // Listed with the reason so nothing disappears silently; never applied to the document
+      const rejected = { ...(event.issue && typeof event.issue === "object" ? event.issue : {}), rejectedReason: event.reason };
+      if (typeof event.clauseIndex === "number") {
+        rejected.clauseIndex = event.clauseIndex;
+        rejected.sectionNumber = event.sectionNumber;
+      }
+      state.issues.push(rejected);
+      renderIssuesList();
+      break;
+    }
+
+    case "retrying": {
+      // The provider is rate limiting or failing; say why instead of looking stuck
+      const progressText = document.querySelector("#analysisProgress .progress-text");
+      const where = typeof event.clauseIndex === "number" ? `Clause ${event.clauseIndex + 1}: ` : "";
+      const note = `${where}${event.reason}, retrying in ${Math.max(1, Math.round(event.delayMs / 1000))}s (attempt ${event.attempt} of ${event.maxRetries})...`;
+      if (progressText) {
+        progressText.textContent = note;
+      } else {
+        setStatus(note, "info");
+      }
+      break;
+    }
+
+    case "clause-error":
+      // One clause failed (timeout, provider error); the rest of the run continues
+      log.warn("Clause failed", { requestId: event.requestId, clauseIndex: event.clauseIndex, error: event.message });
+      updateAnalysisProgress(event.clauseIndex, event.totalClauses || state.totalClauses, state.issues.length);
+      break;
+
+    case "complete": {
+      // Includes defined-term findings raised locally before the stream started
+      const rejectedCount = state.issues.filter((issue) => issue.rejectedReason).length;
+      const totalIssues = state.issues.length - rejectedCount;
+      showAnalysisComplete(totalIssues);
+      if (event.usage) {
+        setRunMeta(`Last run: ${formatUsage(event.usage)}`);
+      }
+      // Later clauses may have added placeholders since the start event
+      if (event.redaction) {
+        setRedactionNote(event.redaction);
+      }
+      const cachedNote = event.cachedClauses ? ` ${event.cachedClauses} unchanged clause${event.cachedClauses !== 1 ? 's' : ''} reused from the cache.` : "";
+      if (event.failedClauses || rejectedCount) {
+        const problems = [
+          event.failedClauses ? `${event.failedClauses} clause${event.failedClauses !== 1 ? 's' : ''} could not be analyzed.` : "",
+          rejectedCount ? `${rejectedCount} suggestion${rejectedCount !== 1 ? 's' : ''} could not be matched to the document and ${rejectedCount !== 1 ? 'were' : 'was'} not applied.` : "",
+        ].filter(Boolean).join(" ");
+        setStatus(`Analysis complete. Reviewed ${event.totalClauses} clauses, found ${totalIssues} issue${totalIssues !== 1 ? 's' : ''}. ${problems}${cachedNote}`, "warning");
+      } else {
+        setStatus(`Analysis complete. Reviewed ${event.totalClauses} clauses, found ${totalIssues} issue${totalIssues !== 1 ? 's' : ''}.${cachedNote}`, "success");
+      }
+      break;
+    }
+
+    case "cancelled":
+      // Stopped on the server, e.g. from another pane or after nobody was listening
+      showAnalysisCancelled();
       break;
 
     case "error":
@@ -614,11 +1352,102 @@ async function handleStreamEvent(event) {
   }
 }
 
+// The redaction and diff preferences and the last job are kept even when the endpoint and token are not
+function storeSettings() {
+  saveSettings({
+    ...(state.rememberEndpoint ? { endpoint: state.endpoint, token: state.token } : { endpoint: "", token: "" }),
+    redact: state.redact,
+    diffGranularity: state.diffGranularity,
+    job: state.job,
+  });
+}
+
+function handleRedactionChange() {
+  state.redact = dom.pseudonymize.checked;
+  storeSettings();
+}
+
+function handleDiffGranularityChange() {
+  state.diffGranularity = dom.diffGranularity.value;
+  storeSettings();
+  renderPreview();
+}
+
 function handleEndpointChange() {
   state.endpoint = dom.apiEndpoint.value.trim();
+  state.token = dom.apiToken.value.trim();
   state.rememberEndpoint = dom.rememberEndpoint.checked;
 
-  saveSettings({ endpoint: state.rememberEndpoint ? state.endpoint : "" });
+  storeSettings();
+  configureLogger({ endpoint: state.endpoint.replace("/api/review", "/api/client-logs"), token: state.token });
+  loadPlaybooks();
+  loadParties();
+}
+
+// ========================================
+// Playbooks
+// ========================================
+
+function renderPlaybookOptions() {
+  dom.playbookSelect.innerHTML = '<option value="">None (general review)</option>';
+  state.playbooks.forEach((playbook) => {
+    const option = document.createElement("option");
+    option.value = playbook.id;
+    option.textContent = playbook.name;
+    option.title = playbook.description || "";
+    dom.playbookSelect.appendChild(option);
+  });
+
+  // Drop a selection that no longer exists on the server
+  if (!state.playbooks.some((playbook) => playbook.id === state.playbookId)) {
+    state.playbookId = "";
+  }
+  dom.playbookSelect.value = state.playbookId;
+}
+
+async function loadPlaybooks() {
+  try {
+    const endpoint = state.endpoint.replace("/api/review", "/api/playbooks");
+    state.playbooks = await fetchPlaybooks({ endpoint, token: state.token });
+  } catch (error) {
+    log.warn("Could not load playbooks", { error });
+    state.playbooks = [];
+  }
+  renderPlaybookOptions();
+}
+
+// ========================================
+// Parties
+// ========================================
+
+function renderPartyOptions() {
+  dom.partySelect.innerHTML = '<option value="">Recipient / customer (default)</option>';
+  state.parties.forEach((party, index) => {
+    const option = document.createElement("option");
+    option.value = String(index);
+    option.textContent = party.name && party.name !== party.role ? `${party.name} (${party.role})` : party.role;
+    dom.partySelect.appendChild(option);
+  });
+
+  // Keep the chosen side when the same role is detected again
+  const index = state.party
+    ? state.parties.findIndex((party) => party.role === state.party.role)
+    : -1;
+  state.party = index >= 0 ? state.parties[index] : null;
+  dom.partySelect.value = index >= 0 ? String(index) : "";
+}
+
+async function loadParties() {
+  try {
+    const endpoint = state.endpoint.replace("/api/review", "/api/parties");
+    state.parties = state.documentContext.trim()
+      ? await detectParties({ endpoint, token: state.token, text: state.documentContext })
+      : [];
+  } catch (error) {
+    log.warn("Could not detect parties", { error });
+    state.parties = [];
+  }
+  renderPartyOptions();
 }
 
 function toggleSettings() {
@@ -662,6 +1491,7 @@ async function refreshDocumentContext() {
     state.documentContext = "";
     updateDocumentIndicator();
   }
+  await loadParties();
 }
 
 async function refreshSelectionContext() {
@@ -722,6 +1552,13 @@ function renderChatMessages() {
     bubbleEl.textContent = msg.content;
     
     messageEl.appendChild(bubbleEl);
+
+    if (msg.role === "assistant" && msg.redaction?.applied) {
+      const noteEl = document.createElement("div");
+      noteEl.className = "message-note";
+      noteEl.textContent = `Sent pseudonymized (${formatRedaction(msg.redaction)})`;
+      messageEl.appendChild(noteEl);
+    }
     
     // Add suggestion preview and action buttons for assistant messages with suggestions
     if (msg.role === "assistant" && msg.suggestion) {
@@ -730,19 +1567,17 @@ function renderChatMessages() {
       
       const suggestionLabel = document.createElement("div");
       suggestionLabel.className = "suggestion-label";
-      suggestionLabel.textContent = "Suggested revision:";
+      suggestionLabel.textContent = msg.libraryClause
+        ? `Suggested revision (approved clause: ${msg.libraryClause.title}, v${msg.libraryClause.version}):`
+        : "Suggested revision:";
       
       const suggestionText = document.createElement("div");
       suggestionText.className = "suggestion-text";
       
       // Show diff if we have original context, otherwise just show the suggestion
       if (state.selectionContext && state.selectionContext.trim()) {
-        const diffSegments = diffTokens(state.selectionContext, msg.suggestion);
-        if (diffSegments) {
-          suggestionText.innerHTML = formatDiffHtml(diffSegments, state.selectionContext, msg.suggestion);
-        } else {
-          suggestionText.textContent = msg.suggestion;
-        }
+        const diffSegments = diffTokens(state.selectionContext, msg.suggestion, { granularity: state.diffGranularity });
+        suggestionText.innerHTML = formatDiffHtml(diffSegments, { minEqualLength: DIFF_MIN_EQUAL_LENGTH });
       } else {
         suggestionText.textContent = msg.suggestion;
       }
@@ -787,68 +1622,6 @@ function formatTime(timestamp) {
   return date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
 }
 
-function formatDiffHtml(segments, original, revised) {
-  // Only treat equal segments as separators if they're significant (more than 10 chars)
-  // Otherwise, merge small equal segments into the surrounding change region
-  const MIN_EQUAL_LENGTH = 10;
-  
-  const regions = [];
-  let pendingDeletes = "";
-  let pendingInserts = "";
-  
-  for (const segment of segments) {
-    if (segment.type === "equal") {
-      const text = segment.text;
-      const isSignificant = text.trim().length >= MIN_EQUAL_LENGTH;
-      
-      if (isSignificant) {
-        // This is a real separator - flush pending changes first
-        if (pendingDeletes || pendingInserts) {
-          regions.push({ type: "change", deleted: pendingDeletes, inserted: pendingInserts });
-          pendingDeletes = "";
-          pendingInserts = "";
-        }
-        regions.push({ type: "equal", text: text });
-      } else {
-        // Small equal segment - include in both delete and insert to keep context
-        pendingDeletes += text;
-        pendingInserts += text;
-      }
-    } else if (segment.type === "delete") {
-      pendingDeletes += segment.text;
-    } else if (segment.type === "insert") {
-      pendingInserts += segment.text;
-    }
-  }
-  
-  // Flush any remaining changes
-  if (pendingDeletes || pendingInserts) {
-    // Check if they're actually different
-    if (pendingDeletes.trim() !== pendingInserts.trim()) {
-      regions.push({ type: "change", deleted: pendingDeletes, inserted: pendingInserts });
-    } else {
-      // They're the same, just show as equal
-      regions.push({ type: "equal", text: pendingInserts });
-    }
-  }
-  
-  return regions
-    .map((region) => {
-      if (region.type === "equal") {
-        return escapeHtml(region.text);
-      }
-      let html = "";
-      if (region.deleted && region.deleted.trim()) {
-        html += `<span class="diff-delete">${escapeHtml(region.deleted)}</span>`;
-      }
-      if (region.inserted && region.inserted.trim()) {
-        html += `<span class="diff-insert">${escapeHtml(region.inserted)}</span>`;
-      }
-      return html;
-    })
-    .join("");
-}
-
 function escapeHtml(text) {
   const div = document.createElement("div");
   div.textContent = text;
@@ -897,10 +1670,14 @@ async function handleSendChat() {
     
     const response = await sendChatMessage({
       endpoint,
+      token: state.token,
       message: input,
       documentContext: state.documentContext,
       selectionContext: state.selectionContext,
       history: state.chatMessages.slice(0, -1), // Exclude current message
+      party: state.party,
+      document: documentName(),
+      redact: state.redact,
     });
     
     removeTypingIndicator();
@@ -910,6 +1687,8 @@ async function handleSendChat() {
       role: "assistant",
       content: response.response,
       suggestion: response.suggestion || null,
+      libraryClause: response.libraryClause || null,
+      redaction: response.redaction,
       timestamp: Date.now(),
     });
     
@@ -976,7 +1755,7 @@ async function copyChatSuggestion(suggestion) {
     await navigator.clipboard.writeText(suggestion);
     // Brief feedback could be added here
   } catch (error) {
-    console.error("Failed to copy:", error);
+    log.error("Could not copy to clipboard", { error });
   }
 }
 
@@ -995,6 +1774,12 @@ function bindEvents() {
   dom.riskProfile.addEventListener("change", (event) => {
     state.riskProfile = event.target.value;
   });
+  dom.playbookSelect.addEventListener("change", (event) => {
+    state.playbookId = event.target.value;
+  });
+  dom.partySelect.addEventListener("change", (event) => {
+    state.party = event.target.value === "" ? null : state.parties[Number(event.target.value)];
+  });
   dom.trackChanges.addEventListener("change", (event) => {
     state.trackChanges = event.target.checked;
   });
@@ -1002,11 +1787,22 @@ function bindEvents() {
     state.instructions = event.target.value;
   });
   dom.runReview.addEventListener("click", handleLiveAnalysis);
+  dom.stopReview.addEventListener("click", handleStopAnalysis);
   dom.applyRedlines.addEventListener("click", handleApply);
   dom.discardResult.addEventListener("click", handleDiscard);
   dom.copySuggestion.addEventListener("click", handleCopy);
+  dom.reportFormat.addEventListener("change", (event) => {
+    state.reportFormat = event.target.value;
+  });
+  dom.downloadReport.addEventListener("click", handleDownloadReport);
+  dom.copyReport.addEventListener("click", handleCopyReport);
+  dom.evaluateChanges.addEventListener("click", handleEvaluateChanges);
+  dom.loadComments.addEventListener("click", handleLoadComments);
   dom.apiEndpoint.addEventListener("change", handleEndpointChange);
+  dom.apiToken.addEventListener("change", handleEndpointChange);
   dom.rememberEndpoint.addEventListener("change", handleEndpointChange);
+  dom.pseudonymize.addEventListener("change", handleRedactionChange);
+  dom.diffGranularity.addEventListener("change", handleDiffGranularityChange);
   dom.settingsToggle.addEventListener("click", toggleSettings);
   
   // Chat events
@@ -1040,6 +1836,16 @@ async function initFromSettings() {
     // Use the default value from HTML if no stored endpoint
     state.endpoint = dom.apiEndpoint.value.trim();
   }
+  if (stored?.token) {
+    state.token = stored.token;
+    dom.apiToken.value = stored.token;
+  }
+  state.redact = Boolean(stored?.redact);
+  state.job = stored?.job || null;
+  dom.pseudonymize.checked = state.redact;
+  state.diffGranularity = GRANULARITIES.includes(stored?.diffGranularity) ? stored.diffGranularity : "word";
+  dom.diffGranularity.value = state.diffGranularity;
+  configureLogger({ endpoint: state.endpoint.replace("/api/review", "/api/client-logs"), token: state.token });
 }
 
 if (!window.Office) {
@@ -1050,6 +1856,7 @@ if (!window.Office) {
     bindEvents();
     setScope(state.scope);
     setStatus("Ready.");
+    loadPlaybooks();
     // Load both document context (background) and selection context (focus)
     await Promise.all([refreshDocumentContext(), refreshSelectionContext()]);
     
@@ -1059,10 +1866,13 @@ if (!window.Office) {
       handleSelectionChanged,
       (result) => {
         if (result.status === Office.AsyncResultStatus.Failed) {
-          console.warn("Could not add selection handler:", result.error.message);
+          log.warn("Could not add selection handler", { error: result.error.message });
         }
       }
     );
+
+    // Pick up a review that was running (or finished) while the pane was closed
+    await resumeLastJob();
   });
 }
 
@@ -0,0 +1,8 @@
+/**
+ * Authorization header for the backend, when an API token is set
+ * @param {string} [token] - Token issued with `npm run tokens -- create`
+ * @returns {Object} Headers to spread into a fetch call
+ */
+export function authHeaders(token) {
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
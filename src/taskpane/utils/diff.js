@@ -1,90 +1,332 @@
-function tokenize(text) {
-  return text.match(/\s+|\S+/g) ?? [];
-}
+/**
+ * Text diff for previews and reports.
+ *
+ * Myers' O(ND) algorithm in linear space, after a patience pre-pass that
+ * anchors the diff on tokens appearing exactly once on each side. The anchors
+ * split long texts into small independent gaps, so a whole agreement diffs
+ * quickly and moved or repeated boilerplate does not produce odd alignments.
+ * A heavy rewrite can still make the search expensive, so it runs against a
+ * deadline; past it, the gaps left are shown as a whole-block replacement.
+ */
+
+export const GRANULARITIES = ["char", "word", "sentence"];
+
+// The pane diffs on its UI thread; a slower diff would freeze it
+const DEFAULT_TIMEOUT_MS = 1000;
+
+// Words, runs of whitespace, and each punctuation mark on its own, so
+// "years," against "years;" changes only the punctuation
+const WORD_PATTERN = /\s+|[\p{L}\p{N}_]+(?:['’][\p{L}\p{N}_]+)*|[^\s\p{L}\p{N}_]/gu;
 
-export function diffTokens(original, revised, maxCells = 120000) {
-  const left = tokenize(original);
-  const right = tokenize(revised);
+// A sentence ends at . ! ? or ; (with any closing quotes or brackets) followed
+// by whitespace, or at a line break; the whitespace stays with the sentence
+const SENTENCE_BOUNDARY = /(?<=[.!?;]["'”’)\]]*\s+|\n)/;
 
-  if (!left.length && !right.length) {
-    return [];
+function tokenize(text, granularity) {
+  if (granularity === "char") {
+    return Array.from(text);
   }
+  if (granularity === "sentence") {
+    return text.split(SENTENCE_BOUNDARY).filter(Boolean);
+  }
+  return text.match(WORD_PATTERN) ?? [];
+}
+
+// Token strings to integers, so comparisons in the inner loops are cheap
+function encode(left, right) {
+  const ids = new Map();
+  const toIds = (tokens) => {
+    const encoded = new Int32Array(tokens.length);
+    tokens.forEach((token, index) => {
+      let id = ids.get(token);
+      if (id === undefined) {
+        id = ids.size;
+        ids.set(token, id);
+      }
+      encoded[index] = id;
+    });
+    return encoded;
+  };
+  return [toIds(left), toIds(right)];
+}
 
-  if (left.length * right.length > maxCells) {
-    return null;
+/**
+ * Tokens unique to both ranges, as [aIndex, bIndex] pairs forming the longest
+ * run increasing on both sides (patience sorting).
+ */
+function patienceAnchors(a, aLo, aHi, b, bLo, bHi) {
+  const counts = new Map();
+  for (let i = aLo; i < aHi; i += 1) {
+    const entry = counts.get(a[i]);
+    if (entry) {
+      entry.a += 1;
+    } else {
+      counts.set(a[i], { a: 1, b: 0, aIndex: i, bIndex: -1 });
+    }
+  }
+  for (let j = bLo; j < bHi; j += 1) {
+    const entry = counts.get(b[j]);
+    if (entry) {
+      entry.b += 1;
+      entry.bIndex = j;
+    }
   }
 
-  const rows = left.length + 1;
-  const cols = right.length + 1;
-  const dp = Array.from({ length: rows }, () => Array(cols).fill(0));
+  const pairs = [];
+  for (let i = aLo; i < aHi; i += 1) {
+    const entry = counts.get(a[i]);
+    if (entry.a === 1 && entry.b === 1) {
+      pairs.push([i, entry.bIndex]);
+    }
+  }
+  if (!pairs.length) {
+    return pairs;
+  }
 
-  for (let i = left.length - 1; i >= 0; i -= 1) {
-    for (let j = right.length - 1; j >= 0; j -= 1) {
-      if (left[i] === right[j]) {
-        dp[i][j] = dp[i + 1][j + 1] + 1;
+  // Longest increasing subsequence of the b indexes
+  const tails = [];
+  const previous = new Int32Array(pairs.length);
+  for (let p = 0; p < pairs.length; p += 1) {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (pairs[tails[mid]][1] < pairs[p][1]) {
+        low = mid + 1;
       } else {
-        dp[i][j] = Math.max(dp[i + 1][j], dp[i][j + 1]);
+        high = mid;
       }
     }
+    previous[p] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = p;
   }
 
-  const segments = [];
-  let i = 0;
-  let j = 0;
-
-  while (i < left.length && j < right.length) {
-    if (left[i] === right[j]) {
-      segments.push({ type: "equal", text: left[i] });
-      i += 1;
-      j += 1;
-    } else if (dp[i + 1][j] >= dp[i][j + 1]) {
-      segments.push({ type: "delete", text: left[i] });
-      i += 1;
-    } else {
-      segments.push({ type: "insert", text: right[j] });
-      j += 1;
+  const anchors = [];
+  for (let p = tails[tails.length - 1]; p >= 0; p = previous[p]) {
+    anchors.push(pairs[p]);
+  }
+  return anchors.reverse();
+}
+
+/**
+ * Find the middle snake of the shortest edit script and split the problem
+ * there (Myers' linear-space refinement). Gives up at `deadline`.
+ */
+function bisect(a, aLo, aHi, b, bLo, bHi, ops, deadline) {
+  const n = aHi - aLo;
+  const m = bHi - bLo;
+  const max = Math.ceil((n + m) / 2);
+  const offset = max;
+  const size = 2 * max + 2;
+  const forward = new Int32Array(size).fill(-1);
+  const backward = new Int32Array(size).fill(-1);
+  forward[offset + 1] = 0;
+  backward[offset + 1] = 0;
+  const delta = n - m;
+  // With an odd delta the paths meet while extending forward, otherwise backward
+  const checkForward = delta % 2 !== 0;
+  let forwardStart = 0;
+  let forwardEnd = 0;
+  let backwardStart = 0;
+  let backwardEnd = 0;
+
+  for (let d = 0; d < max && Date.now() <= deadline; d += 1) {
+    for (let k = -d + forwardStart; k <= d - forwardEnd; k += 2) {
+      const index = offset + k;
+      let x = k === -d || (k !== d && forward[index - 1] < forward[index + 1])
+        ? forward[index + 1]
+        : forward[index - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[aLo + x] === b[bLo + y]) {
+        x += 1;
+        y += 1;
+      }
+      forward[index] = x;
+      if (x > n) {
+        forwardEnd += 2;
+      } else if (y > m) {
+        forwardStart += 2;
+      } else if (checkForward) {
+        const other = offset + delta - k;
+        if (other >= 0 && other < size && backward[other] !== -1 && x >= n - backward[other]) {
+          split(a, aLo, aHi, b, bLo, bHi, x, y, ops, deadline);
+          return;
+        }
+      }
+    }
+
+    for (let k = -d + backwardStart; k <= d - backwardEnd; k += 2) {
+      const index = offset + k;
+      let x = k === -d || (k !== d && backward[index - 1] < backward[index + 1])
+        ? backward[index + 1]
+        : backward[index - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[aHi - x - 1] === b[bHi - y - 1]) {
+        x += 1;
+        y += 1;
+      }
+      backward[index] = x;
+      if (x > n) {
+        backwardEnd += 2;
+      } else if (y > m) {
+        backwardStart += 2;
+      } else if (!checkForward) {
+        const other = offset + delta - k;
+        if (other >= 0 && other < size && forward[other] !== -1) {
+          const forwardX = forward[other];
+          if (forwardX >= n - x) {
+            split(a, aLo, aHi, b, bLo, bHi, forwardX, forwardX - (other - offset), ops, deadline);
+            return;
+          }
+        }
+      }
     }
   }
 
-  while (i < left.length) {
-    segments.push({ type: "delete", text: left[i] });
-    i += 1;
+  // Nothing in common, or out of time
+  ops.push(["delete", aLo, aHi], ["insert", bLo, bHi]);
+}
+
+function split(a, aLo, aHi, b, bLo, bHi, x, y, ops, deadline) {
+  diffRange(a, aLo, aLo + x, b, bLo, bLo + y, ops, deadline);
+  diffRange(a, aLo + x, aHi, b, bLo + y, bHi, ops, deadline);
+}
+
+// Edit operations turning a[aLo, aHi) into b[bLo, bHi), as [type, from, to]
+// ranges over a (equal, delete) or b (insert)
+function diffRange(a, aLo, aHi, b, bLo, bHi, ops, deadline) {
+  let prefix = 0;
+  while (aLo + prefix < aHi && bLo + prefix < bHi && a[aLo + prefix] === b[bLo + prefix]) {
+    prefix += 1;
+  }
+  if (prefix) {
+    ops.push(["equal", aLo, aLo + prefix]);
+    aLo += prefix;
+    bLo += prefix;
+  }
+
+  let suffix = 0;
+  while (aHi - suffix > aLo && bHi - suffix > bLo && a[aHi - suffix - 1] === b[bHi - suffix - 1]) {
+    suffix += 1;
   }
+  aHi -= suffix;
+  bHi -= suffix;
 
-  while (j < right.length) {
-    segments.push({ type: "insert", text: right[j] });
-    j += 1;
+  if (aLo === aHi) {
+    if (bLo < bHi) ops.push(["insert", bLo, bHi]);
+  } else if (bLo === bHi) {
+    ops.push(["delete", aLo, aHi]);
+  } else {
+    // Anchors never sit on the trimmed ends, so every gap is smaller than this range
+    const anchors = patienceAnchors(a, aLo, aHi, b, bLo, bHi);
+    if (anchors.length) {
+      let i = aLo;
+      let j = bLo;
+      for (const [anchorA, anchorB] of anchors) {
+        diffRange(a, i, anchorA, b, j, anchorB, ops, deadline);
+        ops.push(["equal", anchorA, anchorA + 1]);
+        i = anchorA + 1;
+        j = anchorB + 1;
+      }
+      diffRange(a, i, aHi, b, j, bHi, ops, deadline);
+    } else {
+      bisect(a, aLo, aHi, b, bLo, bHi, ops, deadline);
+    }
   }
 
-  return mergeSegments(segments);
+  if (suffix) {
+    ops.push(["equal", aHi, aHi + suffix]);
+  }
 }
 
-function mergeSegments(segments) {
-  if (!segments.length) {
-    return [];
+/**
+ * Diff two texts.
+ * @param {string} original
+ * @param {string} revised
+ * @param {Object} [options]
+ * @param {"char"|"word"|"sentence"} [options.granularity] - Unit of change; defaults to "word"
+ * @param {number} [options.timeoutMs] - Time for the search, 0 for none; whatever is still
+ *   undiffed then shows as deleted and reinserted whole
+ * @returns {Array<{type: "equal"|"delete"|"insert", text: string}>} Within each changed
+ *   stretch the deletion comes before the insertion
+ */
+export function diffTokens(original, revised, { granularity = "word", timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  if (!GRANULARITIES.includes(granularity)) {
+    throw new Error(`Unknown diff granularity "${granularity}".`);
+  }
+
+  const left = tokenize(original || "", granularity);
+  const right = tokenize(revised || "", granularity);
+  const [a, b] = encode(left, right);
+  const ops = [];
+  diffRange(a, 0, a.length, b, 0, b.length, ops, timeoutMs > 0 ? Date.now() + timeoutMs : Infinity);
+
+  const segments = [];
+  let deleted = "";
+  let inserted = "";
+  const flush = () => {
+    if (deleted) segments.push({ type: "delete", text: deleted });
+    if (inserted) segments.push({ type: "insert", text: inserted });
+    deleted = "";
+    inserted = "";
+  };
+
+  for (const [type, from, to] of ops) {
+    if (type === "delete") {
+      deleted += left.slice(from, to).join("");
+    } else if (type === "insert") {
+      inserted += right.slice(from, to).join("");
+    } else {
+      flush();
+      const text = left.slice(from, to).join("");
+      const previous = segments[segments.length - 1];
+      if (previous?.type === "equal") {
+        previous.text += text;
+      } else {
+        segments.push({ type: "equal", text });
+      }
+    }
   }
+  flush();
 
-  const merged = [segments[0]];
+  return segments;
+}
 
-  for (let i = 1; i < segments.length; i += 1) {
-    const prev = merged[merged.length - 1];
-    const current = segments[i];
+/**
+ * Fold equal stretches shorter than `minLength` (ignoring whitespace) into the
+ * changes around them, so a rewrite reads as one replacement rather than
+ * alternating fragments.
+ */
+function mergeShortEquals(segments, minLength) {
+  const merged = [];
+  let deleted = "";
+  let inserted = "";
+  const flush = () => {
+    if (deleted === inserted) {
+      if (deleted) merged.push({ type: "equal", text: deleted });
+    } else {
+      if (deleted) merged.push({ type: "delete", text: deleted });
+      if (inserted) merged.push({ type: "insert", text: inserted });
+    }
+    deleted = "";
+    inserted = "";
+  };
 
-    if (prev.type === current.type) {
-      prev.text += current.text;
+  for (const segment of segments) {
+    if (segment.type === "equal" && segment.text.trim().length >= minLength) {
+      flush();
+      merged.push(segment);
     } else {
-      merged.push({ ...current });
+      if (segment.type !== "insert") deleted += segment.text;
+      if (segment.type !== "delete") inserted += segment.text;
     }
   }
+  flush();
 
   return merged;
 }
 
 export function formatDiff(segments) {
-  if (!segments) {
-    return "Diff preview skipped (selection too large).";
-  }
-
   return segments
     .map((segment) => {
       if (segment.type === "equal") {
@@ -99,17 +341,21 @@ export function formatDiff(segments) {
 }
 
 function escapeHtml(text) {
-  const div = document.createElement("div");
-  div.textContent = text;
-  return div.innerHTML;
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
 }
 
-export function formatDiffHtml(segments) {
-  if (!segments) {
-    return "<em>Diff preview skipped (selection too large).</em>";
-  }
-
-  return segments
+/**
+ * @param {Array} segments - From diffTokens
+ * @param {Object} [options]
+ * @param {number} [options.minEqualLength] - Merge shorter unchanged stretches into the
+ *   surrounding change (see mergeShortEquals); 0 shows every change separately
+ */
+export function formatDiffHtml(segments, { minEqualLength = 0 } = {}) {
+  return (minEqualLength ? mergeShortEquals(segments, minEqualLength) : segments)
     .map((segment) => {
       const escaped = escapeHtml(segment.text);
       if (segment.type === "equal") {
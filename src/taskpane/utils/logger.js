@@ -0,0 +1,91 @@
+/**
+ * Client Logger
+ * Task pane diagnostics, echoed to the console and sent in batches to /api/client-logs.
+ * Fields are redacted before they leave the pane, so contract text never reaches the log.
+ */
+import { redact } from "../../shared/redact.js";
+import { authHeaders } from "./auth.js";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const FLUSH_DELAY_MS = 5000;
+const MAX_BATCH = 50;
+const MAX_QUEUE = 500;
+
+let config = { endpoint: "", token: "" };
+let queue = [];
+let timer = null;
+
+/**
+ * Point the logger at the backend
+ * @param {Object} params
+ * @param {string} params.endpoint - The client logs API endpoint
+ * @param {string} [params.token] - API token for the backend
+ */
+export function configureLogger({ endpoint, token }) {
+  config = { endpoint, token };
+}
+
+/**
+ * Send queued entries now
+ * @param {Object} [options]
+ * @param {boolean} [options.keepalive] - Let the request outlive the pane (on unload)
+ */
+export async function flushLogs({ keepalive = false } = {}) {
+  clearTimeout(timer);
+  timer = null;
+  if (!queue.length || !config.endpoint) {
+    return;
+  }
+
+  const entries = queue.splice(0, MAX_BATCH);
+  try {
+    await fetch(config.endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...authHeaders(config.token) },
+      body: JSON.stringify({ entries }),
+      keepalive,
+    });
+  } catch (error) {
+    // Dropped: reporting a failure to log would only queue more logs
+  }
+  if (queue.length) {
+    flushLogs({ keepalive });
+  }
+}
+
+function write(level, msg, fields) {
+  const safe = fields ? redact(fields) : undefined;
+  const method = level === "debug" ? "debug" : level;
+  if (safe) {
+    console[method](`[${level}] ${msg}`, safe);
+  } else {
+    console[method](`[${level}] ${msg}`);
+  }
+
+  // Debug output stays in the console
+  if (LEVELS[level] < LEVELS.info) {
+    return;
+  }
+
+  queue.push({ ts: new Date().toISOString(), level, msg, ...safe });
+  if (queue.length > MAX_QUEUE) {
+    queue = queue.slice(-MAX_QUEUE);
+  }
+
+  if (level === "error" || queue.length >= MAX_BATCH) {
+    flushLogs();
+  } else if (!timer) {
+    timer = setTimeout(flushLogs, FLUSH_DELAY_MS);
+  }
+}
+
+if (typeof window !== "undefined") {
+  window.addEventListener("pagehide", () => flushLogs({ keepalive: true }));
+}
+
+export const log = {
+  debug: (msg, fields) => write("debug", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields),
+};
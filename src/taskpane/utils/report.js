@@ -0,0 +1,271 @@
+/**
+ * Review Report
+ * Turns the pane's issues list into a review memo that outlives the pane:
+ * HTML, Markdown, CSV or JSON, for downloading or copying.
+ */
+import { diffTokens, formatDiff, formatDiffHtml } from "./diff.js";
+import { toCsv } from "../../shared/csv.js";
+
+const RISK_LABELS = { balanced: "Balanced", cautious: "Risk-averse", aggressive: "Aggressive" };
+const SCOPE_LABELS = { selection: "Selection", paragraph: "Paragraph", document: "Whole document" };
+const TYPE_LABELS = { edit: "Edit", delete: "Delete", comment: "Comment" };
+const CHECK_LABELS = { "defined-terms": "Defined terms check", "cross-references": "Cross-reference check" };
+const SEVERITY_ORDER = ["high", "medium", "low"];
+
+export const REPORT_FORMATS = {
+  html: { label: "HTML", extension: "html", mimeType: "text/html" },
+  markdown: { label: "Markdown", extension: "md", mimeType: "text/markdown" },
+  csv: { label: "CSV", extension: "csv", mimeType: "text/csv" },
+  json: { label: "JSON", extension: "json", mimeType: "application/json" },
+};
+
+const CSV_COLUMNS = [
+  ["number", "#"],
+  ["section", "Section"],
+  ["severity", "Severity"],
+  ["type", "Type"],
+  ["status", "Status"],
+  ["statusDetail", "Status detail"],
+  ["originalText", "Original text"],
+  ["newText", "Proposed text"],
+  ["diff", "Diff"],
+  ["explanation", "Explanation"],
+  ["source", "Source"],
+];
+
+// Where the issue stands in the document: applied, not applied (and why), or not tried
+function issueStatus(issue) {
+  if (issue.rejectedReason) {
+    return { status: "Not applied", statusDetail: issue.rejectedReason };
+  }
+  if (issue.applied) {
+    return { status: "Applied", statusDetail: "" };
+  }
+  if (issue.restored) {
+    return { status: "Applied", statusDetail: "Handled in an earlier session" };
+  }
+  if (issue.applied === false) {
+    return { status: "Failed", statusDetail: "The text could not be found or changed in the document" };
+  }
+  return { status: "Pending", statusDetail: "" };
+}
+
+function issueSource(issue) {
+  return [
+    CHECK_LABELS[issue.source],
+    issue.playbookRule && `Playbook: ${issue.playbookRule.topic}`,
+    issue.libraryClause && `Approved clause: ${issue.libraryClause.title} (v${issue.libraryClause.version})`,
+  ].filter(Boolean).join("; ");
+}
+
+/**
+ * Collect everything the memo shows
+ * @param {Object} params
+ * @param {Array} params.issues - state.issues
+ * @param {string} [params.documentTitle]
+ * @param {string} params.riskProfile
+ * @param {string} [params.instructions]
+ * @param {string} [params.scope]
+ * @param {string} [params.playbook] - Playbook name
+ * @param {{ name?: string, role?: string }} [params.party]
+ * @param {string} [params.reviewedAt] - When the review ran (ISO), if known
+ * @param {Date} [params.generatedAt]
+ * @param {"char"|"word"|"sentence"} [params.granularity] - Unit the proposed edits are diffed by
+ */
+export function buildReport({ issues, documentTitle, riskProfile, instructions, scope, playbook, party, reviewedAt, generatedAt = new Date(), granularity = "word" }) {
+  const entries = issues.map((issue, index) => {
+    const segments = issue.type === "edit" && issue.newText ? diffTokens(issue.originalText || "", issue.newText, { granularity }) : null;
+    let section = "";
+    if (issue.sectionNumber) {
+      section = `§ ${issue.sectionNumber}`;
+    } else if (typeof issue.clauseIndex === "number") {
+      section = `Clause ${issue.clauseIndex + 1}`;
+    }
+    return {
+      number: index + 1,
+      section,
+      severity: issue.severity || "medium",
+      type: TYPE_LABELS[issue.type] || "Comment",
+      ...issueStatus(issue),
+      originalText: issue.originalText || "",
+      newText: issue.type === "edit" ? issue.newText || "" : "",
+      diff: segments ? formatDiff(segments) : "",
+      diffHtml: segments ? formatDiffHtml(segments) : "",
+      explanation: issue.explanation || "",
+      source: issueSource(issue),
+    };
+  });
+
+  const count = (predicate) => entries.filter(predicate).length;
+  return {
+    document: documentTitle || "Untitled document",
+    riskProfile: RISK_LABELS[riskProfile] || riskProfile,
+    instructions: instructions || "",
+    scope: SCOPE_LABELS[scope] || scope || "",
+    playbook: playbook || "",
+    party: party ? (party.name && party.name !== party.role ? `${party.name} (${party.role})` : party.role) : "",
+    reviewedAt: reviewedAt || null,
+    generatedAt: generatedAt.toISOString(),
+    totals: {
+      issues: entries.length,
+      high: count((entry) => entry.severity === "high"),
+      medium: count((entry) => entry.severity === "medium"),
+      low: count((entry) => entry.severity === "low"),
+      applied: count((entry) => entry.status === "Applied"),
+      notApplied: count((entry) => entry.status === "Not applied" || entry.status === "Failed"),
+    },
+    issues: entries,
+  };
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function details(report) {
+  return [
+    ["Document", report.document],
+    ["Reviewed", report.reviewedAt && new Date(report.reviewedAt).toLocaleString()],
+    ["Generated", new Date(report.generatedAt).toLocaleString()],
+    ["Risk posture", report.riskProfile],
+    ["Scope", report.scope],
+    ["Playbook", report.playbook],
+    ["We represent", report.party],
+    ["Instructions", report.instructions],
+  ].filter(([, value]) => value);
+}
+
+function totalsLine(totals) {
+  const bySeverity = SEVERITY_ORDER.map((severity) => `${totals[severity]} ${severity}`).join(", ");
+  return `${totals.issues} issue${totals.issues !== 1 ? "s" : ""} (${bySeverity}); ${totals.applied} applied, ${totals.notApplied} not applied.`;
+}
+
+function toHtml(report) {
+  const rows = details(report).map(([label, value]) => `<tr><th>${label}</th><td>${escapeHtml(value)}</td></tr>`).join("\n");
+  const issues = report.issues.map((issue) => `
+<section class="issue">
+  <h2>${issue.number}. ${issue.section ? `${escapeHtml(issue.section)} · ` : ""}${issue.type}
+    <span class="severity ${escapeHtml(issue.severity)}">${escapeHtml(issue.severity)}</span>
+    <span class="status">${issue.status}${issue.statusDetail ? `: ${escapeHtml(issue.statusDetail)}` : ""}</span></h2>
+  <p class="label">Original text</p>
+  <blockquote>${escapeHtml(issue.originalText)}</blockquote>
+  ${issue.newText ? `<p class="label">Proposed text</p>\n  <blockquote>${escapeHtml(issue.newText)}</blockquote>\n  <p class="label">Changes</p>\n  <blockquote>${issue.diffHtml}</blockquote>` : ""}
+  <p>${escapeHtml(issue.explanation)}</p>
+  ${issue.source ? `<p class="source">${escapeHtml(issue.source)}</p>` : ""}
+</section>`).join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Review memo: ${escapeHtml(report.document)}</title>
+<style>
+  body { font-family: -apple-system, "Segoe UI", sans-serif; color: #111827; max-width: 820px; margin: 32px auto; padding: 0 16px; line-height: 1.5; }
+  table { border-collapse: collapse; margin-bottom: 16px; }
+  th { text-align: left; color: #6b7280; font-weight: 500; padding: 2px 16px 2px 0; vertical-align: top; }
+  .issue { border-top: 1px solid #e5e7eb; padding-top: 12px; margin-top: 16px; }
+  .issue h2 { font-size: 15px; margin: 0 0 8px; }
+  .label { color: #6b7280; font-size: 12px; margin: 8px 0 2px; }
+  blockquote { margin: 0; padding: 6px 10px; background: #f8f7ff; border-left: 3px solid #d1d5db; white-space: pre-wrap; }
+  .severity { font-size: 11px; text-transform: uppercase; padding: 1px 6px; border-radius: 9999px; background: #e5e7eb; }
+  .severity.high { background: #fee2e2; color: #b91c1c; }
+  .severity.medium { background: #fef3c7; color: #b45309; }
+  .severity.low { background: #dbeafe; color: #1d4ed8; }
+  .status { font-size: 12px; font-weight: 400; color: #6b7280; }
+  .source { font-size: 12px; color: #4f46e5; }
+  .diff-delete { background: rgba(239, 68, 68, 0.2); color: #dc2626; text-decoration: line-through; }
+  .diff-insert { background: rgba(34, 197, 94, 0.25); color: #15803d; font-weight: 600; }
+</style>
+</head>
+<body>
+<h1>Review memo: ${escapeHtml(report.document)}</h1>
+<table>
+${rows}
+</table>
+<p>${totalsLine(report.totals)}</p>
+${issues}
+</body>
+</html>
+`;
+}
+
+// A fence longer than any backtick run in the text, so contract text cannot close it
+function fenced(text) {
+  const longest = Math.max(2, ...(text.match(/`+/g) || []).map((run) => run.length));
+  const fence = "`".repeat(longest + 1);
+  return `${fence}\n${text}\n${fence}`;
+}
+
+function quoted(text) {
+  return text.split("\n").map((line) => `> ${line}`).join("\n");
+}
+
+function toMarkdown(report) {
+  const lines = [
+    `# Review memo: ${report.document}`,
+    "",
+    ...details(report).map(([label, value]) => `- **${label}:** ${value.replace(/\n+/g, " ")}`),
+    "",
+    totalsLine(report.totals),
+  ];
+
+  for (const issue of report.issues) {
+    lines.push(
+      "",
+      `## ${issue.number}. ${issue.section ? `${issue.section} · ` : ""}${issue.type} · ${issue.severity}`,
+      "",
+      `**Status:** ${issue.status}${issue.statusDetail ? ` (${issue.statusDetail})` : ""}`,
+      "",
+      "**Original text**",
+      "",
+      quoted(issue.originalText)
+    );
+    if (issue.newText) {
+      lines.push("", "**Proposed text**", "", quoted(issue.newText), "", "**Changes** ([-deleted-] [+inserted+])", "", fenced(issue.diff));
+    }
+    lines.push("", issue.explanation);
+    if (issue.source) {
+      lines.push("", `*${issue.source}*`);
+    }
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+function toJson(report) {
+  // The HTML diff only makes sense inside the HTML memo
+  const issues = report.issues.map(({ diffHtml, ...issue }) => issue);
+  return `${JSON.stringify({ ...report, issues }, null, 2)}\n`;
+}
+
+/**
+ * Render a report built by buildReport
+ * @param {Object} report
+ * @param {"html"|"markdown"|"csv"|"json"} format
+ * @returns {string}
+ */
+export function renderReport(report, format) {
+  switch (format) {
+    case "html":
+      return toHtml(report);
+    case "markdown":
+      return toMarkdown(report);
+    case "csv":
+      return toCsv(report.issues, CSV_COLUMNS);
+    case "json":
+      return toJson(report);
+    default:
+      throw new Error(`Unknown report format "${format}".`);
+  }
+}
+
+/**
+ * File name for a report, e.g. "MSA-review-2025-01-31.md"
+ */
+export function reportFileName(report, format) {
+  const base = report.document.replace(/\.(docx?|txt)$/i, "").replace(/[^\w .-]+/g, "_").trim() || "document";
+  return `${base}-review-${report.generatedAt.slice(0, 10)}.${REPORT_FORMATS[format].extension}`;
+}
@@ -0,0 +1,112 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { createAnthropicProvider } from "../server/providers/anthropic.js";
+
+// A stand-in for the Messages API: records each request and answers with `reply`
+let server;
+let baseUrl;
+let requests = [];
+let reply;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => { body += chunk; });
+    req.on("end", () => {
+      requests.push({ headers: req.headers, body: JSON.parse(body) });
+      reply(res);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, resolve));
+  baseUrl = `http://localhost:${server.address().port}/v1`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+function provider() {
+  requests = [];
+  return createAnthropicProvider({ ANTHROPIC_API_KEY: "test-key", ANTHROPIC_BASE_URL: baseUrl });
+}
+
+const MESSAGES = [
+  { role: "system", content: "Review the clause." },
+  { role: "user", content: "Clause text" },
+  { role: "user", content: "Client concerns" },
+  { role: "assistant", content: "{}" },
+  { role: "user", content: "Repair it" },
+];
+
+test("requires an API key", () => {
+  assert.throws(() => createAnthropicProvider({}), /ANTHROPIC_API_KEY/);
+});
+
+test("complete sends a Messages API request and maps usage", async () => {
+  reply = (res) => {
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify({
+      model: "claude-sonnet-4-5-20250929",
+      content: [{ type: "text", text: '{"issues":' }, { type: "text", text: "[]}" }],
+      usage: { input_tokens: 120, output_tokens: 8 },
+    }));
+  };
+
+  const result = await provider().complete({ messages: MESSAGES, temperature: 0.1, maxTokens: 300 });
+
+  assert.deepEqual(result, {
+    content: '{"issues":[]}',
+    usage: { prompt_tokens: 120, completion_tokens: 8, total_tokens: 128 },
+    model: "claude-sonnet-4-5-20250929",
+  });
+  const [{ headers, body }] = requests;
+  assert.equal(headers["x-api-key"], "test-key");
+  assert.equal(headers["anthropic-version"], "2023-06-01");
+  assert.deepEqual(body, {
+    model: "claude-sonnet-4-5",
+    system: "Review the clause.",
+    messages: [
+      { role: "user", content: "Clause text\n\nClient concerns" },
+      { role: "assistant", content: "{}" },
+      { role: "user", content: "Repair it" },
+    ],
+    temperature: 0.1,
+    max_tokens: 300,
+  });
+});
+
+test("stream yields text deltas and one usage chunk", async () => {
+  reply = (res) => {
+    res.setHeader("Content-Type", "text/event-stream");
+    const send = (event) => res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    send({ type: "message_start", message: { usage: { input_tokens: 40, output_tokens: 1 } } });
+    send({ type: "content_block_start", index: 0, content_block: { type: "text", text: "" } });
+    send({ type: "content_block_delta", index: 0, delta: { type: "text_delta", text: "Hel" } });
+    send({ type: "ping" });
+    send({ type: "content_block_delta", index: 0, delta: { type: "text_delta", text: "lo" } });
+    send({ type: "message_delta", delta: { stop_reason: "end_turn" }, usage: { output_tokens: 6 } });
+    send({ type: "message_stop" });
+    res.end();
+  };
+
+  const chunks = [];
+  for await (const chunk of provider().stream({ messages: MESSAGES })) {
+    chunks.push(chunk);
+  }
+
+  assert.deepEqual(chunks, [
+    { delta: "Hel" },
+    { delta: "lo" },
+    { usage: { prompt_tokens: 40, completion_tokens: 6, total_tokens: 46 } },
+  ]);
+  assert.equal(requests[0].body.stream, true);
+});
+
+test("errors carry the status and Retry-After for the retry policy", async () => {
+  reply = (res) => {
+    res.statusCode = 529;
+    res.setHeader("Retry-After", "2");
+    res.end('{"type":"error","error":{"type":"overloaded_error","message":"Overloaded"}}');
+  };
+
+  await assert.rejects(provider().complete({ messages: MESSAGES }), { status: 529, retryAfterMs: 2000 });
+});
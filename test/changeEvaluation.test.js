@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createChangeEvaluator } from "../server/review/changeEvaluation.js";
+
+// Shaped like the changes changeService sends from getTrackedChanges
+const PANE_CHANGES = [
+  {
+    id: "tc-0",
+    type: "insertion",
+    author: "Acme Legal",
+    date: "2026-01-05T10:00:00.000Z",
+    text: "unlimited ",
+    paragraph: "Vendor shall have unlimited liability for all claims.",
+    sectionNumber: "9.2",
+  },
+  {
+    id: "tc-1",
+    type: "deletion",
+    author: "Acme Legal",
+    date: "2026-01-05T10:01:00.000Z",
+    text: "thirty (30) ",
+    paragraph: "Invoices are payable within thirty (30) days.",
+    sectionNumber: "",
+  },
+];
+
+function recordingProvider(prompts) {
+  return {
+    async complete({ messages }) {
+      prompts.push(messages.find((message) => message.role === "user").content);
+      return {
+        content: JSON.stringify({
+          recommendations: PANE_CHANGES.map((change) => ({ changeId: change.id, recommendation: "accept", explanation: "Fine.", severity: "low" })),
+        }),
+      };
+    },
+  };
+}
+
+test("the prompt names the section a change sits in", async () => {
+  const prompts = [];
+  const evaluator = createChangeEvaluator(recordingProvider(prompts), { timeoutMs: 0 });
+
+  const { recommendations, failed } = await evaluator.evaluateChanges({ changes: PANE_CHANGES, riskProfile: "balanced" }, {});
+
+  assert.equal(recommendations.length, 2);
+  assert.deepEqual(failed, []);
+  assert.match(prompts[0], /\[tc-0\] insertion by Acme Legal in section 9\.2\n/);
+  assert.match(prompts[0], /\[tc-1\] deletion by Acme Legal\n/);
+});
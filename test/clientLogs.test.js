@@ -0,0 +1,34 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { startServer } from "./helpers/server.js";
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(() => server?.stop());
+
+test("client log entries carry a request ID", async () => {
+  const response = await fetch(`${server.url}/api/client-logs`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-Request-Id": "upload-1" },
+    body: JSON.stringify({
+      entries: [
+        { ts: "2026-01-01T00:00:00Z", level: "warn", msg: "Pane warning" },
+        { ts: "2026-01-01T00:00:01Z", level: "error", msg: "Review failed", requestId: "review-7" },
+      ],
+    }),
+  });
+  assert.equal(response.status, 204);
+
+  const lines = fs.readFileSync(path.join(server.dir, "logs", "taskpane.log"), "utf8")
+    .split("\n").filter(Boolean).map((line) => JSON.parse(line));
+  assert.deepEqual(lines.map((line) => [line.msg, line.requestId, line.batchId]), [
+    ["Pane warning", "upload-1", undefined],
+    ["Review failed", "review-7", undefined],
+  ]);
+});
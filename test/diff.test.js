@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { diffTokens, GRANULARITIES } from "../src/taskpane/utils/diff.js";
+
+// Deterministic pseudo-random text
+function randomText(length, seed = 7) {
+  const alphabet = "abcdefghijklmnopqrstuvwxyz  ,.";
+  let state = seed;
+  let text = "";
+  while (text.length < length) {
+    state = (state * 48271) % 2147483647;
+    text += alphabet[state % alphabet.length];
+  }
+  return text;
+}
+
+function rebuild(segments) {
+  return {
+    original: segments.filter((segment) => segment.type !== "insert").map((segment) => segment.text).join(""),
+    revised: segments.filter((segment) => segment.type !== "delete").map((segment) => segment.text).join(""),
+  };
+}
+
+test("every granularity reproduces both texts", () => {
+  const original = "The Supplier shall deliver the Goods within thirty (30) days. Payment is due on delivery.";
+  const revised = "The Supplier shall deliver the Goods within sixty (60) days; payment is due thirty days after delivery.";
+  for (const granularity of GRANULARITIES) {
+    assert.deepEqual(rebuild(diffTokens(original, revised, { granularity })), { original, revised }, granularity);
+  }
+});
+
+test("word granularity changes only the punctuation", () => {
+  assert.deepEqual(diffTokens("for two years, then", "for two years; then"), [
+    { type: "equal", text: "for two years" },
+    { type: "delete", text: "," },
+    { type: "insert", text: ";" },
+    { type: "equal", text: " then" },
+  ]);
+});
+
+test("a diff out of time falls back to replacing the whole block", () => {
+  // A heavy rewrite: the text against its reverse, with no common ends
+  const text = randomText(30000);
+  const original = `<${text}>`;
+  const revised = `[${[...text].reverse().join("")}]`;
+
+  const started = Date.now();
+  const segments = diffTokens(original, revised, { granularity: "char", timeoutMs: 1 });
+
+  assert.ok(Date.now() - started < 1000, "diff ignored its deadline");
+  assert.deepEqual(segments, [
+    { type: "delete", text: original },
+    { type: "insert", text: revised },
+  ]);
+});
+
+test("the default deadline bounds a heavy rewrite", () => {
+  const text = randomText(30000, 11);
+  const original = `<${text}>`;
+  const revised = `[${[...text].reverse().join("")}]`;
+
+  const started = Date.now();
+  const segments = diffTokens(original, revised, { granularity: "char" });
+
+  assert.ok(Date.now() - started < 5000, "diff ran far past its default deadline");
+  assert.deepEqual(rebuild(segments), { original, revised });
+});
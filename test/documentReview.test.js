@@ -0,0 +1,77 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { writeZip, readZip } from "../server/utils/zip.js";
+import { startServer } from "./helpers/server.js";
+
+const CLAUSE = "The Receiving Party shall keep the information confidential for a period of two (2) years.";
+
+const DOCUMENT_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body><w:p><w:r><w:t>${CLAUSE}</w:t></w:r></w:p></w:body></w:document>`;
+
+const CONTENT_TYPES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="xml" ContentType="application/xml"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/></Types>`;
+
+// One issue anchored in CLAUSE, so the review has to add a comment
+const FIXTURES = {
+  rules: [],
+  defaults: {
+    clause: {
+      issues: [{ type: "edit", originalText: "two (2) years", newText: "five (5) years", explanation: "Too short.", severity: "medium" }],
+    },
+  },
+};
+
+// The mock provider reads its fixtures on the first call
+const fixturesPath = path.join(os.tmpdir(), `goosefarm-fixtures-${process.pid}.json`);
+let server;
+
+before(async () => {
+  fs.writeFileSync(fixturesPath, JSON.stringify(FIXTURES));
+  server = await startServer({ MOCK_FIXTURES_PATH: fixturesPath });
+});
+
+after(async () => {
+  await server?.stop();
+  fs.rmSync(fixturesPath, { force: true });
+});
+
+async function upload(entries) {
+  const response = await fetch(`${server.url}/api/documents/review`, {
+    method: "POST",
+    headers: { "Content-Type": "application/vnd.openxmlformats-officedocument.wordprocessingml.document" },
+    body: writeZip(new Map(Object.entries(entries).map(([name, xml]) => [name, Buffer.from(xml, "utf8")]))),
+  });
+  return { status: response.status, body: Buffer.from(await response.arrayBuffer()) };
+}
+
+test("adds the relationships part when the document has none", async () => {
+  const { status, body } = await upload({ "[Content_Types].xml": CONTENT_TYPES_XML, "word/document.xml": DOCUMENT_XML });
+
+  assert.equal(status, 200);
+  const entries = readZip(body);
+  assert.match(entries.get("word/_rels/document.xml.rels").toString("utf8"), /Target="comments\.xml"/);
+  assert.match(entries.get("[Content_Types].xml").toString("utf8"), /PartName="\/word\/comments\.xml"/);
+  assert.match(entries.get("word/comments.xml").toString("utf8"), /Too short\./);
+});
+
+test("adds the content types part when the document has none", async () => {
+  const { status, body } = await upload({ "word/document.xml": DOCUMENT_XML });
+
+  assert.equal(status, 200);
+  assert.match(readZip(body).get("[Content_Types].xml").toString("utf8"), /PartName="\/word\/comments\.xml"/);
+});
+
+test("keeps serving after a document that cannot be written back", async () => {
+  const { status } = await upload({
+    "[Content_Types].xml": CONTENT_TYPES_XML,
+    "word/document.xml": DOCUMENT_XML,
+    "word/_rels/document.xml.rels": "<Relationships>",
+  });
+
+  assert.equal(status, 500);
+  const response = await fetch(`${server.url}/api/playbooks`);
+  assert.equal(response.status, 200);
+});
@@ -0,0 +1,78 @@
+/**
+ * Start the API server in a child process with the mock provider and every
+ * data directory under a temporary folder.
+ */
+import { spawn } from "child_process";
+import fs from "fs";
+import net from "net";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const SERVER_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "..", "server", "index.js");
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().once("error", reject).listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * @param {Object} [env] - Extra environment variables
+ * @returns {Promise<{ url: string, dir: string, stop: Function }>}
+ */
+export async function startServer(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "goosefarm-test-"));
+  const port = await freePort();
+  const child = spawn(process.execPath, [SERVER_PATH], {
+    cwd: dir,
+    env: {
+      ...process.env,
+      AI_PROVIDER: "mock",
+      AUTH_REQUIRED: "false",
+      PORT: String(port),
+      LOG_DIR: path.join(dir, "logs"),
+      REVIEW_CACHE: "off",
+      USAGE_DB_PATH: path.join(dir, "usage.jsonl"),
+      JOBS_DIR: path.join(dir, "jobs"),
+      BATCHES_DIR: path.join(dir, "batches"),
+      ...env,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+
+  let output = "";
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 10000);
+    child.stdout.on("data", (chunk) => {
+      output += chunk;
+      if (output.includes("server running")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.stderr.on("data", (chunk) => { output += chunk; });
+    child.once("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with ${code}:\n${output}`));
+    });
+  });
+
+  return {
+    url: `http://localhost:${port}`,
+    dir,
+    child,
+    async stop() {
+      if (child.exitCode === null) {
+        await new Promise((resolve) => {
+          child.once("exit", resolve);
+          child.kill();
+        });
+      }
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import os from "os";
+import path from "path";
+import { createRetryPolicy } from "../server/providers/retry.js";
+
+process.env.LOG_DIR = path.join(os.tmpdir(), `goosefarm-test-logs-${process.pid}`);
+
+function unavailable() {
+  const error = new Error("Service unavailable");
+  error.status = 503;
+  return error;
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("an aborted half-open trial does not keep the breaker open", async () => {
+  // One request per minute, so the trial has to queue on the budget
+  const policy = createRetryPolicy({
+    PROVIDER_MAX_RETRIES: "0",
+    PROVIDER_BREAKER_THRESHOLD: "1",
+    PROVIDER_BREAKER_COOLDOWN_MS: "1",
+    PROVIDER_MAX_RPM: "1",
+  });
+
+  await assert.rejects(policy.run(async () => { throw unavailable(); }), { status: 503 });
+  await wait(5);
+
+  const trial = new AbortController();
+  const queued = policy.run(async () => "unreachable", { signal: trial.signal });
+  trial.abort();
+  await assert.rejects(queued, { name: "AbortError" });
+
+  // The next call is let through the breaker and waits for the budget instead
+  const next = new AbortController();
+  const allowed = policy.run(async () => "unreachable", { signal: next.signal });
+  setTimeout(() => next.abort(), 20);
+  await assert.rejects(allowed, (error) => error.code !== "ECIRCUITOPEN" && error.name === "AbortError");
+});
+
+test("a call while the trial is queued still fails fast", async () => {
+  const policy = createRetryPolicy({
+    PROVIDER_MAX_RETRIES: "0",
+    PROVIDER_BREAKER_THRESHOLD: "1",
+    PROVIDER_BREAKER_COOLDOWN_MS: "1",
+    PROVIDER_MAX_RPM: "1",
+  });
+
+  await assert.rejects(policy.run(async () => { throw unavailable(); }), { status: 503 });
+  await wait(5);
+
+  const trial = new AbortController();
+  const queued = policy.run(async () => "unreachable", { signal: trial.signal });
+  await assert.rejects(policy.run(async () => "unreachable"), { code: "ECIRCUITOPEN" });
+  trial.abort();
+  await assert.rejects(queued, { name: "AbortError" });
+});